@@ -154,6 +154,7 @@ module.exports = function ( grunt ) {
 				modules: modules,
 				load: [
 					'visualEditor.desktop.standalone',
+					'visualEditor.merge',
 					'visualEditor.standalone.read'
 				],
 				run: [ 'visualEditor.desktop.standalone.demo' ],
@@ -185,6 +186,7 @@ module.exports = function ( grunt ) {
 				modules: modules,
 				load: [
 					'visualEditor.mobile.standalone',
+					'visualEditor.merge',
 					'visualEditor.standalone.read'
 				],
 				run: [ 'visualEditor.mobile.standalone.demo' ],
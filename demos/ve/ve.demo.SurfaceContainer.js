@@ -12,7 +12,7 @@
  * @param {string} dir Directionality
  */
 ve.demo.SurfaceContainer = function VeDemoSurfaceContainer( target, page, lang, dir ) {
-	var pageDropdown, pageLabel, removeButton, saveButton, diffButton, $exitReadButton,
+	var pageDropdown, pageLabel, removeButton, saveButton, diffButton, mergeButton, $exitReadButton,
 		container = this;
 
 	// Parent constructor
@@ -42,6 +42,9 @@ ve.demo.SurfaceContainer = function VeDemoSurfaceContainer( target, page, lang,
 	diffButton = new OO.ui.ButtonWidget( {
 		label: 'Show changes'
 	} );
+	mergeButton = new OO.ui.ButtonWidget( {
+		label: 'Merge with other surface'
+	} );
 	$exitReadButton = $( '<a href="#">' ).text( 'Back to editor' ).on( 'click', function () {
 		container.modeSelect.selectItemByData( 'visual' );
 		return false;
@@ -80,6 +83,7 @@ ve.demo.SurfaceContainer = function VeDemoSurfaceContainer( target, page, lang,
 			newDoc: container.surface.model.documentModel
 		} );
 	} );
+	mergeButton.on( 'click', this.merge.bind( this ) );
 
 	this.$element.addClass( 've-demo-surfaceContainer' ).append(
 		$( '<div>' ).addClass( 've-demo-toolbar ve-demo-surfaceToolbar-edit' ).append(
@@ -93,7 +97,12 @@ ve.demo.SurfaceContainer = function VeDemoSurfaceContainer( target, page, lang,
 				$( '<span class="ve-demo-toolbar-divider">&nbsp;</span>' ),
 				saveButton.$element,
 				$( '<span class="ve-demo-toolbar-divider">&nbsp;</span>' ),
-				diffButton.$element
+				diffButton.$element,
+				// The merge dialog is only loaded in the debug demos
+				ve.ui.windowFactory.lookup( 'merge' ) ? [
+					$( '<span class="ve-demo-toolbar-divider">&nbsp;</span>' ),
+					mergeButton.$element
+				] : []
 			)
 		),
 		$( '<div>' ).addClass( 've-demo-toolbar-commands ve-demo-surfaceToolbar-read' ).append(
@@ -339,3 +348,37 @@ ve.demo.SurfaceContainer.prototype.save = function () {
 	this.pageMenu.selectItemByData( 'localStorage/ve-demo-saved-markup' );
 	this.pageMenu.getSelectedItem().setDisabled( false );
 };
+
+/**
+ * Merge the changes made in another surface into this one
+ *
+ * Both surfaces' changes are taken relative to the page loaded into this one, so the other
+ * surface should have the same page loaded.
+ */
+ve.demo.SurfaceContainer.prototype.merge = function () {
+	var container = this,
+		other = ve.demo.surfaceContainers.filter( function ( otherContainer ) {
+			return otherContainer !== container && otherContainer.surface;
+		} )[ 0 ];
+
+	if ( !other ) {
+		OO.ui.alert( 'Add another surface, and edit the same page in it, to merge with.' );
+		return;
+	}
+	this.surface.dialogs.openWindow( 'merge', {
+		baseDoc: this.oldDoc,
+		myDoc: this.surface.getModel().getDocument(),
+		theirDoc: other.surface.getModel().getDocument()
+	} ).then( function ( opened ) {
+		opened.then( function ( closing ) {
+			closing.then( function ( data ) {
+				var oldDoc = container.oldDoc;
+				if ( data && data.doc ) {
+					container.loadHtml( ve.dm.converter.getDomFromModel( data.doc ).body.innerHTML, 'visual' );
+					// Keep showing changes since the page was loaded
+					container.oldDoc = oldDoc;
+				}
+			} );
+		} );
+	} );
+};
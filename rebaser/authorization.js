@@ -0,0 +1,111 @@
+/*!
+ * VisualEditor rebaser authorization
+ *
+ * Access tokens grant a role on a document. A token is a base64-encoded JSON payload
+ * followed by a dot and an HMAC-SHA256 signature of the payload:
+ *
+ *     base64( { "doc": "Foo", "role": "edit", "expires": 1500000000000 } ) + '.' + signature
+ *
+ * where expires (a timestamp in milliseconds) is optional. Tokens are signed with the secret
+ * in the REBASER_SECRET environment variable. If no secret is set, access is not controlled,
+ * and everyone can edit every document.
+ *
+ * To make a token, run:
+ *
+ *     REBASER_SECRET=... node authorization.js <docName> <role> [<expiry in seconds>]
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+var crypto = require( 'crypto' ),
+	roles = [ 'read', 'comment', 'edit' ];
+
+/**
+ * Sign a token payload
+ *
+ * @param {string} payload Base64-encoded payload
+ * @param {string} secret Secret
+ * @return {string} Hex-encoded signature
+ */
+function sign( payload, secret ) {
+	return crypto.createHmac( 'sha256', secret ).update( payload ).digest( 'hex' );
+}
+
+/**
+ * Make an access token
+ *
+ * @param {string} docName Document name
+ * @param {string} role Role granted: 'read', 'comment' or 'edit'
+ * @param {number} [expires] Expiry timestamp in milliseconds; if omitted the token never expires
+ * @param {string} [secret] Secret to sign with; defaults to REBASER_SECRET
+ * @return {string} Token
+ * @throws {Error} If the role is not valid or there is no secret
+ */
+function makeToken( docName, role, expires, secret ) {
+	var payload;
+	secret = secret || process.env.REBASER_SECRET;
+	if ( roles.indexOf( role ) === -1 ) {
+		throw new Error( 'Unknown role: ' + role );
+	}
+	if ( !secret ) {
+		throw new Error( 'No secret to sign the token with' );
+	}
+	payload = Buffer.from( JSON.stringify( { doc: docName, role: role, expires: expires } ) ).toString( 'base64' );
+	return payload + '.' + sign( payload, secret );
+}
+
+/**
+ * Get the role that a token grants on a document
+ *
+ * @param {string} docName Document name
+ * @param {string} [token] Token sent by the client
+ * @param {string} [secret] Secret that tokens are signed with; defaults to REBASER_SECRET
+ * @return {string|null} Role granted: 'read', 'comment' or 'edit'; null if access is denied
+ */
+function getRole( docName, token, secret ) {
+	var parts, signature, expected, claims;
+	secret = secret || process.env.REBASER_SECRET;
+	if ( !secret ) {
+		return 'edit';
+	}
+	parts = typeof token === 'string' ? token.split( '.' ) : [];
+	if ( parts.length !== 2 || !/^[0-9a-f]{64}$/.test( parts[ 1 ] ) ) {
+		return null;
+	}
+	signature = Buffer.from( parts[ 1 ], 'hex' );
+	expected = Buffer.from( sign( parts[ 0 ], secret ), 'hex' );
+	if ( !crypto.timingSafeEqual( signature, expected ) ) {
+		return null;
+	}
+	try {
+		claims = JSON.parse( Buffer.from( parts[ 0 ], 'base64' ).toString() );
+	} catch ( error ) {
+		return null;
+	}
+	if (
+		!claims || claims.doc !== docName || roles.indexOf( claims.role ) === -1 ||
+		( claims.expires && claims.expires < Date.now() )
+	) {
+		return null;
+	}
+	return claims.role;
+}
+
+module.exports = {
+	makeToken: makeToken,
+	getRole: getRole
+};
+
+if ( require.main === module ) {
+	if ( process.argv.length < 4 ) {
+		// eslint-disable-next-line no-console
+		console.error( 'Usage: node authorization.js <docName> <role> [<expiry in seconds>]' );
+		process.exit( 1 );
+	}
+	// eslint-disable-next-line no-console
+	console.log( makeToken(
+		process.argv[ 2 ],
+		process.argv[ 3 ],
+		process.argv[ 4 ] ? Date.now() + 1000 * parseInt( process.argv[ 4 ] ) : undefined
+	) );
+}
@@ -5,13 +5,53 @@
  */
 
 new ve.init.sa.Platform( ve.messagePaths ).initialize().done( function () {
-	var synchronizer,
+	var synchronizer, historyButton,
 		$editor = $( '.ve-demo-editor' ),
 		// eslint-disable-next-line new-cap
-		target = new ve.demo.target();
+		target = new ve.demo.target(),
+		authorName = localStorage.getItem( 've-rebaser-author-name' ),
+		authorColor = localStorage.getItem( 've-rebaser-author-color' ),
+		tokenMatch = location.search.match( /[?&]token=([^&]*)/ );
+
+	if ( !authorColor ) {
+		// Random colour, dark enough for white text
+		authorColor = '#' + [ 0, 1, 2 ].map( function () {
+			return ( '0' + Math.floor( Math.random() * 160 ).toString( 16 ) ).slice( -2 );
+		} ).join( '' );
+		localStorage.setItem( 've-rebaser-author-color', authorColor );
+	}
 
 	$editor.append( target.$element );
 	target.addSurface( ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '' ) ) );
-	synchronizer = new ve.dm.SurfaceSynchronizer( target.surface.model, ve.docName );
-	target.surface.view.setSynchronizer( synchronizer );
+	OO.ui.prompt( 'Your name, as shown to other authors', {
+		textInput: { value: authorName || '' }
+	} ).done( function ( name ) {
+		if ( name !== null ) {
+			authorName = name;
+			localStorage.setItem( 've-rebaser-author-name', authorName );
+		}
+		synchronizer = new ve.dm.SurfaceSynchronizer( target.surface.model, ve.docName, {
+			authorProfile: { name: authorName, color: authorColor },
+			token: tokenMatch ? decodeURIComponent( tokenMatch[ 1 ] ) : undefined
+		} );
+		target.surface.view.setSynchronizer( synchronizer );
+		synchronizer.on( 'connected', function () {
+			target.surface.setDisabled( synchronizer.getRole() === 'read' );
+		} );
+		synchronizer.on( 'changeRejected', function ( reason ) {
+			OO.ui.alert( reason === 'permission' ?
+				'Your change has been undone, because you are not allowed to make it.' :
+				'Your change has been undone, because the server could not apply it.'
+			);
+		} );
+		historyButton = new OO.ui.ButtonWidget( { label: 'History', framed: false } );
+		historyButton.on( 'click', function () {
+			target.surface.dialogs.openWindow( 'history', { synchronizer: synchronizer } );
+		} );
+		target.getToolbar().$actions.prepend(
+			new ve.ui.AuthorListWidget( synchronizer ).$element,
+			new ve.ui.ConnectionStatusWidget( synchronizer ).$element,
+			historyButton.$element
+		);
+	} );
 } );
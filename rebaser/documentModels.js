@@ -0,0 +1,121 @@
+/*!
+ * VisualEditor rebaser document models
+ *
+ * Keeps an up-to-date ve.dm.Document for each document, by replaying its history
+ * inside a jsdom window, so that the document can be rendered as HTML or snapshotted.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+var modelWindow,
+	fs = require( 'fs' ),
+	path = require( 'path' ),
+	JSDOM = require( 'jsdom' ).JSDOM,
+	moduleUtils = require( '../build/moduleUtils' ),
+	rootDir = path.join( __dirname, '..' ),
+	modelForDoc = new Map();
+
+/**
+ * Get a window with the full VisualEditor data model loaded
+ *
+ * Loading takes a while, so the window is created on first use then kept.
+ *
+ * @return {Window} jsdom window
+ */
+function getModelWindow() {
+	var modules, scripts;
+	if ( !modelWindow ) {
+		modules = JSON.parse( fs.readFileSync( path.join( rootDir, 'build/modules.json' ), 'utf8' ) );
+		scripts = moduleUtils.makeBuildList( modules, [ 'baselibs', 'visualEditor.rebase.build' ] ).scripts;
+		modelWindow = new JSDOM( '<!DOCTYPE html>', { runScripts: 'outside-only' } ).window;
+		scripts.forEach( function ( script ) {
+			modelWindow.eval( fs.readFileSync( path.join( rootDir, script ), 'utf8' ) );
+		} );
+	}
+	return modelWindow;
+}
+
+/**
+ * Get the linear data of a new document, which is what history applies to
+ *
+ * @return {Array} Linear data
+ */
+function getInitialData() {
+	var ve = getModelWindow().ve,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '' ) );
+	// Serialize via JSON, so no references into the window's model are kept
+	return JSON.parse( JSON.stringify( doc.getData( new ve.Range( 0, doc.data.getLength() ) ) ) );
+}
+
+/**
+ * Get the model of a document, brought up to date with its history
+ *
+ * The history is applied on top of an empty document, which is the state that
+ * the rebaser clients start from.
+ *
+ * @param {string} docName Document name
+ * @param {Object} history History as one big ve.dm.Change (from the rebaser's own ve)
+ * @return {ve.dm.Document} Document model (from the window's ve)
+ */
+function getModel( docName, history ) {
+	var doc, serialized,
+		ve = getModelWindow().ve,
+		model = modelForDoc.get( docName );
+
+	if ( !model ) {
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '' ) );
+		model = { surface: new ve.dm.Surface( doc ), length: 0 };
+		modelForDoc.set( docName, model );
+	}
+	if ( history.getLength() > model.length ) {
+		serialized = history.mostRecent( model.length ).serialize( true );
+		ve.dm.Change.static.deserialize( serialized, model.surface.getDocument() ).applyTo( model.surface );
+		model.length = history.getLength();
+	}
+	return model.surface.getDocument();
+}
+
+/**
+ * Render a document as HTML
+ *
+ * @param {string} docName Document name
+ * @param {Object} history History as one big ve.dm.Change
+ * @return {string} HTML document
+ */
+function renderHtml( docName, history ) {
+	var ve = getModelWindow().ve;
+	return '<!DOCTYPE html>' + ve.properOuterHtml(
+		ve.dm.converter.getDomFromModel( getModel( docName, history ) ).documentElement
+	);
+}
+
+/**
+ * Take a snapshot of a document, from which clients can be initialized
+ *
+ * @param {string} docName Document name
+ * @param {Object} history History as one big ve.dm.Change
+ * @return {Object} Snapshot, as loaded by ve.dm.SurfaceSynchronizer#loadSnapshot
+ * @return {number} return.start History length at which the snapshot was taken
+ * @return {Array} return.data Linear model data
+ * @return {Array} return.metadata Linear model metadata
+ * @return {Object} return.store Serialized store
+ */
+function makeSnapshot( docName, history ) {
+	var ve = getModelWindow().ve,
+		doc = getModel( docName, history ),
+		range = new ve.Range( 0, doc.data.getLength() );
+
+	// Serialize via JSON, so no references into the window's model are kept
+	return JSON.parse( JSON.stringify( {
+		start: history.getLength(),
+		data: doc.getData( range ),
+		metadata: doc.getMetadata( range ),
+		store: ve.dm.Change.static.serializeStore( doc.getStore() )
+	} ) );
+}
+
+module.exports = {
+	getInitialData: getInitialData,
+	renderHtml: renderHtml,
+	makeSnapshot: makeSnapshot
+};
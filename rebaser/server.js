@@ -1,13 +1,17 @@
 /* eslint-disable no-console */
 
-var rebaseServer, docNamespaces, lastAuthorForDoc, artificialDelay,
+var rebaseServer, docNamespaces, snapshotForDoc, presenceForDoc, artificialDelay, dataDirectory,
 	port = 8081,
+	// Number of transactions after which a new snapshot is taken for initializing clients
+	snapshotInterval = 100,
 	express = require( 'express' ),
 	app = express(),
 	url = require( 'url' ),
 	http = require( 'http' ).Server( app ),
 	io = require( 'socket.io' )( http ),
-	ve = require( '../dist/ve-rebaser.js' );
+	ve = require( '../dist/ve-rebaser.js' ),
+	documentModels = require( './documentModels' ),
+	authorization = require( './authorization' );
 
 function summarize( author, backtrack, change ) {
 	var storeCount = 0,
@@ -32,43 +36,194 @@ function summarize( author, backtrack, change ) {
 	return summary.join( ', ' );
 }
 
-rebaseServer = new ve.dm.RebaseServer();
-docNamespaces = new Map();
-lastAuthorForDoc = new Map();
 artificialDelay = parseInt( process.argv[ 2 ] ) || 0;
+dataDirectory = process.argv[ 3 ];
+rebaseServer = new ve.dm.RebaseServer(
+	dataDirectory ? new ve.dm.FileRebaseStorage( dataDirectory ) : undefined,
+	{ initialData: documentModels.getInitialData() }
+);
+docNamespaces = new Map();
+snapshotForDoc = new Map();
+presenceForDoc = new Map();
+
+rebaseServer.on( 'invalidChange', function ( docName, author, error ) {
+	var presence = presenceForDoc.get( docName ).get( author );
+	console.log( author + ' submitted invalid change to ' + docName + ': ' + error.message );
+	if ( presence ) {
+		// Wait until the valid part of the change, if any, has been broadcast, so that the
+		// client has committed it before backtracking the rest
+		setImmediate( function () {
+			presence.socket.emit( 'changeRejected', { reason: 'invalid' } );
+		} );
+	}
+} );
+
+/**
+ * Get a snapshot of a document for initializing clients
+ *
+ * A new snapshot is taken whenever the history has grown by snapshotInterval
+ * transactions since the last one.
+ *
+ * @param {string} docName Document name
+ * @return {Object|null} Snapshot, or null if the history is short enough to send in full
+ */
+function getSnapshot( docName ) {
+	var history = rebaseServer.getStateForDoc( docName ).history,
+		snapshot = snapshotForDoc.get( docName ) || null;
+	if ( history.getLength() - ( snapshot ? snapshot.start : 0 ) >= snapshotInterval ) {
+		try {
+			snapshot = documentModels.makeSnapshot( docName, history );
+			snapshotForDoc.set( docName, snapshot );
+		} catch ( error ) {
+			// Carry on with the old snapshot, at the cost of sending more history
+			console.error( error.stack );
+		}
+	}
+	return snapshot;
+}
+
+/**
+ * Clean up an author profile sent by a client
+ *
+ * @param {Object} [profile] Profile, as sent by the client
+ * @return {Object} Profile with a name of reasonable length, and a colour that is a valid #rrggbb
+ */
+function sanitizeProfile( profile ) {
+	profile = profile || {};
+	return {
+		name: typeof profile.name === 'string' ? profile.name.trim().slice( 0, 100 ) : '',
+		color: /^#[0-9a-f]{6}$/i.test( profile.color ) ? profile.color : ''
+	};
+}
+
+/**
+ * Get the profiles of the authors currently in a document
+ *
+ * @param {string} docName Document name
+ * @return {Object} Profile of each author, keyed by author ID
+ */
+function getAuthorProfiles( docName ) {
+	var profiles = {};
+	presenceForDoc.get( docName ).forEach( function ( presence, author ) {
+		profiles[ author ] = presence.profile;
+	} );
+	return profiles;
+}
 
 function makeConnectionHandler( docName ) {
 	return function handleConnection( socket ) {
-		var history = rebaseServer.getStateForDoc( docName ).history,
-			author = 1 + ( lastAuthorForDoc.get( docName ) || 0 );
-		lastAuthorForDoc.set( docName, author );
-		console.log( 'new client ' + author + ' for ' + docName );
-		socket.emit( 'registered', author );
-		// HACK Catch the client up on the current state by sending it the entire history
-		// Ideally we'd be able to initialize the client using HTML, but that's hard, see
-		// comments in the /raw handler. Keeping an updated linmod on the server could be
-		// feasible if TransactionProcessor was modified to have a "don't sync, just apply"
-		// mode and ve.dm.Document was faked with { data: ..., metadata: ..., store: ... }
-		console.log( 'Sending full history: ' + summarize( null, 0, history ) );
-		socket.emit( 'newChange', history.serialize( true ) );
+		// Set on registration; changes submitted before that are ignored
+		var author = null,
+			// Set by the namespace middleware when the connection was authorized
+			role = socket.veRole;
+
+		/**
+		 * Add the registered author to the document's presence list, and tell everyone
+		 *
+		 * @param {Object} profile Author profile, as sent by the client
+		 */
+		function join( profile ) {
+			profile = sanitizeProfile( profile );
+			// If the author is still present on a stale connection, that connection is superseded
+			presenceForDoc.get( docName ).set( author, { profile: profile, socket: socket } );
+			socket.broadcast.to( 'registered' ).emit( 'authorJoin', { author: author, profile: profile } );
+			socket.emit( 'authors', getAuthorProfiles( docName ) );
+		}
+
+		/**
+		 * Register the client as a new author
+		 *
+		 * @param {Object} profile Author profile, as sent by the client
+		 */
+		function registerNewAuthor( profile ) {
+			var history = rebaseServer.getStateForDoc( docName ).history,
+				snapshot = getSnapshot( docName ),
+				registration = rebaseServer.registerAuthor( docName );
+			author = registration.author;
+			console.log( 'new client ' + author + ' for ' + docName );
+			// Catch the client up on the current state by sending it the latest snapshot, then
+			// the history since
+			socket.emit( 'registered', {
+				author: author,
+				secret: registration.secret,
+				role: role,
+				snapshot: snapshot
+			} );
+			join( profile );
+			history = history.mostRecent( snapshot ? snapshot.start : 0 );
+			console.log( 'Sending history since snapshot: ' + summarize( null, 0, history ) );
+			socket.emit( 'newChange', history.serialize( true ) );
+			socket.join( 'registered' );
+		}
+
+		/**
+		 * Re-register a reconnecting client as the author it was before
+		 *
+		 * @param {number} previousAuthor Author ID the client had before
+		 * @param {number} commitLength Length of the history the client has seen
+		 * @param {Object} profile Author profile, as sent by the client
+		 */
+		function resumeAuthor( previousAuthor, commitLength, profile ) {
+			var state = rebaseServer.getStateForDoc( docName ),
+				history = state.history.mostRecent( commitLength );
+			author = previousAuthor;
+			console.log( 'client ' + author + ' reconnected to ' + docName );
+			// Send presence first, so that the selections in the missed changes can be shown
+			join( profile );
+			// Send the changes committed while the client was away before registering it, so that
+			// it has rebased its unsent changes over them before resubmitting
+			console.log( 'Sending history since ' + commitLength + ': ' + summarize( null, 0, history ) );
+			socket.emit( 'newChange', history.serialize( true ) );
+			socket.emit( 'registered', {
+				author: author,
+				role: role,
+				rejections: state.rejections.get( author ) || 0
+			} );
+			socket.join( 'registered' );
+		}
+
+		socket.on( 'register', function ( data ) {
+			if ( author !== null ) {
+				return;
+			}
+			if ( rebaseServer.canResumeAuthor( docName, data ) ) {
+				resumeAuthor( data.author, data.commitLength, data.profile );
+			} else {
+				registerNewAuthor( data && data.profile );
+			}
+		} );
+		socket.on( 'disconnect', function () {
+			var presence = presenceForDoc.get( docName );
+			if ( author === null || presence.get( author ).socket !== socket ) {
+				return;
+			}
+			console.log( 'client ' + author + ' left ' + docName );
+			presence.delete( author );
+			docNamespaces.get( docName ).to( 'registered' ).emit( 'authorLeave', { author: author } );
+		} );
 		socket.on( 'submitChange', setTimeout.bind( null, function ( data ) {
-			var change, applied;
-			try {
-				change = ve.dm.Change.static.deserialize( data.change, null, true );
-				console.log( 'receive ' + summarize( author, data.backtrack, change ) );
-				applied = rebaseServer.applyChange( docName, author, data.backtrack, change );
-				if ( !applied.isEmpty() ) {
-					console.log( 'applied ' + summarize( author, 0, applied ) );
-					docNamespaces.get( docName ).emit(
-						'newChange',
-						applied.serialize( true )
-					);
-				}
-				if ( applied.getLength() < change.getLength() ) {
-					console.log( author + ' rejected ' + ( applied.getLength() - change.getLength() ) );
-				}
-			} catch ( error ) {
-				console.error( error.stack );
+			var result;
+			if ( author === null ) {
+				return;
+			}
+			result = rebaseServer.submitChange( docName, author, role, data );
+			if ( result.error ) {
+				console.error( result.error.stack );
+			} else if ( !result.applied ) {
+				console.log( author + ' not allowed to make change as ' + role );
+			} else if ( !result.applied.isEmpty() ) {
+				console.log( 'applied ' + summarize( author, 0, result.applied ) );
+				// Only registered clients are sent new changes, as the others will
+				// receive them as part of the history when they register
+				docNamespaces.get( docName ).to( 'registered' ).emit(
+					'newChange',
+					result.applied.serialize( true )
+				);
+			}
+			// Only tell the client about the change that caused the rejection: it will
+			// backtrack over the changes that follow on from it by itself
+			if ( result.rejection ) {
+				socket.emit( 'changeRejected', { reason: result.rejection } );
 			}
 		}, artificialDelay ) );
 	};
@@ -87,11 +242,20 @@ app.get( '/doc/edit/:docName', function ( req, res ) {
 } );
 
 app.get( '/doc/raw/:docName', function ( req, res ) {
-	// TODO return real data
-	// In order to provide HTML here, we'd need all of ve.dm (Document, Converter, all nodes)
-	// and none of that code is likely to work in nodejs without some work because of how heavily
-	// it uses the DOM.
-	res.status( 401 ).send( 'DOM in nodejs is hard' );
+	var html,
+		docName = req.params.docName;
+	if ( !authorization.getRole( docName, req.query.token ) ) {
+		res.status( 403 ).send( 'Not authorized to access ' + docName );
+		return;
+	}
+	try {
+		html = documentModels.renderHtml( docName, rebaseServer.getStateForDoc( docName ).history );
+	} catch ( error ) {
+		console.error( error.stack );
+		res.status( 500 ).send( 'Could not render ' + docName );
+		return;
+	}
+	res.type( 'html' ).send( html );
 } );
 
 io.on( 'connection', function ( socket ) {
@@ -101,9 +265,21 @@ io.on( 'connection', function ( socket ) {
 	if ( docName && !docNamespaces.has( docName ) ) {
 		nsp = io.of( '/' + docName );
 		docNamespaces.set( docName, nsp );
+		presenceForDoc.set( docName, new Map() );
+		nsp.use( function ( nspSocket, next ) {
+			var role = authorization.getRole( docName, url.parse( nspSocket.handshake.url, true ).query.token );
+			if ( !role ) {
+				next( new Error( 'Not authorized to access ' + docName ) );
+				return;
+			}
+			nspSocket.veRole = role;
+			next();
+		} );
 		nsp.on( 'connection', makeConnectionHandler( docName ) );
 	}
 } );
 
 http.listen( port );
-console.log( 'Listening on ' + port + ' (artificial delay ' + artificialDelay + ' ms)' );
+console.log( 'Listening on ' + port + ' (artificial delay ' + artificialDelay + ' ms, ' +
+	( dataDirectory ? 'storing documents in ' + dataDirectory : 'not storing documents' ) + ', ' +
+	( process.env.REBASER_SECRET ? 'access controlled by token' : 'open access' ) + ')' );
@@ -40,6 +40,7 @@ ve.ce.TableCellNode = function VeCeTableCellNode() {
 	if ( colspan > 1 ) {
 		this.$element.attr( 'colspan', colspan );
 	}
+	this.updateCellProperties();
 
 	this.$element
 		// Add tooltip
@@ -127,6 +128,21 @@ ve.ce.TableCellNode.prototype.onSetup = function () {
 	} else {
 		this.$element.removeAttr( 'colspan' );
 	}
+	this.updateCellProperties();
+};
+
+/**
+ * Apply the cell properties of the model (alignment, background and width) as inline styles
+ */
+ve.ce.TableCellNode.prototype.updateCellProperties = function () {
+	var key,
+		cellProperties = this.model.constructor.static.cellProperties,
+		css = {};
+
+	for ( key in cellProperties ) {
+		css[ cellProperties[ key ].css ] = this.model.getAttribute( key ) || '';
+	}
+	this.$element.css( css );
 };
 
 /**
@@ -155,6 +171,10 @@ ve.ce.TableCellNode.prototype.onAttributeChange = function ( key, from, to ) {
 				.addClass( 've-ce-tableCellNode-' + to );
 			this.updateTagName();
 			break;
+		default:
+			if ( Object.prototype.hasOwnProperty.call( this.model.constructor.static.cellProperties, key ) ) {
+				this.updateCellProperties();
+			}
 	}
 };
 
@@ -24,6 +24,8 @@ ve.ce.TableNode = function VeCeTableNode() {
 	// Stores the original table selection as
 	// a fragment when entering cell edit mode
 	this.editingFragment = null;
+	// Column being resized by dragging a resize handle
+	this.columnResizeInfo = null;
 
 	// DOM changes
 	this.$element
@@ -55,6 +57,7 @@ ve.ce.TableNode.prototype.onSetup = function () {
 	this.$selectionBoxAnchor = $( '<div>' ).addClass( 've-ce-tableNodeOverlay-selection-box-anchor' );
 	this.colContext = new ve.ui.TableLineContext( this, 'col' );
 	this.rowContext = new ve.ui.TableLineContext( this, 'row' );
+	this.$colResizeHandles = $( '<div>' ).addClass( 've-ce-tableNodeOverlay-col-resize-handles' );
 
 	this.$overlay = $( '<div>' )
 		.addClass( 've-ce-tableNodeOverlay oo-ui-element-hidden' )
@@ -64,7 +67,8 @@ ve.ce.TableNode.prototype.onSetup = function () {
 			this.colContext.$element,
 			this.rowContext.$element,
 			this.$rowBracket,
-			this.$colBracket
+			this.$colBracket,
+			this.$colResizeHandles
 		] );
 	this.surface.surface.$blockers.append( this.$overlay );
 
@@ -77,6 +81,12 @@ ve.ce.TableNode.prototype.onSetup = function () {
 		'mousedown.ve-ce-tableNode': this.onTableMouseDown.bind( this ),
 		'dblclick.ve-ce-tableNode': this.onTableDblClick.bind( this )
 	} );
+	this.$colResizeHandles.on( {
+		'mousedown.ve-ce-tableNode': this.onColumnResizeHandleMouseDown.bind( this ),
+		'dblclick.ve-ce-tableNode': function ( e ) {
+			e.stopPropagation();
+		}
+	}, '.ve-ce-tableNodeOverlay-col-resize-handle' );
 	this.onTableMouseUpHandler = this.onTableMouseUp.bind( this );
 	this.onTableMouseMoveHandler = this.onTableMouseMove.bind( this );
 	// Select and position events both fire updateOverlay, so debounce. Also makes
@@ -95,6 +105,8 @@ ve.ce.TableNode.prototype.onTeardown = function () {
 	// Events
 	this.$element.off( '.ve-ce-tableNode' );
 	this.$overlay.off( '.ve-ce-tableNode' );
+	this.surface.$document.off( '.ve-ce-tableNode-resize' );
+	this.columnResizeInfo = null;
 	this.surface.getModel().disconnect( this );
 	this.surface.disconnect( this );
 	this.$overlay.remove();
@@ -489,6 +501,7 @@ ve.ce.TableNode.prototype.updateOverlay = function ( selectionChanged ) {
 	this.rowContext.popup.$element.css( {
 		'margin-top': selectionOffset.height / 2
 	} );
+	this.updateColumnResizeHandles( tableOffset );
 
 	// Classes
 	this.$selectionBox
@@ -501,6 +514,165 @@ ve.ce.TableNode.prototype.updateOverlay = function ( selectionChanged ) {
 	}
 };
 
+/**
+ * Update the column resize handles
+ *
+ * A handle is placed on the end border of each column which has cells whose width can be
+ * set, i.e. cells which don't span several columns; see #getColumnWidthCells.
+ *
+ * @param {ClientRect} tableOffset Bounding rectangle of the first section of the table
+ */
+ve.ce.TableNode.prototype.updateColumnResizeHandles = function ( tableOffset ) {
+	var col, row, cell, cellRect, edge,
+		matrix = this.getModel().getMatrix(),
+		isRtl = this.$element.css( 'direction' ) === 'rtl',
+		height = this.$element[ 0 ].getBoundingClientRect().bottom - tableOffset.top,
+		$handles = [];
+
+	for ( col = 0; col < matrix.getMaxColCount(); col++ ) {
+		if ( !this.getColumnWidthCells( col ).length ) {
+			continue;
+		}
+		// Find a cell ending in this column, which may be a merged cell
+		edge = null;
+		for ( row = 0; row < matrix.getRowCount() && edge === null; row++ ) {
+			cell = matrix.getCell( row, col );
+			if ( cell && cell.owner.col + cell.owner.node.getColspan() - 1 === col ) {
+				cellRect = this.getCellNodeFromMatrixCell( cell.owner ).$element[ 0 ].getBoundingClientRect();
+				edge = isRtl ? cellRect.left : cellRect.right;
+			}
+		}
+		if ( edge !== null ) {
+			$handles.push(
+				$( '<div>' )
+					.addClass( 've-ce-tableNodeOverlay-col-resize-handle' )
+					.toggleClass(
+						've-ce-tableNodeOverlay-col-resize-handle-active',
+						!!this.columnResizeInfo && this.columnResizeInfo.col === col
+					)
+					.data( 'col', col )
+					.css( {
+						left: edge - tableOffset.left,
+						height: height
+					} )
+					.append( $( '<div>' ).addClass( 've-ce-tableNodeOverlay-col-resize-handle-bar' ) )
+			);
+		}
+	}
+	this.$colResizeHandles.empty().append( $handles );
+};
+
+/**
+ * Get the cells whose width attribute sets the width of a column
+ *
+ * These are the cells in the column which don't span several columns.
+ *
+ * @param {number} col Column index
+ * @return {ve.dm.TableMatrixCell[]} Cells
+ */
+ve.ce.TableNode.prototype.getColumnWidthCells = function ( col ) {
+	return this.getModel().getMatrix().getColumn( col ).filter( function ( cell ) {
+		return cell && !cell.isPlaceholder() &&
+			cell.node instanceof ve.dm.TableCellNode &&
+			cell.node.getColspan() === 1;
+	} );
+};
+
+/**
+ * Set the width of a column
+ *
+ * The width attribute of all the cells returned by #getColumnWidthCells is changed, in a
+ * single undoable change.
+ *
+ * @param {number} col Column index
+ * @param {string|null} width CSS width, e.g. '100px', or null to remove the width
+ */
+ve.ce.TableNode.prototype.setColumnWidth = function ( col, width ) {
+	var surfaceModel = this.surface.getModel(),
+		txs = this.getColumnWidthCells( col ).filter( function ( cell ) {
+			return ( cell.node.getAttribute( 'width' ) || null ) !== width;
+		} ).map( function ( cell ) {
+			return ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+				surfaceModel.getDocument(), cell.node.getOuterRange().start, { width: width || undefined }
+			);
+		} );
+
+	if ( txs.length ) {
+		surfaceModel.change( txs );
+	}
+};
+
+/**
+ * Handle mouse down events on a column resize handle
+ *
+ * @param {jQuery.Event} e Mouse down event
+ */
+ve.ce.TableNode.prototype.onColumnResizeHandleMouseDown = function ( e ) {
+	var col = $( e.currentTarget ).data( 'col' ),
+		cellNodes = this.getColumnWidthCells( col ).map( this.getCellNodeFromMatrixCell.bind( this ) );
+
+	e.preventDefault();
+	e.stopPropagation();
+	if ( e.which !== OO.ui.MouseButtons.LEFT || !cellNodes.length ) {
+		return;
+	}
+
+	this.columnResizeInfo = {
+		col: col,
+		cellNodes: cellNodes,
+		mouseX: e.screenX,
+		width: cellNodes[ 0 ].$element.width(),
+		newWidth: null
+	};
+	$( e.currentTarget ).addClass( 've-ce-tableNodeOverlay-col-resize-handle-active' );
+	this.surface.$document.on( {
+		'mousemove.ve-ce-tableNode-resize': this.onColumnResizeMouseMove.bind( this ),
+		'mouseup.ve-ce-tableNode-resize': this.onColumnResizeMouseUp.bind( this )
+	} );
+};
+
+/**
+ * Handle mouse move events while resizing a column
+ *
+ * The new width is previewed on the cells of the column, without changing the model.
+ *
+ * @param {jQuery.Event} e Mouse move event
+ */
+ve.ce.TableNode.prototype.onColumnResizeMouseMove = function ( e ) {
+	var info = this.columnResizeInfo,
+		diff = e.screenX - info.mouseX;
+
+	if ( this.$element.css( 'direction' ) === 'rtl' ) {
+		diff = -diff;
+	}
+	info.newWidth = Math.max( this.constructor.static.minColumnWidth, Math.round( info.width + diff ) );
+	info.cellNodes.forEach( function ( cellNode ) {
+		cellNode.$element.css( 'width', info.newWidth + 'px' );
+	} );
+	this.updateOverlay();
+};
+
+/**
+ * Handle mouse up events while resizing a column
+ *
+ * The width previewed is applied to the model.
+ */
+ve.ce.TableNode.prototype.onColumnResizeMouseUp = function () {
+	var info = this.columnResizeInfo;
+
+	this.surface.$document.off( '.ve-ce-tableNode-resize' );
+	this.columnResizeInfo = null;
+
+	if ( info.newWidth !== null && info.newWidth !== info.width ) {
+		this.setColumnWidth( info.col, info.newWidth + 'px' );
+	}
+	// Restore any previewed widths which weren't applied to the model
+	info.cellNodes.forEach( function ( cellNode ) {
+		cellNode.updateCellProperties();
+	} );
+	this.updateOverlayDebounced();
+};
+
 /**
  * Get the first section node of the table, skipping over any caption nodes
  *
@@ -521,16 +693,17 @@ ve.ce.TableNode.prototype.getFirstSectionNode = function () {
  * @return {ve.ce.TableCellNode[]} Cell nodes
  */
 ve.ce.TableNode.prototype.getCellNodesFromSelection = function ( selection ) {
-	var i, l, cellModel, cellView,
-		cells = selection.getMatrixCells(),
-		nodes = [];
+	return selection.getMatrixCells().map( this.getCellNodeFromMatrixCell.bind( this ) );
+};
 
-	for ( i = 0, l = cells.length; i < l; i++ ) {
-		cellModel = cells[ i ].node;
-		cellView = this.getNodeFromOffset( cellModel.getOffset() - this.model.getOffset() );
-		nodes.push( cellView );
-	}
-	return nodes;
+/**
+ * Get the cell node of a matrix cell
+ *
+ * @param {ve.dm.TableMatrixCell} cell Matrix cell
+ * @return {ve.ce.TableCellableNode} Cell node
+ */
+ve.ce.TableNode.prototype.getCellNodeFromMatrixCell = function ( cell ) {
+	return this.getNodeFromOffset( cell.node.getOffset() - this.model.getOffset() );
 };
 
 /* Static Properties */
@@ -539,6 +712,14 @@ ve.ce.TableNode.static.name = 'table';
 
 ve.ce.TableNode.static.tagName = 'table';
 
+/**
+ * Minimum width of a column resized by dragging, in pixels
+ *
+ * @static
+ * @property {number}
+ */
+ve.ce.TableNode.static.minColumnWidth = 10;
+
 /* Registration */
 
 ve.ce.nodeFactory.register( ve.ce.TableNode );
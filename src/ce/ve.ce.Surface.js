@@ -1601,7 +1601,7 @@ ve.ce.Surface.prototype.onCut = function ( e ) {
  */
 ve.ce.Surface.prototype.onCopy = function ( e ) {
 	var originalSelection, clipboardKey, supportsCustomMimeType,
-		scrollTop, unsafeSelector, slice,
+		scrollTop, unsafeSelector, slice, texts,
 		profile = $.client.profile(),
 		selection = this.getModel().getSelection(),
 		view = this,
@@ -1691,6 +1691,15 @@ ve.ce.Surface.prototype.onCopy = function ( e ) {
 		// contents of the element with the cursor and then copied to the clipboard." - MDN
 		// Use $.text as a fallback for Firefox <= 44
 		clipboardData.setData( 'text/plain', this.$pasteTarget[ 0 ].innerText || this.$pasteTarget.text() );
+		// Keep the grid of a table selection when pasting into a spreadsheet, if the
+		// browser supports writing these types
+		if ( supportsCustomMimeType && selection instanceof ve.dm.TableSelection ) {
+			texts = selection.getTableNode().getMatrix().getCellTexts(
+				selection.startRow, selection.startCol, selection.endRow, selection.endCol
+			);
+			clipboardData.setData( 'text/csv', Papa.unparse( texts ) );
+			clipboardData.setData( 'text/tab-separated-values', Papa.unparse( texts, { delimiter: '\t' } ) );
+		}
 	} else {
 		// Support: IE
 		// If direct clipboard editing is not allowed, we must use the pasteTarget to
@@ -1796,7 +1805,7 @@ ve.ce.Surface.prototype.beforePaste = function ( e ) {
 
 	this.beforePasteData = {};
 	if ( clipboardData ) {
-		if ( this.handleDataTransfer( clipboardData, true ) ) {
+		if ( this.handleTableDataTransfer( clipboardData ) || this.handleDataTransfer( clipboardData, true ) ) {
 			e.preventDefault();
 			return;
 		}
@@ -2275,7 +2284,7 @@ ve.ce.Surface.prototype.handleDataTransfer = function ( dataTransfer, isPaste, t
 	var i, l, stringData,
 		items = [],
 		htmlStringData = dataTransfer.getData( 'text/html' ),
-		stringTypes = [ 'text/x-moz-url', 'text/uri-list', 'text/x-uri', 'text/html', 'text/plain' ];
+		stringTypes = [ 'text/x-moz-url', 'text/uri-list', 'text/x-uri', 'text/html', 'text/markdown', 'text/x-markdown', 'text/plain' ];
 
 	// Only look for files if HTML is not available:
 	//  - If a file is pasted/dropped it is unlikely it will have HTML fallback (it will have plain text fallback though)
@@ -2304,6 +2313,51 @@ ve.ce.Surface.prototype.handleDataTransfer = function ( dataTransfer, isPaste, t
 	return this.handleDataTransferItems( items, isPaste, targetFragment );
 };
 
+/**
+ * Handle delimiter-separated values pasted into a table selection, spreadsheet-style
+ *
+ * CSV or TSV data overwrites the selected cells; see ve.ui.TableAction#importCellTexts.
+ * Plain text is read as TSV, which is what spreadsheets provide. Data with HTML is left
+ * to #afterPaste, which imports any HTML table, and data with files is left to
+ * #handleDataTransfer, as its plain text is usually just a file name.
+ *
+ * @param {DataTransfer} dataTransfer Data transfer
+ * @return {boolean} Data was pasted
+ */
+ve.ce.Surface.prototype.handleTableDataTransfer = function ( dataTransfer ) {
+	var text, rows,
+		delimiter = '\t';
+
+	if (
+		!( this.getModel().getSelection() instanceof ve.dm.TableSelection ) ||
+		dataTransfer.getData( 'text/html' ) ||
+		( dataTransfer.files && dataTransfer.files.length ) ||
+		Array.prototype.some.call( dataTransfer.items || [], function ( item ) {
+			return item.kind === 'file';
+		} )
+	) {
+		return false;
+	}
+
+	text = dataTransfer.getData( 'text/csv' );
+	if ( text ) {
+		delimiter = ',';
+	} else {
+		text = dataTransfer.getData( 'text/tab-separated-values' ) || dataTransfer.getData( 'text/plain' );
+	}
+	if ( !text ) {
+		return false;
+	}
+
+	rows = Papa.parse( text, { delimiter: delimiter } ).data;
+	// Skip the empty row after a final line break
+	if ( rows.length > 1 && rows[ rows.length - 1 ].length === 1 && rows[ rows.length - 1 ][ 0 ] === '' ) {
+		rows.pop();
+	}
+
+	return new ve.ui.TableAction( this.getSurface() ).importCellTexts( rows );
+};
+
 /**
  * Handle the insertion of data transfer items
  *
@@ -3845,7 +3899,10 @@ ve.ce.Surface.prototype.setSynchronizer = function ( synchronizer ) {
 		this.synchronizer.disconnect( this );
 	}
 	this.synchronizer = synchronizer;
-	this.synchronizer.connect( this, { authorSelect: 'onSynchronizerAuthorSelect' } );
+	this.synchronizer.connect( this, {
+		authorSelect: 'onSynchronizerAuthorSelect',
+		authorLeave: 'onSynchronizerAuthorLeave'
+	} );
 };
 
 /**
@@ -3861,6 +3918,20 @@ ve.ce.Surface.prototype.onSynchronizerAuthorSelect = function ( author ) {
 	}
 };
 
+/**
+ * Called when a remote author leaves the document
+ *
+ * @param {number} author The author ID
+ */
+ve.ce.Surface.prototype.onSynchronizerAuthorLeave = function ( author ) {
+	var overlays = this.userSelectionOverlays[ author ];
+	if ( overlays ) {
+		overlays.$cursor.remove();
+		overlays.$selection.remove();
+		delete this.userSelectionOverlays[ author ];
+	}
+};
+
 /**
  * Paint a remote author's current selection, as stored in the synchronizer
  *
@@ -3868,10 +3939,8 @@ ve.ce.Surface.prototype.onSynchronizerAuthorSelect = function ( author ) {
  */
 ve.ce.Surface.prototype.paintAuthor = function ( author ) {
 	var i, l, rects, rect, overlays,
-		color = '#' +
-			( 8 * ( 1 - Math.sin( 5 * author ) ) ).toString( 16 ).slice( 0, 1 ) +
-			( 6 * ( 1 - Math.cos( 3 * author ) ) ).toString( 16 ).slice( 0, 1 ) +
-			'0',
+		profile = this.synchronizer.getAuthorProfile( author ),
+		color = profile.color,
 		selection = this.synchronizer.authorSelections[ author ];
 
 	if ( !this.userSelectionOverlays[ author ] ) {
@@ -3919,7 +3988,7 @@ ve.ce.Surface.prototype.paintAuthor = function ( author ) {
 		} ).append(
 			$( '<span>' )
 			.addClass( 've-ce-surface-highlights-user-cursor-label' )
-			.text( author )
+			.text( profile.name )
 			.css( { background: color } )
 		)
 	);
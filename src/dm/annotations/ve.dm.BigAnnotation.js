@@ -29,6 +29,8 @@ ve.dm.BigAnnotation.static.name = 'textStyle/big';
 
 ve.dm.BigAnnotation.static.matchTagNames = [ 'big' ];
 
+ve.dm.BigAnnotation.static.nameMessage = 'visualeditor-annotationbutton-big-tooltip';
+
 ve.dm.BigAnnotation.static.removes = [ 'textStyle/small' ];
 
 /* Registration */
@@ -29,6 +29,8 @@ ve.dm.BoldAnnotation.static.name = 'textStyle/bold';
 
 ve.dm.BoldAnnotation.static.matchTagNames = [ 'b', 'strong' ];
 
+ve.dm.BoldAnnotation.static.nameMessage = 'visualeditor-annotationbutton-bold-tooltip';
+
 ve.dm.BoldAnnotation.static.inferFromView = true;
 
 /* Registration */
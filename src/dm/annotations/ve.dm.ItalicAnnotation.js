@@ -29,6 +29,8 @@ ve.dm.ItalicAnnotation.static.name = 'textStyle/italic';
 
 ve.dm.ItalicAnnotation.static.matchTagNames = [ 'i', 'em' ];
 
+ve.dm.ItalicAnnotation.static.nameMessage = 'visualeditor-annotationbutton-italic-tooltip';
+
 ve.dm.ItalicAnnotation.static.inferFromView = true;
 
 /* Registration */
@@ -29,6 +29,8 @@ ve.dm.LanguageAnnotation.static.name = 'meta/language';
 
 ve.dm.LanguageAnnotation.static.matchTagNames = [ 'span' ];
 
+ve.dm.LanguageAnnotation.static.nameMessage = 'visualeditor-annotationbutton-language-tooltip';
+
 ve.dm.LanguageAnnotation.static.matchFunction = function ( domElement ) {
 	var lang = domElement.getAttribute( 'lang' ),
 		dir = ( domElement.getAttribute( 'dir' ) || '' ).toLowerCase();
@@ -29,6 +29,8 @@ ve.dm.LinkAnnotation.static.name = 'link';
 
 ve.dm.LinkAnnotation.static.matchTagNames = [ 'a' ];
 
+ve.dm.LinkAnnotation.static.nameMessage = 'visualeditor-annotationbutton-link-tooltip';
+
 ve.dm.LinkAnnotation.static.toDataElement = function ( domElements ) {
 	return {
 		type: this.name,
@@ -59,6 +61,17 @@ ve.dm.LinkAnnotation.static.getHref = function ( dataElement ) {
 	return dataElement.attributes.href;
 };
 
+/**
+ * @inheritdoc
+ */
+ve.dm.LinkAnnotation.static.describeChange = function ( key, change ) {
+	if ( key === 'href' && change.from !== undefined && change.to !== undefined ) {
+		return ve.msg( 'visualeditor-changedesc-link-href', change.from, change.to );
+	}
+	// Parent method
+	return ve.dm.LinkAnnotation.super.static.describeChange.apply( this, arguments );
+};
+
 /* Methods */
 
 /**
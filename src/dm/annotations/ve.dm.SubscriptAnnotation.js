@@ -29,6 +29,8 @@ ve.dm.SubscriptAnnotation.static.name = 'textStyle/subscript';
 
 ve.dm.SubscriptAnnotation.static.matchTagNames = [ 'sub' ];
 
+ve.dm.SubscriptAnnotation.static.nameMessage = 'visualeditor-annotationbutton-subscript-tooltip';
+
 ve.dm.SubscriptAnnotation.static.removes = [ 'textStyle/superscript' ];
 
 /* Registration */
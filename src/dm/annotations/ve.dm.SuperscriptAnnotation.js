@@ -29,6 +29,8 @@ ve.dm.SuperscriptAnnotation.static.name = 'textStyle/superscript';
 
 ve.dm.SuperscriptAnnotation.static.matchTagNames = [ 'sup' ];
 
+ve.dm.SuperscriptAnnotation.static.nameMessage = 'visualeditor-annotationbutton-superscript-tooltip';
+
 ve.dm.SuperscriptAnnotation.static.removes = [ 'textStyle/subscript' ];
 
 /* Registration */
@@ -44,6 +44,15 @@ ve.dm.TextStyleAnnotation.static.toDomElements = function ( dataElement, doc ) {
 	return [ doc.createElement( nodeName || this.matchTagNames[ 0 ] ) ];
 };
 
+ve.dm.TextStyleAnnotation.static.describeChange = function ( key ) {
+	if ( key === 'nodeName' ) {
+		// Tags of the same style (e.g. <b> and <strong>) look the same
+		return null;
+	}
+	// Parent method
+	return ve.dm.TextStyleAnnotation.super.static.describeChange.apply( this, arguments );
+};
+
 /* Methods */
 
 /**
@@ -29,6 +29,8 @@ ve.dm.UnderlineAnnotation.static.name = 'textStyle/underline';
 
 ve.dm.UnderlineAnnotation.static.matchTagNames = [ 'u' ];
 
+ve.dm.UnderlineAnnotation.static.nameMessage = 'visualeditor-annotationbutton-underline-tooltip';
+
 ve.dm.UnderlineAnnotation.static.inferFromView = true;
 
 /* Registration */
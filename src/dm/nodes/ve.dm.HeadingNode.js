@@ -53,6 +53,14 @@ ve.dm.HeadingNode.static.toDomElements = function ( dataElement, doc ) {
 	return [ doc.createElement( 'h' + level ) ];
 };
 
+ve.dm.HeadingNode.static.describeChange = function ( key, change ) {
+	if ( key === 'level' ) {
+		return ve.msg( 'visualeditor-changedesc-heading-level', change.from, change.to );
+	}
+	// Parent method
+	return ve.dm.HeadingNode.super.static.describeChange.apply( this, arguments );
+};
+
 /* Registration */
 
 ve.dm.modelRegistry.register( ve.dm.HeadingNode );
@@ -26,6 +26,39 @@ OO.mixinClass( ve.dm.ImageNode, ve.dm.FocusableNode );
 
 OO.mixinClass( ve.dm.ImageNode, ve.dm.ResizableNode );
 
+/* Static methods */
+
+/**
+ * Describe changes to the attributes of an image, treating width and height as a single size
+ *
+ * @static
+ * @param {Object} attributeChanges Changed attributes; see ve.dm.Model#static-describeChanges
+ * @param {Object} attributes New attributes of the image
+ * @return {string[]} Descriptions of the changes
+ */
+ve.dm.ImageNode.static.describeChanges = function ( attributeChanges, attributes ) {
+	var descriptions = [],
+		otherChanges = ve.extendObject( {}, attributeChanges );
+
+	function getSize( width, height ) {
+		return width + ve.msg( 'visualeditor-dimensionswidget-times' ) + height;
+	}
+
+	if ( attributeChanges.width || attributeChanges.height ) {
+		descriptions.push( ve.msg(
+			'visualeditor-changedesc-image-size',
+			getSize(
+				attributeChanges.width ? attributeChanges.width.from : attributes.width,
+				attributeChanges.height ? attributeChanges.height.from : attributes.height
+			),
+			getSize( attributes.width, attributes.height )
+		) );
+		delete otherChanges.width;
+		delete otherChanges.height;
+	}
+	return descriptions.concat( ve.dm.Model.static.describeChanges.call( this, otherChanges, attributes ) );
+};
+
 /* Methods */
 
 /**
@@ -43,9 +43,38 @@ ve.dm.TableCellNode.static.matchTagNames = [ 'td', 'th' ];
 
 ve.dm.TableCellNode.static.isCellEditable = true;
 
-// Blacklisting 'colspan' and 'rowspan' as they are managed explicitly
+/**
+ * Cell properties modelled as attributes
+ *
+ * Each property is read from a CSS property of the style attribute, or failing that from a
+ * presentational HTML attribute. Values not in `values`, if given, are ignored.
+ *
+ * @static
+ * @property {Object}
+ * @inheritable
+ */
+ve.dm.TableCellNode.static.cellProperties = {
+	align: { css: 'text-align', html: 'align', values: [ 'left', 'center', 'right', 'justify' ] },
+	valign: { css: 'vertical-align', html: 'valign', values: [ 'top', 'middle', 'bottom' ] },
+	background: { css: 'background-color', html: 'bgcolor' },
+	width: { css: 'width', html: 'width' }
+};
+
+// Blacklisting 'colspan' and 'rowspan', and the attributes cell properties are read from,
+// as they are managed explicitly
 ve.dm.TableCellNode.static.preserveHtmlAttributes = function ( attribute ) {
-	return attribute !== 'colspan' && attribute !== 'rowspan';
+	var key,
+		cellProperties = ve.dm.TableCellNode.static.cellProperties;
+
+	if ( attribute === 'colspan' || attribute === 'rowspan' || attribute === 'style' ) {
+		return false;
+	}
+	for ( key in cellProperties ) {
+		if ( cellProperties[ key ].html === attribute ) {
+			return false;
+		}
+	}
+	return true;
 };
 
 /* Static Methods */
@@ -54,6 +83,7 @@ ve.dm.TableCellNode.static.toDataElement = function ( domElements ) {
 	var attributes = {};
 
 	ve.dm.TableCellableNode.static.setAttributes( attributes, domElements );
+	this.setCellPropertyAttributes( attributes, domElements[ 0 ] );
 
 	return {
 		type: this.name,
@@ -61,16 +91,163 @@ ve.dm.TableCellNode.static.toDataElement = function ( domElements ) {
 	};
 };
 
-ve.dm.TableCellNode.static.toDomElements = function ( dataElement, doc ) {
+ve.dm.TableCellNode.static.toDomElements = function ( dataElement, doc, converter ) {
 	var tag = dataElement.attributes && dataElement.attributes.style === 'header' ? 'th' : 'td',
 		domElement = doc.createElement( tag ),
-		attributes = dataElement.attributes;
+		attributes = dataElement.attributes,
+		originalDomElements = converter.getStore().value( dataElement.originalDomElementsIndex );
 
 	ve.dm.TableCellableNode.static.applyAttributes( attributes, domElement );
+	this.applyCellPropertyAttributes(
+		attributes || {},
+		domElement,
+		originalDomElements ? this.getCellPropertyHtmlAttributes( originalDomElements[ 0 ] ) : {}
+	);
 
 	return [ domElement ];
 };
 
+/**
+ * Split a style attribute into declarations
+ *
+ * @param {string|undefined} style Style attribute
+ * @return {Array[]} Declarations, as pairs of property name and value
+ */
+ve.dm.TableCellNode.static.parseStyle = function ( style ) {
+	// Don't split on semicolons in brackets, e.g. in data URIs
+	return ( style || '' ).split( /;(?![^(]*\))/ ).map( function ( declaration ) {
+		var colon = declaration.indexOf( ':' );
+		return [ declaration.slice( 0, colon ).trim(), declaration.slice( colon + 1 ).trim() ];
+	} ).filter( function ( declaration ) {
+		return declaration[ 0 ] && declaration[ 1 ];
+	} );
+};
+
+/**
+ * Get the cell properties from the HTML attributes they are read from
+ *
+ * @param {Object} htmlAttributes Values of the style attribute and presentational attributes, by name
+ * @return {Object} Cell properties, see #cellProperties. Unset properties are undefined.
+ */
+ve.dm.TableCellNode.static.getCellProperties = function ( htmlAttributes ) {
+	var key, property, value,
+		declarations = this.parseStyle( htmlAttributes.style ),
+		properties = {};
+
+	function getDeclaration( name ) {
+		var i, value;
+		for ( i = 0; i < declarations.length; i++ ) {
+			if ( declarations[ i ][ 0 ].toLowerCase() === name ) {
+				value = declarations[ i ][ 1 ];
+			}
+		}
+		return value;
+	}
+
+	for ( key in this.cellProperties ) {
+		property = this.cellProperties[ key ];
+		value = getDeclaration( property.css );
+		if ( value === undefined && htmlAttributes[ property.html ] ) {
+			value = htmlAttributes[ property.html ].trim();
+			// Presentational widths are in pixels if no unit is given
+			if ( key === 'width' && /^\d+(\.\d+)?$/.test( value ) ) {
+				value += 'px';
+			}
+		}
+		if ( value && property.values ) {
+			value = value.toLowerCase();
+			if ( property.values.indexOf( value ) === -1 ) {
+				value = undefined;
+			}
+		}
+		properties[ key ] = value || undefined;
+	}
+	return properties;
+};
+
+/**
+ * Get the HTML attributes cell properties are read from
+ *
+ * @param {HTMLElement} domElement DOM element
+ * @return {Object} Values of the style attribute and presentational attributes, by name
+ */
+ve.dm.TableCellNode.static.getCellPropertyHtmlAttributes = function ( domElement ) {
+	var htmlAttributes = {};
+
+	[ 'style' ].concat( Object.keys( this.cellProperties ).map( function ( key ) {
+		return this.cellProperties[ key ].html;
+	}, this ) ).forEach( function ( name ) {
+		var value = domElement.getAttribute( name );
+		if ( value !== null ) {
+			htmlAttributes[ name ] = value;
+		}
+	} );
+	return htmlAttributes;
+};
+
+/**
+ * Set cell property attributes from a DOM element
+ *
+ * @param {Object} attributes Attributes object to modify
+ * @param {HTMLElement} domElement DOM element
+ */
+ve.dm.TableCellNode.static.setCellPropertyAttributes = function ( attributes, domElement ) {
+	var key,
+		properties = this.getCellProperties( this.getCellPropertyHtmlAttributes( domElement ) );
+
+	for ( key in properties ) {
+		if ( properties[ key ] !== undefined ) {
+			attributes[ key ] = properties[ key ];
+		}
+	}
+};
+
+/**
+ * Apply cell property attributes to a DOM element
+ *
+ * Changed properties are written to the style attribute, and replace the CSS property
+ * or presentational attribute they were read from. Everything else is written as it
+ * was in the original HTML, which is read from the original DOM elements rather than
+ * stored in the model, so it is dropped with them when pasted data is sanitized.
+ *
+ * @param {Object} attributes Attributes
+ * @param {HTMLElement} domElement DOM element
+ * @param {Object} original Original HTML attributes, see #getCellPropertyHtmlAttributes
+ */
+ve.dm.TableCellNode.static.applyCellPropertyAttributes = function ( attributes, domElement, original ) {
+	var key, property,
+		originalProperties = this.getCellProperties( original ),
+		declarations = this.parseStyle( original.style ),
+		htmlAttributes = ve.extendObject( {}, original ),
+		changed = false;
+
+	function isNotProperty( declaration ) {
+		return declaration[ 0 ].toLowerCase() !== property.css;
+	}
+
+	for ( key in this.cellProperties ) {
+		if ( ( attributes[ key ] || undefined ) === originalProperties[ key ] ) {
+			continue;
+		}
+		property = this.cellProperties[ key ];
+		changed = true;
+		declarations = declarations.filter( isNotProperty );
+		delete htmlAttributes[ property.html ];
+		if ( attributes[ key ] ) {
+			declarations.push( [ property.css, attributes[ key ] ] );
+		}
+	}
+
+	if ( changed ) {
+		htmlAttributes.style = declarations.length ?
+			declarations.map( function ( declaration ) {
+				return declaration.join( ': ' );
+			} ).join( '; ' ) + ';' :
+			undefined;
+	}
+	ve.setDomAttributes( domElement, htmlAttributes );
+};
+
 /**
  * Creates data that can be inserted into the model to create a new table cell.
  *
@@ -78,6 +255,10 @@ ve.dm.TableCellNode.static.toDomElements = function ( dataElement, doc ) {
  * @param {string} [options.style='data'] Either 'header' or 'data'
  * @param {number} [options.rowspan=1] Number of rows the cell spans
  * @param {number} [options.colspan=1] Number of columns the cell spans
+ * @param {string} [options.align] Horizontal alignment; 'left', 'center', 'right' or 'justify'
+ * @param {string} [options.valign] Vertical alignment; 'top', 'middle' or 'bottom'
+ * @param {string} [options.background] Background colour, as a CSS colour
+ * @param {string} [options.width] Width, as a CSS length
  * @param {Array} [options.content] Linear model data, defaults to empty wrapper paragraph
  * @return {Array} Model data for a new table cell
  */
@@ -92,6 +273,11 @@ ve.dm.TableCellNode.static.createData = function ( options ) {
 			colspan: options.colspan || 1
 		}
 	};
+	Object.keys( this.cellProperties ).forEach( function ( key ) {
+		if ( options[ key ] ) {
+			opening.attributes[ key ] = options[ key ];
+		}
+	} );
 	content = options.content || [
 		{ type: 'paragraph', internal: { generated: 'wrapper' } },
 		{ type: '/paragraph' }
@@ -65,6 +65,17 @@ ve.dm.Annotation.static.inferFromView = false;
  */
 ve.dm.Annotation.static.removes = [];
 
+/**
+ * Message key of a short name for this type of annotation, used when describing changes
+ *
+ * If null, the annotation is described as formatting.
+ *
+ * @static
+ * @property {string|null}
+ * @inheritable
+ */
+ve.dm.Annotation.static.nameMessage = null;
+
 /**
  * Static function to convert a linear model data element for this annotation type back to
  * a DOM element.
@@ -86,6 +97,28 @@ ve.dm.Annotation.static.removes = [];
  */
 ve.dm.Annotation.static.toDomElements = null;
 
+/**
+ * Describe the addition of an annotation of this type, e.g. for showing in a diff
+ *
+ * @static
+ * @param {Object} dataElement Linear model element of the added annotation
+ * @return {string} Description
+ */
+ve.dm.Annotation.static.describeAdded = function () {
+	return ve.msg( 'visualeditor-changedesc-annotation-added', ve.msg( this.nameMessage || 'visualeditor-changedesc-formatting' ) );
+};
+
+/**
+ * Describe the removal of an annotation of this type, e.g. for showing in a diff
+ *
+ * @static
+ * @param {Object} dataElement Linear model element of the removed annotation
+ * @return {string} Description
+ */
+ve.dm.Annotation.static.describeRemoved = function () {
+	return ve.msg( 'visualeditor-changedesc-annotation-removed', ve.msg( this.nameMessage || 'visualeditor-changedesc-formatting' ) );
+};
+
 /* Methods */
 
 /**
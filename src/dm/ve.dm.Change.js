@@ -112,26 +112,62 @@ ve.dm.Change.static.deserialize = function ( data, doc, preserveStoreValues ) {
 		data.transactions.map( function ( tx ) {
 			var newTx = new ve.dm.Transaction( tx.operations );
 			newTx.author = tx.author;
+			// Changes stored before timestamps were recorded have none
+			newTx.timestamp = tx.timestamp || null;
 			return newTx;
 		} ),
 		data.stores.map( function ( serializedStore ) {
-			var hash, value,
-				store = new ve.dm.IndexValueStore();
-			store.hashes = serializedStore.hashes;
-			store.hashStore = {};
-			for ( hash in serializedStore.hashStore ) {
-				value = serializedStore.hashStore[ hash ];
-				if ( !preserveStoreValues ) {
-					value = staticChange.deserializeValue( value );
-				}
-				store.hashStore[ hash ] = value;
-			}
-			return store;
+			return staticChange.deserializeStore( serializedStore, preserveStoreValues );
 		} ),
 		selections
 	);
 };
 
+/**
+ * Serialize a store to a JSONable object
+ *
+ * @param {ve.dm.IndexValueStore} store Store to serialize
+ * @param {boolean} [preserveStoreValues] Keep store values verbatim instead of serializing
+ * @return {Object} JSON-serialized store
+ */
+ve.dm.Change.static.serializeStore = function ( store, preserveStoreValues ) {
+	var hash, value,
+		serialized = {};
+	for ( hash in store.hashStore ) {
+		value = store.hashStore[ hash ];
+		if ( !preserveStoreValues ) {
+			value = this.serializeValue( value );
+		}
+		serialized[ hash ] = value;
+	}
+	return {
+		hashes: store.hashes.slice(),
+		hashStore: serialized
+	};
+};
+
+/**
+ * Deserialize a JSON-serialized store
+ *
+ * @param {Object} serializedStore JSON-serialized store
+ * @param {boolean} [preserveStoreValues] Keep store values verbatim instead of deserializing
+ * @return {ve.dm.IndexValueStore} Deserialized store
+ */
+ve.dm.Change.static.deserializeStore = function ( serializedStore, preserveStoreValues ) {
+	var hash, value,
+		store = new ve.dm.IndexValueStore();
+	store.hashes = serializedStore.hashes;
+	store.hashStore = {};
+	for ( hash in serializedStore.hashStore ) {
+		value = serializedStore.hashStore[ hash ];
+		if ( !preserveStoreValues ) {
+			value = this.deserializeValue( value );
+		}
+		store.hashStore[ hash ] = value;
+	}
+	return store;
+};
+
 ve.dm.Change.static.serializeValue = function ( value ) {
 	if ( value instanceof ve.dm.Annotation ) {
 		return { type: 'annotation', value: value.element };
@@ -657,6 +693,9 @@ ve.dm.Change.prototype.truncate = function ( length ) {
 /**
  * Apply change to surface
  *
+ * The transactions are not added to the surface's undo stack, so the local author cannot
+ * undo them.
+ *
  * @param {ve.dm.Surface} surface Surface in change start state
  */
 ve.dm.Change.prototype.applyTo = function ( surface ) {
@@ -664,7 +703,7 @@ ve.dm.Change.prototype.applyTo = function ( surface ) {
 		surface.documentModel.store.merge( store );
 	} );
 	this.transactions.forEach( function ( tx ) {
-		surface.change( tx );
+		surface.changeInternal( tx, undefined, true );
 		// Don't mark as applied: this.start already tracks this
 		tx.applied = false;
 	} );
@@ -683,7 +722,7 @@ ve.dm.Change.prototype.unapplyTo = function ( surface ) {
 		storeLength -= store.getLength();
 	} );
 	this.transactions.slice().reverse().forEach( function ( tx ) {
-		surface.change( tx.reversed() );
+		surface.changeInternal( tx.reversed(), undefined, true );
 	} );
 	doc.completeHistory.length = historyLength;
 	doc.store.truncate( storeLength );
@@ -748,23 +787,12 @@ ve.dm.Change.prototype.serialize = function ( preserveStoreValues ) {
 		transactions: this.transactions.map( function ( transaction ) {
 			return {
 				operations: transaction.operations,
-				author: transaction.author
+				author: transaction.author,
+				timestamp: transaction.timestamp
 			};
 		} ),
 		stores: this.stores.map( function ( store ) {
-			var hash, value,
-				serialized = {};
-			for ( hash in store.hashStore ) {
-				value = store.hashStore[ hash ];
-				if ( !preserveStoreValues ) {
-					value = change.constructor.static.serializeValue( value );
-				}
-				serialized[ hash ] = value;
-			}
-			return {
-				hashes: store.hashes.slice(),
-				hashStore: serialized
-			};
+			return change.constructor.static.serializeStore( store, preserveStoreValues );
 		} ),
 		selections: selections
 	};
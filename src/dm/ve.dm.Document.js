@@ -195,6 +195,62 @@ ve.dm.Document.static.addAnnotationsToData = function ( data, annotationSet ) {
 	}
 };
 
+/**
+ * Check whether a model's attributes meet some conditions
+ *
+ * Each condition is an object with one of these properties:
+ *
+ * - `equals`: The attribute, as a string, equals this string
+ * - `contains`: The attribute, as a string, contains this string
+ * - `missing`: If true, the attribute is unset or empty; if false, it is set and not empty
+ *
+ * @static
+ * @param {Object} attributes Attributes
+ * @param {Object} [conditions] Conditions, keyed by attribute name
+ * @return {boolean} The attributes meet all of the conditions
+ */
+ve.dm.Document.static.matchesAttributes = function ( attributes, conditions ) {
+	var name, condition, value, isMissing;
+
+	for ( name in conditions ) {
+		condition = conditions[ name ];
+		value = attributes[ name ];
+		isMissing = value === undefined || value === null || value === '';
+		if ( condition.missing !== undefined ) {
+			if ( isMissing !== !!condition.missing ) {
+				return false;
+			}
+		} else if ( isMissing ) {
+			return false;
+		} else if ( condition.equals !== undefined && String( value ) !== String( condition.equals ) ) {
+			return false;
+		} else if ( condition.contains !== undefined && String( value ).indexOf( condition.contains ) === -1 ) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Get the overlaps between two lists of ranges
+ *
+ * @static
+ * @param {ve.Range[]} rangesA First list of ranges
+ * @param {ve.Range[]} rangesB Second list of ranges
+ * @return {ve.Range[]} Ranges covered by both lists
+ */
+ve.dm.Document.static.intersectRanges = function ( rangesA, rangesB ) {
+	var result = [];
+	rangesA.forEach( function ( a ) {
+		rangesB.forEach( function ( b ) {
+			if ( a.overlapsRange( b ) ) {
+				result.push( new ve.Range( Math.max( a.start, b.start ), Math.min( a.end, b.end ) ) );
+			}
+		} );
+	} );
+	return result;
+};
+
 /* Methods */
 
 /**
@@ -1473,56 +1529,65 @@ ve.dm.Document.prototype.newFromHtml = function ( html, importRules ) {
  * @param {boolean} [options.caseSensitiveString] Case sensitive search for a string query. Ignored by regexes (use 'i' flag).
  * @param {boolean} [options.noOverlaps] Avoid overlapping matches
  * @param {boolean} [options.wholeWord] Only match whole-word occurrences
+ * @param {boolean} [options.multiline] Let regex matches span several paragraphs. Each element
+ *  boundary is matched as a newline, so for example `/foo\n+bar/` matches "foo" at the end of
+ *  one paragraph and "bar" at the start of the next.
+ * @param {ve.Range[]} [options.ranges] Ranges to search, in document order; matches never span
+ *  two ranges. Defaults to the whole document before the internal list; see #getSearchRange.
  * @return {ve.Range[]} List of ranges where the string was found
  */
 ve.dm.Document.prototype.findText = function ( query, options ) {
-	var i, l, len, match, offset, lines, dataString,
-		ranges = [],
-		text = this.data.getText(
-			true,
-			new ve.Range( 0, this.getInternalList().getListNode().getOuterRange().start )
-		);
+	var dataString,
+		doc = this,
+		ranges = [];
 
 	options = options || {};
 
-	if ( query instanceof RegExp ) {
-		offset = 0;
-		// Avoid multi-line matching by only matching within newlines
-		lines = text.split( '\n' );
-		for ( i = 0, l = lines.length; i < l; i++ ) {
-			while ( lines[ i ] && ( match = query.exec( lines[ i ] ) ) !== null ) {
-				// Skip empty string matches (e.g. with .*)
-				if ( match[ 0 ].length === 0 ) {
-					// Set lastIndex to the next character to avoid an infinite
-					// loop. Browsers differ in whether they do this for you
-					// for empty matches; see
-					// http://blog.stevenlevithan.com/archives/exec-bugs
-					query.lastIndex = match.index + 1;
-					continue;
-				}
-				ranges.push( new ve.Range(
-					offset + match.index,
-					offset + match.index + match[ 0 ].length
-				) );
-				if ( !options.noOverlaps ) {
-					query.lastIndex = match.index + 1;
+	if ( !( query instanceof RegExp ) && !options.caseSensitiveString ) {
+		query = query.toLowerCase();
+	}
+
+	( options.ranges || [ this.getSearchRange() ] ).forEach( function ( searchRange ) {
+		var i, l, match, offset, lines,
+			text = doc.data.getText( true, searchRange );
+
+		if ( query instanceof RegExp ) {
+			offset = searchRange.start;
+			// Avoid multi-line matching by only matching within newlines, unless asked not to
+			lines = options.multiline ? [ text ] : text.split( '\n' );
+			for ( i = 0, l = lines.length; i < l; i++ ) {
+				while ( lines[ i ] && ( match = query.exec( lines[ i ] ) ) !== null ) {
+					// Skip empty string matches (e.g. with .*)
+					if ( match[ 0 ].length === 0 ) {
+						// Set lastIndex to the next character to avoid an infinite
+						// loop. Browsers differ in whether they do this for you
+						// for empty matches; see
+						// http://blog.stevenlevithan.com/archives/exec-bugs
+						query.lastIndex = match.index + 1;
+						continue;
+					}
+					ranges.push( new ve.Range(
+						offset + match.index,
+						offset + match.index + match[ 0 ].length
+					) );
+					if ( !options.noOverlaps ) {
+						query.lastIndex = match.index + 1;
+					}
 				}
+				offset += lines[ i ].length + 1;
+				query.lastIndex = 0;
+			}
+		} else {
+			if ( !options.caseSensitiveString ) {
+				text = text.toLowerCase();
+			}
+			offset = -1;
+			while ( ( offset = text.indexOf( query, offset ) ) !== -1 ) {
+				ranges.push( new ve.Range( searchRange.start + offset, searchRange.start + offset + query.length ) );
+				offset += options.noOverlaps ? query.length : 1;
 			}
-			offset += lines[ i ].length + 1;
-			query.lastIndex = 0;
-		}
-	} else {
-		if ( !options.caseSensitiveString ) {
-			text = text.toLowerCase();
-			query = query.toLowerCase();
-		}
-		len = query.length;
-		offset = -1;
-		while ( ( offset = text.indexOf( query, offset ) ) !== -1 ) {
-			ranges.push( new ve.Range( offset, offset + len ) );
-			offset += options.noOverlaps ? len : 1;
 		}
-	}
+	} );
 
 	if ( options.wholeWord ) {
 		dataString = new ve.dm.DataString( this.getData() );
@@ -1535,6 +1600,124 @@ ve.dm.Document.prototype.findText = function ( query, options ) {
 	return ranges;
 };
 
+/**
+ * Get the range searched by default by #findText and #findContent
+ *
+ * This is the whole document before the internal list.
+ *
+ * @return {ve.Range} Search range
+ */
+ve.dm.Document.prototype.getSearchRange = function () {
+	return new ve.Range( 0, this.getInternalList().getListNode().getOuterRange().start );
+};
+
+/**
+ * Find content matching a text query and/or annotation and node filters
+ *
+ * Without a text query, each run of content carrying a matching annotation and each matching
+ * node is a result (or each overlap between them, if both filters are given). With one, the
+ * results are the matches of the text query that lie entirely inside them.
+ *
+ * Content branch nodes and other nodes with children match their inner range; leaf nodes,
+ * such as images, match their outer range.
+ *
+ * @param {Object} query Search query
+ * @param {string|RegExp} [query.text] Text to find; see #findText
+ * @param {Object} [query.annotation] Annotation filter
+ * @param {string[]} query.annotation.types Names of the annotations to match
+ * @param {Object} [query.annotation.attributes] Attribute conditions; see #static-matchesAttributes
+ * @param {Object} [query.node] Node filter
+ * @param {string[]} query.node.types Types of the nodes to match
+ * @param {Object} [query.node.attributes] Attribute conditions; see #static-matchesAttributes
+ * @param {Object} [options] Options; see #findText. Results lie within `options.ranges`.
+ * @return {ve.Range[]} List of ranges where matching content was found
+ */
+ve.dm.Document.prototype.findContent = function ( query, options ) {
+	var i, len, filterRanges,
+		doc = this,
+		store = this.getStore(),
+		searchRanges = ( options && options.ranges ) || [ this.getSearchRange() ],
+		filters = [];
+
+	function getMatchingHash( hashes, filter ) {
+		var i, annotation;
+		for ( i = 0; i < hashes.length; i++ ) {
+			annotation = store.value( hashes[ i ] );
+			if (
+				filter.types.indexOf( annotation.name ) !== -1 &&
+				ve.dm.Document.static.matchesAttributes( annotation.getAttributes(), filter.attributes )
+			) {
+				return hashes[ i ];
+			}
+		}
+		return null;
+	}
+
+	if ( query.annotation ) {
+		// Runs of content carrying the same matching annotation
+		filterRanges = [];
+		searchRanges.forEach( function ( searchRange ) {
+			var i, hash,
+				run = null;
+			for ( i = searchRange.start; i < searchRange.end; i++ ) {
+				hash = getMatchingHash( doc.data.getAnnotationIndexesFromOffset( i ), query.annotation );
+				if ( run && hash !== run.hash ) {
+					filterRanges.push( new ve.Range( run.start, i ) );
+					run = null;
+				}
+				if ( hash && !run ) {
+					run = { start: i, hash: hash };
+				}
+			}
+			if ( run ) {
+				filterRanges.push( new ve.Range( run.start, searchRange.end ) );
+			}
+		} );
+		filters.push( filterRanges );
+	}
+
+	if ( query.node ) {
+		filterRanges = [];
+		this.getDocumentNode().traverse( function ( node ) {
+			var range;
+			if (
+				query.node.types.indexOf( node.getType() ) !== -1 &&
+				ve.dm.Document.static.matchesAttributes( node.getAttributes(), query.node.attributes )
+			) {
+				range = node.hasChildren() ? node.getRange() : node.getOuterRange();
+				if ( searchRanges.some( function ( searchRange ) {
+					return searchRange.containsRange( range );
+				} ) ) {
+					filterRanges.push( range );
+				}
+			}
+		} );
+		filters.push( filterRanges );
+	}
+
+	if ( query.text ) {
+		return this.findText( query.text, options ).filter( function ( range ) {
+			return filters.every( function ( filterRanges ) {
+				return filterRanges.some( function ( filterRange ) {
+					return filterRange.containsRange( range );
+				} );
+			} );
+		} );
+	}
+
+	if ( !filters.length ) {
+		return [];
+	}
+	// Overlaps between the ranges of every filter
+	filterRanges = filters[ 0 ];
+	for ( i = 1, len = filters.length; i < len; i++ ) {
+		filterRanges = this.constructor.static.intersectRanges( filterRanges, filters[ i ] );
+	}
+	return filterRanges.sort( function ( a, b ) {
+		return a.start - b.start;
+	} );
+};
+
 /**
  * Get the length of the complete history stack. This is also the current pointer.
  *
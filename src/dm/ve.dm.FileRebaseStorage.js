@@ -0,0 +1,84 @@
+/*!
+ * VisualEditor DataModel file rebase storage class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+/* eslint-env node */
+
+/**
+ * DataModel rebase storage using the filesystem
+ *
+ * Each document is stored in its own file in the storage directory, with one
+ * JSON-serialized record per line.
+ *
+ * @class
+ * @extends ve.dm.RebaseStorage
+ *
+ * @constructor
+ * @param {string} directory Storage directory; created if it does not exist
+ */
+ve.dm.FileRebaseStorage = function VeDmFileRebaseStorage( directory ) {
+	// Parent constructor
+	ve.dm.FileRebaseStorage.super.call( this );
+
+	this.fs = require( 'fs' );
+	this.path = require( 'path' );
+	this.crypto = require( 'crypto' );
+	this.directory = directory;
+
+	if ( !this.fs.existsSync( this.directory ) ) {
+		this.fs.mkdirSync( this.directory );
+	}
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.dm.FileRebaseStorage, ve.dm.RebaseStorage );
+
+/* Methods */
+
+/**
+ * Get the name of the file storing a document
+ *
+ * @param {string} name Name of a document
+ * @return {string} File name
+ */
+ve.dm.FileRebaseStorage.prototype.getFileName = function ( name ) {
+	return this.path.join( this.directory, encodeURIComponent( name ) + '.jsonl' );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.FileRebaseStorage.prototype.readRecords = function ( name ) {
+	var contents, end,
+		fileName = this.getFileName( name );
+
+	if ( !this.fs.existsSync( fileName ) ) {
+		return [];
+	}
+	contents = this.fs.readFileSync( fileName );
+	// The file ends with a line break, unless the server stopped while appending a record. In
+	// that case drop the incomplete record, so the next record is not appended onto it.
+	end = contents.lastIndexOf( '\n' ) + 1;
+	if ( end < contents.length ) {
+		this.fs.truncateSync( fileName, end );
+	}
+	return contents.toString( 'utf8', 0, end ).split( '\n' ).slice( 0, -1 ).map( function ( line ) {
+		return JSON.parse( line );
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.FileRebaseStorage.prototype.appendRecord = function ( name, record ) {
+	this.fs.appendFileSync( this.getFileName( name ), JSON.stringify( record ) + '\n' );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.FileRebaseStorage.prototype.hashSecret = function ( secret ) {
+	return this.crypto.createHash( 'sha256' ).update( secret ).digest( 'hex' );
+};
@@ -0,0 +1,291 @@
+/*!
+ * VisualEditor DataModel loopback server class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * DataModel loopback server
+ *
+ * Serves one document of a ve.dm.RebaseServer to clients in the same page, through
+ * ve.dm.LoopbackTransport, speaking the same protocol as the rebaser's socket.io server.
+ * This allows several synchronized surfaces to be run against each other without a network,
+ * e.g. in tests and demos.
+ *
+ * Messages in both directions are copied through JSON and delivered asynchronously, in the
+ * order they were sent. Call #flush to deliver them straight away.
+ *
+ * Unlike the rebaser's server, this server does not send snapshots: new clients are sent the
+ * whole history.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.dm.RebaseServer} rebaseServer Rebase server holding the document
+ * @param {string} docName Document name
+ * @param {Object} [config] Configuration options
+ * @cfg {string} [role='edit'] Role granted to every client: 'read', 'comment' or 'edit'
+ */
+ve.dm.LoopbackServer = function VeDmLoopbackServer( rebaseServer, docName, config ) {
+	config = config || {};
+
+	this.rebaseServer = rebaseServer;
+	this.docName = docName;
+	this.role = config.role || 'edit';
+
+	// Connection of each transport: { transport, author }; author is null until registered
+	this.connections = [];
+	// Profile and connection of each author present, keyed by author ID
+	this.presence = {};
+	// Authors that have just been sent a change that was partly invalid
+	this.invalidAuthors = [];
+	// Messages waiting to be delivered, as functions
+	this.queue = [];
+	this.flushTimeout = null;
+
+	// Events
+	this.rebaseServer.connect( this, { invalidChange: 'onInvalidChange' } );
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.LoopbackServer );
+
+/* Methods */
+
+/**
+ * Deliver all waiting messages, including any sent while delivering them
+ *
+ * If delivering a message throws, the rest are still delivered later.
+ */
+ve.dm.LoopbackServer.prototype.flush = function () {
+	clearTimeout( this.flushTimeout );
+	this.flushTimeout = null;
+	try {
+		while ( this.queue.length ) {
+			this.queue.shift()();
+		}
+	} finally {
+		if ( this.queue.length && this.flushTimeout === null ) {
+			this.flushTimeout = setTimeout( this.flush.bind( this ) );
+		}
+	}
+};
+
+/**
+ * Queue a function to run when the waiting messages are delivered
+ *
+ * @private
+ * @param {Function} callback Function to run
+ */
+ve.dm.LoopbackServer.prototype.enqueue = function ( callback ) {
+	this.queue.push( callback );
+	if ( this.flushTimeout === null ) {
+		this.flushTimeout = setTimeout( this.flush.bind( this ) );
+	}
+};
+
+/**
+ * Get the connection of a transport
+ *
+ * @private
+ * @param {ve.dm.LoopbackTransport} transport Transport
+ * @return {Object|null} Connection, or null if the transport is not connected
+ */
+ve.dm.LoopbackServer.prototype.getConnection = function ( transport ) {
+	var i;
+	for ( i = 0; i < this.connections.length; i++ ) {
+		if ( this.connections[ i ].transport === transport ) {
+			return this.connections[ i ];
+		}
+	}
+	return null;
+};
+
+/**
+ * Connect a transport to the server
+ *
+ * @param {ve.dm.LoopbackTransport} transport Transport
+ */
+ve.dm.LoopbackServer.prototype.addConnection = function ( transport ) {
+	if ( this.getConnection( transport ) ) {
+		return;
+	}
+	this.connections.push( { transport: transport, author: null } );
+	this.deliver( transport, 'connect' );
+};
+
+/**
+ * Disconnect a transport from the server
+ *
+ * @param {ve.dm.LoopbackTransport} transport Transport
+ */
+ve.dm.LoopbackServer.prototype.removeConnection = function ( transport ) {
+	var connection = this.getConnection( transport );
+	if ( !connection ) {
+		return;
+	}
+	this.connections.splice( this.connections.indexOf( connection ), 1 );
+	this.deliver( transport, 'disconnect' );
+	if ( connection.author !== null && this.presence[ connection.author ].connection === connection ) {
+		delete this.presence[ connection.author ];
+		this.broadcast( 'authorLeave', { author: connection.author } );
+	}
+};
+
+/**
+ * Send a message to a client
+ *
+ * @private
+ * @param {ve.dm.LoopbackTransport} transport Transport of the client
+ * @param {string} type Message type
+ * @param {Object} [data] Message data
+ */
+ve.dm.LoopbackServer.prototype.deliver = function ( transport, type, data ) {
+	data = data === undefined ? undefined : JSON.parse( JSON.stringify( data ) );
+	this.enqueue( function () {
+		transport.receive( type, data );
+	} );
+};
+
+/**
+ * Send a message to all registered clients
+ *
+ * @private
+ * @param {string} type Message type
+ * @param {Object} data Message data
+ * @param {Object} [except] Connection not to send the message to
+ */
+ve.dm.LoopbackServer.prototype.broadcast = function ( type, data, except ) {
+	var server = this;
+	this.connections.forEach( function ( connection ) {
+		if ( connection.author !== null && connection !== except ) {
+			server.deliver( connection.transport, type, data );
+		}
+	} );
+};
+
+/**
+ * Receive a message from a client
+ *
+ * @param {ve.dm.LoopbackTransport} transport Transport of the client
+ * @param {string} type Message type
+ * @param {Object} data Message data
+ */
+ve.dm.LoopbackServer.prototype.receive = function ( transport, type, data ) {
+	var server = this;
+	data = JSON.parse( JSON.stringify( data ) );
+	this.enqueue( function () {
+		var connection = server.getConnection( transport );
+		if ( !connection ) {
+			return;
+		}
+		if ( type === 'register' ) {
+			server.onRegister( connection, data );
+		} else if ( type === 'submitChange' ) {
+			server.onSubmitChange( connection, data );
+		}
+	} );
+};
+
+/**
+ * Handle a register message from a client
+ *
+ * @private
+ * @param {Object} connection Connection of the client
+ * @param {Object} data Registration data; see ve.dm.SurfaceSynchronizer#onConnect
+ */
+ve.dm.LoopbackServer.prototype.onRegister = function ( connection, data ) {
+	var registration,
+		state = this.rebaseServer.getStateForDoc( this.docName ),
+		history = state.history;
+
+	if ( connection.author !== null ) {
+		return;
+	}
+	if ( this.rebaseServer.canResumeAuthor( this.docName, data ) ) {
+		// Send the missed changes before registering the client, like the rebaser's server
+		connection.author = data.author;
+		this.join( connection, data.profile );
+		this.deliver( connection.transport, 'newChange', history.mostRecent( data.commitLength ).serialize( true ) );
+		this.deliver( connection.transport, 'registered', {
+			author: connection.author,
+			role: this.role,
+			rejections: state.rejections.get( connection.author ) || 0
+		} );
+	} else {
+		registration = this.rebaseServer.registerAuthor( this.docName );
+		connection.author = registration.author;
+		this.deliver( connection.transport, 'registered', {
+			author: registration.author,
+			secret: registration.secret,
+			role: this.role,
+			snapshot: null
+		} );
+		this.join( connection, data.profile );
+		this.deliver( connection.transport, 'newChange', history.serialize( true ) );
+	}
+};
+
+/**
+ * Add a newly registered client to the presence list, and tell everyone
+ *
+ * @private
+ * @param {Object} connection Connection of the client
+ * @param {Object} [profile] Author profile
+ */
+ve.dm.LoopbackServer.prototype.join = function ( connection, profile ) {
+	var author,
+		profiles = {};
+
+	profile = profile || {};
+	this.presence[ connection.author ] = { profile: profile, connection: connection };
+	this.broadcast( 'authorJoin', { author: connection.author, profile: profile }, connection );
+	for ( author in this.presence ) {
+		profiles[ author ] = this.presence[ author ].profile;
+	}
+	this.deliver( connection.transport, 'authors', profiles );
+};
+
+/**
+ * Handle a submitChange message from a client
+ *
+ * @private
+ * @param {Object} connection Connection of the client
+ * @param {Object} data Submission data; see ve.dm.SurfaceSynchronizer#sendChange
+ */
+ve.dm.LoopbackServer.prototype.onSubmitChange = function ( connection, data ) {
+	var result,
+		server = this;
+
+	if ( connection.author === null ) {
+		return;
+	}
+	result = this.rebaseServer.submitChange( this.docName, connection.author, this.role, data );
+	if ( result.applied && !result.applied.isEmpty() ) {
+		this.broadcast( 'newChange', result.applied.serialize( true ) );
+	}
+	if ( result.rejection ) {
+		this.deliver( connection.transport, 'changeRejected', { reason: result.rejection } );
+	}
+	// Tell authors about invalid changes after the valid part has been broadcast, so that they
+	// have committed it before backtracking the rest
+	this.invalidAuthors.splice( 0 ).forEach( function ( author ) {
+		if ( server.presence[ author ] ) {
+			server.deliver( server.presence[ author ].connection.transport, 'changeRejected', { reason: 'invalid' } );
+		}
+	} );
+};
+
+/**
+ * Handle invalidChange events from the rebase server
+ *
+ * @private
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ */
+ve.dm.LoopbackServer.prototype.onInvalidChange = function ( doc, author ) {
+	if ( doc === this.docName ) {
+		this.invalidAuthors.push( author );
+	}
+};
@@ -0,0 +1,53 @@
+/*!
+ * VisualEditor DataModel loopback transport class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * DataModel rebase transport to a ve.dm.LoopbackServer in the same page
+ *
+ * @class
+ * @extends ve.dm.RebaseTransport
+ *
+ * @constructor
+ * @param {ve.dm.LoopbackServer} server Loopback server
+ */
+ve.dm.LoopbackTransport = function VeDmLoopbackTransport( server ) {
+	// Parent constructor
+	ve.dm.LoopbackTransport.super.call( this );
+
+	this.server = server;
+	this.connected = false;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.dm.LoopbackTransport, ve.dm.RebaseTransport );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.dm.LoopbackTransport.prototype.connect = function () {
+	this.connected = true;
+	this.server.addConnection( this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.LoopbackTransport.prototype.send = function ( type, data ) {
+	if ( this.connected ) {
+		this.server.receive( this, type, data );
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.LoopbackTransport.prototype.close = function () {
+	this.connected = false;
+	this.server.removeConnection( this );
+};
@@ -0,0 +1,1237 @@
+/*!
+ * VisualEditor DataModel MarkdownConverter class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * DataModel Markdown converter.
+ *
+ * Converts Markdown to HTML DOM, which ve.dm.Converter can then convert to linear data, and
+ * converts documents to Markdown.
+ *
+ * The CommonMark block and inline syntax found in most real-world Markdown is supported,
+ * plus the GitHub-flavoured table, strikethrough and bare URL extensions. Raw HTML and
+ * reference-style links are not supported, and are kept as text.
+ *
+ * @class
+ * @constructor
+ */
+ve.dm.MarkdownConverter = function VeDmMarkdownConverter() {
+	// Properties
+	this.htmlDoc = null;
+	this.model = null;
+	this.losses = null;
+	this.inTable = false;
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.MarkdownConverter );
+
+/* Static Properties */
+
+/**
+ * Patterns matching the first line of each kind of block
+ *
+ * @static
+ * @property {Object.<string,RegExp>}
+ */
+ve.dm.MarkdownConverter.static.blockPatterns = {
+	fence: /^ {0,3}(`{3,}|~{3,})[ \t]*([^`]*)$/,
+	heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+	setext: /^ {0,3}(=+|-+)[ \t]*$/,
+	rule: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+	quote: /^ {0,3}> ?(.*)$/,
+	listItem: /^( {0,3})([-*+]|(\d{1,9})[.)])(?:( +)(.*))?$/,
+	tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+	indentedCode: /^ {4}/
+};
+
+/**
+ * Pattern matching characters which can be escaped with a backslash
+ *
+ * @static
+ * @property {RegExp}
+ */
+ve.dm.MarkdownConverter.static.escapablePattern = /[!-\/:-@\[-`{-~]/;
+
+/**
+ * Markdown delimiters for annotations which are converted to emphasis
+ *
+ * Links and code are converted separately.
+ *
+ * @static
+ * @property {Object.<string,string>}
+ */
+ve.dm.MarkdownConverter.static.annotationDelimiters = {
+	'textStyle/bold': '**',
+	'textStyle/italic': '*',
+	'textStyle/strikethrough': '~~',
+	'textStyle/delete': '~~'
+};
+
+/**
+ * Types of node whose content is converted without reporting a loss
+ *
+ * @static
+ * @property {string[]}
+ */
+ve.dm.MarkdownConverter.static.transparentTypes = [ 'div', 'section', 'article' ];
+
+/* Static Methods */
+
+/**
+ * Check whether a plain text string looks like Markdown
+ *
+ * Only syntax which is unlikely to appear in ordinary text is considered, so that pasting
+ * plain text which happens to contain an asterisk doesn't turn it into a list.
+ *
+ * @static
+ * @param {string} text Plain text
+ * @return {boolean} The text looks like Markdown
+ */
+ve.dm.MarkdownConverter.static.isMarkdown = function ( text ) {
+	return (
+		// Headings and fenced code blocks
+		/^ {0,3}(#{1,6}[ \t]+\S|```|~~~)/m.test( text ) ||
+		// Lists and block quotes of two or more lines
+		/^ {0,3}([-*+]|\d{1,9}[.)])[ \t]+\S.*\n {0,3}([-*+]|\d{1,9}[.)])[ \t]+\S/m.test( text ) ||
+		/^ {0,3}>.*\n {0,3}>/m.test( text ) ||
+		// Table delimiter rows
+		/^ {0,3}\|?[ \t]*:?-+:?[ \t]*\|[ \t]*:?-+:?[ \t]*/m.test( text ) ||
+		// Bold text, inline code and links
+		/(^|[^\w*])\*\*[^*\s](?:[^*\n]*[^*\s])?\*\*(?![\w*])/.test( text ) ||
+		/(^|[^`])`[^`\n]+`(?!`)/.test( text ) ||
+		/\[[^\]\n]+\]\([^)\s]+\)/.test( text )
+	);
+};
+
+/* Methods */
+
+/**
+ * Convert Markdown to an HTML document
+ *
+ * @param {string} markdown Markdown
+ * @param {HTMLDocument} [htmlDoc] Document to build the HTML in, defaults to a new document
+ * @return {HTMLDocument} HTML document
+ */
+ve.dm.MarkdownConverter.prototype.getDomFromMarkdown = function ( markdown, htmlDoc ) {
+	var lines = markdown.replace( /\r\n?/g, '\n' ).split( '\n' ).map( function ( line ) {
+		// Expand tabs in indentation, which is all their width affects
+		return line.replace( /^[ \t]+/, function ( indent ) {
+			return indent.replace( /\t/g, '    ' );
+		} );
+	} );
+
+	this.htmlDoc = htmlDoc || ve.createDocumentFromHtml( '' );
+	this.convertBlocks( lines, this.htmlDoc.body );
+	htmlDoc = this.htmlDoc;
+	this.htmlDoc = null;
+
+	return htmlDoc;
+};
+
+/**
+ * Convert lines of Markdown to block elements
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {HTMLElement} parent Element to append the blocks to
+ */
+ve.dm.MarkdownConverter.prototype.convertBlocks = function ( lines, parent ) {
+	var match, element,
+		patterns = this.constructor.static.blockPatterns,
+		i = 0;
+
+	while ( i < lines.length ) {
+		if ( !lines[ i ].trim() ) {
+			i++;
+		} else if ( ( match = lines[ i ].match( patterns.fence ) ) ) {
+			i = this.convertFence( lines, i, match[ 1 ], parent );
+		} else if ( ( match = lines[ i ].match( patterns.heading ) ) ) {
+			element = this.htmlDoc.createElement( 'h' + match[ 1 ].length );
+			this.convertInline( match[ 2 ] || '', element );
+			parent.appendChild( element );
+			i++;
+		} else if ( patterns.rule.test( lines[ i ] ) ) {
+			parent.appendChild( this.htmlDoc.createElement( 'hr' ) );
+			i++;
+		} else if ( patterns.quote.test( lines[ i ] ) ) {
+			i = this.convertQuote( lines, i, parent );
+		} else if ( this.matchListItem( lines[ i ] ) ) {
+			i = this.convertList( lines, i, parent );
+		} else if ( this.isTableStart( lines, i ) ) {
+			i = this.convertTable( lines, i, parent );
+		} else if ( patterns.indentedCode.test( lines[ i ] ) ) {
+			i = this.convertIndentedCode( lines, i, parent );
+		} else {
+			i = this.convertParagraph( lines, i, parent );
+		}
+	}
+};
+
+/**
+ * Check whether a line starts a block which can interrupt a paragraph
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the line
+ * @return {boolean} The line starts a block
+ */
+ve.dm.MarkdownConverter.prototype.interruptsParagraph = function ( lines, i ) {
+	var patterns = this.constructor.static.blockPatterns,
+		listItem = this.matchListItem( lines[ i ] );
+
+	return patterns.fence.test( lines[ i ] ) ||
+		patterns.heading.test( lines[ i ] ) ||
+		patterns.rule.test( lines[ i ] ) ||
+		patterns.quote.test( lines[ i ] ) ||
+		// Ordered lists can only interrupt a paragraph if they start at 1
+		!!( listItem && listItem.content.trim() && ( !listItem.ordered || listItem.start === 1 ) ) ||
+		this.isTableStart( lines, i );
+};
+
+/**
+ * Match a list item's first line
+ *
+ * @private
+ * @param {string} line Line of Markdown
+ * @return {Object|null} List item, or null if the line doesn't start one
+ * @return {boolean} return.ordered The list is ordered
+ * @return {number} return.start Number of the item, if the list is ordered
+ * @return {string} return.delimiter Bullet character, or the character following the number
+ * @return {number} return.indent Indentation of the item's content
+ * @return {string} return.content Content of the line, after the marker
+ */
+ve.dm.MarkdownConverter.prototype.matchListItem = function ( line ) {
+	var spacing,
+		match = line.match( this.constructor.static.blockPatterns.listItem );
+
+	if ( !match ) {
+		return null;
+	}
+	spacing = match[ 4 ] || '';
+	// Content indented by five or more spaces is an indented code block, which is
+	// indented by one space past the marker
+	if ( spacing.length > 4 || !match[ 5 ] ) {
+		spacing = ' ';
+	}
+	return {
+		ordered: match[ 3 ] !== undefined,
+		start: match[ 3 ] !== undefined ? +match[ 3 ] : 1,
+		delimiter: match[ 2 ].slice( -1 ),
+		indent: match[ 1 ].length + match[ 2 ].length + spacing.length,
+		content: line.slice( match[ 1 ].length + match[ 2 ].length + spacing.length )
+	};
+};
+
+/**
+ * Check whether a line is the header row of a table
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the line
+ * @return {boolean} The line starts a table
+ */
+ve.dm.MarkdownConverter.prototype.isTableStart = function ( lines, i ) {
+	return i + 1 < lines.length &&
+		lines[ i ].indexOf( '|' ) !== -1 &&
+		lines[ i + 1 ].indexOf( '|' ) !== -1 &&
+		this.constructor.static.blockPatterns.tableDelimiter.test( lines[ i + 1 ] ) &&
+		this.splitTableRow( lines[ i ] ).length === this.splitTableRow( lines[ i + 1 ] ).length;
+};
+
+/**
+ * Convert a fenced code block
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the opening fence
+ * @param {string} fence Opening fence
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertFence = function ( lines, i, fence, parent ) {
+	var pre = this.htmlDoc.createElement( 'pre' ),
+		indent = lines[ i ].match( /^ */ )[ 0 ].length,
+		closing = new RegExp( '^ {0,3}' + fence[ 0 ] + '{' + fence.length + ',}[ \\t]*$' ),
+		code = [];
+
+	for ( i++; i < lines.length && !closing.test( lines[ i ] ); i++ ) {
+		// Remove the fence's indentation from the content
+		code.push( lines[ i ].replace( new RegExp( '^ {0,' + indent + '}' ), '' ) );
+	}
+	pre.appendChild( this.htmlDoc.createTextNode( code.join( '\n' ) ) );
+	parent.appendChild( pre );
+
+	// Skip the closing fence, if there is one
+	return i + 1;
+};
+
+/**
+ * Convert an indented code block
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the first line
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertIndentedCode = function ( lines, i, parent ) {
+	var pre = this.htmlDoc.createElement( 'pre' ),
+		pattern = this.constructor.static.blockPatterns.indentedCode,
+		code = [];
+
+	for ( ; i < lines.length && ( pattern.test( lines[ i ] ) || !lines[ i ].trim() ); i++ ) {
+		code.push( lines[ i ].slice( 4 ) );
+	}
+	// Trailing blank lines belong between blocks
+	while ( !code[ code.length - 1 ].trim() ) {
+		code.pop();
+	}
+	pre.appendChild( this.htmlDoc.createTextNode( code.join( '\n' ) ) );
+	parent.appendChild( pre );
+
+	return i;
+};
+
+/**
+ * Convert a block quote
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the first line
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertQuote = function ( lines, i, parent ) {
+	var match,
+		blockquote = this.htmlDoc.createElement( 'blockquote' ),
+		pattern = this.constructor.static.blockPatterns.quote,
+		quoted = [];
+
+	for ( ; i < lines.length; i++ ) {
+		if ( ( match = lines[ i ].match( pattern ) ) ) {
+			quoted.push( match[ 1 ] );
+		} else if (
+			// Lazy continuation of a quoted paragraph
+			lines[ i ].trim() && quoted[ quoted.length - 1 ].trim() &&
+			!this.interruptsParagraph( lines, i )
+		) {
+			quoted.push( lines[ i ] );
+		} else {
+			break;
+		}
+	}
+	this.convertBlocks( quoted, blockquote );
+	this.unwrapParagraphs( blockquote );
+	parent.appendChild( blockquote );
+
+	return i;
+};
+
+/**
+ * Convert a list
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the first line
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertList = function ( lines, i, parent ) {
+	var li, content, blank, indent,
+		first = this.matchListItem( lines[ i ] ),
+		item = first,
+		list = this.htmlDoc.createElement( first.ordered ? 'ol' : 'ul' ),
+		tight = true;
+
+	if ( first.ordered && first.start !== 1 ) {
+		list.setAttribute( 'start', first.start );
+	}
+
+	while ( item && item.ordered === first.ordered && item.delimiter === first.delimiter ) {
+		content = [ item.content ];
+		blank = false;
+		for ( i++; i < lines.length; i++ ) {
+			indent = lines[ i ].match( /^ */ )[ 0 ].length;
+			if ( !lines[ i ].trim() ) {
+				content.push( '' );
+				blank = true;
+			} else if ( indent >= item.indent ) {
+				content.push( lines[ i ].slice( item.indent ) );
+				if ( blank ) {
+					// Blank lines between the blocks of an item
+					tight = false;
+				}
+				blank = false;
+			} else if ( !blank && !this.matchListItem( lines[ i ] ) && !this.interruptsParagraph( lines, i ) ) {
+				// Lazy continuation of the item's paragraph
+				content.push( lines[ i ] );
+			} else {
+				break;
+			}
+		}
+
+		li = this.htmlDoc.createElement( 'li' );
+		this.convertBlocks( content, li );
+		list.appendChild( li );
+
+		item = i < lines.length ? this.matchListItem( lines[ i ] ) : null;
+		if ( item && item.ordered === first.ordered && item.delimiter === first.delimiter && blank ) {
+			// Blank lines between items
+			tight = false;
+		}
+	}
+
+	if ( tight ) {
+		Array.prototype.forEach.call( list.childNodes, this.unwrapParagraphs.bind( this ) );
+	}
+	parent.appendChild( list );
+
+	return i;
+};
+
+/**
+ * Convert a table
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the header row
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertTable = function ( lines, i, parent ) {
+	var tbody,
+		htmlDoc = this.htmlDoc,
+		converter = this,
+		table = htmlDoc.createElement( 'table' ),
+		thead = htmlDoc.createElement( 'thead' ),
+		header = this.splitTableRow( lines[ i ] );
+
+	function appendRow( section, cells, tagName ) {
+		var j, cell,
+			tr = htmlDoc.createElement( 'tr' );
+		// Rows have as many cells as the header row
+		for ( j = 0; j < header.length; j++ ) {
+			cell = htmlDoc.createElement( tagName );
+			converter.convertInline( cells[ j ] || '', cell );
+			tr.appendChild( cell );
+		}
+		section.appendChild( tr );
+	}
+
+	appendRow( thead, header, 'th' );
+	table.appendChild( thead );
+
+	// Skip the delimiter row
+	for ( i += 2; i < lines.length && lines[ i ].trim() && !this.interruptsParagraph( lines, i ); i++ ) {
+		if ( !tbody ) {
+			tbody = htmlDoc.createElement( 'tbody' );
+			table.appendChild( tbody );
+		}
+		appendRow( tbody, this.splitTableRow( lines[ i ] ), 'td' );
+	}
+	parent.appendChild( table );
+
+	return i;
+};
+
+/**
+ * Split a table row into the Markdown of its cells
+ *
+ * @private
+ * @param {string} line Line of Markdown
+ * @return {string[]} Markdown of each cell
+ */
+ve.dm.MarkdownConverter.prototype.splitTableRow = function ( line ) {
+	var j,
+		cells = [],
+		cell = '';
+
+	line = line.trim().replace( /^\|/, '' ).replace( /([^\\])\|$/, '$1' );
+	for ( j = 0; j < line.length; j++ ) {
+		if ( line[ j ] === '\\' && line[ j + 1 ] === '|' ) {
+			// Leave the escape for #convertInline to remove
+			cell += '\\|';
+			j++;
+		} else if ( line[ j ] === '|' ) {
+			cells.push( cell.trim() );
+			cell = '';
+		} else {
+			cell += line[ j ];
+		}
+	}
+	cells.push( cell.trim() );
+
+	return cells;
+};
+
+/**
+ * Convert a paragraph, or a setext heading
+ *
+ * @private
+ * @param {string[]} lines Lines of Markdown
+ * @param {number} i Index of the first line
+ * @param {HTMLElement} parent Element to append the block to
+ * @return {number} Index of the line after the block
+ */
+ve.dm.MarkdownConverter.prototype.convertParagraph = function ( lines, i, parent ) {
+	var match,
+		tagName = 'p',
+		text = [ lines[ i ] ],
+		element;
+
+	for ( i++; i < lines.length && lines[ i ].trim(); i++ ) {
+		if ( ( match = lines[ i ].match( this.constructor.static.blockPatterns.setext ) ) ) {
+			tagName = match[ 1 ][ 0 ] === '=' ? 'h1' : 'h2';
+			i++;
+			break;
+		}
+		if ( this.interruptsParagraph( lines, i ) ) {
+			break;
+		}
+		text.push( lines[ i ] );
+	}
+
+	element = this.htmlDoc.createElement( tagName );
+	this.convertInline( text.join( '\n' ).trim(), element );
+	parent.appendChild( element );
+
+	return i;
+};
+
+/**
+ * Replace paragraphs in an element with their contents
+ *
+ * Used for tight lists, and block quotes, which contain content directly.
+ *
+ * @private
+ * @param {HTMLElement} element Element containing paragraphs
+ */
+ve.dm.MarkdownConverter.prototype.unwrapParagraphs = function ( element ) {
+	var child, next;
+
+	for ( child = element.firstChild; child; child = next ) {
+		next = child.nextSibling;
+		if ( child.nodeName.toLowerCase() === 'p' ) {
+			while ( child.firstChild ) {
+				element.insertBefore( child.firstChild, child );
+			}
+			if ( next && next.nodeName.toLowerCase() === 'p' ) {
+				element.insertBefore( this.htmlDoc.createElement( 'br' ), child );
+			}
+			element.removeChild( child );
+		}
+	}
+};
+
+/**
+ * Convert inline Markdown
+ *
+ * @private
+ * @param {string} text Inline Markdown
+ * @param {HTMLElement} parent Element to append the content to
+ */
+ve.dm.MarkdownConverter.prototype.convertInline = function ( text, parent ) {
+	var chr, match, link, element, end,
+		htmlDoc = this.htmlDoc,
+		escapablePattern = this.constructor.static.escapablePattern,
+		buffer = '',
+		i = 0;
+
+	function flush() {
+		if ( buffer ) {
+			parent.appendChild( htmlDoc.createTextNode( buffer ) );
+			buffer = '';
+		}
+	}
+
+	function append( node ) {
+		flush();
+		parent.appendChild( node );
+	}
+
+	while ( i < text.length ) {
+		chr = text[ i ];
+		if ( chr === '\\' && text[ i + 1 ] === '\n' ) {
+			// Hard line break
+			append( htmlDoc.createElement( 'br' ) );
+			i += 2;
+		} else if ( chr === '\\' && escapablePattern.test( text[ i + 1 ] ) ) {
+			buffer += text[ i + 1 ];
+			i += 2;
+		} else if ( chr === '\n' ) {
+			// Two or more trailing spaces make a hard line break, otherwise a soft one
+			if ( / {2,}$/.test( buffer ) ) {
+				buffer = buffer.replace( / +$/, '' );
+				append( htmlDoc.createElement( 'br' ) );
+			} else {
+				buffer = buffer.replace( / +$/, '' ) + ' ';
+			}
+			i = i + 1 + text.slice( i + 1 ).match( /^ */ )[ 0 ].length;
+		} else if ( chr === '`' ) {
+			match = text.slice( i ).match( /^`+/ )[ 0 ];
+			end = this.findCodeSpanEnd( text, i + match.length, match.length );
+			if ( end === -1 ) {
+				buffer += match;
+				i += match.length;
+			} else {
+				element = htmlDoc.createElement( 'code' );
+				element.appendChild( htmlDoc.createTextNode(
+					text.slice( i + match.length, end ).replace( /\n/g, ' ' ).replace( /^ (.*[^ ].*) $/, '$1' )
+				) );
+				append( element );
+				i = end + match.length;
+			}
+		} else if ( ( chr === '[' || ( chr === '!' && text[ i + 1 ] === '[' ) ) && ( link = this.matchLink( text, chr === '!' ? i + 1 : i ) ) ) {
+			if ( chr === '!' ) {
+				element = htmlDoc.createElement( 'img' );
+				element.setAttribute( 'src', link.href );
+				element.setAttribute( 'alt', link.label.replace( /[\\*_`~\[\]]/g, '' ) );
+			} else {
+				element = htmlDoc.createElement( 'a' );
+				element.setAttribute( 'href', link.href );
+				this.convertInline( link.label, element );
+			}
+			if ( link.title ) {
+				element.setAttribute( 'title', link.title );
+			}
+			append( element );
+			i = link.end;
+		} else if ( chr === '<' && ( match = text.slice( i ).match( /^<([a-z][a-z0-9+.\-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i ) ) ) {
+			element = htmlDoc.createElement( 'a' );
+			element.setAttribute( 'href', match[ 1 ].indexOf( ':' ) === -1 ? 'mailto:' + match[ 1 ] : match[ 1 ] );
+			element.appendChild( htmlDoc.createTextNode( match[ 1 ] ) );
+			append( element );
+			i += match[ 0 ].length;
+		} else if (
+			( chr === 'h' || chr === 'w' ) && !/[a-z0-9]$/i.test( buffer ) &&
+			( match = text.slice( i ).match( /^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~'")\]]/i ) )
+		) {
+			// Bare URL
+			element = htmlDoc.createElement( 'a' );
+			element.setAttribute( 'href', chr === 'w' ? 'http://' + match[ 0 ] : match[ 0 ] );
+			element.appendChild( htmlDoc.createTextNode( match[ 0 ] ) );
+			append( element );
+			i += match[ 0 ].length;
+		} else if ( chr === '*' || chr === '_' || chr === '~' ) {
+			end = this.convertEmphasis( text, i, buffer, append );
+			if ( end === -1 ) {
+				// Not emphasis; keep the delimiter run as text
+				match = text.slice( i ).match( /^([*_~])\1*/ )[ 0 ];
+				buffer += match;
+				i += match.length;
+			} else {
+				i = end;
+			}
+		} else {
+			buffer += chr;
+			i++;
+		}
+	}
+	flush();
+};
+
+/**
+ * Find the end of a code span
+ *
+ * @private
+ * @param {string} text Inline Markdown
+ * @param {number} start Offset after the opening backticks
+ * @param {number} length Number of opening backticks
+ * @return {number} Offset of the closing backticks, or -1 if there are none
+ */
+ve.dm.MarkdownConverter.prototype.findCodeSpanEnd = function ( text, start, length ) {
+	var match,
+		pattern = /`+/g;
+
+	pattern.lastIndex = start;
+	while ( ( match = pattern.exec( text ) ) ) {
+		if ( match[ 0 ].length === length ) {
+			return match.index;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Match an inline link
+ *
+ * @private
+ * @param {string} text Inline Markdown
+ * @param {number} start Offset of the opening bracket
+ * @return {Object|null} Link, or null if there isn't one at the offset
+ * @return {string} return.label Markdown of the link label
+ * @return {string} return.href Link destination
+ * @return {string|undefined} return.title Link title
+ * @return {number} return.end Offset after the link
+ */
+ve.dm.MarkdownConverter.prototype.matchLink = function ( text, start ) {
+	var j, match,
+		depth = 0;
+
+	function unescape( str ) {
+		return str.replace( /\\([!-\/:-@\[-`{-~])/g, '$1' );
+	}
+
+	for ( j = start; j < text.length; j++ ) {
+		if ( text[ j ] === '\\' ) {
+			j++;
+		} else if ( text[ j ] === '[' ) {
+			depth++;
+		} else if ( text[ j ] === ']' && !--depth ) {
+			break;
+		}
+	}
+	if ( j >= text.length || text[ j + 1 ] !== '(' ) {
+		return null;
+	}
+	match = text.slice( j + 2 ).match(
+		/^\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/
+	);
+	if ( !match ) {
+		return null;
+	}
+	return {
+		label: text.slice( start + 1, j ),
+		href: unescape( match[ 1 ] !== undefined ? match[ 1 ] : match[ 2 ] ),
+		title: match[ 3 ] && unescape( match[ 3 ].slice( 1, -1 ) ),
+		end: j + 2 + match[ 0 ].length
+	};
+};
+
+/**
+ * Convert emphasis, strong emphasis or strikethrough
+ *
+ * @private
+ * @param {string} text Inline Markdown
+ * @param {number} start Offset of the opening delimiter run
+ * @param {string} before Text before the delimiter run
+ * @param {Function} append Callback to append the converted element with
+ * @return {number} Offset after the closing delimiter run, or -1 if there is no emphasis
+ */
+ve.dm.MarkdownConverter.prototype.convertEmphasis = function ( text, start, before, append ) {
+	var end, element, inner, delimiter, tagNames,
+		chr = text[ start ],
+		run = text.slice( start ).match( /^([*_~])\1*/ )[ 0 ];
+
+	if ( chr === '~' ) {
+		tagNames = run.length === 2 ? [ 's' ] : [];
+	} else if ( run.length >= 3 ) {
+		tagNames = [ 'em', 'strong' ];
+	} else {
+		tagNames = [ run.length === 2 ? 'strong' : 'em' ];
+	}
+	delimiter = run.slice( 0, Math.min( run.length, 3 ) );
+
+	if (
+		!tagNames.length ||
+		// The opening run must be followed by text
+		!/\S/.test( text[ start + delimiter.length ] || '' ) ||
+		// Underscores can't open emphasis inside a word
+		( chr === '_' && /[a-z0-9]$/i.test( before ) )
+	) {
+		return -1;
+	}
+	end = this.findEmphasisEnd( text, start + delimiter.length, delimiter );
+	if ( end === -1 ) {
+		return -1;
+	}
+
+	element = inner = this.htmlDoc.createElement( tagNames[ 0 ] );
+	if ( tagNames.length > 1 ) {
+		inner = this.htmlDoc.createElement( tagNames[ 1 ] );
+		element.appendChild( inner );
+	}
+	this.convertInline( text.slice( start + delimiter.length, end ), inner );
+	append( element );
+
+	return end + delimiter.length;
+};
+
+/**
+ * Find the closing delimiter run of emphasis
+ *
+ * Delimiter runs opening nested emphasis must be closed first.
+ *
+ * @private
+ * @param {string} text Inline Markdown
+ * @param {number} start Offset after the opening delimiter run
+ * @param {string} delimiter Opening delimiter run
+ * @return {number} Offset of the closing delimiter, or -1 if there is none
+ */
+ve.dm.MarkdownConverter.prototype.findEmphasisEnd = function ( text, start, delimiter ) {
+	var j, run, codeEnd, remaining,
+		chr = delimiter[ 0 ],
+		runPattern = new RegExp( '^\\' + chr + '+' ),
+		nested = [];
+
+	for ( j = start; j < text.length; j++ ) {
+		if ( text[ j ] === '\\' ) {
+			j++;
+		} else if ( text[ j ] === '`' ) {
+			// Skip code spans, which can't contain emphasis
+			run = text.slice( j ).match( /^`+/ )[ 0 ];
+			codeEnd = this.findCodeSpanEnd( text, j + run.length, run.length );
+			j = codeEnd === -1 ? j + run.length - 1 : codeEnd + run.length - 1;
+		} else if ( text[ j ] === chr ) {
+			run = text.slice( j ).match( runPattern )[ 0 ];
+			remaining = run.length;
+			if (
+				// Closing runs must follow text, and underscores can't close emphasis inside a word
+				/\S/.test( text[ j - 1 ] ) &&
+				!( chr === '_' && /[a-z0-9]/i.test( text[ j + run.length ] || '' ) )
+			) {
+				while ( nested.length && remaining >= nested[ nested.length - 1 ] ) {
+					remaining -= nested.pop();
+				}
+				if ( !nested.length && remaining >= delimiter.length ) {
+					return j + run.length - remaining;
+				}
+			}
+			if ( remaining === run.length && /\S/.test( text[ j + run.length ] || '' ) ) {
+				nested.push( run.length );
+			}
+			j += run.length - 1;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Convert a document to Markdown
+ *
+ * Content with no Markdown equivalent is left out, or converted without the formatting which
+ * can't be represented, and reported as a loss.
+ *
+ * @param {ve.dm.Document} model Document to convert
+ * @return {Object} Conversion result
+ * @return {string} return.markdown Markdown
+ * @return {Object[]} return.losses Lost content, in document order
+ * @return {string} return.losses.type Type of the lost node or name of the lost annotation
+ * @return {ve.Range} return.losses.range Range of the lost content
+ */
+ve.dm.MarkdownConverter.prototype.getMarkdownFromModel = function ( model ) {
+	var result;
+
+	this.model = model;
+	this.losses = [];
+	result = {
+		markdown: this.getBlocksMarkdown( model.getDocumentNode().getChildren().filter( function ( node ) {
+			return node.getType() !== 'internalList';
+		} ) ),
+		losses: this.losses
+	};
+	result.losses.sort( function ( a, b ) {
+		return a.range.start - b.range.start;
+	} );
+	this.model = null;
+	this.losses = null;
+
+	return result;
+};
+
+/**
+ * Report content which can't be converted to Markdown
+ *
+ * @private
+ * @param {string} type Type of the node or name of the annotation
+ * @param {ve.Range} range Range of the content
+ */
+ve.dm.MarkdownConverter.prototype.addLoss = function ( type, range ) {
+	this.losses.push( { type: type, range: range } );
+};
+
+/**
+ * Get Markdown for a list of block nodes
+ *
+ * @private
+ * @param {ve.dm.Node[]} nodes Block nodes
+ * @param {boolean} [tight] Don't separate lists from the preceding block with a blank line
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getBlocksMarkdown = function ( nodes, tight ) {
+	var i, block,
+		markdown = '';
+
+	for ( i = 0; i < nodes.length; i++ ) {
+		block = this.getBlockMarkdown( nodes[ i ] );
+		if ( !block ) {
+			continue;
+		}
+		if ( markdown ) {
+			markdown += tight && nodes[ i ].getType() === 'list' ? '\n' : '\n\n';
+		}
+		markdown += block;
+	}
+	return markdown;
+};
+
+/**
+ * Get Markdown for a block node
+ *
+ * @private
+ * @param {ve.dm.Node} node Block node
+ * @return {string} Markdown, empty if the node has no content
+ */
+ve.dm.MarkdownConverter.prototype.getBlockMarkdown = function ( node ) {
+	var markdown,
+		type = node.getType();
+
+	switch ( type ) {
+		case 'paragraph':
+			return this.getInlineMarkdown( node ).replace(
+				/^(\d+)([.)])|^(#{1,6}(?=\s|$)|[>+-])/,
+				function ( marker, number, delimiter, symbol ) {
+					// Escape characters which would start a block
+					return number !== undefined ? number + '\\' + delimiter : '\\' + symbol;
+				}
+			);
+		case 'heading':
+			return new Array( node.getAttribute( 'level' ) + 1 ).join( '#' ) + ' ' + this.getInlineMarkdown( node );
+		case 'preformatted':
+			return this.getPreformattedMarkdown( node );
+		case 'blockquote':
+			markdown = this.getInlineMarkdown( node );
+			return markdown && markdown.replace( /^/gm, '> ' );
+		case 'list':
+			return this.getListMarkdown( node );
+		case 'table':
+			return this.getTableMarkdown( node );
+		case 'horizontalRule':
+			return '---';
+		case 'blockImage':
+			return this.getImageMarkdown( node );
+		default:
+			if ( this.constructor.static.transparentTypes.indexOf( type ) === -1 ) {
+				this.addLoss( type, node.getOuterRange() );
+			}
+			if ( node.canContainContent() ) {
+				return this.getInlineMarkdown( node );
+			}
+			return node.hasChildren() ? this.getBlocksMarkdown( node.getChildren() ) : '';
+	}
+};
+
+/**
+ * Get Markdown for a preformatted node
+ *
+ * @private
+ * @param {ve.dm.Node} node Preformatted node
+ * @return {string} Fenced code block
+ */
+ve.dm.MarkdownConverter.prototype.getPreformattedMarkdown = function ( node ) {
+	var fence,
+		converter = this,
+		data = this.model.data,
+		text = '';
+
+	node.getChildren().forEach( function ( child ) {
+		if ( child.getType() === 'text' ) {
+			text += data.getText( false, child.getRange() );
+		} else if ( child.getType() === 'break' ) {
+			text += '\n';
+		} else {
+			converter.addLoss( child.getType(), child.getOuterRange() );
+		}
+	} );
+	data.getAnnotationsFromRange( node.getRange(), true ).get().forEach( function ( annotation ) {
+		converter.addLoss( annotation.getType(), node.getRange() );
+	} );
+
+	// The fence must be longer than any run of backticks in the code
+	fence = ( text.match( /`{3,}/g ) || [] ).reduce( function ( longest, run ) {
+		return run.length >= longest.length ? run + '`' : longest;
+	}, '```' );
+
+	return fence + '\n' + text + '\n' + fence;
+};
+
+/**
+ * Get Markdown for a list node
+ *
+ * @private
+ * @param {ve.dm.Node} node List node
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getListMarkdown = function ( node ) {
+	var converter = this,
+		ordered = node.getAttribute( 'style' ) === 'number';
+
+	return node.getChildren().map( function ( item, i ) {
+		var marker = ordered ? ( i + 1 ) + '. ' : '- ',
+			indent = new Array( marker.length + 1 ).join( ' ' );
+
+		if ( item.getType() !== 'listItem' ) {
+			return converter.getBlockMarkdown( item );
+		}
+		// Indent the item's content to the width of the marker
+		return marker + converter.getBlocksMarkdown( item.getChildren(), true ).replace( /\n(?=.)/g, '\n' + indent );
+	} ).join( '\n' );
+};
+
+/**
+ * Get Markdown for a table node
+ *
+ * The first row is converted to the header row. Cells spanning several rows or columns are
+ * converted to a single cell, and cells which can't be converted are left empty.
+ *
+ * @private
+ * @param {ve.dm.TableNode} node Table node
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getTableMarkdown = function ( node ) {
+	var row, col, cell, cells,
+		matrix = node.getMatrix(),
+		colCount = matrix.getMaxColCount(),
+		caption = node.getCaptionNode(),
+		lines = [],
+		markdown = '';
+
+	if ( caption ) {
+		// Keep the caption's content as blocks before the table
+		this.addLoss( caption.getType(), caption.getOuterRange() );
+		markdown = this.getBlocksMarkdown( caption.getChildren() );
+		markdown += markdown && '\n\n';
+	}
+
+	this.inTable = true;
+	for ( row = 0; row < matrix.getRowCount(); row++ ) {
+		cells = [];
+		for ( col = 0; col < colCount; col++ ) {
+			cell = matrix.getCell( row, col );
+			if ( !cell ) {
+				cells.push( '' );
+			} else if ( cell.isPlaceholder() ) {
+				cells.push( '' );
+			} else {
+				if ( cell.node.getColspan() > 1 || cell.node.getRowspan() > 1 ) {
+					this.addLoss( cell.node.getType(), cell.node.getOuterRange() );
+				}
+				cells.push( this.getCellMarkdown( cell.node ) );
+			}
+		}
+		lines.push( '| ' + cells.join( ' | ' ) + ' |' );
+		if ( row === 0 ) {
+			lines.push( '|' + new Array( colCount + 1 ).join( ' --- |' ) );
+		}
+	}
+	this.inTable = false;
+
+	return markdown + lines.join( '\n' );
+};
+
+/**
+ * Get Markdown for a table cell's content
+ *
+ * Table cells in Markdown can only contain a single line of inline content, so the content of
+ * each block is joined with spaces.
+ *
+ * @private
+ * @param {ve.dm.Node} node Table cell node
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getCellMarkdown = function ( node ) {
+	var converter = this,
+		parts = [];
+
+	function addContent( child ) {
+		if ( child.canContainContent() ) {
+			parts.push( converter.getInlineMarkdown( child ) );
+		} else if ( child.hasChildren() ) {
+			child.getChildren().forEach( addContent );
+		}
+	}
+
+	if ( node.getType() !== 'tableCell' ) {
+		this.addLoss( node.getType(), node.getOuterRange() );
+		return '';
+	}
+	node.getChildren().forEach( function ( child ) {
+		if ( child.getType() !== 'paragraph' ) {
+			converter.addLoss( child.getType(), child.getOuterRange() );
+		}
+		addContent( child );
+	} );
+
+	return parts.join( ' ' ).replace( /\n/g, ' ' ).trim();
+};
+
+/**
+ * Get Markdown for an image node
+ *
+ * A block image's caption is kept as blocks after the image.
+ *
+ * @private
+ * @param {ve.dm.Node} node Inline or block image node
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getImageMarkdown = function ( node ) {
+	var caption,
+		markdown = '![' + ( node.getAttribute( 'alt' ) || '' ).replace( /[\\\[\]]/g, '\\$&' ) + '](' +
+			this.getDestinationMarkdown( node.getAttribute( 'src' ) || '' ) + ')';
+
+	if ( node.getType() === 'blockImage' && ( caption = node.getCaptionNode() ) ) {
+		caption = this.getBlocksMarkdown( caption.getChildren() );
+		if ( caption ) {
+			this.addLoss( 'blockImageCaption', node.getCaptionNode().getOuterRange() );
+			markdown += '\n\n' + caption;
+		}
+	}
+	return markdown;
+};
+
+/**
+ * Get Markdown for a link destination
+ *
+ * @private
+ * @param {string} url URL
+ * @return {string} Link destination
+ */
+ve.dm.MarkdownConverter.prototype.getDestinationMarkdown = function ( url ) {
+	return url.replace( / /g, '%20' ).replace( /[\\()]/g, '\\$&' );
+};
+
+/**
+ * Get Markdown for the inline content of a node
+ *
+ * @private
+ * @param {ve.dm.Node} node Node which contains content
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getInlineMarkdown = function ( node ) {
+	var offset,
+		converter = this,
+		data = this.model.data,
+		store = this.model.getStore(),
+		currentSet = new ve.dm.AnnotationSet( store ),
+		// Stack of annotations being converted, with the Markdown of their content so far
+		stack = [ { markdown: '', code: false } ];
+
+	function open( annotation ) {
+		stack.push( {
+			annotation: annotation,
+			markdown: '',
+			code: stack[ stack.length - 1 ].code || annotation.getType() === 'textStyle/code',
+			start: offset
+		} );
+	}
+
+	function close() {
+		var frame = stack.pop();
+		stack[ stack.length - 1 ].markdown += converter.getAnnotationMarkdown(
+			frame.annotation, frame.markdown, stack[ stack.length - 1 ].code, new ve.Range( frame.start, offset )
+		);
+	}
+
+	function annotate( annotations ) {
+		ve.dm.Converter.static.openAndCloseAnnotations( currentSet, annotations, open, close );
+	}
+
+	node.getChildren().forEach( function ( child ) {
+		var range;
+		if ( child.getType() === 'text' ) {
+			range = child.getRange();
+			for ( offset = range.start; offset < range.end; offset++ ) {
+				annotate( data.getAnnotationsFromOffset( offset ) );
+				stack[ stack.length - 1 ].markdown += converter.getTextMarkdown(
+					data.getCharacterData( offset ), stack[ stack.length - 1 ].code
+				);
+			}
+		} else {
+			offset = child.getOuterRange().start;
+			annotate( data.getAnnotationsFromOffset( offset ) );
+			offset = child.getOuterRange().end;
+			stack[ stack.length - 1 ].markdown += converter.getInlineNodeMarkdown( child );
+		}
+	} );
+	offset = node.getRange().end;
+	annotate( new ve.dm.AnnotationSet( store ) );
+
+	return stack[ 0 ].markdown;
+};
+
+/**
+ * Get Markdown for a character of text
+ *
+ * @private
+ * @param {string} chr Character
+ * @param {boolean} code The character is in code, so isn't escaped
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getTextMarkdown = function ( chr, code ) {
+	if ( this.inTable && chr === '|' ) {
+		// Pipes must be escaped in tables, even in code
+		return '\\|';
+	}
+	if ( chr === '\n' ) {
+		return this.inTable ? ' ' : '\\\n';
+	}
+	return !code && /[\\`*_\[\]<>~]/.test( chr ) ? '\\' + chr : chr;
+};
+
+/**
+ * Get Markdown for an inline node
+ *
+ * @private
+ * @param {ve.dm.Node} node Inline node
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getInlineNodeMarkdown = function ( node ) {
+	switch ( node.getType() ) {
+		case 'break':
+			return this.inTable ? ' ' : '\\\n';
+		case 'inlineImage':
+			return this.getImageMarkdown( node );
+		default:
+			this.addLoss( node.getType(), node.getOuterRange() );
+			return '';
+	}
+};
+
+/**
+ * Get Markdown for annotated content
+ *
+ * @private
+ * @param {ve.dm.Annotation} annotation Annotation
+ * @param {string} markdown Markdown of the annotated content
+ * @param {boolean} code The content is in code, where annotations can't be represented
+ * @param {ve.Range} range Range of the annotated content
+ * @return {string} Markdown
+ */
+ve.dm.MarkdownConverter.prototype.getAnnotationMarkdown = function ( annotation, markdown, code, range ) {
+	var fence, href,
+		type = annotation.getType(),
+		delimiter = this.constructor.static.annotationDelimiters[ type ],
+		// Emphasis can't start or end with whitespace, so move it outside the delimiters
+		parts = markdown.match( /^(\s*)([\s\S]*?)(\s*)$/ );
+
+	if ( !parts[ 2 ] ) {
+		return markdown;
+	}
+	if ( !code && delimiter ) {
+		return parts[ 1 ] + delimiter + parts[ 2 ] + delimiter + parts[ 3 ];
+	}
+	if ( !code && type === 'textStyle/code' ) {
+		// The fence must be longer than any run of backticks in the code
+		fence = ( markdown.match( /`+/g ) || [] ).reduce( function ( longest, run ) {
+			return run.length >= longest.length ? run + '`' : longest;
+		}, '`' );
+		return fence + ( /^`|`$/.test( markdown ) ? ' ' + markdown + ' ' : markdown ) + fence;
+	}
+	if ( !code && type === 'link' ) {
+		href = annotation.getHref();
+		if ( markdown === href && /^[a-z][a-z0-9+.\-]*:[^\s<>\\]*$/i.test( href ) ) {
+			return '<' + href + '>';
+		}
+		return '[' + markdown + '](' + this.getDestinationMarkdown( href ) + ')';
+	}
+	this.addLoss( type, range );
+	return markdown;
+};
+
+/* Initialization */
+
+ve.dm.markdownConverter = new ve.dm.MarkdownConverter();
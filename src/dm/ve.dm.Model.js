@@ -241,6 +241,55 @@ ve.dm.Model.static.getAllowedRdfaTypes = function () {
 	return this.allowedRdfaTypes;
 };
 
+/**
+ * Describe changes to the attributes of an element of this type, e.g. for showing in a diff
+ *
+ * @static
+ * @param {Object} attributeChanges Changed attributes, keyed by attribute name, each an object
+ *  with `from` and `to` properties
+ * @param {Object} attributes New attributes of the element
+ * @return {string[]} Descriptions of the changes
+ */
+ve.dm.Model.static.describeChanges = function ( attributeChanges, attributes ) {
+	var key, description,
+		descriptions = [];
+	for ( key in attributeChanges ) {
+		description = this.describeChange( key, attributeChanges[ key ], attributes );
+		if ( description ) {
+			descriptions.push( description );
+		}
+	}
+	return descriptions;
+};
+
+/**
+ * Describe a change to one attribute of an element of this type
+ *
+ * Subclasses can override this to give a friendlier description of the attributes they know,
+ * or to return null for attributes that are not worth describing.
+ *
+ * @static
+ * @param {string} key Attribute name
+ * @param {Object} change Change, with `from` and `to` properties; a property is undefined if
+ *  the attribute was not set
+ * @param {Object} attributes New attributes of the element
+ * @return {string|null} Description of the change, or null if it should not be described
+ */
+ve.dm.Model.static.describeChange = function ( key, change ) {
+	if (
+		( change.from !== null && typeof change.from === 'object' ) ||
+		( change.to !== null && typeof change.to === 'object' )
+	) {
+		return ve.msg( 'visualeditor-changedesc-unknown', key );
+	} else if ( change.from === undefined ) {
+		return ve.msg( 'visualeditor-changedesc-set', key, String( change.to ) );
+	} else if ( change.to === undefined ) {
+		return ve.msg( 'visualeditor-changedesc-unset', key, String( change.from ) );
+	} else {
+		return ve.msg( 'visualeditor-changedesc-changed', key, String( change.from ), String( change.to ) );
+	}
+};
+
 /* Methods */
 
 /**
@@ -87,6 +87,17 @@ ve.dm.RebaseClient.prototype.removeFromHistory = null;
 
 /* Methods */
 
+/**
+ * Respond to uncommitted transactions being replaced in the history by their rebased versions
+ *
+ * Does nothing by default; subclasses that keep references to the local author's transactions
+ * can override this to update them.
+ *
+ * @param {ve.dm.Transaction[]} transactions Transactions removed from the history
+ * @param {ve.dm.Transaction[]} rebasedTransactions Rebased transactions, in the same order, that replace them
+ */
+ve.dm.RebaseClient.prototype.replaceTransactions = function () {};
+
 /**
  * @return {number} Author ID
  */
@@ -158,8 +169,26 @@ ve.dm.RebaseClient.prototype.acceptChange = function ( change ) {
 		this.removeFromHistory( uncommitted );
 		this.addToHistory( change );
 		this.addToHistory( result.rebased );
+		this.replaceTransactions( uncommitted.transactions, result.rebased.transactions );
 
 		this.sentLength += change.getLength();
 	}
 	this.commitLength += change.getLength();
 };
+
+/**
+ * Accept the server's outright rejection of the earliest uncommitted change
+ *
+ * This happens when the server refuses the change itself (e.g. because the author is not
+ * allowed to make it), rather than because of a conflict. As the server also rejects the
+ * changes that follow on from it, all uncommitted changes are unapplied, and those already
+ * sent are backtracked.
+ */
+ve.dm.RebaseClient.prototype.acceptRejection = function () {
+	var uncommitted = this.getChangeSince( this.commitLength, false );
+	if ( uncommitted.getLength() ) {
+		this.unapplyChange( uncommitted );
+	}
+	this.backtrack += this.sentLength - this.commitLength;
+	this.sentLength = this.commitLength;
+};
@@ -8,36 +8,548 @@
 /**
  * DataModel rebase server
  *
+ * If the linear data of new documents is known, the server keeps track of each document's
+ * data, and validates every rebased transaction against it before committing. Transactions
+ * that do not match the document length, or that would unbalance the document tree, are
+ * rejected, just like transactions that conflict.
+ *
  * @class
+ * @mixins OO.EventEmitter
+ *
+ * @constructor
+ * @param {ve.dm.RebaseStorage} [storage] Storage to load and persist document states; if omitted, states are kept in memory only
+ * @param {Object} [config] Configuration options
+ * @cfg {Array} [initialData] Linear data of a new document, which history applies to; if omitted, changes are not validated
  */
-ve.dm.RebaseServer = function VeDmRebaseServer() {
+ve.dm.RebaseServer = function VeDmRebaseServer( storage, config ) {
+	config = config || {};
+
+	// Mixin constructor
+	OO.EventEmitter.call( this );
+
 	this.stateForDoc = new Map();
+	this.storage = storage || null;
+	// Whether stored records are being replayed, so must not be stored again
+	this.loading = false;
+	this.initialData = config.initialData || null;
+	this.dataForDoc = new Map();
 };
 
+/* Inheritance */
+
 OO.initClass( ve.dm.RebaseServer );
+OO.mixinClass( ve.dm.RebaseServer, OO.EventEmitter );
+
+/* Events */
+
+/**
+ * A change was partly or wholly rejected because it would corrupt the document
+ *
+ * The author is not told by the rejection itself (unlike with a conflict, which the author
+ * finds out about on receiving the conflicting change), so should be notified.
+ *
+ * @event invalidChange
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {Error} error Validation error
+ */
+
+/* Static methods */
+
+/**
+ * Check whether an author with a given role may submit a change
+ *
+ * Authors with the 'read' role can only move their selection; authors with the 'comment' role
+ * can also insert and remove comments; authors with the 'edit' role can make any change.
+ *
+ * @static
+ * @param {string} role Role of the author: 'read', 'comment' or 'edit'
+ * @param {ve.dm.Change} change Change submitted by the author
+ * @return {boolean} The author may submit the change
+ */
+ve.dm.RebaseServer.static.isChangeAllowed = function ( role, change ) {
+	function isComment( item ) {
+		return !!item && ( item.type === 'comment' || item.type === '/comment' );
+	}
+	function isCommentMeta( item ) {
+		return !!item && ( item.type === 'commentMeta' || item.type === '/commentMeta' );
+	}
+	function isCommentMetaList( items ) {
+		return !items || items.every( function ( metaItems ) {
+			return !metaItems || metaItems.every( isCommentMeta );
+		} );
+	}
+
+	if ( role === 'edit' ) {
+		return true;
+	}
+	if ( role === 'read' ) {
+		return change.getLength() === 0;
+	}
+	if ( role === 'comment' ) {
+		return change.transactions.every( function ( tx ) {
+			return tx.operations.every( function ( op ) {
+				switch ( op.type ) {
+					case 'retain':
+					case 'retainMetadata':
+						return true;
+					case 'replace':
+						return op.remove.every( isComment ) && op.insert.every( isComment ) &&
+							isCommentMetaList( op.removeMetadata ) && isCommentMetaList( op.insertMetadata );
+					case 'replaceMetadata':
+						return op.remove.every( isCommentMeta ) && op.insert.every( isCommentMeta );
+					default:
+						return false;
+				}
+			} );
+		} );
+	}
+	return false;
+};
+
+/**
+ * Generate a random secret for an author
+ *
+ * @static
+ * @return {string} Secret, as 32 hexadecimal digits
+ */
+ve.dm.RebaseServer.static.generateSecret = function () {
+	var bytes;
+	if ( typeof crypto !== 'undefined' && crypto.getRandomValues ) {
+		bytes = Array.prototype.slice.call( crypto.getRandomValues( new Uint8Array( 16 ) ) );
+	} else {
+		bytes = Array.prototype.slice.call( require( 'crypto' ).randomBytes( 16 ) );
+	}
+	return bytes.map( function ( byte ) {
+		return ( byte < 16 ? '0' : '' ) + byte.toString( 16 );
+	} ).join( '' );
+};
+
+/**
+ * Validate a transaction against linear data, then apply it to the data
+ *
+ * The transaction must cover the whole data, only remove data that is there, insert well-formed
+ * items, and leave the tree balanced. Only structure is tracked: attribute changes, annotations
+ * and metadata are not applied.
+ *
+ * @static
+ * @param {Array} data Linear data, modified in place
+ * @param {ve.dm.Transaction} tx Transaction
+ * @throws {Error} If the transaction is invalid; the data is left unmodified
+ */
+ve.dm.RebaseServer.static.applyTransactionToData = function ( data, tx ) {
+	var i, iLen, op, contextStack, oldStack, newStack, tail,
+		offset = 0,
+		newRegion = [],
+		regionStart = null,
+		regionEnd = null,
+		replacements = [];
+
+	function pushAll( target, items ) {
+		var j, jLen;
+		for ( j = 0, jLen = items.length; j < jLen; j++ ) {
+			target.push( items[ j ] );
+		}
+	}
+	function isElement( item ) {
+		return !!item && typeof item === 'object' && !Array.isArray( item );
+	}
+	function isOpenElement( item ) {
+		return isElement( item ) && item.type.charAt( 0 ) !== '/';
+	}
+	function getChar( item ) {
+		return Array.isArray( item ) ? item[ 0 ] : item;
+	}
+	function isValidItem( item ) {
+		if ( isElement( item ) ) {
+			return typeof item.type === 'string' && item.type.replace( /^\//, '' ) !== '';
+		}
+		if ( Array.isArray( item ) ) {
+			return item.length === 2 && typeof item[ 0 ] === 'string' && item[ 0 ].length === 1 &&
+				Array.isArray( item[ 1 ] );
+		}
+		return typeof item === 'string' && item.length === 1;
+	}
+	function matchesData( item, dataItem ) {
+		return isElement( item ) ?
+			isElement( dataItem ) && item.type === dataItem.type :
+			!isElement( dataItem ) && getChar( item ) === getChar( dataItem );
+	}
+	function matchesDataAt( items, start ) {
+		var j, jLen;
+		for ( j = 0, jLen = items.length; j < jLen; j++ ) {
+			if ( !matchesData( items[ j ], data[ start + j ] ) ) {
+				return false;
+			}
+		}
+		return true;
+	}
+	// Update a stack of open element types for items[start..end), returning false if
+	// an element is closed without being open
+	function updateStack( stack, items, start, end ) {
+		var j, type;
+		for ( j = start; j < end; j++ ) {
+			if ( !isElement( items[ j ] ) ) {
+				continue;
+			}
+			type = items[ j ].type;
+			if ( type.charAt( 0 ) !== '/' ) {
+				stack.push( type );
+			} else if ( stack.pop() !== type.slice( 1 ) ) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	for ( i = 0, iLen = tx.operations.length; i < iLen; i++ ) {
+		op = tx.operations[ i ];
+		switch ( op.type ) {
+			case 'retain':
+				if ( typeof op.length !== 'number' || op.length < 0 || op.length % 1 !== 0 ) {
+					throw new Error( 'Invalid retain length: ' + op.length );
+				}
+				offset += op.length;
+				break;
+			case 'replace':
+				if ( !Array.isArray( op.remove ) || !Array.isArray( op.insert ) ) {
+					throw new Error( 'Invalid replace operation' );
+				}
+				if ( offset + op.remove.length > data.length ) {
+					throw new Error( 'Replace past document end: ' + ( offset + op.remove.length ) + ' > ' + data.length );
+				}
+				if ( !matchesDataAt( op.remove, offset ) ) {
+					throw new Error( 'Removed data does not match the document at ' + offset );
+				}
+				if ( !op.insert.every( isValidItem ) ) {
+					throw new Error( 'Invalid data inserted at ' + offset );
+				}
+				if ( regionStart === null ) {
+					regionStart = offset;
+				}
+				replacements.push( { offset: offset, removeLength: op.remove.length, insert: op.insert } );
+				offset += op.remove.length;
+				regionEnd = offset;
+				break;
+			case 'attribute':
+				if ( !isOpenElement( data[ offset ] ) ) {
+					throw new Error( 'Attribute change not at an opening element: ' + offset );
+				}
+				break;
+			case 'annotate':
+			case 'retainMetadata':
+			case 'replaceMetadata':
+				break;
+			default:
+				throw new Error( 'Unknown operation type: ' + op.type );
+		}
+	}
+	if ( iLen && offset !== data.length ) {
+		throw new Error( 'Transaction length ' + offset + ' does not match document length ' + data.length );
+	}
+	if ( regionStart === null ) {
+		return;
+	}
+
+	// The modified region must leave the same elements open as before, given the elements
+	// open where it starts
+	offset = regionStart;
+	replacements.forEach( function ( replacement ) {
+		pushAll( newRegion, data.slice( offset, replacement.offset ) );
+		pushAll( newRegion, replacement.insert );
+		offset = replacement.offset + replacement.removeLength;
+	} );
+	contextStack = [];
+	updateStack( contextStack, data, 0, regionStart );
+	oldStack = contextStack.slice();
+	updateStack( oldStack, data, regionStart, regionEnd );
+	newStack = contextStack.slice();
+	if (
+		!updateStack( newStack, newRegion, 0, newRegion.length ) ||
+		JSON.stringify( newStack ) !== JSON.stringify( oldStack )
+	) {
+		throw new Error( 'Transaction unbalances the document between ' + regionStart + ' and ' + regionEnd );
+	}
+
+	tail = data.slice( regionEnd );
+	data.length = regionStart;
+	pushAll( data, newRegion );
+	pushAll( data, tail );
+};
 
 /* Methods */
 
 /**
  * Get the state of a document by name.
  *
+ * If the state is not in memory, it is loaded from storage (if any), by replaying the stored
+ * changes, rejections and authors.
+ *
  * @param {string} name Name of a document
  * @return {Object} Document state (history and selections)
  * @return {ve.dm.Change} return.history History as one big Change
  * @return {Map.<number,ve.dm.Change>} return.continueBases Per-author transposed history for rebasing
  * @return {Map.<number,number>} return.rejections Per-author count of unacknowledged rejections
+ * @return {Map.<number,string>} return.secrets Per-author secret for resuming as that author, or
+ *  its hash if stored (see ve.dm.RebaseStorage#hashSecret)
  */
 ve.dm.RebaseServer.prototype.getStateForDoc = function ( name ) {
 	if ( !this.stateForDoc.has( name ) ) {
 		this.stateForDoc.set( name, {
 			history: new ve.dm.Change( 0, [], [], {} ),
 			continueBases: new Map(),
-			rejections: new Map()
+			rejections: new Map(),
+			secrets: new Map()
 		} );
+		if ( this.storage ) {
+			this.loadDoc( name );
+		}
 	}
 	return this.stateForDoc.get( name );
 };
 
+/**
+ * Replay the records stored for a document into its state
+ *
+ * @private
+ * @param {string} name Name of a document
+ * @throws {Error} If a record has an unrecognised type
+ */
+ve.dm.RebaseServer.prototype.loadDoc = function ( name ) {
+	var server = this,
+		state = this.stateForDoc.get( name );
+
+	this.loading = true;
+	try {
+		this.storage.readRecords( name ).forEach( function ( record ) {
+			if ( record.type === 'change' ) {
+				server.applyChange(
+					name, record.author, record.backtrack,
+					ve.dm.Change.static.deserialize( record.change, null, true )
+				);
+			} else if ( record.type === 'rejection' ) {
+				server.countRejection( name, record.author, record.backtrack, record.length );
+			} else if ( record.type === 'secret' ) {
+				state.secrets.set( record.author, record.secretHash );
+			} else {
+				throw new Error( 'Unrecognised record type: ' + record.type );
+			}
+		} );
+	} finally {
+		this.loading = false;
+	}
+};
+
+/**
+ * Get the highest author ID registered for a document
+ *
+ * After a restart, documents loaded from storage may already have authors, so new
+ * author IDs must be allocated above them.
+ *
+ * @param {string} doc Document name
+ * @return {number} Highest author ID, or 0 if there are none
+ */
+ve.dm.RebaseServer.prototype.getLastAuthor = function ( doc ) {
+	var state = this.getStateForDoc( doc ),
+		lastAuthor = 0;
+
+	function update( value, author ) {
+		lastAuthor = Math.max( lastAuthor, author );
+	}
+	state.continueBases.forEach( update );
+	state.secrets.forEach( update );
+	return lastAuthor;
+};
+
+/**
+ * Register a new author of a document
+ *
+ * The author is given a secret, which a client must present to resume as that author
+ * after reconnecting; see #isAuthorSecret.
+ *
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @return {string} The author's secret
+ */
+ve.dm.RebaseServer.prototype.addAuthor = function ( doc, author ) {
+	var secret = this.constructor.static.generateSecret(),
+		state = this.getStateForDoc( doc );
+
+	if ( this.storage ) {
+		state.secrets.set( author, this.storage.hashSecret( secret ) );
+		this.storage.storeAuthorSecret( doc, author, state.secrets.get( author ) );
+	} else {
+		state.secrets.set( author, secret );
+	}
+	return secret;
+};
+
+/**
+ * Register a new author of a document, with the next free author ID
+ *
+ * @param {string} doc Document name
+ * @return {Object} Registration, to send the client
+ * @return {number} return.author Author ID
+ * @return {string} return.secret The author's secret
+ */
+ve.dm.RebaseServer.prototype.registerAuthor = function ( doc ) {
+	var author = this.getLastAuthor( doc ) + 1;
+	return { author: author, secret: this.addAuthor( doc, author ) };
+};
+
+/**
+ * Check whether a client may resume as the author it was before, as it asks to on registering
+ *
+ * @param {string} doc Document name
+ * @param {Object} [data] Registration data sent by the client; see ve.dm.SurfaceSynchronizer#onConnect
+ * @return {boolean} The data gives an author of the document, with the author's secret, and the
+ *  length of a history the client can have seen
+ */
+ve.dm.RebaseServer.prototype.canResumeAuthor = function ( doc, data ) {
+	return !!data && typeof data.author === 'number' && typeof data.commitLength === 'number' &&
+		data.commitLength >= 0 && data.commitLength <= this.getStateForDoc( doc ).history.getLength() &&
+		// Only the client the author ID was issued to knows its secret
+		this.isAuthorSecret( doc, data.author, data.secret );
+};
+
+/**
+ * Check the secret presented by a client resuming as an author
+ *
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {string} [secret] Secret presented by the client
+ * @return {boolean} The secret is the author's secret
+ */
+ve.dm.RebaseServer.prototype.isAuthorSecret = function ( doc, author, secret ) {
+	return typeof secret === 'string' && this.getStateForDoc( doc ).secrets.get( author ) ===
+		( this.storage ? this.storage.hashSecret( secret ) : secret );
+};
+
+/**
+ * Get the linear data of a document, as tracked for validating changes
+ *
+ * The data is built by replaying the document's history on top of the initial data.
+ *
+ * @param {string} name Name of a document
+ * @return {Array|null} Linear data (structure only), or null if changes to the document are not validated
+ */
+ve.dm.RebaseServer.prototype.getDataForDoc = function ( name ) {
+	var data;
+	if ( !this.initialData ) {
+		return null;
+	}
+	if ( !this.dataForDoc.has( name ) ) {
+		data = JSON.parse( JSON.stringify( this.initialData ) );
+		try {
+			this.getStateForDoc( name ).history.transactions.forEach( function ( tx ) {
+				ve.dm.RebaseServer.static.applyTransactionToData( data, tx );
+			} );
+		} catch ( error ) {
+			// The stored history does not apply to the initial data, so there is nothing to
+			// validate against
+			data = null;
+		}
+		this.dataForDoc.set( name, data );
+	}
+	return this.dataForDoc.get( name );
+};
+
+/**
+ * Reject a change to a document entirely, without applying it.
+ *
+ * The author's subsequent submissions must backtrack over the rejected transactions, just as
+ * for a change rejected because of a conflict.
+ *
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {number} backtrack How many transactions are backtracked from the previous submission
+ * @param {ve.dm.Change|number} change Change to reject, or its number of transactions if it could
+ *  not be deserialized
+ * @return {boolean} The change acknowledged all outstanding rejections, so it was rejected in its
+ *  own right rather than as the follow-on of an earlier rejection
+ * @throws {Error} If backtrack exceeds the outstanding rejections
+ */
+ve.dm.RebaseServer.prototype.rejectChange = function ( doc, author, backtrack, change ) {
+	var length = typeof change === 'number' ? change : change.getLength(),
+		rejectedInOwnRight = this.countRejection( doc, author, backtrack, length );
+
+	if ( this.storage && !this.loading ) {
+		this.storage.storeRejection( doc, author, backtrack, length );
+	}
+	return rejectedInOwnRight;
+};
+
+/**
+ * Count the transactions of a rejected change as rejections the author must backtrack over
+ *
+ * @private
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {number} backtrack How many transactions are backtracked from the previous submission
+ * @param {number} length Number of transactions rejected
+ * @return {boolean} The change acknowledged all outstanding rejections
+ * @throws {Error} If backtrack exceeds the outstanding rejections
+ */
+ve.dm.RebaseServer.prototype.countRejection = function ( doc, author, backtrack, length ) {
+	var state = this.getStateForDoc( doc ),
+		rejections = state.rejections.get( author ) || 0;
+
+	if ( rejections < backtrack ) {
+		throw new Error( 'Backtrack=' + backtrack + ' > ' + rejections + '=rejections' );
+	}
+	state.rejections.set( author, rejections - backtrack + length );
+	return rejections === backtrack;
+};
+
+/**
+ * Handle a change submitted by an author
+ *
+ * The change is deserialized, checked against the author's role, and rebased and applied (see
+ * #applyChange). If the author may not make the change, or if handling it throws an error, the
+ * change is rejected entirely (see #rejectChange).
+ *
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {string} role Role of the author: 'read', 'comment' or 'edit'
+ * @param {Object} data Submission data; see ve.dm.SurfaceSynchronizer#sendChange
+ * @param {number} data.backtrack How many transactions are backtracked from the previous submission
+ * @param {Object} data.change Serialized change
+ * @return {Object} Result
+ * @return {ve.dm.Change|null} return.applied Accepted change (or initial segment thereof), as
+ *  rebased; null if the change was rejected entirely
+ * @return {string|null} return.rejection Reason to send the author in a changeRejected message,
+ *  'permission' or 'invalid', if the change was rejected entirely in its own right
+ * @return {Error|null} return.error Error thrown while handling the change
+ * @fires invalidChange
+ */
+ve.dm.RebaseServer.prototype.submitChange = function ( doc, author, role, data ) {
+	var change, rejected;
+
+	try {
+		change = ve.dm.Change.static.deserialize( data.change, null, true );
+		if ( !this.constructor.static.isChangeAllowed( role, change ) ) {
+			return {
+				applied: null,
+				rejection: this.rejectChange( doc, author, data.backtrack, change ) ? 'permission' : null,
+				error: null
+			};
+		}
+		return { applied: this.applyChange( doc, author, data.backtrack, change ), rejection: null, error: null };
+	} catch ( error ) {
+		// Make the author's next submission backtrack over the whole change
+		try {
+			rejected = this.rejectChange(
+				doc, author, data.backtrack,
+				change || ve.getProp( data, 'change', 'transactions', 'length' ) || 0
+			);
+		} catch ( backtrackError ) {
+			// The backtrack itself was wrong, so this will have been the error too
+			rejected = true;
+		}
+		return { applied: null, rejection: rejected ? 'invalid' : null, error: error };
+	}
+};
+
 /**
  * Attempt to rebase and apply a change to a document.
  *
@@ -50,16 +562,19 @@ ve.dm.RebaseServer.prototype.getStateForDoc = function ( name ) {
  * @param {number} backtrack How many transactions are backtracked from the previous submission
  * @param {ve.dm.Change} change Change to apply
  * @return {ve.dm.Change} Accepted change (or initial segment thereof), as rebased
+ * @fires invalidChange
  */
 ve.dm.RebaseServer.prototype.applyChange = function ( doc, author, backtrack, change ) {
-	var base, rejections, result,
-		state = this.getStateForDoc( doc );
+	var base, rejections, result, validLength, validationError,
+		state = this.getStateForDoc( doc ),
+		data = this.getDataForDoc( doc );
 
 	base = state.continueBases.get( author ) || change.truncate( 0 );
 	rejections = state.rejections.get( author ) || 0;
 	if ( rejections > backtrack ) {
 		// Follow-on does not fully acknowledge outstanding conflicts: reject entirely
-		state.rejections.set( author, rejections - backtrack + change.transactions.length );
+		this.countRejection( doc, author, backtrack, change.getLength() );
+		this.storeChange( doc, author, backtrack, change );
 		return change.truncate( 0 );
 	}
 	if ( rejections < backtrack ) {
@@ -76,11 +591,50 @@ ve.dm.RebaseServer.prototype.applyChange = function ( doc, author, backtrack, ch
 	base = base.concat( state.history.mostRecent( base.start + base.getLength() ) );
 
 	result = ve.dm.Change.static.rebaseUncommittedChange( base, change );
-	state.rejections.set( author, result.rejected ? result.rejected.getLength() : 0 );
+	rejections = result.rejected ? result.rejected.getLength() : 0;
+
+	if ( data ) {
+		// Validate the rebased transactions in turn; reject from the first invalid one onwards
+		for ( validLength = 0; validLength < result.rebased.getLength(); validLength++ ) {
+			try {
+				ve.dm.RebaseServer.static.applyTransactionToData( data, result.rebased.transactions[ validLength ] );
+			} catch ( error ) {
+				validationError = error;
+				break;
+			}
+		}
+		if ( validationError ) {
+			result = ve.dm.Change.static.rebaseUncommittedChange( base, change.truncate( validLength ) );
+			rejections = change.getLength() - validLength;
+		}
+	}
+
+	state.rejections.set( author, rejections );
 	state.continueBases.set( author, result.transposedHistory );
 
 	if ( result.rebased.getLength() ) {
 		state.history.push( result.rebased );
 	}
+	this.storeChange( doc, author, backtrack, change );
+	if ( validationError && !this.loading ) {
+		this.emit( 'invalidChange', doc, author, validationError );
+	}
 	return result.rebased;
 };
+
+/**
+ * Store a change submitted to a document, unless it is being replayed from storage
+ *
+ * The whole effect of the submission is stored in one record, which #loadDoc replays.
+ *
+ * @private
+ * @param {string} doc Document name
+ * @param {number} author Author ID
+ * @param {number} backtrack How many transactions are backtracked from the previous submission
+ * @param {ve.dm.Change} change Change as submitted
+ */
+ve.dm.RebaseServer.prototype.storeChange = function ( doc, author, backtrack, change ) {
+	if ( this.storage && !this.loading ) {
+		this.storage.storeChange( doc, author, backtrack, change );
+	}
+};
@@ -0,0 +1,110 @@
+/*!
+ * VisualEditor DataModel rebase storage class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+/* eslint-env es6 */
+
+/**
+ * DataModel rebase storage
+ *
+ * Persists the documents handled by a ve.dm.RebaseServer, so that they survive a server restart.
+ *
+ * Each document is kept as an append-only list of JSONable records: one for each change an
+ * author submitted, one for each change rejected without being applied, and one for each new
+ * author. The server rebuilds the document state by replaying the records (see
+ * ve.dm.RebaseServer#getStateForDoc), so derived state such as continue bases and rejection
+ * counts is never stored, and each record is written in one append. Subclasses only need to
+ * implement reading and appending records, and hashing secrets.
+ *
+ * @class
+ * @abstract
+ *
+ * @constructor
+ */
+ve.dm.RebaseStorage = function VeDmRebaseStorage() {
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.RebaseStorage );
+
+/* Abstract methods */
+
+/**
+ * Read all the records stored for a document
+ *
+ * @abstract
+ * @param {string} name Name of a document
+ * @return {Object[]} Records, in the order they were appended (empty if the document is new)
+ */
+ve.dm.RebaseStorage.prototype.readRecords = null;
+
+/**
+ * Append a record to the stored records of a document
+ *
+ * @abstract
+ * @param {string} name Name of a document
+ * @param {Object} record JSONable record
+ */
+ve.dm.RebaseStorage.prototype.appendRecord = null;
+
+/**
+ * Hash an author's secret, so that the secret itself is never stored
+ *
+ * @abstract
+ * @param {string} secret Secret
+ * @return {string} Hash of the secret
+ */
+ve.dm.RebaseStorage.prototype.hashSecret = null;
+
+/* Methods */
+
+/**
+ * Store a change submitted to a document
+ *
+ * @param {string} name Name of a document
+ * @param {number} author Author ID
+ * @param {number} backtrack How many transactions are backtracked from the previous submission
+ * @param {ve.dm.Change} change Change as submitted, with store values kept verbatim
+ */
+ve.dm.RebaseStorage.prototype.storeChange = function ( name, author, backtrack, change ) {
+	this.appendRecord( name, {
+		type: 'change',
+		author: author,
+		backtrack: backtrack,
+		change: change.serialize( true )
+	} );
+};
+
+/**
+ * Store the rejection of a change that was not applied to a document
+ *
+ * @param {string} name Name of a document
+ * @param {number} author Author ID
+ * @param {number} backtrack How many transactions are backtracked from the previous submission
+ * @param {number} length Number of transactions rejected
+ */
+ve.dm.RebaseStorage.prototype.storeRejection = function ( name, author, backtrack, length ) {
+	this.appendRecord( name, {
+		type: 'rejection',
+		author: author,
+		backtrack: backtrack,
+		length: length
+	} );
+};
+
+/**
+ * Store the secret of a new author of a document
+ *
+ * @param {string} name Name of a document
+ * @param {number} author Author ID
+ * @param {string} secretHash Hash of the secret for resuming as the author; see #hashSecret
+ */
+ve.dm.RebaseStorage.prototype.storeAuthorSecret = function ( name, author, secretHash ) {
+	this.appendRecord( name, {
+		type: 'secret',
+		author: author,
+		secretHash: secretHash
+	} );
+};
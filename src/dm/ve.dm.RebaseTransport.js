@@ -0,0 +1,83 @@
+/*!
+ * VisualEditor DataModel rebase transport class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * DataModel rebase transport
+ *
+ * Carries messages between a rebase client (such as ve.dm.SurfaceSynchronizer) and the
+ * rebase server. Messages have a type and JSONable data.
+ *
+ * Changes in the connection are delivered like messages from the server, with the types
+ * 'connect', 'disconnect' and 'reconnecting' and no data.
+ *
+ * @class
+ * @abstract
+ *
+ * @constructor
+ */
+ve.dm.RebaseTransport = function VeDmRebaseTransport() {
+	// Handlers for each message type
+	this.handlers = {};
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.RebaseTransport );
+
+/* Abstract methods */
+
+/**
+ * Connect to the server
+ *
+ * Message handlers should be added before connecting, so that no messages are missed.
+ *
+ * @abstract
+ */
+ve.dm.RebaseTransport.prototype.connect = null;
+
+/**
+ * Send a message to the server
+ *
+ * @abstract
+ * @param {string} type Message type
+ * @param {Object} data Message data
+ */
+ve.dm.RebaseTransport.prototype.send = null;
+
+/**
+ * Close the connection to the server, without reconnecting
+ *
+ * @abstract
+ */
+ve.dm.RebaseTransport.prototype.close = null;
+
+/* Methods */
+
+/**
+ * Add a handler for messages of a type
+ *
+ * @param {string} type Message type
+ * @param {Function} handler Handler, called with the message data
+ */
+ve.dm.RebaseTransport.prototype.onMessage = function ( type, handler ) {
+	if ( !this.handlers[ type ] ) {
+		this.handlers[ type ] = [];
+	}
+	this.handlers[ type ].push( handler );
+};
+
+/**
+ * Deliver a message from the server to its handlers
+ *
+ * @protected
+ * @param {string} type Message type
+ * @param {Object} [data] Message data
+ */
+ve.dm.RebaseTransport.prototype.receive = function ( type, data ) {
+	( this.handlers[ type ] || [] ).forEach( function ( handler ) {
+		handler( data );
+	} );
+};
@@ -0,0 +1,85 @@
+/*!
+ * VisualEditor DataModel socket.io transport class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+/* global io */
+
+/**
+ * DataModel rebase transport using socket.io
+ *
+ * Each message is sent as a socket.io event named after the message type, as expected by
+ * the rebaser server. socket.io reconnects by itself after losing the connection.
+ *
+ * @class
+ * @extends ve.dm.RebaseTransport
+ *
+ * @constructor
+ * @param {string} url URL of the socket.io namespace
+ * @param {Object} [query] Query parameters to send when connecting
+ */
+ve.dm.SocketIoTransport = function VeDmSocketIoTransport( url, query ) {
+	// Parent constructor
+	ve.dm.SocketIoTransport.super.call( this );
+
+	this.url = url;
+	this.query = query || {};
+	this.socket = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.dm.SocketIoTransport, ve.dm.RebaseTransport );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.dm.SocketIoTransport.prototype.connect = function () {
+	var type;
+	if ( this.socket ) {
+		return;
+	}
+	this.socket = io( this.url, { query: this.query } );
+	for ( type in this.handlers ) {
+		this.listen( type );
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.SocketIoTransport.prototype.onMessage = function ( type, handler ) {
+	if ( this.socket && !this.handlers[ type ] ) {
+		this.listen( type );
+	}
+	// Parent method
+	ve.dm.SocketIoTransport.super.prototype.onMessage.call( this, type, handler );
+};
+
+/**
+ * Deliver socket.io events of a message type to the handlers
+ *
+ * @private
+ * @param {string} type Message type
+ */
+ve.dm.SocketIoTransport.prototype.listen = function ( type ) {
+	this.socket.on( type, this.receive.bind( this, type ) );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.SocketIoTransport.prototype.send = function ( type, data ) {
+	this.socket.emit( type, data );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.SocketIoTransport.prototype.close = function () {
+	if ( this.socket ) {
+		this.socket.close();
+	}
+};
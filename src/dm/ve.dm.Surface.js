@@ -513,6 +513,35 @@ ve.dm.Surface.prototype.truncateUndoStack = function () {
 	}
 };
 
+/**
+ * Replace transactions referenced by the undo stack
+ *
+ * Used when transactions in the document history have been replaced by equivalent ones,
+ * e.g. by rebasing them over other authors' changes.
+ *
+ * @param {ve.dm.Transaction[]} transactions Transactions to replace
+ * @param {ve.dm.Transaction[]} replacements Replacement for each transaction
+ */
+ve.dm.Surface.prototype.replaceTransactions = function ( transactions, replacements ) {
+	function replace( list ) {
+		var i, len, index;
+		for ( i = 0, len = list.length; i < len; i++ ) {
+			index = transactions.indexOf( list[ i ] );
+			if ( index !== -1 ) {
+				list[ i ] = replacements[ index ];
+			}
+		}
+	}
+
+	replace( this.newTransactions );
+	this.undoStack.forEach( function ( item ) {
+		replace( item.transactions );
+		if ( item.reverts ) {
+			replace( item.reverts );
+		}
+	} );
+};
+
 /**
  * Start queueing up calls to #emitContextChange until #stopQueueingContextChanges is called.
  * While queueing is active, contextChanges are also collapsed, so if #emitContextChange is called
@@ -801,12 +830,14 @@ ve.dm.Surface.prototype.change = function ( transactions, selection ) {
 };
 
 /**
- * Internal implementation of change(). Do not use this, use change() instead.
+ * Internal implementation of change(). Do not use this, use change() instead, unless
+ * the transactions must not be added to the undo stack.
  *
  * @private
  * @param {ve.dm.Transaction|ve.dm.Transaction[]|null} transactions
  * @param {ve.dm.Selection} [selection] [selection]
- * @param {boolean} [skipUndoStack=false] If true, do not modify the undo stack. Used by undo/redo
+ * @param {boolean} [skipUndoStack=false] If true, do not modify the undo stack. Used by undo/redo,
+ *  and for applying changes made by other authors
  * @fires select
  * @fires history
  * @fires contextChange
@@ -905,11 +936,89 @@ ve.dm.Surface.prototype.breakpoint = function () {
 	return false;
 };
 
+/**
+ * Check whether other authors have changed the document since a transaction
+ *
+ * @private
+ * @param {ve.dm.Transaction} transaction Transaction in the document history
+ * @return {boolean} Transactions by other authors have been applied since
+ */
+ve.dm.Surface.prototype.hasOtherAuthorsTransactionsSince = function ( transaction ) {
+	var i, len,
+		history = this.getDocument().completeHistory;
+
+	for ( i = history.lastIndexOf( transaction ) + 1, len = history.length; i < len; i++ ) {
+		if ( history[ i ].author !== this.author ) {
+			return true;
+		}
+	}
+	return false;
+};
+
+/**
+ * Get transactions that revert transactions in the document history
+ *
+ * If other authors have changed the document since, the reversal of each transaction is
+ * rebased over all the transactions after it, so that their changes are kept. A transaction
+ * whose reversal conflicts with a later transaction is left in place, as is a transaction
+ * that is no longer in the history (e.g. because a collaboration server rejected it).
+ *
+ * @private
+ * @param {ve.dm.Transaction[]} transactions Transactions in the document history, oldest first
+ * @return {ve.dm.Transaction[]} Transactions reverting them, in the order to apply them
+ */
+ve.dm.Surface.prototype.getRevertTransactions = function ( transactions ) {
+	var i, index, reversal, later, rebased,
+		doc = this.getDocument(),
+		reverts = [];
+
+	function emptyStores( txs ) {
+		return txs.map( function () {
+			return new ve.dm.IndexValueStore();
+		} );
+	}
+
+	for ( i = transactions.length - 1; i >= 0; i-- ) {
+		index = doc.completeHistory.lastIndexOf( transactions[ i ] );
+		if ( index === -1 ) {
+			continue;
+		}
+		reversal = transactions[ i ].reversed();
+		if ( this.hasOtherAuthorsTransactionsSince( transactions[ i ] ) ) {
+			later = doc.getChangeSince( index + 1 ).concat( new ve.dm.Change(
+				doc.completeHistory.length,
+				reverts,
+				emptyStores( reverts ),
+				{}
+			) );
+			rebased = new ve.dm.Change(
+				index + 1,
+				[ reversal ],
+				emptyStores( [ reversal ] ),
+				{}
+			).rebasedOnto( later );
+			if ( !rebased ) {
+				continue;
+			}
+			reversal = rebased.transactions[ 0 ];
+		}
+		reverts.push( reversal );
+	}
+	return reverts;
+};
+
 /**
  * Step backwards in history.
+ *
+ * Only the local author's transactions are in the undo stack. When other authors have changed
+ * the document since, undoing keeps their changes; see #getRevertTransactions. A step none of
+ * whose transactions can be reverted any more is dropped from the undo stack, and the step
+ * before it is undone instead.
+ *
+ * @fires history
  */
 ve.dm.Surface.prototype.undo = function () {
-	var i, item, transaction, transactions = [];
+	var index, item, selection, reverts;
 	if ( !this.canUndo() ) {
 		return;
 	}
@@ -919,36 +1028,59 @@ ve.dm.Surface.prototype.undo = function () {
 	}
 
 	this.breakpoint();
-	this.undoIndex++;
-
-	item = this.undoStack[ this.undoStack.length - this.undoIndex ];
-	if ( item ) {
-		// Apply reversed transactions in reversed order
-		for ( i = item.transactions.length - 1; i >= 0; i-- ) {
-			transaction = item.transactions[ i ].reversed();
-			transactions.push( transaction );
+
+	while ( this.undoStack.length - this.undoIndex > 0 ) {
+		index = this.undoStack.length - this.undoIndex - 1;
+		item = this.undoStack[ index ];
+		reverts = this.getRevertTransactions( item.transactions );
+		if ( reverts.length ) {
+			// The selection from before the transactions is only valid if nobody else has
+			// changed the document since
+			selection = this.hasOtherAuthorsTransactionsSince( item.transactions[ 0 ] ) ?
+				undefined : item.selectionBefore;
+			this.undoIndex++;
+			item.reverts = reverts;
+			this.changeInternal( item.reverts, selection, true );
+			return;
 		}
-		this.changeInternal( transactions, item.selectionBefore, true );
+		this.undoStack.splice( index, 1 );
 	}
+	this.emit( 'history' );
 };
 
 /**
  * Step forwards in history.
+ *
+ * Like #undo, this keeps any changes other authors have made since, and drops a step none of
+ * whose undone transactions can be reapplied any more, redoing the step after it instead.
+ *
+ * @fires history
  */
 ve.dm.Surface.prototype.redo = function () {
-	var item;
+	var index, item, selection, transactions;
 	if ( !this.canRedo() ) {
 		return;
 	}
 
 	this.breakpoint();
 
-	item = this.undoStack[ this.undoStack.length - this.undoIndex ];
-	if ( item ) {
+	while ( this.undoIndex > 0 ) {
+		index = this.undoStack.length - this.undoIndex;
+		item = this.undoStack[ index ];
+		// Redoing reverts the undo; the redone transactions are what undo reverts next time
+		transactions = this.getRevertTransactions( item.reverts );
+		if ( transactions.length ) {
+			selection = this.hasOtherAuthorsTransactionsSince( item.reverts[ 0 ] ) ?
+				undefined : item.selection;
+			this.undoIndex--;
+			item.transactions = transactions;
+			this.changeInternal( item.transactions, selection, true );
+			return;
+		}
+		this.undoStack.splice( index, 1 );
 		this.undoIndex--;
-		// ve.copy( item.transactions ) invokes .clone() on each transaction in item.transactions
-		this.changeInternal( ve.copy( item.transactions ), item.selection, true );
 	}
+	this.emit( 'history' );
 };
 
 /**
@@ -3,7 +3,6 @@
  *
  * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
  */
-/* global io */
 
 /**
  * DataModel surface synchronizer.
@@ -16,7 +15,13 @@
  * @param {ve.dm.Surface} surface Surface model to synchronize
  * @param {string} documentId Document ID
  * @param {Object} [config] Configuration options
+ * @cfg {ve.dm.RebaseTransport} [transport] Transport to the server; defaults to a
+ *  ve.dm.SocketIoTransport using the server and token options
  * @cfg {string} [server] IO server
+ * @cfg {string} [token] Access token for the document, if the server requires one
+ * @cfg {Object} [authorProfile] Profile of the local author, shown to the other authors
+ * @cfg {string} [authorProfile.name] Display name
+ * @cfg {string} [authorProfile.color] Colour, as #rrggbb
  */
 ve.dm.SurfaceSynchronizer = function VeDmSurfaceSynchronizer( surface, documentId, config ) {
 	config = config || {};
@@ -32,13 +37,40 @@ ve.dm.SurfaceSynchronizer = function VeDmSurfaceSynchronizer( surface, documentI
 	this.authorSelections = {};
 	this.documentId = documentId;
 
+	// Profiles of the authors currently in the document (including the local author), by author ID
+	this.authorProfiles = {};
+	this.localAuthorProfile = {
+		name: ( config.authorProfile && config.authorProfile.name ) || '',
+		color: ( config.authorProfile && config.authorProfile.color ) || ''
+	};
+
 	// Whether we are currently synchronizing the model
 	this.applying = false;
 
-	// HACK
-	this.socket = io( ( config.server || '' ) + '/' + this.documentId, { query: { docName: this.documentId } } );
-	this.socket.on( 'registered', this.onRegistered.bind( this ) );
-	this.socket.on( 'newChange', this.onNewChange.bind( this ) );
+	// One of 'connected', 'disconnected' or 'reconnecting'
+	this.connectionState = 'disconnected';
+
+	// Role granted by the server on registration: 'read', 'comment' or 'edit'
+	this.role = null;
+
+	// Secret issued by the server on registration, for resuming as the same author
+	this.authorSecret = null;
+
+	this.transport = config.transport || new ve.dm.SocketIoTransport(
+		( config.server || '' ) + '/' + this.documentId,
+		config.token ?
+			{ docName: this.documentId, token: config.token } :
+			{ docName: this.documentId }
+	);
+	this.transport.onMessage( 'connect', this.onConnect.bind( this ) );
+	this.transport.onMessage( 'disconnect', this.onDisconnect.bind( this ) );
+	this.transport.onMessage( 'reconnecting', this.onReconnecting.bind( this ) );
+	this.transport.onMessage( 'registered', this.onRegistered.bind( this ) );
+	this.transport.onMessage( 'newChange', this.onNewChange.bind( this ) );
+	this.transport.onMessage( 'changeRejected', this.onChangeRejected.bind( this ) );
+	this.transport.onMessage( 'authors', this.onAuthors.bind( this ) );
+	this.transport.onMessage( 'authorJoin', this.onAuthorJoin.bind( this ) );
+	this.transport.onMessage( 'authorLeave', this.onAuthorLeave.bind( this ) );
 
 	// Events
 	this.doc.connect( this, {
@@ -50,6 +82,9 @@ ve.dm.SurfaceSynchronizer = function VeDmSurfaceSynchronizer( surface, documentI
 	} );
 
 	this.submitChangeThrottled = ve.debounce( ve.throttle( this.submitChange.bind( this ), 250 ), 0 );
+
+	// Initialization
+	this.transport.connect();
 };
 
 /* Inheritance */
@@ -64,8 +99,134 @@ OO.mixinClass( ve.dm.SurfaceSynchronizer, ve.dm.RebaseClient );
  * @param {string} author The author whose selection has changed
  */
 
+/**
+ * An author has joined the document
+ *
+ * Also fired for each author already in the document when registering with the server.
+ *
+ * @event authorJoin
+ * @param {number} author The author ID
+ */
+
+/**
+ * An author has left the document
+ *
+ * @event authorLeave
+ * @param {number} author The author ID
+ */
+
+/**
+ * The server refused a change, because the local author's role does not allow it or because
+ * it would corrupt the document
+ *
+ * The change, and any local changes made after it, have been undone.
+ *
+ * @event changeRejected
+ * @param {string} reason 'permission' or 'invalid'
+ */
+
+/**
+ * The client has registered (or re-registered) with the server, and changes can be submitted
+ *
+ * @event connected
+ */
+
+/**
+ * The connection to the server has been lost
+ *
+ * Local changes are kept, and submitted once the connection is back.
+ *
+ * @event disconnected
+ */
+
+/**
+ * An attempt is being made to reconnect to the server
+ *
+ * @event reconnecting
+ */
+
 /* Methods */
 
+/**
+ * Get the state of the connection to the server
+ *
+ * @return {string} Connection state: 'connected', 'disconnected' or 'reconnecting'
+ */
+ve.dm.SurfaceSynchronizer.prototype.getConnectionState = function () {
+	return this.connectionState;
+};
+
+/**
+ * Set the state of the connection to the server
+ *
+ * @private
+ * @param {string} connectionState Connection state: 'connected', 'disconnected' or 'reconnecting'
+ * @fires connected
+ * @fires disconnected
+ * @fires reconnecting
+ */
+ve.dm.SurfaceSynchronizer.prototype.setConnectionState = function ( connectionState ) {
+	if ( this.connectionState !== connectionState ) {
+		this.connectionState = connectionState;
+		this.emit( connectionState );
+	}
+};
+
+/**
+ * Get the role granted to the local author by the server
+ *
+ * @return {string|null} 'read', 'comment' or 'edit'; null until registered
+ */
+ve.dm.SurfaceSynchronizer.prototype.getRole = function () {
+	return this.role;
+};
+
+/**
+ * Get the IDs of the authors currently in the document
+ *
+ * @return {number[]} Author IDs, including the local author once registered
+ */
+ve.dm.SurfaceSynchronizer.prototype.getAuthors = function () {
+	return Object.keys( this.authorProfiles ).map( function ( author ) {
+		return parseInt( author );
+	} );
+};
+
+/**
+ * Get the profile of an author
+ *
+ * Authors that did not choose a name are named by their ID, and authors that did not
+ * choose a colour get one derived from their ID.
+ *
+ * @param {number} author The author ID
+ * @return {Object} Profile
+ * @return {string} return.name Display name
+ * @return {string} return.color Colour, as a CSS colour
+ */
+ve.dm.SurfaceSynchronizer.prototype.getAuthorProfile = function ( author ) {
+	var profile = this.authorProfiles[ author ] || {};
+	return {
+		name: profile.name || String( author ),
+		color: profile.color || '#' +
+			( 8 * ( 1 - Math.sin( 5 * author ) ) ).toString( 16 ).slice( 0, 1 ) +
+			( 6 * ( 1 - Math.cos( 3 * author ) ) ).toString( 16 ).slice( 0, 1 ) +
+			'0'
+	};
+};
+
+/**
+ * Submit unsent changes, if connected to the server
+ *
+ * While disconnected, local changes just accumulate in the document history, and are
+ * submitted once the client has re-registered.
+ */
+ve.dm.SurfaceSynchronizer.prototype.submitChange = function () {
+	if ( this.connectionState !== 'connected' ) {
+		return;
+	}
+	ve.dm.RebaseClient.prototype.submitChange.call( this );
+};
+
 /**
  * @inheritdoc
  */
@@ -85,7 +246,7 @@ ve.dm.SurfaceSynchronizer.prototype.getChangeSince = function ( start, toSubmit
  * @inheritdoc
  */
 ve.dm.SurfaceSynchronizer.prototype.sendChange = function ( backtrack, change ) {
-	this.socket.emit( 'submitChange', {
+	this.transport.send( 'submitChange', {
 		backtrack: this.backtrack,
 		change: change.serialize()
 	} );
@@ -126,6 +287,13 @@ ve.dm.SurfaceSynchronizer.prototype.removeFromHistory = function ( change ) {
 	change.removeFromHistory( this.doc );
 };
 
+/**
+ * @inheritdoc
+ */
+ve.dm.SurfaceSynchronizer.prototype.replaceTransactions = function ( transactions, rebasedTransactions ) {
+	this.surface.replaceTransactions( transactions, rebasedTransactions );
+};
+
 /**
  * Respond to transactions happening on the document. Ignores transactions applied by
  * SurfaceSynchronizer itself.
@@ -137,10 +305,11 @@ ve.dm.SurfaceSynchronizer.prototype.onDocumentTransact = function ( tx ) {
 		// Ignore our own synchronization transactions
 		return;
 	}
-	// HACK annotate transaction with authorship information
+	// HACK annotate transaction with authorship and time information
 	// This relies on being able to access the transaction object by reference;
 	// we should probably set the author deeper in dm.Surface or dm.Document instead.
 	tx.author = this.author;
+	tx.timestamp = Date.now();
 	// TODO deal with staged transactions somehow
 	this.applyNewSelections( this.authorSelections, tx );
 	this.submitChangeThrottled();
@@ -169,6 +338,11 @@ ve.dm.SurfaceSynchronizer.prototype.applyNewSelections = function ( newSelection
 		if ( author === this.author ) {
 			continue;
 		}
+		if ( !Object.prototype.hasOwnProperty.call( this.authorProfiles, author ) ) {
+			// The author has left, so there is no cursor to show
+			delete this.authorSelections[ author ];
+			continue;
+		}
 		if ( change ) {
 			translatedSelection = newSelections[ author ].translateByChange( change, author );
 		} else if ( tx ) {
@@ -183,16 +357,202 @@ ve.dm.SurfaceSynchronizer.prototype.applyNewSelections = function ( newSelection
 	}
 };
 
+/**
+ * Load a snapshot of the document taken by the server
+ *
+ * The document content is replaced with the snapshot content, and the history is padded with
+ * placeholder transactions to the snapshot start, so that later changes line up with the
+ * server's history.
+ *
+ * @param {Object} snapshot Snapshot
+ * @param {number} snapshot.start History length at which the snapshot was taken
+ * @param {Array} snapshot.data Linear model data
+ * @param {Array} snapshot.metadata Linear model metadata
+ * @param {Object} snapshot.store Serialized store
+ * @throws {Error} If the document already has history
+ */
+ve.dm.SurfaceSynchronizer.prototype.loadSnapshot = function ( snapshot ) {
+	var placeholder,
+		doc = this.doc,
+		range = new ve.Range( 0, doc.data.getLength() );
+
+	if ( doc.completeHistory.length ) {
+		throw new Error( 'Cannot load a snapshot into a document with history' );
+	}
+	// The placeholders are never applied or rebased: they only stand in for transactions
+	// that are already reflected in the snapshot
+	placeholder = new ve.dm.Transaction( [ { type: 'retain', length: range.getLength() } ] );
+	while ( doc.completeHistory.length < snapshot.start - 1 ) {
+		doc.completeHistory.push( placeholder );
+		doc.storeLengthAtHistoryLength[ doc.completeHistory.length ] = doc.store.getLength();
+	}
+	doc.store.merge( ve.dm.Change.static.deserializeStore( snapshot.store ) );
+	this.applying = true;
+	try {
+		// Not added to the undo stack, like other changes applied by the synchronizer
+		this.surface.changeInternal( new ve.dm.Transaction( [ {
+			type: 'replace',
+			remove: doc.getData( range ),
+			insert: snapshot.data,
+			removeMetadata: doc.getMetadata( range ),
+			// JSON turns the undefined items of sparse metadata into nulls
+			insertMetadata: snapshot.metadata.map( function ( items ) {
+				return items || undefined;
+			} )
+		} ] ), undefined, true );
+	} finally {
+		this.applying = false;
+	}
+	this.commitLength = snapshot.start;
+	this.sentLength = snapshot.start;
+};
+
+/**
+ * Respond to the transport connecting (or reconnecting) to the server
+ *
+ * A new client asks for an author ID; a client that has been disconnected asks to resume
+ * as the same author, with the secret the server issued for it, from the point up to which
+ * it knows the server's history.
+ */
+ve.dm.SurfaceSynchronizer.prototype.onConnect = function () {
+	if ( this.author === null ) {
+		this.transport.send( 'register', {
+			profile: this.localAuthorProfile
+		} );
+	} else {
+		this.transport.send( 'register', {
+			profile: this.localAuthorProfile,
+			author: this.author,
+			secret: this.authorSecret,
+			commitLength: this.commitLength
+		} );
+	}
+};
+
+/**
+ * Respond to the transport disconnecting from the server
+ */
+ve.dm.SurfaceSynchronizer.prototype.onDisconnect = function () {
+	this.setConnectionState( 'disconnected' );
+	// Presence is unknown until the server sends it again on re-registration
+	this.onAuthors( {} );
+};
+
+/**
+ * Respond to the transport attempting to reconnect to the server
+ */
+ve.dm.SurfaceSynchronizer.prototype.onReconnecting = function () {
+	this.setConnectionState( 'reconnecting' );
+};
+
 /**
  * Respond to a "registered" event from the server
  *
- * @param {number} author The author ID allocated by the server
+ * On first registration, the author ID is set and the document is initialized from the
+ * snapshot, if any. On re-registration after a disconnection, the server has already sent
+ * the changes we missed, so all that is left is to resubmit local changes the server has not
+ * committed: any sent before the disconnection may never have arrived.
+ *
+ * @param {Object} data Registration data
+ * @param {number} data.author The author ID allocated by the server
+ * @param {string} [data.secret] On first registration, the secret for resuming as the author
+ * @param {Object|null} [data.snapshot] Snapshot to initialize the document from, if any; see #loadSnapshot
+ * @param {number} [data.rejections] On re-registration, the server's count of our unacknowledged rejections
+ * @param {string} data.role The role granted by the server: 'read', 'comment' or 'edit'
+ * @fires connected
+ */
+ve.dm.SurfaceSynchronizer.prototype.onRegistered = function ( data ) {
+	if ( this.author === null ) {
+		this.setAuthor( data.author );
+		this.authorSecret = data.secret;
+		this.surface.setAuthor( this.author );
+		if ( data.snapshot ) {
+			this.loadSnapshot( data.snapshot );
+		}
+	} else if ( data.author !== this.author ) {
+		// The server could not resume our session (e.g. it restarted without storage), so
+		// our history no longer lines up with its history
+		this.transport.close();
+		this.setConnectionState( 'disconnected' );
+		return;
+	} else {
+		this.sentLength = this.commitLength;
+		this.backtrack = data.rejections;
+	}
+	this.role = data.role;
+	this.setConnectionState( 'connected' );
+	this.submitChangeThrottled();
+};
+
+/**
+ * Respond to a changeRejected event from the server, signalling that our earliest
+ * uncommitted change was refused
+ *
+ * @param {Object} data Rejection data
+ * @param {string} data.reason 'permission' if our role does not allow the change, or 'invalid'
+ *  if the change would corrupt the document
+ * @fires changeRejected
+ */
+ve.dm.SurfaceSynchronizer.prototype.onChangeRejected = function ( data ) {
+	this.applying = true;
+	try {
+		this.acceptRejection();
+	} finally {
+		this.applying = false;
+	}
+	this.emit( 'changeRejected', data.reason );
+};
+
+/**
+ * Respond to an "authors" event from the server, listing the authors in the document
+ *
+ * Sent on registration, before any authorJoin or authorLeave events.
+ *
+ * @param {Object} profiles Profile of each author in the document, keyed by author ID
+ * @fires authorJoin
+ * @fires authorLeave
  */
-ve.dm.SurfaceSynchronizer.prototype.onRegistered = function ( author ) {
-	this.setAuthor( author );
-	this.surface.setAuthor( this.author );
-	// HACK
-	$( '.ve-demo-editor' ).prepend( $( '<span style="position: absolute; top: 1.5em;">' ).text( this.author ) );
+ve.dm.SurfaceSynchronizer.prototype.onAuthors = function ( profiles ) {
+	var author;
+	for ( author in this.authorProfiles ) {
+		if ( !Object.prototype.hasOwnProperty.call( profiles, author ) ) {
+			this.onAuthorLeave( { author: parseInt( author ) } );
+		}
+	}
+	for ( author in profiles ) {
+		this.onAuthorJoin( { author: parseInt( author ), profile: profiles[ author ] } );
+	}
+};
+
+/**
+ * Respond to an authorJoin event from the server
+ *
+ * @param {Object} data Join data
+ * @param {number} data.author The author ID
+ * @param {Object} data.profile The author's profile
+ * @fires authorJoin
+ */
+ve.dm.SurfaceSynchronizer.prototype.onAuthorJoin = function ( data ) {
+	this.authorProfiles[ data.author ] = data.profile;
+	this.emit( 'authorJoin', data.author );
+};
+
+/**
+ * Respond to an authorLeave event from the server
+ *
+ * The author's selection is forgotten too.
+ *
+ * @param {Object} data Leave data
+ * @param {number} data.author The author ID
+ * @fires authorLeave
+ */
+ve.dm.SurfaceSynchronizer.prototype.onAuthorLeave = function ( data ) {
+	if ( !Object.prototype.hasOwnProperty.call( this.authorProfiles, data.author ) ) {
+		return;
+	}
+	delete this.authorProfiles[ data.author ];
+	delete this.authorSelections[ data.author ];
+	this.emit( 'authorLeave', data.author );
 };
 
 /**
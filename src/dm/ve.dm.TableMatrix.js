@@ -278,6 +278,43 @@ ve.dm.TableMatrix.prototype.findClosestCell = function ( cell ) {
 	return null;
 };
 
+/**
+ * Get the plain text of the cells in a rectangle of the matrix
+ *
+ * Placeholders and missing cells of sparse rows are empty, so every row has the same
+ * number of columns. Paragraphs and line breaks within a cell are separated by a new line.
+ *
+ * @param {number} [startRow=0] First row
+ * @param {number} [startCol=0] First column
+ * @param {number} [endRow] Last row, the last row of the table if not specified
+ * @param {number} [endCol] Last column, the last column of the table if not specified
+ * @return {Array[]} Text of each cell, as an array of strings for each row
+ */
+ve.dm.TableMatrix.prototype.getCellTexts = function ( startRow, startCol, endRow, endCol ) {
+	var row, col, cell, rowTexts,
+		data = this.tableNode.getDocument().data,
+		texts = [];
+
+	startRow = startRow || 0;
+	startCol = startCol || 0;
+	endRow = endRow === undefined ? this.getRowCount() - 1 : endRow;
+	endCol = endCol === undefined ? this.getMaxColCount() - 1 : endCol;
+
+	for ( row = startRow; row <= endRow; row++ ) {
+		rowTexts = [];
+		for ( col = startCol; col <= endCol; col++ ) {
+			cell = this.getCell( row, col );
+			rowTexts.push( cell && !cell.isPlaceholder() ?
+				// Elements are replaced with new lines, so collapse those between paragraphs
+				data.getText( true, cell.node.getRange() ).replace( /^\n+|\n+$/g, '' ).replace( /\n+/g, '\n' ) :
+				''
+			);
+		}
+		texts.push( rowTexts );
+	}
+	return texts;
+};
+
 /**
  * An object wrapping a table cell node, augmenting it with row and column indexes.
  *
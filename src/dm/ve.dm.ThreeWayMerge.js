@@ -0,0 +1,573 @@
+/*!
+ * VisualEditor DataModel ThreeWayMerge class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Three-way merge of two edited copies of a document
+ *
+ * The changes made in each copy are found by aligning its nodes with those of the base
+ * document, comparing them as ve.dm.VisualDiff does: identical nodes are paired in order,
+ * changed containers (such as lists) are aligned recursively, and changed content branch nodes
+ * are narrowed down to the content that changed. Each change is a replacement of a range of
+ * the base document.
+ *
+ * Changes that ve.dm.Change.static.rebaseTransactions can rebase over all of the other side's
+ * changes are merged automatically, and changes made identically on both sides are merged once.
+ * The others are grouped into conflicts, which keep their base content in the merged document
+ * until they are resolved with #resolve.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.dm.Document} baseDoc Base document
+ * @param {ve.dm.Document} myDoc My edited copy of the base document
+ * @param {ve.dm.Document} theirDoc Their edited copy of the base document
+ */
+ve.dm.ThreeWayMerge = function VeDmThreeWayMerge( baseDoc, myDoc, theirDoc ) {
+	this.baseDoc = baseDoc;
+	this.myDoc = myDoc;
+	this.theirDoc = theirDoc;
+
+	this.myRegions = this.getRegions( new ve.dm.VisualDiff( baseDoc, myDoc ) );
+	this.theirRegions = this.getRegions( new ve.dm.VisualDiff( baseDoc, theirDoc ) );
+
+	this.doc = null;
+	this.conflicts = [];
+	this.merge();
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.ThreeWayMerge );
+
+/* Methods */
+
+/**
+ * Get the merged document
+ *
+ * Conflicting content is left as it was in the base document; see #getConflicts.
+ *
+ * @return {ve.dm.Document} Merged document
+ */
+ve.dm.ThreeWayMerge.prototype.getDocument = function () {
+	return this.doc;
+};
+
+/**
+ * Get the conflicts between the two copies, in document order
+ *
+ * @return {Object[]} Conflicts
+ * @return {ve.Range} return.range Range of the conflict in the merged document
+ * @return {Array} return.base Linear data of the conflicting content in the base document
+ * @return {Array} return.mine Linear data of the conflicting content in my copy
+ * @return {Array} return.theirs Linear data of the conflicting content in their copy
+ * @return {Object[]} return.context Opening elements of the nodes around the conflict,
+ *  outermost first, not including the document node
+ */
+ve.dm.ThreeWayMerge.prototype.getConflicts = function () {
+	return this.conflicts;
+};
+
+/**
+ * Get the changes made in an edited copy of the base document
+ *
+ * @private
+ * @param {ve.dm.VisualDiff} visualDiff Diff from the base document to the copy
+ * @return {Object[]} Changes, in document order
+ * @return {ve.Range} return.range Range of the base document that was replaced
+ * @return {Array} return.data Linear data it was replaced with
+ */
+ve.dm.ThreeWayMerge.prototype.getRegions = function ( visualDiff ) {
+	var regions = [];
+	this.alignChildren( visualDiff, visualDiff.oldDocNode, visualDiff.newDocNode, regions );
+	return regions;
+};
+
+/**
+ * Align the children of a base node and an edited node, and record the changes between them
+ *
+ * Identical children are paired by finding the longest common subsequence; the unpaired
+ * children in between are changes.
+ *
+ * @private
+ * @param {ve.dm.VisualDiff} visualDiff Diff from the base document to the copy
+ * @param {ve.dm.BranchNode} oldNode Node from the base document
+ * @param {ve.dm.BranchNode} newNode Node from the copy
+ * @param {Object[]} regions Changes found so far; see #getRegions
+ */
+ve.dm.ThreeWayMerge.prototype.alignChildren = function ( visualDiff, oldNode, newNode, regions ) {
+	var i, j, start, oldEnd, newEnd, oldStart, newStart, previous,
+		oldChildren = oldNode.children,
+		newChildren = newNode.children,
+		equal = {},
+		lengths = [],
+		matches = [],
+		suffix = [];
+
+	function isEqual( i, j ) {
+		var key = i + ':' + j;
+		if ( !equal.hasOwnProperty( key ) ) {
+			equal[ key ] = visualDiff.compareDocChildren( oldChildren[ i ], newChildren[ j ] );
+		}
+		return equal[ key ];
+	}
+
+	// Pair children at the start and end first, as most edits leave most children alone
+	start = 0;
+	oldEnd = oldChildren.length;
+	newEnd = newChildren.length;
+	while ( start < oldEnd && start < newEnd && isEqual( start, start ) ) {
+		matches.push( [ start, start ] );
+		start++;
+	}
+	while ( oldEnd > start && newEnd > start && isEqual( oldEnd - 1, newEnd - 1 ) ) {
+		oldEnd--;
+		newEnd--;
+		suffix.unshift( [ oldEnd, newEnd ] );
+	}
+
+	// Longest common subsequence of the children in between
+	for ( i = oldEnd; i >= start; i-- ) {
+		lengths[ i ] = [];
+		for ( j = newEnd; j >= start; j-- ) {
+			if ( i === oldEnd || j === newEnd ) {
+				lengths[ i ][ j ] = 0;
+			} else if ( isEqual( i, j ) ) {
+				lengths[ i ][ j ] = lengths[ i + 1 ][ j + 1 ] + 1;
+			} else {
+				lengths[ i ][ j ] = Math.max( lengths[ i + 1 ][ j ], lengths[ i ][ j + 1 ] );
+			}
+		}
+	}
+	i = j = start;
+	while ( i < oldEnd && j < newEnd ) {
+		if ( isEqual( i, j ) ) {
+			matches.push( [ i, j ] );
+			i++;
+			j++;
+		} else if ( lengths[ i + 1 ][ j ] >= lengths[ i ][ j + 1 ] ) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	ve.batchPush( matches, suffix );
+	matches.push( [ oldChildren.length, newChildren.length ] );
+
+	// Record the changes between the pairs. Where as many children were changed as there were
+	// before, assume each was changed into the one in the same place.
+	previous = [ -1, -1 ];
+	for ( i = 0; i < matches.length; i++ ) {
+		oldStart = previous[ 0 ] + 1;
+		newStart = previous[ 1 ] + 1;
+		if ( matches[ i ][ 0 ] - oldStart === matches[ i ][ 1 ] - newStart ) {
+			for ( j = 0; j < matches[ i ][ 0 ] - oldStart; j++ ) {
+				this.addChangedChildren(
+					visualDiff, oldNode, newNode, oldStart + j, oldStart + j + 1, newStart + j, newStart + j + 1, regions
+				);
+			}
+		} else {
+			this.addChangedChildren(
+				visualDiff, oldNode, newNode, oldStart, matches[ i ][ 0 ], newStart, matches[ i ][ 1 ], regions
+			);
+		}
+		previous = matches[ i ];
+	}
+};
+
+/**
+ * Record the change between a run of unpaired base children and a run of unpaired edited children
+ *
+ * If a single child was changed into a node with the same type and attributes, the change is
+ * narrowed down: containers are aligned recursively, and content branch nodes are trimmed to
+ * the content that changed. Otherwise the whole run is replaced.
+ *
+ * @private
+ * @param {ve.dm.VisualDiff} visualDiff Diff from the base document to the copy
+ * @param {ve.dm.BranchNode} oldNode Node from the base document
+ * @param {ve.dm.BranchNode} newNode Node from the copy
+ * @param {number} oldStart Index of the first unpaired child of oldNode
+ * @param {number} oldEnd Index after the last unpaired child of oldNode
+ * @param {number} newStart Index of the first unpaired child of newNode
+ * @param {number} newEnd Index after the last unpaired child of newNode
+ * @param {Object[]} regions Changes found so far; see #getRegions
+ */
+ve.dm.ThreeWayMerge.prototype.addChangedChildren = function (
+	visualDiff, oldNode, newNode, oldStart, oldEnd, newStart, newEnd, regions
+) {
+	var oldChild, newChild, region;
+
+	if ( oldEnd - oldStart === 1 && newEnd - newStart === 1 ) {
+		oldChild = oldNode.children[ oldStart ];
+		newChild = newNode.children[ newStart ];
+		if ( ve.dm.ElementLinearData.static.compareElementsUnannotated( oldChild.element, newChild.element ) ) {
+			if ( visualDiff.isContainerPair( oldChild, newChild ) ) {
+				this.alignChildren( visualDiff, oldChild, newChild, regions );
+				return;
+			}
+			if ( oldChild.canContainContent() ) {
+				region = this.getContentRegion( visualDiff, oldChild, newChild );
+				if ( region ) {
+					regions.push( region );
+					return;
+				}
+			}
+		}
+	}
+
+	regions.push( {
+		range: this.getChildrenRange( oldNode, oldStart, oldEnd ),
+		data: visualDiff.newDoc.getData( this.getChildrenRange( newNode, newStart, newEnd ) )
+	} );
+};
+
+/**
+ * Get the range covered by a run of children
+ *
+ * @private
+ * @param {ve.dm.BranchNode} node Parent node
+ * @param {number} start Index of the first child
+ * @param {number} end Index after the last child; if equal to start, the range is collapsed
+ *  where the children would be
+ * @return {ve.Range} Range
+ */
+ve.dm.ThreeWayMerge.prototype.getChildrenRange = function ( node, start, end ) {
+	if ( start === end ) {
+		return new ve.Range( start > 0 ?
+			node.children[ start - 1 ].getOuterRange().end :
+			node.getRange().start
+		);
+	}
+	return new ve.Range(
+		node.children[ start ].getOuterRange().start,
+		node.children[ end - 1 ].getOuterRange().end
+	);
+};
+
+/**
+ * Get the change between the contents of two content branch nodes
+ *
+ * The common content at the start and end is trimmed off, without splitting inline nodes.
+ *
+ * @private
+ * @param {ve.dm.VisualDiff} visualDiff Diff from the base document to the copy
+ * @param {ve.dm.ContentBranchNode} oldNode Node from the base document
+ * @param {ve.dm.ContentBranchNode} newNode Node from the copy
+ * @return {Object|null} Change (see #getRegions), or null if the contents are the same
+ */
+ve.dm.ThreeWayMerge.prototype.getContentRegion = function ( visualDiff, oldNode, newNode ) {
+	var oldRange = oldNode.getRange(),
+		oldData = visualDiff.oldDoc.getData( oldRange ),
+		newData = visualDiff.newDoc.getData( newNode.getRange() ),
+		oldStore = visualDiff.oldDoc.getStore(),
+		newStore = visualDiff.newDoc.getStore(),
+		start = 0,
+		oldEnd = oldData.length,
+		newEnd = newData.length;
+
+	function isEqual( i, j ) {
+		return ve.dm.ElementLinearData.static.compareElements( oldData[ i ], newData[ j ], oldStore, newStore );
+	}
+
+	while ( start < oldEnd && start < newEnd && isEqual( start, start ) ) {
+		start++;
+	}
+	while ( oldEnd > start && newEnd > start && isEqual( oldEnd - 1, newEnd - 1 ) ) {
+		oldEnd--;
+		newEnd--;
+	}
+	if ( start === oldEnd && start === newEnd ) {
+		return null;
+	}
+	// Keep inline nodes whole
+	if ( start > 0 && ve.dm.LinearData.static.isOpenElementData( oldData[ start - 1 ] ) ) {
+		start--;
+	}
+	if ( oldEnd < oldData.length && ve.dm.LinearData.static.isCloseElementData( oldData[ oldEnd ] ) ) {
+		oldEnd++;
+		newEnd++;
+	}
+
+	return {
+		range: new ve.Range( oldRange.start + start, oldRange.start + oldEnd ),
+		data: newData.slice( start, newEnd )
+	};
+};
+
+/**
+ * Merge the two copies, building the merged document and the list of conflicts
+ *
+ * If their remaining changes cannot all be rebased over mine, the first one that cannot is
+ * made a conflict too, and the merge is retried.
+ *
+ * @private
+ */
+ve.dm.ThreeWayMerge.prototype.merge = function () {
+	var i, j, myTransactions, theirTransactions, mine, theirs, theirUnresolved, result, region,
+		merge = this,
+		myRegions = this.myRegions,
+		// Changes that were made identically on both sides are only merged once
+		theirRegions = this.theirRegions.filter( function ( theirRegion ) {
+			return !myRegions.some( function ( myRegion ) {
+				return myRegion.range.equals( theirRegion.range ) && ve.compare( myRegion.data, theirRegion.data );
+			} );
+		} ),
+		groups = [];
+
+	function getTransaction( region ) {
+		return ve.dm.TransactionBuilder.static.newFromReplacement( merge.baseDoc, region.range, region.data );
+	}
+
+	function overlaps( range, groupRange ) {
+		return range.isCollapsed() ?
+			range.start > groupRange.start && range.start < groupRange.end :
+			range.start < groupRange.end && range.end > groupRange.start;
+	}
+
+	function absorb( group, side, regions ) {
+		var absorbed = false;
+		regions.forEach( function ( region ) {
+			if ( group[ side ].indexOf( region ) === -1 && overlaps( region.range, group.range ) ) {
+				group[ side ].push( region );
+				group.range = group.range.expand( region.range );
+				absorbed = true;
+			}
+		} );
+		return absorbed;
+	}
+
+	function isUnresolved( region ) {
+		return !groups.some( function ( group ) {
+			return group.mine.indexOf( region ) !== -1 || group.theirs.indexOf( region ) !== -1;
+		} );
+	}
+
+	function applyRegions( regions ) {
+		var transactions = [],
+			doc = merge.baseDoc.cloneFromRange();
+
+		doc.getStore().merge( merge.myDoc.getStore() );
+		doc.getStore().merge( merge.theirDoc.getStore() );
+		// Apply the last change first, so the ranges of the others still hold
+		regions.slice().reverse().forEach( function ( region ) {
+			var tx = ve.dm.TransactionBuilder.static.newFromReplacement( doc, region.range, region.data );
+			// Keep the change's transactions uncommitted, as they may be rebased unchanged
+			doc.commit( tx.clone() );
+			transactions.push( tx );
+		} );
+		return {
+			doc: doc,
+			change: new ve.dm.Change( 0, transactions, transactions.map( function () {
+				return new ve.dm.IndexValueStore();
+			} ), {} )
+		};
+	}
+
+	function getSideData( group, regions ) {
+		var data = merge.baseDoc.getData( group.range ).slice();
+		regions.slice().sort( function ( a, b ) {
+			return b.range.start - a.range.start;
+		} ).forEach( function ( region ) {
+			ve.batchSplice( data, region.range.start - group.range.start, region.range.getLength(), region.data );
+		} );
+		return data;
+	}
+
+	function getContext( range ) {
+		var context = [],
+			node = merge.baseDoc.getBranchNodeFromOffset( range.start );
+		while ( node && node.getParent() ) {
+			if ( node.isWrapped() ) {
+				context.unshift( node.getClonedElement() );
+			}
+			node = node.getParent();
+		}
+		return context;
+	}
+
+	function translateRange( range, transactions ) {
+		transactions.forEach( function ( tx ) {
+			range = tx.translateRange( range, true );
+		} );
+		return range;
+	}
+
+	function joinGroups() {
+		var i, j, changed;
+		// Join overlapping groups, and add any other changes inside them
+		do {
+			changed = false;
+			for ( i = 0; i < groups.length; i++ ) {
+				for ( j = groups.length - 1; j > i; j-- ) {
+					if ( overlaps( groups[ j ].range, groups[ i ].range ) ) {
+						groups[ i ].range = groups[ i ].range.expand( groups[ j ].range );
+						groups.splice( j, 1 );
+						changed = true;
+					}
+				}
+				if ( absorb( groups[ i ], 'mine', myRegions ) ) {
+					changed = true;
+				}
+				if ( absorb( groups[ i ], 'theirs', theirRegions ) ) {
+					changed = true;
+				}
+			}
+		} while ( changed );
+		groups.sort( function ( a, b ) {
+			return a.range.start - b.range.start;
+		} );
+	}
+
+	// Start a group for each pair of changes that cannot be rebased over each other
+	myTransactions = myRegions.map( getTransaction );
+	theirTransactions = theirRegions.map( getTransaction );
+	for ( i = 0; i < myRegions.length; i++ ) {
+		for ( j = 0; j < theirRegions.length; j++ ) {
+			if ( ve.dm.Change.static.rebaseTransactions( myTransactions[ i ], theirTransactions[ j ] )[ 0 ] === null ) {
+				groups.push( {
+					range: myRegions[ i ].range.expand( theirRegions[ j ].range ),
+					mine: [ myRegions[ i ] ],
+					theirs: [ theirRegions[ j ] ]
+				} );
+			}
+		}
+	}
+
+	joinGroups();
+
+	// Merge the rest by rebasing their changes over mine
+	do {
+		mine = applyRegions( myRegions.filter( isUnresolved ) );
+		theirUnresolved = theirRegions.filter( isUnresolved );
+		theirs = applyRegions( theirUnresolved );
+		result = ve.dm.Change.static.rebaseUncommittedChange( mine.change, theirs.change );
+		if ( result.rejected ) {
+			// Their changes were applied last first
+			region = theirUnresolved[ theirUnresolved.length - 1 - result.rebased.transactions.length ];
+			groups.push( { range: region.range, mine: [], theirs: [ region ] } );
+			joinGroups();
+		}
+	} while ( result.rejected );
+	result.rebased.transactions.forEach( function ( tx ) {
+		mine.doc.commit( tx );
+	} );
+	this.doc = mine.doc;
+
+	this.conflicts = groups.map( function ( group ) {
+		return {
+			range: translateRange(
+				translateRange( group.range, mine.change.transactions ),
+				result.rebased.transactions
+			),
+			base: merge.baseDoc.getData( group.range ),
+			mine: getSideData( group, group.mine ),
+			theirs: getSideData( group, group.theirs ),
+			context: getContext( group.range )
+		};
+	} );
+};
+
+/**
+ * Get a document for showing or editing one version of a conflict
+ *
+ * The conflicting content is wrapped in the conflict's context, so that it is valid
+ * at the top level of the document.
+ *
+ * @param {Object} conflict Conflict; see #getConflicts
+ * @param {string|Array} data Version of the conflict to use: 'base', 'mine' or 'theirs', or linear data
+ * @return {ve.dm.Document} Document
+ */
+ve.dm.ThreeWayMerge.prototype.getConflictDocument = function ( conflict, data ) {
+	var closings = conflict.context.map( function ( element ) {
+		return { type: '/' + element.type };
+	} ).reverse();
+
+	if ( typeof data === 'string' ) {
+		data = conflict[ data ];
+	}
+	return this.doc.cloneWithData( ve.copy(
+		conflict.context.concat(
+			data,
+			closings,
+			this.doc.getData( this.doc.getInternalList().getListNode().getOuterRange() )
+		)
+	), true );
+};
+
+/**
+ * Get the conflicting content from a document made with #getConflictDocument
+ *
+ * Changes to the internal list of the document are not included.
+ *
+ * @param {Object} conflict Conflict; see #getConflicts
+ * @param {ve.dm.Document} doc Document, possibly edited
+ * @return {Array|null} Linear data, or null if the content is no longer wrapped in the
+ *  conflict's context
+ */
+ve.dm.ThreeWayMerge.prototype.getConflictData = function ( conflict, doc ) {
+	var i, opening, closing,
+		depth = 0,
+		length = conflict.context.length,
+		data = doc.getData( new ve.Range( 0, doc.getInternalList().getListNode().getOuterRange().start ) );
+
+	if ( data.length < length * 2 ) {
+		return null;
+	}
+	for ( i = 0; i < length; i++ ) {
+		opening = data[ i ];
+		closing = data[ data.length - 1 - i ];
+		if (
+			!ve.dm.LinearData.static.isOpenElementData( opening ) || opening.type !== conflict.context[ i ].type ||
+			!ve.dm.LinearData.static.isCloseElementData( closing ) || closing.type !== '/' + conflict.context[ i ].type
+		) {
+			return null;
+		}
+	}
+	data = data.slice( length, data.length - length );
+	// Check the context is not closed and reopened in the middle
+	for ( i = 0; i < data.length; i++ ) {
+		if ( ve.dm.LinearData.static.isOpenElementData( data[ i ] ) ) {
+			depth++;
+		} else if ( ve.dm.LinearData.static.isCloseElementData( data[ i ] ) ) {
+			depth--;
+			if ( depth < 0 ) {
+				return null;
+			}
+		}
+	}
+	return data;
+};
+
+/**
+ * Get a copy of the merged document with the conflicts resolved
+ *
+ * @param {Array} resolutions Resolution of each conflict: 'base', 'mine' or 'theirs' to use
+ *  that version, a document made with #getConflictDocument (and edited), or linear data
+ * @return {ve.dm.Document} Resolved document
+ * @throws {Error} If a conflict has no resolution, or an invalid document
+ */
+ve.dm.ThreeWayMerge.prototype.resolve = function ( resolutions ) {
+	var i, conflict, resolution, data,
+		doc = this.doc.cloneFromRange();
+
+	// Resolve the last conflict first, so the ranges of the others still hold
+	for ( i = this.conflicts.length - 1; i >= 0; i-- ) {
+		conflict = this.conflicts[ i ];
+		resolution = resolutions[ i ];
+		if ( resolution instanceof ve.dm.Document ) {
+			data = this.getConflictData( conflict, resolution );
+			doc.getStore().merge( resolution.getStore() );
+		} else if ( resolution === 'base' || resolution === 'mine' || resolution === 'theirs' ) {
+			data = conflict[ resolution ];
+		} else {
+			data = resolution;
+		}
+		if ( !Array.isArray( data ) ) {
+			throw new Error( 'Invalid resolution for conflict ' + i );
+		}
+		doc.commit( ve.dm.TransactionBuilder.static.newFromReplacement( doc, conflict.range, data ) );
+	}
+	return doc;
+};
@@ -26,6 +26,7 @@ ve.dm.Transaction = function VeDmTransaction( operations ) {
 	this.operations = operations || [];
 	this.applied = false;
 	this.author = null;
+	this.timestamp = null;
 };
 
 /* Inheritance */
@@ -160,6 +161,7 @@ ve.dm.Transaction.prototype.clone = function () {
 	// For this plain, serializable array, stringify+parse profiles faster than ve.copy
 	tx.operations = JSON.parse( JSON.stringify( this.operations ) );
 	tx.author = this.author;
+	tx.timestamp = this.timestamp;
 	return tx;
 };
 
@@ -33,77 +33,99 @@ ve.dm.VisualDiff = function VeDmVisualDiff( oldDoc, newDoc ) {
 };
 
 /**
- * Get the diff between the two documents, in two steps: (1) Compare the children
- * of the old and new document nodes and record any pair where the old child and
- * new child are identical. (If an old child is identical to two new children, it
- * will be paired with the first one only.) (2) If any children of the old or new
- * document nodes remain unpaired, decide whether they are an old child that has
- * been removed, a new child that has been inserted, or a pair in which the old
- * child was changed into the new child.
+ * Get the diff between the two documents
  *
  * @return {Object} Diff object containing all the information needed to display
- * the diff.
+ * the diff; see #getChildrenDiff
  */
 ve.dm.VisualDiff.prototype.getDiff = function () {
-	var i, ilen, j, jlen,
-		oldDocChildrenToDiff = [],
-		newDocChildrenToDiff = [];
-
-	this.diff = {
-		docChildrenOldToNew: {},
-		docChildrenNewToOld: {},
-		docChildrenRemove: [],
-		docChildrenInsert: []
-	};
-
-	// STEP 1: Find identical document-node children
-
-	for ( i = 0, ilen = this.oldDocChildren.length; i < ilen; i++ ) {
-		for ( j = 0, jlen = this.newDocChildren.length; j < jlen; j++ ) {
-			if ( !this.diff.docChildrenNewToOld.hasOwnProperty( j ) &&
-				this.compareDocChildren( this.oldDocChildren[ i ], this.newDocChildren[ j ] ) ) {
+	return this.getChildrenDiff( this.oldDocChildren, this.newDocChildren );
+};
 
-				this.diff.docChildrenOldToNew[ i ] = j;
-				this.diff.docChildrenNewToOld[ j ] = i;
+/**
+ * Get the diff between the children of an old node and the children of a new
+ * node, in two steps: (1) Compare the old and new children and record any pair
+ * where the old child and new child are identical. (If an old child is identical
+ * to two new children, it will be paired with the first one only.) (2) If any
+ * children remain unpaired, decide whether they are an old child that has been
+ * removed, a new child that has been inserted, or a pair in which the old child
+ * was changed into the new child.
+ *
+ * Changed pairs of containers, such as lists, list items and blockquotes, are
+ * diffed recursively by this method, so that children can be paired at any depth.
+ *
+ * @param {ve.dm.Node[]} oldChildren Children of the old node
+ * @param {ve.dm.Node[]} newChildren Children of the new node
+ * @return {Object} Diff object containing all the information needed to display
+ * the diff.
+ * @return {Object} return.docChildrenOldToNew Pairs, keyed by old child index: the new child
+ *  index if the children are identical, otherwise information about the change; see
+ *  #findModifiedChildren
+ * @return {Object} return.docChildrenNewToOld Pairs, keyed by new child index: the old child
+ *  index if the children are identical, otherwise an object with a `node` property, the old
+ *  child index
+ * @return {number[]} return.docChildrenRemove Indexes of removed old children
+ * @return {number[]} return.docChildrenInsert Indexes of inserted new children
+ */
+ve.dm.VisualDiff.prototype.getChildrenDiff = function ( oldChildren, newChildren ) {
+	var i, ilen, j, jlen,
+		oldChildrenToDiff = [],
+		newChildrenToDiff = [],
+		diff = {
+			docChildrenOldToNew: {},
+			docChildrenNewToOld: {},
+			docChildrenRemove: [],
+			docChildrenInsert: []
+		};
+
+	// STEP 1: Find identical children
+
+	for ( i = 0, ilen = oldChildren.length; i < ilen; i++ ) {
+		for ( j = 0, jlen = newChildren.length; j < jlen; j++ ) {
+			if ( !diff.docChildrenNewToOld.hasOwnProperty( j ) &&
+				this.compareDocChildren( oldChildren[ i ], newChildren[ j ] ) ) {
+
+				diff.docChildrenOldToNew[ i ] = j;
+				diff.docChildrenNewToOld[ j ] = i;
 				break;
 
 			}
 			// If no new nodes equalled the old node, add it to nodes to diff
 			if ( j === jlen - 1 ) {
-				oldDocChildrenToDiff.push( i );
+				oldChildrenToDiff.push( i );
 			}
 		}
 	}
 
-	for ( j = 0; j < jlen; j++ ) {
-		if ( !this.diff.docChildrenNewToOld.hasOwnProperty( j ) ) {
-			newDocChildrenToDiff.push( j );
+	for ( j = 0, jlen = newChildren.length; j < jlen; j++ ) {
+		if ( !diff.docChildrenNewToOld.hasOwnProperty( j ) ) {
+			newChildrenToDiff.push( j );
 		}
 	}
 
-	// STEP 2: Find removed, inserted and modified document-node children
+	// STEP 2: Find removed, inserted and modified children
 
-	if ( oldDocChildrenToDiff.length !== 0 || newDocChildrenToDiff.length !== 0 ) {
+	if ( oldChildrenToDiff.length !== 0 || newChildrenToDiff.length !== 0 ) {
 
-		if ( oldDocChildrenToDiff.length === 0 ) {
+		if ( oldChildrenToDiff.length === 0 ) {
 
 			// Everything new is an insert
-			this.diff.docChildrenInsert = newDocChildrenToDiff;
+			diff.docChildrenInsert = newChildrenToDiff;
 
-		} else if ( newDocChildrenToDiff.length === 0 ) {
+		} else if ( newChildrenToDiff.length === 0 ) {
 
 			// Everything old is a remove
-			this.diff.docChildrenRemove = oldDocChildrenToDiff;
+			diff.docChildrenRemove = oldChildrenToDiff;
 
 		} else {
 
-			// Find out which remaining docChildren are removed, inserted or modified
-			this.findModifiedDocChildren( oldDocChildrenToDiff, newDocChildrenToDiff );
+			// Find out which remaining children are removed, inserted or modified
+			this.findModifiedChildren( oldChildren, newChildren, oldChildrenToDiff, newChildrenToDiff, diff );
 
 		}
 	}
 
-	return this.diff;
+	return diff;
 };
 
 /**
@@ -146,49 +168,263 @@ ve.dm.VisualDiff.prototype.compareDocChildren = function ( oldDocChild, newDocCh
 };
 
 /**
- * Diff each child of the old document node against each child of the new
- * document; but if the differs decide that an old child is similar enough to a
- * new child, record these as a change from the old child to the new child and
- * don't diff any more children against either child.
+ * Compare two sets of attributes
+ *
+ * @param {Object} [oldAttributes] Old attributes
+ * @param {Object} [newAttributes] New attributes
+ * @return {Object} Changed attributes, keyed by attribute name, each an object with `from` and `to`
+ *  properties; a property is undefined if the attribute was not set
+ */
+ve.dm.VisualDiff.prototype.compareAttributes = function ( oldAttributes, newAttributes ) {
+	var key,
+		attributeChanges = {};
+
+	function isEqual( a, b ) {
+		return a === b || (
+			a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && ve.compare( a, b )
+		);
+	}
+
+	oldAttributes = oldAttributes || {};
+	newAttributes = newAttributes || {};
+	for ( key in oldAttributes ) {
+		if ( !isEqual( oldAttributes[ key ], newAttributes[ key ] ) ) {
+			attributeChanges[ key ] = { from: oldAttributes[ key ], to: newAttributes[ key ] };
+		}
+	}
+	for ( key in newAttributes ) {
+		if ( !Object.prototype.hasOwnProperty.call( oldAttributes, key ) && newAttributes[ key ] !== undefined ) {
+			attributeChanges[ key ] = { from: undefined, to: newAttributes[ key ] };
+		}
+	}
+	return attributeChanges;
+};
+
+/**
+ * Compare the attributes of two nodes of the same type
+ *
+ * @param {ve.dm.Node} oldNode Node from the old document
+ * @param {ve.dm.Node} newNode Node from the new document
+ * @return {Object|null} Attribute change, or null if the attributes are the same
+ * @return {string} return.type Node type
+ * @return {Object} return.oldAttributes Attributes of the old node
+ * @return {Object} return.newAttributes Attributes of the new node
+ * @return {Object} return.attributeChanges Changed attributes; see #compareAttributes
+ */
+ve.dm.VisualDiff.prototype.compareNodeAttributes = function ( oldNode, newNode ) {
+	var attributeChanges,
+		oldAttributes = oldNode.element.attributes || {},
+		newAttributes = newNode.element.attributes || {};
+
+	if ( oldNode.element.type !== newNode.element.type ) {
+		return null;
+	}
+	attributeChanges = this.compareAttributes( oldAttributes, newAttributes );
+	if ( ve.isEmptyObject( attributeChanges ) ) {
+		return null;
+	}
+	return {
+		type: newNode.element.type,
+		oldAttributes: oldAttributes,
+		newAttributes: newAttributes,
+		attributeChanges: attributeChanges
+	};
+};
+
+/**
+ * Find the annotation and inline node changes between two runs of content with the same text
+ *
+ * Content whose annotations changed (e.g. a link whose target changed), or which contains inline
+ * nodes whose attributes changed, is removed and reinserted by the linear differ. If the text
+ * and inline node types are the same, this finds what did change.
+ *
+ * @param {Array} oldData Linear data removed from the old document
+ * @param {Array} newData Linear data inserted into the new document
+ * @return {Object[]|null} Changes, or null if the text or inline node types differ
+ * @return {string} return.type Annotation or node type
+ * @return {Object|null} return.oldElement Annotation or node element from the old document; null if added
+ * @return {Object|null} return.newElement Annotation or node element from the new document; null if removed
+ * @return {Object|null} return.attributeChanges Changed attributes, if the element was neither
+ *  added nor removed; see #compareAttributes
+ */
+ve.dm.VisualDiff.prototype.getContentChanges = function ( oldData, newData ) {
+	var i, ilen, oldItem, newItem, oldElement, newElement, attributeChanges,
+		oldStore = this.oldDoc.getStore(),
+		newStore = this.newDoc.getStore(),
+		removedHashes = [],
+		addedHashes = [],
+		changes = [];
+
+	function getAnnotationHashes( item ) {
+		return ( Array.isArray( item ) ? item[ 1 ] : item.annotations ) || [];
+	}
+
+	function addMissingHashes( fromHashes, toHashes, hashes ) {
+		fromHashes.forEach( function ( hash ) {
+			if ( toHashes.indexOf( hash ) === -1 && hashes.indexOf( hash ) === -1 ) {
+				hashes.push( hash );
+			}
+		} );
+	}
+
+	if ( oldData.length !== newData.length ) {
+		return null;
+	}
+	for ( i = 0, ilen = oldData.length; i < ilen; i++ ) {
+		oldItem = oldData[ i ];
+		newItem = newData[ i ];
+		if ( typeof oldItem === 'string' || Array.isArray( oldItem ) ) {
+			// Text: the characters must match
+			if ( ( Array.isArray( oldItem ) ? oldItem[ 0 ] : oldItem ) !==
+				( Array.isArray( newItem ) ? newItem[ 0 ] : newItem )
+			) {
+				return null;
+			}
+		} else if ( typeof newItem === 'string' || Array.isArray( newItem ) || oldItem.type !== newItem.type ) {
+			return null;
+		} else if ( oldItem.type.charAt( 0 ) !== '/' ) {
+			// Opening element of an inline node: record any attribute changes
+			attributeChanges = this.compareAttributes( oldItem.attributes, newItem.attributes );
+			if ( !ve.isEmptyObject( attributeChanges ) ) {
+				changes.push( {
+					type: newItem.type,
+					oldElement: oldItem,
+					newElement: newItem,
+					attributeChanges: attributeChanges
+				} );
+			}
+		}
+		addMissingHashes( getAnnotationHashes( oldItem ), getAnnotationHashes( newItem ), removedHashes );
+		addMissingHashes( getAnnotationHashes( newItem ), getAnnotationHashes( oldItem ), addedHashes );
+	}
+
+	// Pair up removed and added annotations of the same type as changed annotations
+	removedHashes.forEach( function ( removedHash ) {
+		var j,
+			added = null;
+
+		oldElement = oldStore.value( removedHash ).element;
+		for ( j = 0; j < addedHashes.length; j++ ) {
+			if ( newStore.value( addedHashes[ j ] ).element.type === oldElement.type ) {
+				added = addedHashes.splice( j, 1 )[ 0 ];
+				break;
+			}
+		}
+		newElement = added === null ? null : newStore.value( added ).element;
+		changes.push( {
+			type: oldElement.type,
+			oldElement: oldElement,
+			newElement: newElement,
+			attributeChanges: newElement && this.compareAttributes( oldElement.attributes, newElement.attributes )
+		} );
+	}, this );
+	addedHashes.forEach( function ( addedHash ) {
+		newElement = newStore.value( addedHash ).element;
+		changes.push( {
+			type: newElement.type,
+			oldElement: null,
+			newElement: newElement,
+			attributeChanges: null
+		} );
+	} );
+
+	return changes.length ? changes : null;
+};
+
+/**
+ * Diff each old child against each new child; but if the differs decide that an
+ * old child is similar enough to a new child, record these as a change from the
+ * old child to the new child and don't diff any more children against either
+ * child.
  *
  * This might not find the optimal diff in some cases (e.g. if the old child is
  * similar to two of the new children), but diffing every old child against
  * every new child could have a heavy performance cost.
  *
- * @param {Array} oldDocChildren The children of the old document with no
- * identical partners in the new document
- * @param {Array} newDocChildren The children of the new document with no
- * identical partners in the old document
+ * Each change is recorded in the diff as an object with a `node` property, the
+ * new child index, and either:
+ *
+ * - for tables that are children of the document node, `tableDiff` (see #getTableDiff)
+ * - for containers (see #isContainerPair), `childrenDiff` (see #getChildrenDiff) and
+ *   `attributeChange` (see #compareNodeAttributes)
+ * - otherwise, `diff` (see #getDocChildDiff) and `correspondingNodes`
+ *
+ * @param {ve.dm.Node[]} oldChildren Children of the old node
+ * @param {ve.dm.Node[]} newChildren Children of the new node
+ * @param {Array} oldIndexes Indexes of the old children with no identical
+ * partners among the new children
+ * @param {Array} newIndexes Indexes of the new children with no identical
+ * partners among the old children
+ * @param {Object} diff Diff to record the changes, removals and insertions in;
+ * see #getChildrenDiff
  */
-ve.dm.VisualDiff.prototype.findModifiedDocChildren = function ( oldDocChildren, newDocChildren ) {
-	var diff, i, j,
-		ilen = oldDocChildren.length,
-		jlen = newDocChildren.length;
+ve.dm.VisualDiff.prototype.findModifiedChildren = function ( oldChildren, newChildren, oldIndexes, newIndexes, diff ) {
+	var pairDiff, childrenDiff, oldChild, newChild, i, j,
+		ilen = oldIndexes.length,
+		jlen = newIndexes.length;
 
 	for ( i = 0; i < ilen; i++ ) {
 		for ( j = 0; j < jlen; j++ ) {
 
-			if ( oldDocChildren[ i ] !== null && newDocChildren[ j ] !== null ) {
+			if ( oldIndexes[ i ] !== null && newIndexes[ j ] !== null ) {
+
+				oldChild = oldChildren[ oldIndexes[ i ] ];
+				newChild = newChildren[ newIndexes[ j ] ];
+				pairDiff = false;
+
+				if (
+					oldChild instanceof ve.dm.TableNode && newChild instanceof ve.dm.TableNode &&
+					oldChild.parent === this.oldDocNode
+				) {
+
+					// Tables are diffed by rows, columns and cells. If they are too
+					// different, pairDiff will be false
+					pairDiff = this.getTableDiff( oldChild, newChild );
+					if ( pairDiff ) {
+						diff.docChildrenOldToNew[ oldIndexes[ i ] ] = {
+							node: newIndexes[ j ],
+							tableDiff: pairDiff
+						};
+					}
+
+				} else {
 
-				// Try to diff the nodes. If they are too different, diff will be false
-				diff = this.getDocChildDiff(
-					this.oldDocChildren[ oldDocChildren[ i ] ],
-					this.newDocChildren[ newDocChildren[ j ] ]
-				);
+					if ( this.isContainerPair( oldChild, newChild ) ) {
+						// Pair the containers' children. If none of them pair, the
+						// containers are too different to be diffed this way
+						childrenDiff = this.getChildrenDiff( oldChild.children, newChild.children );
+						if ( !ve.isEmptyObject( childrenDiff.docChildrenOldToNew ) ) {
+							pairDiff = childrenDiff;
+							diff.docChildrenOldToNew[ oldIndexes[ i ] ] = {
+								node: newIndexes[ j ],
+								childrenDiff: childrenDiff,
+								attributeChange: this.compareNodeAttributes( oldChild, newChild )
+							};
+						}
+					}
 
-				if ( diff ) {
-					this.diff.docChildrenOldToNew[ oldDocChildren[ i ] ] = {
-						node: newDocChildren[ j ],
-						diff: diff,
-						// TODO: Neaten this
-						correspondingNodes: this.treeDiffer.Differ.prototype.getCorrespondingNodes( diff.treeDiff, diff.oldTree.orderedNodes.length, diff.newTree.orderedNodes.length )
-					};
-					this.diff.docChildrenNewToOld[ newDocChildren[ j ] ] = {
-						node: oldDocChildren[ i ]
+					if ( !pairDiff ) {
+						// Try to diff the nodes. If they are too different, pairDiff will be false
+						pairDiff = this.getDocChildDiff( oldChild, newChild );
+						if ( pairDiff ) {
+							diff.docChildrenOldToNew[ oldIndexes[ i ] ] = {
+								node: newIndexes[ j ],
+								diff: pairDiff,
+								// TODO: Neaten this
+								correspondingNodes: this.treeDiffer.Differ.prototype.getCorrespondingNodes( pairDiff.treeDiff, pairDiff.oldTree.orderedNodes.length, pairDiff.newTree.orderedNodes.length )
+							};
+						}
+					}
+
+				}
+
+				if ( pairDiff ) {
+					diff.docChildrenNewToOld[ newIndexes[ j ] ] = {
+						node: oldIndexes[ i ]
 					};
 
-					oldDocChildren[ i ] = null;
-					newDocChildren[ j ] = null;
+					oldIndexes[ i ] = null;
+					newIndexes[ j ] = null;
 					break;
 				}
 
@@ -197,18 +433,372 @@ ve.dm.VisualDiff.prototype.findModifiedDocChildren = function ( oldDocChildren,
 		}
 	}
 
-	// Any nodes remaining in the 'toDiff' arrays are removes and inserts
+	// Any nodes remaining in the index arrays are removes and inserts
 	for ( i = 0; i < ilen; i++ ) {
-		if ( oldDocChildren[ i ] !== null ) {
-			this.diff.docChildrenRemove.push( oldDocChildren[ i ] );
+		if ( oldIndexes[ i ] !== null ) {
+			diff.docChildrenRemove.push( oldIndexes[ i ] );
 		}
 	}
 	for ( j = 0; j < jlen; j++ ) {
-		if ( newDocChildren[ j ] !== null ) {
-			this.diff.docChildrenInsert.push( newDocChildren[ j ] );
+		if ( newIndexes[ j ] !== null ) {
+			diff.docChildrenInsert.push( newIndexes[ j ] );
+		}
+	}
+
+};
+
+/**
+ * Check whether two nodes are containers whose children can be paired with each
+ * other, rather than being diffed as a tree
+ *
+ * Containers are branch nodes of the same type that hold other branch nodes, like
+ * lists, list items, blockquotes and divs; focusable nodes, tables and the
+ * internal list are diffed as a whole.
+ *
+ * @param {ve.dm.Node} oldNode Node from the old document
+ * @param {ve.dm.Node} newNode Node from the new document
+ * @return {boolean} The nodes are containers
+ */
+ve.dm.VisualDiff.prototype.isContainerPair = function ( oldNode, newNode ) {
+	return oldNode.type === newNode.type &&
+		oldNode.hasChildren() && !oldNode.canContainContent() &&
+		!oldNode.isFocusable() && !oldNode.isInternal() &&
+		!( oldNode instanceof ve.dm.TableNode );
+};
+
+/**
+ * Get the diff between two tables
+ *
+ * The rows of the old and new tables are aligned, pairing rows that have some cell contents
+ * in common; then the columns are aligned, pairing columns whose cells in the paired rows
+ * have the same contents at least half the time. Where as many old as new columns are left
+ * unpaired between the same paired columns (or the ends of the tables), they are paired by
+ * position, so that a heavily edited column is not mistaken for a removed column and an
+ * inserted one. Unpaired rows and columns have been removed or inserted. Within the paired rows and columns, cells whose spans now cover
+ * several old cells have been merged, and old cells whose spans now cover several new
+ * cells have been split; any other cells whose data differs have been changed.
+ *
+ * Positions are given as indexes in the table matrices (see ve.dm.TableMatrix).
+ *
+ * @param {ve.dm.TableNode} oldTable Table from the old document
+ * @param {ve.dm.TableNode} newTable Table from the new document
+ * @return {Object|boolean} The diff, or false if the tables are too different
+ * @return {Array[]} return.rows Paired rows, as [ old row, new row ]
+ * @return {Array[]} return.columns Paired columns, as [ old column, new column ]
+ * @return {number[]} return.removedRows Old rows that were removed
+ * @return {number[]} return.insertedRows New rows that were inserted
+ * @return {number[]} return.removedColumns Old columns that were removed
+ * @return {number[]} return.insertedColumns New columns that were inserted
+ * @return {Object[]} return.changedCells Changed cells, each with `oldCell` and `newCell` positions;
+ *  a position is null if there is no cell there (in tables with ragged rows)
+ * @return {Object[]} return.mergedCells Merged cells, each with a `newCell` position and the
+ *  `oldCells` positions it covers
+ * @return {Object[]} return.splitCells Split cells, each with an `oldCell` position and the
+ *  `newCells` positions it covers
+ * @return {boolean} return.captionChanged The caption was added, removed or changed
+ */
+ve.dm.VisualDiff.prototype.getTableDiff = function ( oldTable, newTable ) {
+	var r, c, oldCaption, newCaption,
+		visualDiff = this,
+		oldMatrix = oldTable.getMatrix(),
+		newMatrix = newTable.getMatrix(),
+		oldRowCount = oldMatrix.getRowCount(),
+		newRowCount = newMatrix.getRowCount(),
+		oldColumnCount = oldMatrix.getMaxColCount(),
+		newColumnCount = newMatrix.getMaxColCount(),
+		oldContents = [],
+		newContents = [],
+		oldToNewColumn = {},
+		newToOldColumn = {},
+		oldToNewRow = {},
+		newToOldRow = {},
+		coveredCells = {},
+		tableDiff = {
+			rows: [],
+			columns: [],
+			removedRows: [],
+			insertedRows: [],
+			removedColumns: [],
+			insertedColumns: [],
+			changedCells: [],
+			mergedCells: [],
+			splitCells: [],
+			captionChanged: false
+		};
+
+	/**
+	 * Get the contents of each position in a table matrix, as strings
+	 *
+	 * Placeholders have the contents of the cell that spans them.
+	 *
+	 * @param {ve.dm.TableMatrix} matrix Table matrix
+	 * @param {ve.dm.Document} doc Document of the table
+	 * @param {number} rowCount Number of rows
+	 * @param {number} columnCount Number of columns
+	 * @return {Array[]} Contents of each position, by row then column; null if there is no cell
+	 */
+	function getContents( matrix, doc, rowCount, columnCount ) {
+		var r, c, cell,
+			contents = [];
+		for ( r = 0; r < rowCount; r++ ) {
+			contents[ r ] = [];
+			for ( c = 0; c < columnCount; c++ ) {
+				cell = matrix.getCell( r, c );
+				contents[ r ][ c ] = cell ? JSON.stringify( doc.getData( cell.owner.node.getRange() ) ) : null;
+			}
+		}
+		return contents;
+	}
+
+	/**
+	 * Align two sequences, pairing items in order so as to maximize the total similarity
+	 *
+	 * @param {number} oldLength Length of the old sequence
+	 * @param {number} newLength Length of the new sequence
+	 * @param {Function} getSimilarity Get the similarity of an old and a new item, from 0 to 1
+	 * @param {number} threshold Minimum similarity of paired items, above 0
+	 * @return {Array[]} Pairs of indexes, as [ old index, new index ], in order
+	 */
+	function align( oldLength, newLength, getSimilarity, threshold ) {
+		var i, j, similarity,
+			scores = [],
+			pairs = [];
+
+		// scores[ i ][ j ] is the best total similarity of the first i old and j new items
+		for ( i = 0; i <= oldLength; i++ ) {
+			scores[ i ] = [ 0 ];
+		}
+		for ( j = 1; j <= newLength; j++ ) {
+			scores[ 0 ][ j ] = 0;
+		}
+		for ( i = 1; i <= oldLength; i++ ) {
+			for ( j = 1; j <= newLength; j++ ) {
+				similarity = getSimilarity( i - 1, j - 1 );
+				scores[ i ][ j ] = Math.max(
+					scores[ i - 1 ][ j ],
+					scores[ i ][ j - 1 ],
+					similarity >= threshold ? scores[ i - 1 ][ j - 1 ] + similarity : 0
+				);
+			}
+		}
+		for ( i = oldLength, j = newLength; i > 0 && j > 0; ) {
+			if ( scores[ i ][ j ] === scores[ i - 1 ][ j ] ) {
+				i--;
+			} else if ( scores[ i ][ j ] === scores[ i ][ j - 1 ] ) {
+				j--;
+			} else {
+				pairs.unshift( [ i - 1, j - 1 ] );
+				i--;
+				j--;
+			}
+		}
+		return pairs;
+	}
+
+	/**
+	 * Pair the unpaired items between consecutive pairs by position, where there are as many
+	 * old as new items
+	 *
+	 * @param {Array[]} pairs Pairs of indexes, as [ old index, new index ], in order
+	 * @param {number} oldLength Length of the old sequence
+	 * @param {number} newLength Length of the new sequence
+	 * @return {Array[]} Pairs of indexes, including the new pairs, in order
+	 */
+	function pairGaps( pairs, oldLength, newLength ) {
+		var end = [ oldLength, newLength ],
+			previous = [ -1, -1 ],
+			result = [];
+
+		pairs.concat( [ end ] ).forEach( function ( pair ) {
+			var k,
+				gap = pair[ 0 ] - previous[ 0 ] - 1;
+			if ( gap === pair[ 1 ] - previous[ 1 ] - 1 ) {
+				for ( k = 1; k <= gap; k++ ) {
+					result.push( [ previous[ 0 ] + k, previous[ 1 ] + k ] );
+				}
+			}
+			if ( pair !== end ) {
+				result.push( pair );
+			}
+			previous = pair;
+		} );
+		return result;
+	}
+
+	/**
+	 * Get the position of the owner of a cell
+	 *
+	 * @param {ve.dm.TableMatrixCell|undefined} cell Cell, if any
+	 * @return {Object|null} Position, with `row` and `col` properties, or null if there is no cell
+	 */
+	function getPosition( cell ) {
+		return cell ? { row: cell.owner.row, col: cell.owner.col } : null;
+	}
+
+	/**
+	 * Find the cells of another table covered by the span of a cell, through the paired rows and columns
+	 *
+	 * @param {ve.dm.TableMatrixCell} cell Cell, which must not be a placeholder
+	 * @param {Object} toRow Paired row in the other table of each row of the cell's table
+	 * @param {Object} toColumn Paired column in the other table of each column of the cell's table
+	 * @param {ve.dm.TableMatrix} otherMatrix Matrix of the other table
+	 * @return {ve.dm.TableMatrixCell[]} Owner cells covered, in the other table
+	 */
+	function getCoveredCells( cell, toRow, toColumn, otherMatrix ) {
+		var r, c, otherCell,
+			cells = [];
+		for ( r = cell.row; r < cell.row + cell.node.getRowspan(); r++ ) {
+			for ( c = cell.col; c < cell.col + cell.node.getColspan(); c++ ) {
+				otherCell = toRow[ r ] !== undefined && toColumn[ c ] !== undefined &&
+					otherMatrix.getCell( toRow[ r ], toColumn[ c ] );
+				if ( otherCell && cells.indexOf( otherCell.owner ) === -1 ) {
+					cells.push( otherCell.owner );
+				}
+			}
+		}
+		return cells;
+	}
+
+	/**
+	 * Count the items two arrays have in common, as multisets
+	 *
+	 * @param {Array} a First array
+	 * @param {Array} b Second array
+	 * @return {number} Number of items in common
+	 */
+	function countCommon( a, b ) {
+		var remaining = b.slice();
+		return a.filter( function ( item ) {
+			var index = remaining.indexOf( item );
+			if ( index !== -1 ) {
+				remaining.splice( index, 1 );
+				return true;
+			}
+			return false;
+		} ).length;
+	}
+
+	oldContents = getContents( oldMatrix, this.oldDoc, oldRowCount, oldColumnCount );
+	newContents = getContents( newMatrix, this.newDoc, newRowCount, newColumnCount );
+
+	// Pair the rows
+	tableDiff.rows = align( oldRowCount, newRowCount, function ( oldRow, newRow ) {
+		return countCommon( oldContents[ oldRow ], newContents[ newRow ] ) /
+			Math.max( oldColumnCount, newColumnCount );
+	}, Number.MIN_VALUE );
+	if ( !tableDiff.rows.length ) {
+		return false;
+	}
+
+	// Pair the columns, by comparing them in the paired rows
+	tableDiff.columns = pairGaps( align( oldColumnCount, newColumnCount, function ( oldColumn, newColumn ) {
+		return tableDiff.rows.filter( function ( rows ) {
+			return oldContents[ rows[ 0 ] ][ oldColumn ] === newContents[ rows[ 1 ] ][ newColumn ];
+		} ).length / tableDiff.rows.length;
+	}, 0.5 ), oldColumnCount, newColumnCount );
+	if ( !tableDiff.columns.length ) {
+		return false;
+	}
+
+	tableDiff.rows.forEach( function ( rows ) {
+		oldToNewRow[ rows[ 0 ] ] = rows[ 1 ];
+		newToOldRow[ rows[ 1 ] ] = rows[ 0 ];
+	} );
+	tableDiff.columns.forEach( function ( columns ) {
+		oldToNewColumn[ columns[ 0 ] ] = columns[ 1 ];
+		newToOldColumn[ columns[ 1 ] ] = columns[ 0 ];
+	} );
+	for ( r = 0; r < oldRowCount; r++ ) {
+		if ( oldToNewRow[ r ] === undefined ) {
+			tableDiff.removedRows.push( r );
+		}
+	}
+	for ( r = 0; r < newRowCount; r++ ) {
+		if ( newToOldRow[ r ] === undefined ) {
+			tableDiff.insertedRows.push( r );
+		}
+	}
+	for ( c = 0; c < oldColumnCount; c++ ) {
+		if ( oldToNewColumn[ c ] === undefined ) {
+			tableDiff.removedColumns.push( c );
+		}
+	}
+	for ( c = 0; c < newColumnCount; c++ ) {
+		if ( newToOldColumn[ c ] === undefined ) {
+			tableDiff.insertedColumns.push( c );
 		}
 	}
 
+	// Find merged and split cells, among the cells in paired rows and columns
+	tableDiff.rows.forEach( function ( rows ) {
+		tableDiff.columns.forEach( function ( columns ) {
+			var covered,
+				oldCell = oldMatrix.getCell( rows[ 0 ], columns[ 0 ] ),
+				newCell = newMatrix.getCell( rows[ 1 ], columns[ 1 ] );
+
+			if ( newCell && !newCell.isPlaceholder() ) {
+				covered = getCoveredCells( newCell, newToOldRow, newToOldColumn, oldMatrix );
+				if ( covered.length > 1 ) {
+					tableDiff.mergedCells.push( {
+						newCell: getPosition( newCell ),
+						oldCells: covered.map( getPosition )
+					} );
+					coveredCells[ 'new' + newCell.key ] = true;
+					covered.forEach( function ( cell ) {
+						coveredCells[ 'old' + cell.key ] = true;
+					} );
+				}
+			}
+			if ( oldCell && !oldCell.isPlaceholder() ) {
+				covered = getCoveredCells( oldCell, oldToNewRow, oldToNewColumn, newMatrix );
+				if ( covered.length > 1 ) {
+					tableDiff.splitCells.push( {
+						oldCell: getPosition( oldCell ),
+						newCells: covered.map( getPosition )
+					} );
+					coveredCells[ 'old' + oldCell.key ] = true;
+					covered.forEach( function ( cell ) {
+						coveredCells[ 'new' + cell.key ] = true;
+					} );
+				}
+			}
+		} );
+	} );
+
+	// Find changed cells, among the other cells in paired rows and columns
+	tableDiff.rows.forEach( function ( rows ) {
+		tableDiff.columns.forEach( function ( columns ) {
+			var oldCell = oldMatrix.getCell( rows[ 0 ], columns[ 0 ] ),
+				newCell = newMatrix.getCell( rows[ 1 ], columns[ 1 ] );
+
+			if (
+				( oldCell && ( oldCell.isPlaceholder() || coveredCells[ 'old' + oldCell.key ] ) ) ||
+				( newCell && ( newCell.isPlaceholder() || coveredCells[ 'new' + newCell.key ] ) ) ||
+				( !oldCell && !newCell )
+			) {
+				return;
+			}
+			if (
+				!oldCell || !newCell ||
+				JSON.stringify( visualDiff.oldDoc.getData( oldCell.node.getOuterRange() ) ) !==
+					JSON.stringify( visualDiff.newDoc.getData( newCell.node.getOuterRange() ) )
+			) {
+				tableDiff.changedCells.push( {
+					oldCell: getPosition( oldCell ),
+					newCell: getPosition( newCell )
+				} );
+			}
+		} );
+	} );
+
+	oldCaption = oldTable.getCaptionNode();
+	newCaption = newTable.getCaptionNode();
+	tableDiff.captionChanged = !oldCaption !== !newCaption || ( !!oldCaption &&
+		JSON.stringify( this.oldDoc.getData( oldCaption.getOuterRange() ) ) !==
+			JSON.stringify( this.newDoc.getData( newCaption.getOuterRange() ) )
+	);
+
+	return tableDiff;
 };
 
 /**
@@ -226,6 +816,13 @@ ve.dm.VisualDiff.prototype.findModifiedDocChildren = function ( oldDocChildren,
  * been changed to make the new child, and the diff should be discarded.
  * Otherwise the diff should be cleaned and returned.
  *
+ * For each changed pair, the diff info records any attribute change (see
+ * #compareNodeAttributes) and, for content branch nodes, the linear diff. As
+ * well as the linear differ's remove (-1), insert (1) and retain (0) actions,
+ * the linear diff may contain change actions (2), for content that is the same
+ * apart from its annotations or inline node attributes; these have a third
+ * item listing the changes (see #getContentChanges).
+ *
  * TODO: It would be possible to discover moves by comparing removed and
  * inserted nodes from the tree differ.
  *
@@ -235,7 +832,7 @@ ve.dm.VisualDiff.prototype.findModifiedDocChildren = function ( oldDocChildren,
  */
 ve.dm.VisualDiff.prototype.getDocChildDiff = function ( oldDocChild, newDocChild ) {
 	var i, ilen, j, jlen,
-		treeDiff, linearDiff,
+		treeDiff, linearDiff, attributeChange, contentChanges,
 		oldNode, newNode,
 		oldDocChildTree,
 		newDocChildTree,
@@ -334,8 +931,8 @@ ve.dm.VisualDiff.prototype.getDocChildDiff = function ( oldDocChild, newDocChild
 		}
 
 		// Convert any retains that do not end and start with spaces into remove-
-		// inserts
-		for ( i = 0; i < diff.length; i++ ) {
+		// inserts. A lone retain is all of the content, so there is nothing to convert.
+		for ( i = 0; i < diff.length && diff.length > 1; i++ ) {
 			action = diff[ i ][ 0 ];
 			data = diff[ i ][ 1 ];
 			if ( action === 0 ) {
@@ -432,6 +1029,11 @@ ve.dm.VisualDiff.prototype.getDocChildDiff = function ( oldDocChild, newDocChild
 			oldNode = oldDocChildTree.orderedNodes[ treeDiff[ i ][ 0 ] ].node;
 			newNode = newDocChildTree.orderedNodes[ treeDiff[ i ][ 1 ] ].node;
 
+			attributeChange = this.compareNodeAttributes( oldNode, newNode );
+			if ( attributeChange ) {
+				diffInfo[ i ] = { attributeChange: attributeChange };
+			}
+
 			if ( !( oldNode instanceof ve.dm.ContentBranchNode ) &&
 				!( newNode instanceof ve.dm.ContentBranchNode ) ) {
 
@@ -458,7 +1060,19 @@ ve.dm.VisualDiff.prototype.getDocChildDiff = function ( oldDocChild, newDocChild
 
 				linearDiff = getCleanDiff( linearDiff );
 
-				diffInfo[ i ] = { linearDiff: linearDiff };
+				// Content that was only reannotated, or whose inline nodes only changed
+				// attributes, is marked as changed rather than removed and inserted
+				for ( j = 0; j < linearDiff.length - 1; j++ ) {
+					if ( linearDiff[ j ][ 0 ] === -1 && linearDiff[ j + 1 ][ 0 ] === 1 ) {
+						contentChanges = this.getContentChanges( linearDiff[ j ][ 1 ], linearDiff[ j + 1 ][ 1 ] );
+						if ( contentChanges ) {
+							linearDiff.splice( j, 2, [ 2, linearDiff[ j + 1 ][ 1 ], contentChanges ] );
+						}
+					}
+				}
+
+				diffInfo[ i ] = diffInfo[ i ] || {};
+				diffInfo[ i ].linearDiff = linearDiff;
 
 				// Record how much content was removed and inserted
 				for ( j = 0, jlen = linearDiff.length; j < jlen; j++ ) {
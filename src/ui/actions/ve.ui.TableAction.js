@@ -34,8 +34,8 @@ ve.ui.TableAction.static.name = 'table';
  * @property
  */
 ve.ui.TableAction.static.methods = [
-	'create', 'insert', 'moveRelative', 'move', 'delete', 'importTable',
-	'changeCellStyle', 'mergeCells', 'enterTableCell'
+	'create', 'insert', 'moveRelative', 'move', 'sort', 'delete', 'importTable', 'importCellTexts', 'download',
+	'changeCellStyle', 'changeCellProperties', 'mergeCells', 'enterTableCell'
 ];
 
 /* Methods */
@@ -212,6 +212,103 @@ ve.ui.TableAction.prototype.move = function ( mode, index ) {
 	return true;
 };
 
+/**
+ * Sort the rows of the currently focused table by the content of the selected column.
+ *
+ * Rows in header and footer sections, and rows of header cells, stay in place. Rows are
+ * sorted in a single transaction, so the sort can be undone in one step.
+ *
+ * Rows can't be sorted if cells span several rows; see #getSortableRows.
+ *
+ * @param {string} [direction='ascending'] Sort direction; 'ascending' or 'descending'
+ * @param {string} [type] Comparison type; 'text', 'number' or 'date'. Detected from the content
+ *  of the column if not given, see #getSortType.
+ * @return {boolean} Action was executed
+ */
+ve.ui.TableAction.prototype.sort = function ( direction, type ) {
+	var tableNode, matrix, sections, txBuilder,
+		action = this,
+		texts = [],
+		offset = 0,
+		sign = direction === 'descending' ? -1 : 1,
+		surfaceModel = this.surface.getModel(),
+		selection = surfaceModel.getSelection(),
+		documentModel = surfaceModel.getDocument();
+
+	if ( !( selection instanceof ve.dm.TableSelection ) ) {
+		return false;
+	}
+	tableNode = selection.getTableNode();
+	sections = this.getSortableRows( tableNode );
+	if ( !sections ) {
+		return false;
+	}
+
+	matrix = tableNode.getMatrix();
+	sections.forEach( function ( section ) {
+		section.rows.forEach( function ( row ) {
+			var cell = matrix.getCell( row.row, selection.startCol );
+			if ( cell && cell.isPlaceholder() ) {
+				cell = cell.getOwner();
+			}
+			row.text = cell ? documentModel.data.getText( false, cell.node.getRange() ).trim() : '';
+			if ( !row.header ) {
+				texts.push( row.text );
+			}
+		} );
+	} );
+	type = type || this.getSortType( texts );
+
+	txBuilder = new ve.dm.TransactionBuilder();
+	sections.forEach( function ( section ) {
+		var range,
+			data = [],
+			metadata = [],
+			sorted = section.rows.filter( function ( row ) {
+				return !row.header;
+			} ),
+			rows;
+
+		sorted.forEach( function ( row, i ) {
+			row.value = action.getSortValue( row.text, type );
+			row.index = i;
+		} );
+		sorted.sort( function ( a, b ) {
+			// Empty values, and values which aren't of the type, go last in either direction
+			if ( a.value === null || b.value === null ) {
+				return ( a.value === null ) - ( b.value === null ) || a.index - b.index;
+			}
+			return sign * ( type === 'text' ? a.value.localeCompare( b.value ) : a.value - b.value ) ||
+				a.index - b.index;
+		} );
+		// Header rows stay in place, and the sorted rows fill the rest
+		rows = section.rows.map( function ( row ) {
+			return row.header ? row : sorted.shift();
+		} );
+		if ( rows.every( function ( row, i ) {
+			return row === section.rows[ i ];
+		} ) ) {
+			return;
+		}
+
+		rows.forEach( function ( row ) {
+			var rowRange = row.node.getOuterRange();
+			ve.batchPush( data, documentModel.getData( rowRange, true ) );
+			ve.batchPush( metadata, documentModel.getMetadata( rowRange, true ) );
+		} );
+		range = section.node.getRange();
+		txBuilder.pushRetain( range.start - offset );
+		txBuilder.pushReplace( documentModel, range.start, range.getLength(), data, metadata );
+		offset = range.end;
+	} );
+
+	if ( offset ) {
+		txBuilder.pushFinalRetain( documentModel, offset );
+		surfaceModel.change( txBuilder.getTransaction(), selection );
+	}
+	return true;
+};
+
 /**
  * Deletes selected rows, columns, or the whole table.
  *
@@ -253,41 +350,69 @@ ve.ui.TableAction.prototype.delete = function ( mode ) {
 /**
  * Import a table at the current selection, overwriting data cell by cell
  *
+ * The table is grown with new rows and columns as needed. If the size of the selection is a
+ * multiple of the size of the imported table, the imported table is repeated to fill the
+ * selection, e.g. a single cell's value is filled across all the selected cells.
+ *
  * @param {ve.dm.TableNode} importedTableNode Table node to import
  * @param {boolean} importInternalList Import the table document's internalLiist
  * @return {boolean} Action was executed
  */
 ve.ui.TableAction.prototype.importTable = function ( importedTableNode, importInternalList ) {
-	var i, l, row, col, cell, importedCell, cellRange, txs,
+	var i, l, row, col, cell, importedCell, cellRange, txs, rowCount, colCount,
 		importedMatrix = importedTableNode.getMatrix(),
+		importedRowCount = importedMatrix.getRowCount(),
+		importedColCount = importedMatrix.getMaxColCount(),
 		surfaceModel = this.surface.getModel(),
 		documentModel = surfaceModel.getDocument(),
 		selection = surfaceModel.getSelection(),
 		tableNode = selection.getTableNode(),
 		matrix = tableNode.getMatrix();
 
+	if ( !importedRowCount || !importedColCount ) {
+		return false;
+	}
+
+	rowCount = selection.endRow - selection.startRow + 1;
+	colCount = selection.endCol - selection.startCol + 1;
+	if ( rowCount % importedRowCount || colCount % importedColCount ) {
+		rowCount = importedRowCount;
+		colCount = importedColCount;
+	}
+
+	// Get the imported cell to write to a cell of the target area
+	function getImportedCell( row, col ) {
+		return importedMatrix.getCell( row % importedRowCount, col % importedColCount );
+	}
+
 	// Increase size of table to fit imported table
-	for ( i = 0, l = selection.startRow + importedMatrix.getRowCount() - matrix.getRowCount(); i < l; i++ ) {
+	for ( i = 0, l = selection.startRow + rowCount - matrix.getRowCount(); i < l; i++ ) {
 		this.insertRowOrCol( tableNode, 'row', matrix.getRowCount() - 1, 'after' );
 	}
-	for ( i = 0, l = selection.startCol + importedMatrix.getMaxColCount() - matrix.getMaxColCount(); i < l; i++ ) {
+	for ( i = 0, l = selection.startCol + colCount - matrix.getMaxColCount(); i < l; i++ ) {
 		this.insertRowOrCol( tableNode, 'col', matrix.getMaxColCount() - 1, 'after' );
 	}
 	// Unmerge all cells in the target area
-	for ( row = importedMatrix.getRowCount() - 1; row >= 0; row-- ) {
-		for ( col = importedMatrix.getColCount( row ) - 1; col >= 0; col-- ) {
-			cell = matrix.getCell( selection.fromRow + row, selection.fromCol + col );
+	for ( row = rowCount - 1; row >= 0; row-- ) {
+		for ( col = colCount - 1; col >= 0; col-- ) {
+			if ( !getImportedCell( row, col ) ) {
+				continue;
+			}
+			cell = matrix.getCell( selection.startRow + row, selection.startCol + col );
 			if ( cell.isPlaceholder() || cell.node.getColspan() > 1 || cell.node.getRowspan() > 1 ) {
 				this.unmergeCell( matrix, cell.owner );
 			}
 		}
 	}
 	// Overwrite data
-	for ( row = importedMatrix.getRowCount() - 1; row >= 0; row-- ) {
-		for ( col = importedMatrix.getColCount( row ) - 1; col >= 0; col-- ) {
-			cell = matrix.getCell( selection.fromRow + row, selection.fromCol + col );
+	for ( row = rowCount - 1; row >= 0; row-- ) {
+		for ( col = colCount - 1; col >= 0; col-- ) {
+			importedCell = getImportedCell( row, col );
+			if ( !importedCell ) {
+				continue;
+			}
+			cell = matrix.getCell( selection.startRow + row, selection.startCol + col );
 			cellRange = cell.node.getRange();
-			importedCell = importedMatrix.getCell( row, col );
 
 			if ( !importedCell.isPlaceholder() ) {
 				// Remove the existing cell contents
@@ -328,13 +453,94 @@ ve.ui.TableAction.prototype.importTable = function ( importedTableNode, importIn
 		new ve.dm.TableSelection(
 			documentModel, tableNode.getOuterRange(),
 			selection.startCol, selection.startRow,
-			selection.startCol + importedMatrix.getMaxColCount() - 1,
-			selection.startRow + importedMatrix.getRowCount() - 1
+			selection.startCol + colCount - 1,
+			selection.startRow + rowCount - 1
 		)
 	);
 	return true;
 };
 
+/**
+ * Import rows of cell texts at the current selection, overwriting data cell by cell
+ *
+ * The cells keep their other attributes, e.g. header cells stay header cells.
+ * See #importTable for how the table is grown and the selection filled.
+ *
+ * @param {Array[]} texts Rows of cell texts, e.g. parsed from CSV or TSV
+ * @return {boolean} Action was executed
+ */
+ve.ui.TableAction.prototype.importCellTexts = function ( texts ) {
+	var doc,
+		data = [ { type: 'table' }, { type: 'tableSection', attributes: { style: 'body' } } ];
+
+	texts.forEach( function ( rowTexts ) {
+		data.push( { type: 'tableRow' } );
+		rowTexts.forEach( function ( text ) {
+			var lines = String( text ).split( /\r\n|\r|\n/ );
+			data.push( { type: 'tableCell', attributes: {} } );
+			lines.forEach( function ( line ) {
+				data.push( lines.length === 1 ?
+					{ type: 'paragraph', internal: { generated: 'wrapper' } } :
+					{ type: 'paragraph' }
+				);
+				ve.batchPush( data, line.split( '' ) );
+				data.push( { type: '/paragraph' } );
+			} );
+			data.push( { type: '/tableCell' } );
+		} );
+		data.push( { type: '/tableRow' } );
+	} );
+	data.push(
+		{ type: '/tableSection' },
+		{ type: '/table' },
+		{ type: 'internalList' },
+		{ type: '/internalList' }
+	);
+
+	doc = new ve.dm.Document( data );
+	return this.importTable( doc.getDocumentNode().children[ 0 ] );
+};
+
+/**
+ * Download the text of the currently focused table as a delimiter-separated values file
+ *
+ * Cells spanning several rows or columns are written to their first row and column.
+ *
+ * @param {string} [format='csv'] File format; 'csv' or 'tsv'
+ * @return {boolean} Action was executed
+ */
+ve.ui.TableAction.prototype.download = function ( format ) {
+	var blob, link, texts,
+		fileName = 'table.' + ( format === 'tsv' ? 'tsv' : 'csv' ),
+		selection = this.surface.getModel().getSelection();
+
+	if ( !( selection instanceof ve.dm.TableSelection ) ) {
+		return false;
+	}
+
+	texts = selection.getTableNode().getMatrix().getCellTexts();
+	blob = new Blob(
+		[ Papa.unparse( texts, { delimiter: format === 'tsv' ? '\t' : ',' } ) ],
+		{ type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv' }
+	);
+
+	// Support: IE
+	if ( navigator.msSaveBlob ) {
+		navigator.msSaveBlob( blob, fileName );
+	} else {
+		link = document.createElement( 'a' );
+		link.href = URL.createObjectURL( blob );
+		link.download = fileName;
+		// Support: Firefox
+		// The link must be in the document to be clicked
+		document.body.appendChild( link );
+		link.click();
+		document.body.removeChild( link );
+		URL.revokeObjectURL( link.href );
+	}
+	return true;
+};
+
 /**
  * Change cell style
  *
@@ -363,6 +569,71 @@ ve.ui.TableAction.prototype.changeCellStyle = function ( style ) {
 	return true;
 };
 
+/**
+ * Change cell properties
+ *
+ * Alignment and background are changed on the selected cells. Width is a property of the
+ * column, so it is changed on all the cells of the selected columns, except cells which
+ * span several columns.
+ *
+ * @param {Object} properties Cell properties to change, see ve.dm.TableCellNode#cellProperties.
+ *  Properties which are null or empty are removed.
+ * @return {boolean} Action was executed
+ */
+ve.ui.TableAction.prototype.changeCellProperties = function ( properties ) {
+	var row, col, cell, matrix, offsets,
+		changes = {},
+		txs = [],
+		surfaceModel = this.surface.getModel(),
+		selection = surfaceModel.getSelection();
+
+	function addChanges( cell, keys ) {
+		var offset;
+		if ( !( cell.node instanceof ve.dm.TableCellNode ) ) {
+			return;
+		}
+		offset = cell.node.getOuterRange().start;
+		changes[ offset ] = changes[ offset ] || {};
+		keys.forEach( function ( key ) {
+			changes[ offset ][ key ] = properties[ key ] || undefined;
+		} );
+	}
+
+	if ( !( selection instanceof ve.dm.TableSelection ) ) {
+		return false;
+	}
+
+	selection.getMatrixCells().forEach( function ( cell ) {
+		addChanges( cell, Object.keys( properties ).filter( function ( key ) {
+			return key !== 'width';
+		} ) );
+	} );
+	if ( 'width' in properties ) {
+		matrix = selection.getTableNode().getMatrix();
+		for ( row = 0; row < matrix.getRowCount(); row++ ) {
+			for ( col = selection.startCol; col <= selection.endCol; col++ ) {
+				cell = matrix.getCell( row, col );
+				if ( cell && !cell.isPlaceholder() && cell.node.getColspan() === 1 ) {
+					addChanges( cell, [ 'width' ] );
+				}
+			}
+		}
+	}
+
+	offsets = Object.keys( changes ).map( Number ).sort( function ( a, b ) {
+		return b - a;
+	} );
+	offsets.forEach( function ( offset ) {
+		txs.push(
+			ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+				surfaceModel.getDocument(), offset, changes[ offset ]
+			)
+		);
+	} );
+	surfaceModel.change( txs );
+	return true;
+};
+
 /**
  * Merge multiple cells into one, or split a merged cell.
  *
@@ -927,6 +1198,99 @@ ve.ui.TableAction.prototype.replacePlaceholder = function ( matrix, placeholder,
 	return ve.dm.TransactionBuilder.static.newFromInsertion( surfaceModel.getDocument(), offset, data );
 };
 
+/**
+ * Get the rows of a table, by section, for sorting
+ *
+ * Tables with cells spanning several rows in a body section can't be sorted, as rows would be
+ * split up.
+ *
+ * @param {ve.dm.TableNode} tableNode Table node
+ * @return {Object[]|null} Sections in document order, or null if the table can't be sorted
+ * @return {ve.dm.TableSectionNode} return.node Section node
+ * @return {Object[]} return.rows Rows in the section
+ * @return {ve.dm.TableRowNode} return.rows.node Row node
+ * @return {number} return.rows.row Row index in the table matrix
+ * @return {boolean} return.rows.header The row stays in place, as it is in a header or footer
+ *  section or only contains header cells
+ */
+ve.ui.TableAction.prototype.getSortableRows = function ( tableNode ) {
+	var matrix = tableNode.getMatrix(),
+		sections = [],
+		sortable = true;
+
+	matrix.getRowNodes().forEach( function ( rowNode, row ) {
+		var sectionNode = rowNode.getParent(),
+			section = sections[ sections.length - 1 ],
+			isBody = sectionNode.getAttribute( 'style' ) === 'body';
+
+		if ( !section || section.node !== sectionNode ) {
+			section = { node: sectionNode, rows: [] };
+			sections.push( section );
+		}
+		section.rows.push( {
+			node: rowNode,
+			row: row,
+			header: !isBody || rowNode.getChildren().every( function ( cellNode ) {
+				return cellNode.getStyle() === 'header';
+			} )
+		} );
+		if ( isBody && matrix.getRow( row ).some( function ( cell ) {
+			return cell && cell.node.getRowspan() > 1;
+		} ) ) {
+			sortable = false;
+		}
+	} );
+
+	return sortable ? sections : null;
+};
+
+/**
+ * Detect how to compare the text of cells for sorting
+ *
+ * @param {string[]} texts Text of each cell
+ * @return {string} Comparison type; 'number' if all the non-empty text is numeric, 'date' if it
+ *  is all dates, and 'text' otherwise
+ */
+ve.ui.TableAction.prototype.getSortType = function ( texts ) {
+	var action = this;
+
+	texts = texts.filter( function ( text ) {
+		return text;
+	} );
+	if ( !texts.length ) {
+		return 'text';
+	}
+	return [ 'number', 'date' ].filter( function ( type ) {
+		return texts.every( function ( text ) {
+			return action.getSortValue( text, type ) !== null;
+		} );
+	} )[ 0 ] || 'text';
+};
+
+/**
+ * Get the value of a cell's text to compare for sorting
+ *
+ * @param {string} text Text of the cell
+ * @param {string} type Comparison type; 'text', 'number' or 'date'
+ * @return {string|number|null} Value to compare, or null if the text is empty or not of the type
+ */
+ve.ui.TableAction.prototype.getSortValue = function ( text, type ) {
+	var match, time;
+
+	switch ( type ) {
+		case 'number':
+			// Allow thousands separators, and symbols or units before and after the number
+			match = text.replace( /,(?=\d{3}(\D|$))/g, '' )
+				.match( /^[^\d\-+.]*([\-+]?(?:\d+\.?\d*|\.\d+)(?:e[\-+]?\d+)?)\D*$/i );
+			return match ? parseFloat( match[ 1 ] ) : null;
+		case 'date':
+			time = /\d/.test( text ) ? Date.parse( text ) : NaN;
+			return isNaN( time ) ? null : time;
+		default:
+			return text || null;
+	}
+};
+
 /* Registration */
 
 ve.ui.actionFactory.register( ve.ui.TableAction );
@@ -211,4 +211,64 @@ ve.ui.TableLineContextItem.prototype.setup = function () {
 
 	} );
 
+	[ 'ascending', 'descending' ].forEach( function ( direction ) {
+		var directionName = direction === 'ascending' ? 'Ascending' : 'Descending';
+
+		// Classes created here:
+		// * ve.ui.SortColumnAscendingContextItem
+		// * ve.ui.SortColumnDescendingContextItem
+		className = 'SortColumn' + directionName + 'ContextItem';
+		ve.ui[ className ] = function VeUiSortColumnContextItem() {
+			ve.ui.TableLineContextItem.apply( this, arguments );
+		};
+		OO.inheritClass( ve.ui[ className ], ve.ui.TableLineContextItem );
+		ve.ui[ className ].static.name = 'sortColumn' + directionName;
+		ve.ui[ className ].static.group = 'table-col';
+		ve.ui[ className ].static.icon = 'tableSort' + directionName;
+		// Messages used here:
+		// * visualeditor-table-sort-col-ascending
+		// * visualeditor-table-sort-col-descending
+		ve.ui[ className ].static.title =
+			OO.ui.deferMsg( 'visualeditor-table-sort-col-' + direction );
+		ve.ui[ className ].static.commandName = 'sortColumn' + directionName;
+		ve.ui[ className ].prototype.setup = function () {
+			var sortable,
+				surface = this.context.getSurface(),
+				selection = surface.getModel().getSelection();
+
+			// Parent method
+			ve.ui.TableLineContextItem.prototype.setup.call( this );
+
+			sortable = selection instanceof ve.dm.TableSelection &&
+				!!ve.ui.actionFactory.create( 'table', surface ).getSortableRows( selection.getTableNode() );
+
+			this.actionButton
+				.setDisabled( !sortable )
+				.setTitle( sortable ? null : ve.msg( 'visualeditor-table-sort-col-merged' ) );
+		};
+		ve.ui.contextItemFactory.register( ve.ui[ className ] );
+	} );
+
+	ve.ui.TableCellContextItem = function VeUiTableCellContextItem() {
+		ve.ui.TableLineContextItem.apply( this, arguments );
+	};
+	OO.inheritClass( ve.ui.TableCellContextItem, ve.ui.TableLineContextItem );
+	ve.ui.TableCellContextItem.static.name = 'tableCell';
+	ve.ui.TableCellContextItem.static.group = 'table';
+	ve.ui.TableCellContextItem.static.icon = 'settings';
+	ve.ui.TableCellContextItem.static.title = OO.ui.deferMsg( 'visualeditor-table-cell-properties' );
+	ve.ui.TableCellContextItem.static.commandName = 'tableCell';
+	ve.ui.contextItemFactory.register( ve.ui.TableCellContextItem );
+
+	ve.ui.DownloadTableCsvContextItem = function VeUiDownloadTableCsvContextItem() {
+		ve.ui.TableLineContextItem.apply( this, arguments );
+	};
+	OO.inheritClass( ve.ui.DownloadTableCsvContextItem, ve.ui.TableLineContextItem );
+	ve.ui.DownloadTableCsvContextItem.static.name = 'downloadTableCsv';
+	ve.ui.DownloadTableCsvContextItem.static.group = 'table';
+	ve.ui.DownloadTableCsvContextItem.static.icon = 'tableDownload';
+	ve.ui.DownloadTableCsvContextItem.static.title = OO.ui.deferMsg( 'visualeditor-table-download-csv' );
+	ve.ui.DownloadTableCsvContextItem.static.commandName = 'downloadTableCsv';
+	ve.ui.contextItemFactory.register( ve.ui.DownloadTableCsvContextItem );
+
 }() );
@@ -60,8 +60,8 @@ OO.inheritClass( ve.ui.TableLineContext, ve.ui.Context );
 /* Static Properties */
 
 ve.ui.TableLineContext.static.groups = {
-	col: [ 'insertColumnBefore', 'insertColumnAfter', 'moveColumnBefore', 'moveColumnAfter', 'deleteColumn' ],
-	row: [ 'insertRowBefore', 'insertRowAfter', 'moveRowBefore', 'moveRowAfter', 'deleteRow' ]
+	col: [ 'insertColumnBefore', 'insertColumnAfter', 'moveColumnBefore', 'moveColumnAfter', 'sortColumnAscending', 'sortColumnDescending', 'tableCell', 'downloadTableCsv', 'deleteColumn' ],
+	row: [ 'insertRowBefore', 'insertRowAfter', 'moveRowBefore', 'moveRowAfter', 'tableCell', 'downloadTableCsv', 'deleteRow' ]
 };
 
 /* Methods */
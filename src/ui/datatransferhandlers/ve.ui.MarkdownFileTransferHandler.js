@@ -0,0 +1,53 @@
+/*!
+ * VisualEditor UserInterface Markdown file transfer handler class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Markdown file transfer handler.
+ *
+ * @class
+ * @extends ve.ui.FileTransferHandler
+ *
+ * @constructor
+ * @param {ve.ui.Surface} surface
+ * @param {ve.ui.DataTransferItem} item
+ */
+ve.ui.MarkdownFileTransferHandler = function VeUiMarkdownFileTransferHandler() {
+	// Parent constructor
+	ve.ui.MarkdownFileTransferHandler.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MarkdownFileTransferHandler, ve.ui.FileTransferHandler );
+
+/* Static properties */
+
+ve.ui.MarkdownFileTransferHandler.static.name = 'markdownFile';
+
+ve.ui.MarkdownFileTransferHandler.static.types = [ 'text/markdown', 'text/x-markdown' ];
+
+ve.ui.MarkdownFileTransferHandler.static.extensions = [ 'md', 'markdown' ];
+
+ve.ui.MarkdownFileTransferHandler.static.handlesPasteSpecial = true;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MarkdownFileTransferHandler.prototype.onFileLoad = function () {
+	this.resolve( this.surface.getModel().getDocument().newFromHtml(
+		ve.dm.markdownConverter.getDomFromMarkdown( this.reader.result ),
+		this.surface.getImportRules()
+	) );
+
+	// Parent method
+	ve.ui.MarkdownFileTransferHandler.super.prototype.onFileLoad.apply( this, arguments );
+};
+
+/* Registration */
+
+ve.ui.dataTransferHandlerFactory.register( ve.ui.MarkdownFileTransferHandler );
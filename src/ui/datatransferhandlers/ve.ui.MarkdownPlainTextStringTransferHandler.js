@@ -0,0 +1,48 @@
+/*!
+ * VisualEditor UserInterface Markdown plain text string transfer handler class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Markdown plain text string transfer handler.
+ *
+ * Handles plain text which looks like Markdown (see ve.dm.MarkdownConverter#isMarkdown), but
+ * only in "paste special", so that ordinary pastes of plain text are left alone.
+ *
+ * @class
+ * @extends ve.ui.MarkdownStringTransferHandler
+ *
+ * @constructor
+ * @param {ve.ui.Surface} surface
+ * @param {ve.ui.DataTransferItem} item
+ */
+ve.ui.MarkdownPlainTextStringTransferHandler = function VeUiMarkdownPlainTextStringTransferHandler() {
+	// Parent constructor
+	ve.ui.MarkdownPlainTextStringTransferHandler.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MarkdownPlainTextStringTransferHandler, ve.ui.MarkdownStringTransferHandler );
+
+/* Static properties */
+
+ve.ui.MarkdownPlainTextStringTransferHandler.static.name = 'markdownPlainTextString';
+
+ve.ui.MarkdownPlainTextStringTransferHandler.static.types = [ 'text/plain' ];
+
+ve.ui.MarkdownPlainTextStringTransferHandler.static.handlesOnlyPasteSpecial = true;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MarkdownPlainTextStringTransferHandler.static.matchFunction = function ( item ) {
+	return ve.dm.MarkdownConverter.static.isMarkdown( item.getAsString() );
+};
+
+/* Registration */
+
+ve.ui.dataTransferHandlerFactory.register( ve.ui.MarkdownPlainTextStringTransferHandler );
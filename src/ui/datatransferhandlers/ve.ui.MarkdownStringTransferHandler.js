@@ -0,0 +1,50 @@
+/*!
+ * VisualEditor UserInterface Markdown string transfer handler class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Markdown string transfer handler.
+ *
+ * See ve.ui.MarkdownPlainTextStringTransferHandler for plain text which looks like Markdown.
+ *
+ * @class
+ * @extends ve.ui.DataTransferHandler
+ *
+ * @constructor
+ * @param {ve.ui.Surface} surface
+ * @param {ve.ui.DataTransferItem} item
+ */
+ve.ui.MarkdownStringTransferHandler = function VeUiMarkdownStringTransferHandler() {
+	// Parent constructor
+	ve.ui.MarkdownStringTransferHandler.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MarkdownStringTransferHandler, ve.ui.DataTransferHandler );
+
+/* Static properties */
+
+ve.ui.MarkdownStringTransferHandler.static.name = 'markdownString';
+
+ve.ui.MarkdownStringTransferHandler.static.types = [ 'text/markdown', 'text/x-markdown' ];
+
+ve.ui.MarkdownStringTransferHandler.static.handlesPasteSpecial = true;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MarkdownStringTransferHandler.prototype.process = function () {
+	this.resolve( this.surface.getModel().getDocument().newFromHtml(
+		ve.dm.markdownConverter.getDomFromMarkdown( this.item.getAsString() ),
+		this.surface.getImportRules()
+	) );
+};
+
+/* Registration */
+
+ve.ui.dataTransferHandlerFactory.register( ve.ui.MarkdownStringTransferHandler );
@@ -7,6 +7,10 @@
 /**
  * Dialog for displaying a diff.
  *
+ * The diff can be shown inline, side by side or as changes only (see ve.ui.DiffElement),
+ * and the changes can be stepped through with the previous and next buttons or their
+ * keyboard shortcuts.
+ *
  * @class
  * @extends OO.ui.ProcessDialog
  *
@@ -16,6 +20,9 @@
 ve.ui.DiffDialog = function VeUiDiffDialog( config ) {
 	// Parent constructor
 	ve.ui.DiffDialog.super.call( this, config );
+
+	// Properties
+	this.diffElement = null;
 };
 
 /* Inheritance */
@@ -37,21 +44,81 @@ ve.ui.DiffDialog.static.actions = [
 	}
 ];
 
+/**
+ * Keyboard shortcuts for stepping through the changes
+ *
+ * @static
+ * @property {Object}
+ * @inheritable
+ */
+ve.ui.DiffDialog.static.triggers = {
+	previous: [ new ve.ui.Trigger( 'p' ), new ve.ui.Trigger( 'k' ) ],
+	next: [ new ve.ui.Trigger( 'n' ), new ve.ui.Trigger( 'j' ) ]
+};
+
 /* Methods */
 
 /**
  * @inheritdoc
  */
 ve.ui.DiffDialog.prototype.initialize = function () {
+	var triggers = this.constructor.static.triggers;
+
 	// Parent method
 	ve.ui.DiffDialog.parent.prototype.initialize.apply( this, arguments );
 
+	function getTitle( message, messageTriggers ) {
+		return ve.msg( message ) + ' ' + messageTriggers.map( function ( trigger ) {
+			return trigger.getMessage();
+		} ).join( ', ' );
+	}
+
+	this.modeSelect = new OO.ui.ButtonSelectWidget( {
+		items: [
+			new OO.ui.ButtonOptionWidget( {
+				data: 'inline',
+				label: ve.msg( 'visualeditor-diff-mode-inline' )
+			} ),
+			new OO.ui.ButtonOptionWidget( {
+				data: 'sideBySide',
+				label: ve.msg( 'visualeditor-diff-mode-sidebyside' )
+			} ),
+			new OO.ui.ButtonOptionWidget( {
+				data: 'changes',
+				label: ve.msg( 'visualeditor-diff-mode-changes' )
+			} )
+		]
+	} );
+	this.previousButton = new OO.ui.ButtonWidget( {
+		icon: 'previous',
+		title: getTitle( 'visualeditor-diff-previous-change', triggers.previous )
+	} );
+	this.nextButton = new OO.ui.ButtonWidget( {
+		icon: 'next',
+		title: getTitle( 'visualeditor-diff-next-change', triggers.next )
+	} );
 	this.content = new OO.ui.PanelLayout( {
 		padded: true,
 		expanded: false
 	} );
 
-	this.$body.append( this.content.$element );
+	// Events
+	this.modeSelect.connect( this, { select: 'onModeSelect' } );
+	this.previousButton.connect( this, { click: 'selectPreviousChange' } );
+	this.nextButton.connect( this, { click: 'selectNextChange' } );
+
+	// Initialization
+	this.modeSelect.selectItemByData( ve.userConfig( 'visualeditor-diff-mode' ) || 'inline' );
+	this.$body.append(
+		$( '<div>' ).addClass( 've-ui-diffDialog-toolbar' ).append(
+			this.modeSelect.$element,
+			$( '<div>' ).addClass( 've-ui-diffDialog-navigation' ).append(
+				this.previousButton.$element,
+				this.nextButton.$element
+			)
+		),
+		this.content.$element
+	);
 };
 
 /**
@@ -61,16 +128,98 @@ ve.ui.DiffDialog.prototype.getSetupProcess = function ( data ) {
 	return ve.ui.DiffDialog.super.prototype.getSetupProcess.call( this, data )
 		.next( function () {
 
-			var visualDiff, diffElement;
+			var visualDiff;
 			visualDiff = new ve.dm.VisualDiff( data.oldDoc, data.newDoc );
-			diffElement = new ve.ui.DiffElement( visualDiff );
+			this.diffElement = new ve.ui.DiffElement( visualDiff, {
+				mode: this.modeSelect.getSelectedItem().getData()
+			} );
 
 			this.content.$element.empty().append(
-				diffElement.$element
+				this.diffElement.$element
 			);
+			this.updateNavigation();
 		}, this );
 };
 
+/**
+ * @inheritdoc
+ */
+ve.ui.DiffDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.DiffDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.content.$element.empty();
+			this.diffElement = null;
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.DiffDialog.prototype.onDialogKeyDown = function ( e ) {
+	var trigger = new ve.ui.Trigger( e ).toString(),
+		triggers = this.constructor.static.triggers;
+
+	function matches( candidates ) {
+		return candidates.some( function ( candidate ) {
+			return candidate.toString() === trigger;
+		} );
+	}
+
+	if ( matches( triggers.previous ) ) {
+		this.selectPreviousChange();
+		e.preventDefault();
+	} else if ( matches( triggers.next ) ) {
+		this.selectNextChange();
+		e.preventDefault();
+	} else {
+		// Parent method
+		ve.ui.DiffDialog.super.prototype.onDialogKeyDown.call( this, e );
+	}
+};
+
+/**
+ * Handle select events from the mode select widget
+ *
+ * @param {OO.ui.OptionWidget|null} item Selected item
+ */
+ve.ui.DiffDialog.prototype.onModeSelect = function ( item ) {
+	if ( !item ) {
+		return;
+	}
+	ve.userConfig( 'visualeditor-diff-mode', item.getData() );
+	if ( this.diffElement ) {
+		this.diffElement.setMode( item.getData() );
+		this.updateNavigation();
+	}
+};
+
+/**
+ * Select the previous change in the diff
+ */
+ve.ui.DiffDialog.prototype.selectPreviousChange = function () {
+	if ( this.diffElement ) {
+		this.diffElement.selectPreviousChange();
+	}
+};
+
+/**
+ * Select the next change in the diff
+ */
+ve.ui.DiffDialog.prototype.selectNextChange = function () {
+	if ( this.diffElement ) {
+		this.diffElement.selectNextChange();
+	}
+};
+
+/**
+ * Enable the navigation buttons if there are changes to step through
+ */
+ve.ui.DiffDialog.prototype.updateNavigation = function () {
+	var hasChanges = !!this.diffElement && this.diffElement.getChangeCount() > 0;
+	this.previousButton.setDisabled( !hasChanges );
+	this.nextButton.setDisabled( !hasChanges );
+};
+
 /* Registration */
 
 ve.ui.windowFactory.register( ve.ui.DiffDialog );
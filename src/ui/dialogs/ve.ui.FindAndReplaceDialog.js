@@ -36,13 +36,217 @@ ve.ui.FindAndReplaceDialog.static.handlesSource = true;
  */
 ve.ui.FindAndReplaceDialog.static.maxRenderedResults = 100;
 
+/**
+ * Filters for the content to find
+ *
+ * Each filter matches annotations (`annotation`) or nodes (`node`) of the given types, and
+ * may name a default attribute to test and replace (`attribute`).
+ *
+ * @static
+ * @property {Object[]}
+ */
+ve.ui.FindAndReplaceDialog.static.filters = [
+	{
+		name: 'bold',
+		label: OO.ui.deferMsg( 'visualeditor-annotationbutton-bold-tooltip' ),
+		annotation: [ 'textStyle/bold' ]
+	},
+	{
+		name: 'italic',
+		label: OO.ui.deferMsg( 'visualeditor-annotationbutton-italic-tooltip' ),
+		annotation: [ 'textStyle/italic' ]
+	},
+	{
+		name: 'link',
+		label: OO.ui.deferMsg( 'visualeditor-annotationbutton-link-tooltip' ),
+		annotation: [ 'link' ],
+		attribute: 'href'
+	},
+	{
+		name: 'heading',
+		label: OO.ui.deferMsg( 'visualeditor-find-and-replace-filter-heading' ),
+		node: [ 'heading' ],
+		attribute: 'level'
+	},
+	{
+		name: 'image',
+		label: OO.ui.deferMsg( 'visualeditor-find-and-replace-filter-image' ),
+		node: [ 'blockImage', 'inlineImage' ],
+		attribute: 'alt'
+	}
+];
+
+/**
+ * Styles which can be added to or removed from results
+ *
+ * @static
+ * @property {Object[]}
+ */
+ve.ui.FindAndReplaceDialog.static.replaceStyles = [
+	{ name: 'textStyle/bold', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-bold-tooltip' ) },
+	{ name: 'textStyle/italic', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-italic-tooltip' ) },
+	{ name: 'textStyle/underline', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-underline-tooltip' ) },
+	{ name: 'textStyle/strikethrough', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-strikethrough-tooltip' ) },
+	{ name: 'textStyle/code', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-code-tooltip' ) },
+	{ name: 'textStyle/subscript', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-subscript-tooltip' ) },
+	{ name: 'textStyle/superscript', label: OO.ui.deferMsg( 'visualeditor-annotationbutton-superscript-tooltip' ) }
+];
+
+/**
+ * Expand references to a regular expression match in a replacement string
+ *
+ * Supports the same references as String#replace: `$&` for the whole match, `$1` to `$99`
+ * for numbered groups, `$<name>` for named groups and `$$` for a dollar sign.
+ *
+ * @static
+ * @param {string} replacement Replacement string
+ * @param {Array} match Match, as returned by RegExp#exec
+ * @return {string} Expanded replacement
+ */
+ve.ui.FindAndReplaceDialog.static.expandReplacement = function ( replacement, match ) {
+	return replacement.replace( /\$(?:(\$)|(&)|(\d\d?)|<([^>]*)>)/g, function ( token, dollar, whole, number, name ) {
+		var n, suffix = '';
+		if ( dollar ) {
+			return '$';
+		}
+		if ( whole ) {
+			return match[ 0 ];
+		}
+		if ( number ) {
+			n = +number;
+			if ( n >= match.length && number.length === 2 ) {
+				// Read "$10" as "$1" followed by "0" when there are fewer than ten groups
+				n = +number.charAt( 0 );
+				suffix = number.charAt( 1 );
+			}
+			return n > 0 && n < match.length ? ( match[ n ] || '' ) + suffix : token;
+		}
+		if ( match.groups && Object.prototype.hasOwnProperty.call( match.groups, name ) ) {
+			return match.groups[ name ] || '';
+		}
+		return token;
+	} );
+};
+
+/**
+ * Change the case of a replacement
+ *
+ * @static
+ * @param {string} text Replacement text
+ * @param {string} transform Case transform: 'none', 'lower', 'upper', 'title' (capitalize each
+ *  word) or 'preserve' (follow the case of the text found)
+ * @param {string} found Text found
+ * @return {string} Transformed replacement text
+ */
+ve.ui.FindAndReplaceDialog.static.transformCase = function ( text, transform, found ) {
+	if ( transform === 'upper' ) {
+		return text.toUpperCase();
+	}
+	if ( transform === 'lower' ) {
+		return text.toLowerCase();
+	}
+	if ( transform === 'title' ) {
+		return text.toLowerCase().replace( /(^|\s)(\S)/g, function ( m, space, first ) {
+			return space + first.toUpperCase();
+		} );
+	}
+	if ( transform === 'preserve' && found.toUpperCase() !== found.toLowerCase() ) {
+		if ( found === found.toUpperCase() ) {
+			return text.toUpperCase();
+		}
+		if ( found === found.toLowerCase() ) {
+			return text.toLowerCase();
+		}
+		if ( found.charAt( 0 ) !== found.charAt( 0 ).toLowerCase() ) {
+			return text.charAt( 0 ).toUpperCase() + text.slice( 1 );
+		}
+	}
+	return text;
+};
+
+/**
+ * Get linear data for a replacement
+ *
+ * As in ve.dm.SurfaceFragment#insertContent, each line of a replacement containing line
+ * breaks is wrapped in a paragraph.
+ *
+ * @static
+ * @param {string} text Replacement text
+ * @return {Array} Linear data
+ */
+ve.ui.FindAndReplaceDialog.static.getReplacementData = function ( text ) {
+	var data,
+		lines = text.split( /[\r\n]+/ );
+
+	if ( lines.length === 1 ) {
+		return text.split( '' );
+	}
+	data = [];
+	lines.forEach( function ( line ) {
+		if ( line.length ) {
+			data.push( { type: 'paragraph' } );
+			ve.batchPush( data, line.split( '' ) );
+			data.push( { type: '/paragraph' } );
+		}
+	} );
+	return data;
+};
+
+/**
+ * Combine transactions which only annotate content or change attributes
+ *
+ * The transactions must all apply to the same document. Their operations are merged in
+ * document order into a single transaction, which has the effect of applying them all.
+ *
+ * @static
+ * @param {ve.dm.Document} doc Document the transactions apply to
+ * @param {ve.dm.Transaction[]} txs Transactions
+ * @return {ve.dm.Transaction} Combined transaction
+ */
+ve.ui.FindAndReplaceDialog.static.combineTransactions = function ( doc, txs ) {
+	var builder = new ve.dm.TransactionBuilder(),
+		ops = [],
+		offset = 0;
+
+	txs.forEach( function ( tx ) {
+		var txOffset = 0;
+		tx.getOperations().forEach( function ( op ) {
+			if ( op.type === 'retain' ) {
+				txOffset += op.length;
+			} else if ( op.type === 'annotate' || op.type === 'attribute' ) {
+				ops.push( { offset: txOffset, order: ops.length, op: op } );
+			}
+		} );
+	} );
+	// Stop annotating before starting again at the same offset
+	ops.sort( function ( a, b ) {
+		return a.offset - b.offset ||
+			( a.op.bias === 'stop' ? 0 : 1 ) - ( b.op.bias === 'stop' ? 0 : 1 ) ||
+			a.order - b.order;
+	} );
+	ops.forEach( function ( item ) {
+		builder.pushRetain( item.offset - offset );
+		if ( item.op.type === 'attribute' ) {
+			builder.pushReplaceElementAttribute( item.op.key, item.op.from, item.op.to );
+		} else if ( item.op.bias === 'start' ) {
+			builder.pushStartAnnotating( item.op.method, item.op.index );
+		} else {
+			builder.pushStopAnnotating( item.op.method, item.op.index );
+		}
+		offset = item.offset;
+	} );
+	builder.pushFinalRetain( doc, offset );
+	return builder.getTransaction();
+};
+
 /* Methods */
 
 /**
  * @inheritdoc
  */
 ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
-	var optionsGroup, navigateGroup, replaceGroup, doneButton, $findRow, $replaceRow;
+	var optionsGroup, navigateGroup, replaceGroup, doneButton, $findRow, $replaceRow,
+		$scopeRow, $filterRow, $replaceModeRow, $replacePreviewButtons;
 
 	// Parent method
 	ve.ui.FindAndReplaceDialog.super.prototype.initialize.call( this );
@@ -76,45 +280,184 @@ ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
 		icon: 'searchCaseSensitive',
 		iconTitle: ve.msg( 'visualeditor-find-and-replace-match-case' ),
 		value: ve.userConfig( 'visualeditor-findAndReplace-matchCase' ),
-		tabIndex: 8
+		tabIndex: 9
 	} );
 	this.regexToggle = new OO.ui.ToggleButtonWidget( {
 		icon: 'searchRegularExpression',
 		iconTitle: ve.msg( 'visualeditor-find-and-replace-regular-expression' ),
 		value: ve.userConfig( 'visualeditor-findAndReplace-regex' ),
-		tabIndex: 9
+		tabIndex: 10
 	} );
 	this.wordToggle = new OO.ui.ToggleButtonWidget( {
 		icon: 'quotes',
 		iconTitle: ve.msg( 'visualeditor-find-and-replace-word' ),
 		value: ve.userConfig( 'visualeditor-findAndReplace-word' ),
-		tabIndex: 10
+		tabIndex: 11
+	} );
+	this.multilineToggle = new OO.ui.ToggleButtonWidget( {
+		icon: 'newline',
+		iconTitle: ve.msg( 'visualeditor-find-and-replace-multiline' ),
+		value: ve.userConfig( 'visualeditor-findAndReplace-multiline' ),
+		tabIndex: 12
+	} );
+	this.filterToggle = new OO.ui.ToggleButtonWidget( {
+		icon: 'advanced',
+		iconTitle: ve.msg( 'visualeditor-find-and-replace-filters' ),
+		value: ve.userConfig( 'visualeditor-findAndReplace-filters' ),
+		tabIndex: 13
+	} );
+
+	this.scopeDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: [
+				new OO.ui.MenuOptionWidget( {
+					data: 'document',
+					label: ve.msg( 'visualeditor-find-and-replace-scope-document' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'all',
+					label: ve.msg( 'visualeditor-find-and-replace-scope-all' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'selection',
+					label: ve.msg( 'visualeditor-find-and-replace-scope-selection' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'table',
+					label: ve.msg( 'visualeditor-find-and-replace-scope-table' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'column',
+					label: ve.msg( 'visualeditor-find-and-replace-scope-column' )
+				} )
+			]
+		},
+		tabIndex: 14
+	} );
+	this.filterTypeDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: [
+				new OO.ui.MenuOptionWidget( {
+					data: '',
+					label: ve.msg( 'visualeditor-find-and-replace-filter-none' )
+				} )
+			].concat( this.constructor.static.filters.map( function ( filter ) {
+				return new OO.ui.MenuOptionWidget( { data: filter.name, label: filter.label } );
+			} ) )
+		},
+		tabIndex: 15
+	} );
+	this.filterAttributeInput = new OO.ui.TextInputWidget( {
+		value: ve.userConfig( 'visualeditor-findAndReplace-filterAttribute' ),
+		tabIndex: 16
+	} );
+	this.filterOperatorDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: [
+				new OO.ui.MenuOptionWidget( {
+					data: 'contains',
+					label: ve.msg( 'visualeditor-find-and-replace-filter-contains' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'equals',
+					label: ve.msg( 'visualeditor-find-and-replace-filter-equals' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'missing',
+					label: ve.msg( 'visualeditor-find-and-replace-filter-missing' )
+				} )
+			]
+		},
+		tabIndex: 17
+	} );
+	this.filterValueInput = new OO.ui.TextInputWidget( {
+		placeholder: ve.msg( 'visualeditor-find-and-replace-filter-value' ),
+		value: ve.userConfig( 'visualeditor-findAndReplace-filterValue' ),
+		tabIndex: 18
+	} );
+	this.replaceModeDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: [
+				new OO.ui.MenuOptionWidget( {
+					data: 'text',
+					label: ve.msg( 'visualeditor-find-and-replace-replace-mode-text' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'attribute',
+					label: ve.msg( 'visualeditor-find-and-replace-replace-mode-attribute' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'addStyle',
+					label: ve.msg( 'visualeditor-find-and-replace-replace-mode-add-style' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'removeStyle',
+					label: ve.msg( 'visualeditor-find-and-replace-replace-mode-remove-style' )
+				} )
+			]
+		},
+		tabIndex: 19
+	} );
+	this.replaceStyleDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: this.constructor.static.replaceStyles.map( function ( style ) {
+				return new OO.ui.MenuOptionWidget( { data: style.name, label: style.label } );
+			} )
+		},
+		tabIndex: 20
 	} );
 
 	this.previousButton = new OO.ui.ButtonWidget( {
 		icon: 'previous',
 		iconTitle: ve.msg( 'visualeditor-find-and-replace-previous-button' ) + ' ' +
 			ve.ui.triggerRegistry.getMessages( 'findPrevious' ).join( ', ' ),
-		tabIndex: 6
+		tabIndex: 7
 	} );
 	this.nextButton = new OO.ui.ButtonWidget( {
 		icon: 'next',
 		iconTitle: ve.msg( 'visualeditor-find-and-replace-next-button' ) + ' ' +
 			ve.ui.triggerRegistry.getMessages( 'findNext' ).join( ', ' ),
-		tabIndex: 7
+		tabIndex: 8
 	} );
 	this.replaceText = new OO.ui.TextInputWidget( {
 		placeholder: ve.msg( 'visualeditor-find-and-replace-replace-text' ),
 		value: ve.userConfig( 'visualeditor-findAndReplace-replaceText' ),
 		tabIndex: 2
 	} );
+	this.caseDropdown = new OO.ui.DropdownWidget( {
+		menu: {
+			items: [
+				new OO.ui.MenuOptionWidget( {
+					data: 'none',
+					label: ve.msg( 'visualeditor-find-and-replace-case-none' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'preserve',
+					label: ve.msg( 'visualeditor-find-and-replace-case-preserve' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'lower',
+					label: ve.msg( 'visualeditor-find-and-replace-case-lower' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'upper',
+					label: ve.msg( 'visualeditor-find-and-replace-case-upper' )
+				} ),
+				new OO.ui.MenuOptionWidget( {
+					data: 'title',
+					label: ve.msg( 'visualeditor-find-and-replace-case-title' )
+				} )
+			]
+		},
+		tabIndex: 3
+	} );
 	this.replaceButton = new OO.ui.ButtonWidget( {
 		label: ve.msg( 'visualeditor-find-and-replace-replace-button' ),
-		tabIndex: 3
+		tabIndex: 4
 	} );
 	this.replaceAllButton = new OO.ui.ButtonWidget( {
 		label: ve.msg( 'visualeditor-find-and-replace-replace-all-button' ),
-		tabIndex: 4
+		tabIndex: 5
 	} );
 
 	optionsGroup = new OO.ui.ButtonGroupWidget( {
@@ -122,7 +465,9 @@ ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
 		items: [
 			this.matchCaseToggle,
 			this.regexToggle,
-			this.wordToggle
+			this.wordToggle,
+			this.multilineToggle,
+			this.filterToggle
 		]
 	} );
 	navigateGroup = new OO.ui.ButtonGroupWidget( {
@@ -142,10 +487,34 @@ ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
 	doneButton = new OO.ui.ButtonWidget( {
 		classes: [ 've-ui-findAndReplaceDialog-cell' ],
 		label: ve.msg( 'visualeditor-find-and-replace-done' ),
-		tabIndex: 5
+		tabIndex: 6
 	} );
 	$findRow = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
 	$replaceRow = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
+	$scopeRow = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
+	$filterRow = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
+	$replaceModeRow = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
+	this.$filters = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-filters' );
+	this.replacePreviewItems = [];
+	this.replacePreviewLabel = new OO.ui.LabelWidget( {
+		classes: [ 've-ui-findAndReplaceDialog-cell ve-ui-findAndReplaceDialog-cell-input' ]
+	} );
+	this.replacePreviewApplyButton = new OO.ui.ButtonWidget( {
+		label: ve.msg( 'visualeditor-find-and-replace-preview-apply' ),
+		flags: [ 'progressive' ]
+	} );
+	this.replacePreviewCancelButton = new OO.ui.ButtonWidget( {
+		label: ve.msg( 'visualeditor-dialog-action-cancel' )
+	} );
+	this.$replacePreviewList = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-replacePreview-list' );
+	this.$replacePreview = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-replacePreview oo-ui-element-hidden' );
+	$replacePreviewButtons = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-row' );
+	this.scopeDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-scope' ) || 'document' );
+	this.filterTypeDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-filterType' ) || '' );
+	this.filterOperatorDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-filterOperator' ) || 'contains' );
+	this.replaceModeDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-replaceMode' ) || 'text' );
+	this.replaceStyleDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-replaceStyle' ) || 'textStyle/bold' );
+	this.caseDropdown.getMenu().selectItemByData( ve.userConfig( 'visualeditor-findAndReplace-case' ) || 'none' );
 
 	// Events
 	this.onWindowScrollThrottled = ve.throttle( this.onWindowScroll.bind( this ), 250 );
@@ -162,10 +531,22 @@ ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
 	this.matchCaseToggle.connect( this, { change: 'onFindChange' } );
 	this.regexToggle.connect( this, { change: 'onFindChange' } );
 	this.wordToggle.connect( this, { change: 'onFindChange' } );
+	this.multilineToggle.connect( this, { change: 'onFindChange' } );
+	this.filterToggle.connect( this, { change: 'onFilterToggleChange' } );
+	this.scopeDropdown.getMenu().connect( this, { select: 'onFilterChange' } );
+	this.filterTypeDropdown.getMenu().connect( this, { select: 'onFilterChange' } );
+	this.filterAttributeInput.connect( this, { change: 'onFilterChange' } );
+	this.filterOperatorDropdown.getMenu().connect( this, { select: 'onFilterChange' } );
+	this.filterValueInput.connect( this, { change: 'onFilterChange' } );
+	this.replaceModeDropdown.getMenu().connect( this, { select: 'onReplaceModeChange' } );
+	this.replaceStyleDropdown.getMenu().connect( this, { select: 'onReplaceModeChange' } );
+	this.caseDropdown.getMenu().connect( this, { select: 'onReplaceChange' } );
 	this.nextButton.connect( this, { click: 'findNext' } );
 	this.previousButton.connect( this, { click: 'findPrevious' } );
 	this.replaceButton.connect( this, { click: 'onReplaceButtonClick' } );
 	this.replaceAllButton.connect( this, { click: 'onReplaceAllButtonClick' } );
+	this.replacePreviewApplyButton.connect( this, { click: 'onReplacePreviewApplyButtonClick' } );
+	this.replacePreviewCancelButton.connect( this, { click: 'hideReplacePreview' } );
 	doneButton.connect( this, { click: 'close' } );
 
 	this.tabIndexScope = new ve.ui.TabIndexScope( {
@@ -187,10 +568,53 @@ ve.ui.FindAndReplaceDialog.prototype.initialize = function () {
 				$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell ve-ui-findAndReplaceDialog-cell-input' ).append(
 					this.replaceText.$element
 				),
+				$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+					this.caseDropdown.$element
+				),
 				replaceGroup.$element,
 				doneButton.$element
+			),
+			this.$filters.append(
+				$scopeRow.append(
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+						this.scopeDropdown.$element
+					)
+				),
+				$filterRow.append(
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+						this.filterTypeDropdown.$element
+					),
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell ve-ui-findAndReplaceDialog-cell-input' ).append(
+						this.filterAttributeInput.$element
+					),
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+						this.filterOperatorDropdown.$element
+					),
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell ve-ui-findAndReplaceDialog-cell-input' ).append(
+						this.filterValueInput.$element
+					)
+				),
+				$replaceModeRow.append(
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+						this.replaceModeDropdown.$element
+					),
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell ve-ui-findAndReplaceDialog-cell-input' ).append(
+						this.replaceStyleDropdown.$element
+					)
+				)
+			),
+			this.$replacePreview.append(
+				this.$replacePreviewList,
+				$replacePreviewButtons.append(
+					this.replacePreviewLabel.$element,
+					$( '<div>' ).addClass( 've-ui-findAndReplaceDialog-cell' ).append(
+						this.replacePreviewCancelButton.$element,
+						this.replacePreviewApplyButton.$element
+					)
+				)
 			)
 		);
+	this.updateFilterWidgets();
 };
 
 /**
@@ -202,6 +626,8 @@ ve.ui.FindAndReplaceDialog.prototype.getSetupProcess = function ( data ) {
 		.first( function () {
 			this.surface = data.surface;
 			this.surface.$selections.append( this.$findResults );
+			this.initialFragment = data.fragment || null;
+			this.updateScopeOptions();
 
 			// Events
 			this.surface.getModel().connect( this, { documentUpdate: 'onSurfaceModelDocumentUpdate' } );
@@ -252,6 +678,7 @@ ve.ui.FindAndReplaceDialog.prototype.getTeardownProcess = function ( data ) {
 				surfaceView.focus();
 			}
 			this.$findResults.empty().detach();
+			this.hideReplacePreview();
 			this.fragments = [];
 			this.surface = null;
 			this.focusedIndex = 0;
@@ -265,6 +692,7 @@ ve.ui.FindAndReplaceDialog.prototype.onSurfaceModelDocumentUpdate = function ()
 	if ( this.replacing ) {
 		return;
 	}
+	this.hideReplacePreview();
 	this.clearRenderedResultsCache();
 	this.updateFragmentsThrottled();
 };
@@ -294,6 +722,7 @@ ve.ui.FindAndReplaceDialog.prototype.onWindowScroll = function () {
  * Handle change events to the find inputs (text or match case)
  */
 ve.ui.FindAndReplaceDialog.prototype.onFindChange = function () {
+	this.hideReplacePreview();
 	this.updateFragments();
 	this.clearRenderedResultsCache();
 	this.renderFragments();
@@ -302,15 +731,265 @@ ve.ui.FindAndReplaceDialog.prototype.onFindChange = function () {
 		'visualeditor-findAndReplace-findText': this.findText.getValue(),
 		'visualeditor-findAndReplace-matchCase': this.matchCaseToggle.getValue(),
 		'visualeditor-findAndReplace-regex': this.regexToggle.getValue(),
-		'visualeditor-findAndReplace-word': this.wordToggle.getValue()
+		'visualeditor-findAndReplace-word': this.wordToggle.getValue(),
+		'visualeditor-findAndReplace-multiline': this.multilineToggle.getValue()
+	} );
+};
+
+/**
+ * Handle change events to the filter toggle
+ */
+ve.ui.FindAndReplaceDialog.prototype.onFilterToggleChange = function () {
+	this.updateFilterWidgets();
+	ve.userConfig( 'visualeditor-findAndReplace-filters', this.filterToggle.getValue() );
+	if ( this.surface ) {
+		this.onFindChange();
+	}
+};
+
+/**
+ * Handle change events to the filter inputs
+ */
+ve.ui.FindAndReplaceDialog.prototype.onFilterChange = function () {
+	this.updateFilterWidgets();
+	ve.userConfig( {
+		'visualeditor-findAndReplace-scope': this.scopeDropdown.getMenu().getSelectedItem().getData(),
+		'visualeditor-findAndReplace-filterType': this.filterTypeDropdown.getMenu().getSelectedItem().getData(),
+		'visualeditor-findAndReplace-filterAttribute': this.filterAttributeInput.getValue(),
+		'visualeditor-findAndReplace-filterOperator': this.filterOperatorDropdown.getMenu().getSelectedItem().getData(),
+		'visualeditor-findAndReplace-filterValue': this.filterValueInput.getValue()
 	} );
+	if ( this.surface ) {
+		this.onFindChange();
+	}
+};
+
+/**
+ * Handle select events from the replace mode and style dropdowns
+ */
+ve.ui.FindAndReplaceDialog.prototype.onReplaceModeChange = function () {
+	this.hideReplacePreview();
+	this.updateFilterWidgets();
+	this.updateReplaceButtons();
+	ve.userConfig( {
+		'visualeditor-findAndReplace-replaceMode': this.replaceModeDropdown.getMenu().getSelectedItem().getData(),
+		'visualeditor-findAndReplace-replaceStyle': this.replaceStyleDropdown.getMenu().getSelectedItem().getData()
+	} );
+};
+
+/**
+ * Update the visibility and state of the filter widgets
+ */
+ve.ui.FindAndReplaceDialog.prototype.updateFilterWidgets = function () {
+	var filter = this.getFilter(),
+		replaceMode = this.getReplaceMode(),
+		operatorItem = this.filterOperatorDropdown.getMenu().getSelectedItem();
+
+	this.$filters.toggleClass( 'oo-ui-element-hidden', !this.filterToggle.getValue() );
+	this.filterAttributeInput.$input.attr( 'placeholder', filter && filter.attribute ||
+		ve.msg( 'visualeditor-find-and-replace-filter-attribute' ) );
+	this.filterAttributeInput.setDisabled( !filter );
+	this.filterOperatorDropdown.setDisabled( !filter );
+	this.filterValueInput.setDisabled( !filter || ( operatorItem && operatorItem.getData() === 'missing' ) );
+	this.replaceText.setDisabled( replaceMode === 'addStyle' || replaceMode === 'removeStyle' );
+	this.caseDropdown.setDisabled( replaceMode !== 'text' );
+	this.replaceStyleDropdown.toggle( replaceMode === 'addStyle' || replaceMode === 'removeStyle' );
+};
+
+/**
+ * Get the selected filter
+ *
+ * @return {Object|null} Filter, from #static-filters, or null if not filtering
+ */
+ve.ui.FindAndReplaceDialog.prototype.getFilter = function () {
+	var i, len,
+		item = this.filterTypeDropdown.getMenu().getSelectedItem(),
+		filters = this.constructor.static.filters;
+
+	if ( !this.filterToggle.getValue() || !item ) {
+		return null;
+	}
+	for ( i = 0, len = filters.length; i < len; i++ ) {
+		if ( filters[ i ].name === item.getData() ) {
+			return filters[ i ];
+		}
+	}
+	return null;
+};
+
+/**
+ * Get the name of the attribute to test and replace
+ *
+ * @return {string|null} Attribute name, or null if there is no filter or attribute
+ */
+ve.ui.FindAndReplaceDialog.prototype.getFilterAttribute = function () {
+	var filter = this.getFilter();
+	return filter && ( this.filterAttributeInput.getValue().trim() || filter.attribute ) || null;
+};
+
+/**
+ * Get the filter query to pass to ve.dm.Document#findContent
+ *
+ * @return {Object} Query, with `annotation` or `node` properties if filtering
+ */
+ve.ui.FindAndReplaceDialog.prototype.getFilterQuery = function () {
+	var operator, value,
+		query = {},
+		filter = this.getFilter(),
+		attribute = this.getFilterAttribute(),
+		conditions = {};
+
+	if ( !filter ) {
+		return query;
+	}
+	if ( attribute ) {
+		operator = this.filterOperatorDropdown.getMenu().getSelectedItem().getData();
+		value = this.filterValueInput.getValue();
+		if ( operator === 'missing' ) {
+			conditions[ attribute ] = { missing: true };
+		} else if ( value ) {
+			conditions[ attribute ] = {};
+			conditions[ attribute ][ operator ] = value;
+		}
+	}
+	query[ filter.annotation ? 'annotation' : 'node' ] = {
+		types: filter.annotation || filter.node,
+		attributes: conditions
+	};
+	return query;
 };
 
 /**
- * Handle change events to the replace input
+ * Update which search scopes can be selected, depending on the initial selection
+ */
+ve.ui.FindAndReplaceDialog.prototype.updateScopeOptions = function () {
+	var menu = this.scopeDropdown.getMenu(),
+		selection = this.initialFragment && this.initialFragment.getSelection(),
+		hasTable = !!this.getScopeTableSelection();
+
+	menu.getItemFromData( 'selection' ).setDisabled( !selection || selection.isCollapsed() );
+	menu.getItemFromData( 'table' ).setDisabled( !hasTable );
+	menu.getItemFromData( 'column' ).setDisabled( !hasTable );
+};
+
+/**
+ * Get the table selection around the initial selection
+ *
+ * @return {ve.dm.TableSelection|null} The initial selection if it is a table selection, a
+ *  selection of the table cell containing it if it is a linear selection, or null
+ */
+ve.ui.FindAndReplaceDialog.prototype.getScopeTableSelection = function () {
+	var node, cellNode, tableNode, cell,
+		documentModel = this.surface.getModel().getDocument(),
+		selection = this.initialFragment && this.initialFragment.getSelection();
+
+	if ( selection instanceof ve.dm.TableSelection ) {
+		return selection;
+	}
+	if ( !( selection instanceof ve.dm.LinearSelection ) ) {
+		return null;
+	}
+	node = documentModel.getBranchNodeFromOffset( selection.getRange().start );
+	cellNode = node && node.findParent( ve.dm.TableCellNode );
+	tableNode = cellNode && cellNode.findParent( ve.dm.TableNode );
+	cell = tableNode && tableNode.getMatrix().lookupCell( cellNode );
+	if ( !cell ) {
+		return null;
+	}
+	return new ve.dm.TableSelection(
+		documentModel, tableNode.getOuterRange(), cell.col, cell.row, cell.col, cell.row, true
+	);
+};
+
+/**
+ * Get the ranges to search, depending on the selected scope
+ *
+ * The scopes are:
+ *
+ * - `document`: The whole document before the internal list (the default)
+ * - `all`: The whole document, including internal list items
+ * - `selection`: The initial selection
+ * - `table`: The table around the initial selection
+ * - `column`: The table columns of the initial selection
+ *
+ * @return {ve.Range[]} Ranges to search, in document order
+ */
+ve.ui.FindAndReplaceDialog.prototype.getSearchRanges = function () {
+	var tableSelection, ranges,
+		documentModel = this.surface.getModel().getDocument(),
+		item = this.scopeDropdown.getMenu().getSelectedItem(),
+		scope = this.filterToggle.getValue() && item ? item.getData() : 'document',
+		selection = this.initialFragment && this.initialFragment.getSelection();
+
+	if ( scope === 'all' ) {
+		return [ new ve.Range( 0, documentModel.data.getLength() ) ];
+	}
+	if ( scope === 'selection' ) {
+		ranges = selection ? selection.getRanges() : [];
+	} else if ( scope === 'table' || scope === 'column' ) {
+		tableSelection = this.getScopeTableSelection();
+		if ( !tableSelection ) {
+			ranges = [];
+		} else if ( scope === 'table' ) {
+			ranges = [ tableSelection.getTableNode().getRange() ];
+		} else {
+			ranges = new ve.dm.TableSelection(
+				documentModel, tableSelection.tableRange,
+				tableSelection.startCol, 0,
+				tableSelection.endCol, tableSelection.getTableNode().getMatrix().getRowCount() - 1,
+				true
+			).getRanges();
+		}
+	} else {
+		return [ documentModel.getSearchRange() ];
+	}
+	return ranges.slice().sort( function ( a, b ) {
+		return a.start - b.start;
+	} );
+};
+
+/**
+ * Check whether a result is in the rendered document
+ *
+ * Results in internal list items have no position on the surface to be highlighted at.
+ *
+ * @param {number} index Index of the result
+ * @return {boolean} The result is rendered
+ */
+ve.ui.FindAndReplaceDialog.prototype.isRendered = function ( index ) {
+	return this.surface.getModel().getDocument().getSearchRange().containsRange(
+		this.fragments[ index ].getSelection().getRange()
+	);
+};
+
+/**
+ * Get the replace mode
+ *
+ * @return {string} Replace mode: 'text', 'attribute', 'addStyle' or 'removeStyle'
+ */
+ve.ui.FindAndReplaceDialog.prototype.getReplaceMode = function () {
+	var item = this.replaceModeDropdown.getMenu().getSelectedItem();
+	return this.filterToggle.getValue() && item ? item.getData() : 'text';
+};
+
+/**
+ * Update the disabled state of the replace buttons
+ */
+ve.ui.FindAndReplaceDialog.prototype.updateReplaceButtons = function () {
+	var canReplace = !!this.results && ( this.getReplaceMode() !== 'attribute' || !!this.getFilterAttribute() );
+	this.replaceButton.setDisabled( !canReplace );
+	this.replaceAllButton.setDisabled( !canReplace );
+};
+
+/**
+ * Handle change events to the replace input and case dropdown
  */
 ve.ui.FindAndReplaceDialog.prototype.onReplaceChange = function () {
-	ve.userConfig( 'visualeditor-findAndReplace-replaceText', this.replaceText.getValue() );
+	this.hideReplacePreview();
+	ve.userConfig( {
+		'visualeditor-findAndReplace-replaceText': this.replaceText.getValue(),
+		'visualeditor-findAndReplace-case': this.caseDropdown.getMenu().getSelectedItem().getData()
+	} );
 };
 
 /**
@@ -337,6 +1016,7 @@ ve.ui.FindAndReplaceDialog.prototype.updateFragments = function () {
 		surfaceModel = this.surface.getModel(),
 		documentModel = surfaceModel.getDocument(),
 		ranges = [],
+		query = this.getFilterQuery(),
 		matchCase = this.matchCaseToggle.getValue(),
 		isRegex = this.regexToggle.getValue(),
 		wholeWord = this.wordToggle.getValue(),
@@ -358,10 +1038,15 @@ ve.ui.FindAndReplaceDialog.prototype.updateFragments = function () {
 
 	this.fragments = [];
 	if ( this.query ) {
-		ranges = documentModel.findText( this.query, {
+		query.text = this.query;
+	}
+	if ( query.text || query.annotation || query.node ) {
+		ranges = documentModel.findContent( query, {
 			caseSensitiveString: matchCase,
 			noOverlaps: true,
-			wholeWord: wholeWord
+			wholeWord: wholeWord,
+			multiline: this.multilineToggle.getValue(),
+			ranges: this.getSearchRanges()
 		} );
 		for ( i = 0, l = ranges.length; i < l; i++ ) {
 			this.fragments.push( surfaceModel.getLinearFragment( ranges[ i ], true, true ) );
@@ -374,8 +1059,7 @@ ve.ui.FindAndReplaceDialog.prototype.updateFragments = function () {
 	this.focusedIndex = startIndex || 0;
 	this.nextButton.setDisabled( !this.results );
 	this.previousButton.setDisabled( !this.results );
-	this.replaceButton.setDisabled( !this.results );
-	this.replaceAllButton.setDisabled( !this.results );
+	this.updateReplaceButtons();
 };
 
 /**
@@ -441,7 +1125,9 @@ ve.ui.FindAndReplaceDialog.prototype.renderRangeOfFragments = function ( range )
 		if ( this.renderedResultsCache[ i ] ) {
 			this.$findResults.append( this.renderedResultsCache[ i ] );
 		} else {
-			rects = this.surface.getView().getSelection( this.fragments[ i ].getSelection() ).getSelectionRects();
+			rects = this.isRendered( i ) ?
+				this.surface.getView().getSelection( this.fragments[ i ].getSelection() ).getSelectionRects() || [] :
+				[];
 			$result = $( '<div>' ).addClass( 've-ui-findAndReplaceDialog-findResult' );
 			top = Infinity;
 			for ( j = 0, jlen = rects.length; j < jlen; j++ ) {
@@ -493,13 +1179,13 @@ ve.ui.FindAndReplaceDialog.prototype.highlightFocused = function ( scrollIntoVie
 		$result = this.renderedResultsCache[ this.focusedIndex ].addClass( 've-ui-findAndReplaceDialog-findResult-focused' );
 
 		top = $result.data( 'top' );
-	} else if ( scrollIntoView ) {
+	} else if ( scrollIntoView && this.isRendered( this.focusedIndex ) ) {
 		// If we're about to scroll into view and the result isn't rendered, compute the offset manually.
 		rect = surfaceView.getSelection( this.fragments[ this.focusedIndex ].getSelection() ).getSelectionBoundingRect();
-		top = rect.top;
+		top = rect && rect.top;
 	}
 
-	if ( scrollIntoView ) {
+	if ( scrollIntoView && top !== undefined && top !== Infinity ) {
 		surfaceView = this.surface.getView();
 		offset = top + surfaceView.$element.offset().top;
 		windowScrollTop = surfaceView.$window.scrollTop() + this.surface.toolbarHeight;
@@ -560,7 +1246,7 @@ ve.ui.FindAndReplaceDialog.prototype.findPrevious = function () {
 ve.ui.FindAndReplaceDialog.prototype.onReplaceButtonClick = function () {
 	var end;
 
-	if ( !this.results ) {
+	if ( this.replaceButton.isDisabled() ) {
 		return;
 	}
 
@@ -587,38 +1273,227 @@ ve.ui.FindAndReplaceDialog.prototype.onReplaceButtonClick = function () {
 };
 
 /**
- * Handle click events on the previous all button
+ * Handle click events on the replace all button
  */
 ve.ui.FindAndReplaceDialog.prototype.onReplaceAllButtonClick = function () {
-	var i, l;
+	if ( this.replaceAllButton.isDisabled() ) {
+		return;
+	}
+	this.showReplacePreview();
+};
 
-	for ( i = 0, l = this.results; i < l; i++ ) {
-		this.replace( i );
+/**
+ * Show a preview of every replacement, with checkboxes to skip some of them
+ */
+ve.ui.FindAndReplaceDialog.prototype.showReplacePreview = function () {
+	var indexes = [],
+		replacements = null,
+		modeLabel = this.replaceModeDropdown.getMenu().getSelectedItem().getLabel();
+
+	this.hideReplacePreview();
+	this.fragments.forEach( function ( fragment, i ) {
+		indexes.push( i );
+	} );
+	if ( this.getReplaceMode() === 'text' ) {
+		replacements = this.getReplacements( indexes );
 	}
+
+	this.replacePreviewItems = this.fragments.map( function ( fragment, i ) {
+		var checkbox = new OO.ui.CheckboxInputWidget( { selected: true } );
+		checkbox.connect( this, { change: 'updateReplacePreviewLabel' } );
+		return new OO.ui.FieldLayout( checkbox, {
+			align: 'inline',
+			classes: [ 've-ui-findAndReplaceDialog-replacePreview-item' ],
+			label: $( '<span>' ).append(
+				$( '<del>' ).text( fragment.getText() ),
+				' \u2192 ',
+				replacements ? $( '<ins>' ).text( replacements[ i ] ) : $( '<span>' ).text( modeLabel )
+			)
+		} );
+	}, this );
+
+	this.$replacePreviewList.append( this.replacePreviewItems.map( function ( item ) {
+		return item.$element;
+	} ) );
+	this.updateReplacePreviewLabel();
+	this.$replacePreview.removeClass( 'oo-ui-element-hidden' );
+	this.replacePreviewApplyButton.$button.focus();
+};
+
+/**
+ * Hide the replacement preview
+ */
+ve.ui.FindAndReplaceDialog.prototype.hideReplacePreview = function () {
+	this.$replacePreview.addClass( 'oo-ui-element-hidden' );
+	this.$replacePreviewList.empty();
+	this.replacePreviewItems = [];
+};
+
+/**
+ * Update the label counting the replacements selected in the preview
+ */
+ve.ui.FindAndReplaceDialog.prototype.updateReplacePreviewLabel = function () {
+	var selected = this.getReplacePreviewSelection().length;
+	this.replacePreviewLabel.setLabel(
+		ve.msg( 'visualeditor-find-and-replace-preview', selected, this.replacePreviewItems.length )
+	);
+	this.replacePreviewApplyButton.setDisabled( !selected );
+};
+
+/**
+ * Get the results selected in the replacement preview
+ *
+ * @return {number[]} Indexes of the selected results
+ */
+ve.ui.FindAndReplaceDialog.prototype.getReplacePreviewSelection = function () {
+	var indexes = [];
+	this.replacePreviewItems.forEach( function ( item, i ) {
+		if ( item.getField().isSelected() ) {
+			indexes.push( i );
+		}
+	} );
+	return indexes;
+};
+
+/**
+ * Handle click events on the replacement preview's apply button
+ */
+ve.ui.FindAndReplaceDialog.prototype.onReplacePreviewApplyButtonClick = function () {
+	var indexes = this.getReplacePreviewSelection();
+
+	this.hideReplacePreview();
+	this.replaceAll( indexes );
 	this.updateFragments();
 	this.clearRenderedResultsCache();
 	this.renderFragments();
 };
 
+/**
+ * Get the replacement text for some results
+ *
+ * In regex mode, references to the match in the replacement, such as `$1`, are expanded
+ * (see #static-expandReplacement). The case transform is then applied.
+ *
+ * @param {number[]} indexes Indexes of the results
+ * @return {string[]} Replacement text for each result
+ */
+ve.ui.FindAndReplaceDialog.prototype.getReplacements = function ( indexes ) {
+	var text, searchRanges,
+		dialog = this,
+		query = this.query,
+		replace = this.replaceText.getValue(),
+		transform = this.caseDropdown.getMenu().getSelectedItem().getData(),
+		multiline = this.multilineToggle.getValue();
+
+	if ( query instanceof RegExp ) {
+		text = this.surface.getModel().getDocument().data.getText( true );
+		searchRanges = this.getSearchRanges();
+	}
+
+	return indexes.map( function ( index ) {
+		var searchRange, lineStart, lineEnd, match,
+			fragment = dialog.fragments[ index ],
+			range = fragment.getSelection().getRange(),
+			replacement = replace;
+
+		if ( text !== undefined ) {
+			// Match again within the same line of the same search range, as
+			// ve.dm.Document#findText did, so anchors and lookarounds behave the same
+			searchRange = range;
+			searchRanges.some( function ( r ) {
+				if ( r.containsRange( range ) ) {
+					searchRange = r;
+					return true;
+				}
+				return false;
+			} );
+			lineStart = searchRange.start;
+			lineEnd = searchRange.end;
+			if ( !multiline ) {
+				lineStart = Math.max( lineStart, text.lastIndexOf( '\n', range.start - 1 ) + 1 );
+				lineEnd = text.indexOf( '\n', range.end ) === -1 ? lineEnd : Math.min( lineEnd, text.indexOf( '\n', range.end ) );
+			}
+			query.lastIndex = range.start - lineStart;
+			match = query.exec( text.slice( lineStart, lineEnd ) );
+			query.lastIndex = 0;
+			if ( match && match.index === range.start - lineStart ) {
+				replacement = dialog.constructor.static.expandReplacement( replace, match );
+			}
+		}
+		return dialog.constructor.static.transformCase( replacement, transform, fragment.getText() );
+	} );
+};
+
+/**
+ * Replace some results
+ *
+ * All of the replacements are made in a single transaction.
+ *
+ * @param {number[]} indexes Indexes of the results to replace, in document order
+ */
+ve.ui.FindAndReplaceDialog.prototype.replaceAll = function ( indexes ) {
+	var replacements, builder, offset, tx,
+		dialog = this,
+		surfaceModel = this.surface.getModel(),
+		documentModel = surfaceModel.getDocument();
+
+	if ( !indexes.length ) {
+		return;
+	}
+
+	if ( this.getReplaceMode() === 'text' ) {
+		replacements = this.getReplacements( indexes );
+		builder = new ve.dm.TransactionBuilder();
+		offset = 0;
+		indexes.forEach( function ( index, i ) {
+			var range = dialog.fragments[ index ].getSelection().getRange(),
+				data = dialog.constructor.static.getReplacementData( replacements[ i ] ),
+				annotations = documentModel.data.getAnnotationsFromRange( range );
+
+			if ( annotations.getLength() ) {
+				ve.dm.Document.static.addAnnotationsToData( data, annotations );
+			}
+			offset = builder.pushRemoval( documentModel, offset, range );
+			offset = builder.pushInsertion( documentModel, offset, offset, data );
+		} );
+		builder.pushFinalRetain( documentModel, offset );
+		tx = builder.getTransaction();
+	} else {
+		tx = this.constructor.static.combineTransactions( documentModel, this.getStyleTransactions( indexes ) );
+	}
+
+	// Prevent replace from triggering throttled redraws
+	this.replacing = true;
+
+	surfaceModel.change( tx );
+
+	// 'position' event is deferred, so block that too
+	setTimeout( function () {
+		dialog.replacing = false;
+	} );
+};
+
 /**
  * Replace the result at a specified index
  *
+ * Depending on the replace mode, the text of the result is replaced, the filter's attribute
+ * is set to the replacement text, or a style is added to or removed from the result.
+ *
  * @param {number} index Index to replace
  */
 ve.ui.FindAndReplaceDialog.prototype.replace = function ( index ) {
 	var dialog = this,
-		replace = this.replaceText.getValue();
+		surfaceModel = this.surface.getModel();
 
 	// Prevent replace from triggering throttled redraws
 	this.replacing = true;
 
-	if ( this.query instanceof RegExp ) {
-		this.fragments[ index ].insertContent(
-			this.fragments[ index ].getText().replace( this.query, replace ),
-			true
-		);
+	if ( this.getReplaceMode() === 'text' ) {
+		this.fragments[ index ].insertContent( this.getReplacements( [ index ] )[ 0 ], true );
 	} else {
-		this.fragments[ index ].insertContent( replace, true );
+		surfaceModel.change( this.constructor.static.combineTransactions(
+			surfaceModel.getDocument(), this.getStyleTransactions( [ index ] )
+		) );
 	}
 
 	// 'position' event is deferred, so block that too
@@ -627,6 +1502,114 @@ ve.ui.FindAndReplaceDialog.prototype.replace = function ( index ) {
 	} );
 };
 
+/**
+ * Get transactions which replace some results in the attribute or style replace modes
+ *
+ * In attribute mode, the filter's attribute is set to the replacement text on the annotations
+ * or nodes matching the filter. Annotations are changed over their whole run, so a result inside
+ * a longer link doesn't split it. Otherwise the selected style is added to or removed from the
+ * results. Each transaction applies to the current document, and they can be combined with
+ * #static-combineTransactions.
+ *
+ * @private
+ * @param {number[]} indexes Indexes of the results, in document order
+ * @return {ve.dm.Transaction[]} Transactions
+ */
+ve.ui.FindAndReplaceDialog.prototype.getStyleTransactions = function ( indexes ) {
+	var style,
+		dialog = this,
+		mode = this.getReplaceMode(),
+		filter = this.getFilter(),
+		name = this.getFilterAttribute(),
+		value = this.replaceText.getValue(),
+		documentModel = this.surface.getModel().getDocument(),
+		nodes = [],
+		annotatedRuns = [],
+		txs = [];
+
+	function getAttributes( model ) {
+		var attributes = {};
+		// Keep numeric attributes, such as heading levels, numeric
+		attributes[ name ] = typeof model.getAttribute( name ) === 'number' && value !== '' && !isNaN( value ) ?
+			Number( value ) : value;
+		return attributes;
+	}
+
+	// Get the runs of an annotation which overlap a range, skipping runs already returned
+	function getAnnotatedRuns( range, annotation ) {
+		var offset, run, key,
+			runs = [];
+		for ( offset = range.start; offset < range.end; offset++ ) {
+			run = documentModel.data.getAnnotatedRangeFromOffset( offset, annotation );
+			if ( run ) {
+				key = run.start + ':' + documentModel.getStore().indexOfValue( annotation );
+				if ( annotatedRuns.indexOf( key ) === -1 ) {
+					annotatedRuns.push( key );
+					runs.push( run );
+				}
+				offset = run.end;
+			}
+		}
+		return runs;
+	}
+
+	function annotate( range, method, annotation ) {
+		txs.push( ve.dm.TransactionBuilder.static.newFromAnnotation( documentModel, range, method, annotation ) );
+	}
+
+	if ( mode === 'addStyle' || mode === 'removeStyle' ) {
+		style = ve.dm.annotationFactory.create( this.replaceStyleDropdown.getMenu().getSelectedItem().getData() );
+	}
+
+	indexes.forEach( function ( index ) {
+		var range = dialog.fragments[ index ].getSelection().getRange();
+
+		if ( style && mode === 'addStyle' ) {
+			annotate( range, 'set', style );
+		} else if ( style ) {
+			documentModel.data.getAnnotationsFromRange( range, true ).getAnnotationsByName( style.name )
+				.get().forEach( function ( annotation ) {
+					annotate( range, 'clear', annotation );
+				} );
+		} else if ( filter.annotation ) {
+			documentModel.data.getAnnotationsFromRange( range, true ).filter( function ( annotation ) {
+				return filter.annotation.indexOf( annotation.name ) !== -1;
+			} ).get().forEach( function ( annotation ) {
+				var element = ve.copy( annotation.getElement() ),
+					attributes = getAttributes( annotation ),
+					replacement;
+				if ( ve.compare( attributes[ name ], annotation.getAttribute( name ) ) ) {
+					return;
+				}
+				element.attributes = ve.extendObject( element.attributes, attributes );
+				replacement = ve.dm.annotationFactory.createFromElement( element );
+				getAnnotatedRuns( range, annotation ).forEach( function ( run ) {
+					annotate( run, 'clear', annotation );
+					annotate( run, 'set', replacement );
+				} );
+			} );
+		} else {
+			// Find the nodes of the filter's types which contain the result, or are it
+			documentModel.selectNodes( range, 'leaves' ).forEach( function ( result ) {
+				var node = result.node;
+				while ( node && filter.node.indexOf( node.getType() ) === -1 ) {
+					node = node.getParent();
+				}
+				if ( node && nodes.indexOf( node ) === -1 ) {
+					nodes.push( node );
+				}
+			} );
+		}
+	} );
+
+	nodes.forEach( function ( node ) {
+		txs.push( ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+			documentModel, node.getOuterRange().start, getAttributes( node )
+		) );
+	} );
+	return txs;
+};
+
 /**
  * @inheritdoc
  */
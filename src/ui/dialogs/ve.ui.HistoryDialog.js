@@ -0,0 +1,332 @@
+/*!
+ * VisualEditor user interface HistoryDialog class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Dialog for browsing the revision history of a document edited through a surface synchronizer.
+ *
+ * Revisions are made by grouping consecutive transactions by author and time. A revision can be
+ * shown on its own, or compared against the current document, and the document can be restored
+ * to it.
+ *
+ * @class
+ * @extends OO.ui.ProcessDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.HistoryDialog = function VeUiHistoryDialog( config ) {
+	// Parent constructor
+	ve.ui.HistoryDialog.super.call( this, config );
+
+	// Properties
+	this.synchronizer = null;
+	this.revisions = [];
+	this.selectedRevision = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.HistoryDialog, OO.ui.ProcessDialog );
+
+/* Static properties */
+
+ve.ui.HistoryDialog.static.name = 'history';
+
+ve.ui.HistoryDialog.static.size = 'larger';
+
+ve.ui.HistoryDialog.static.title = OO.ui.deferMsg( 'visualeditor-dialog-history-title' );
+
+ve.ui.HistoryDialog.static.actions = [
+	{
+		action: 'restore',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-history-action-restore' ),
+		flags: [ 'primary', 'progressive' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-done' ),
+		flags: 'safe'
+	}
+];
+
+/**
+ * Longest time between consecutive transactions by the same author in one revision, in milliseconds
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.ui.HistoryDialog.static.revisionInterval = 5 * 60 * 1000;
+
+/* Static methods */
+
+/**
+ * Group a document's history into revisions
+ *
+ * Consecutive transactions are grouped if they have the same author, and each was made within
+ * #revisionInterval of the one before. Transactions without a timestamp (such as the placeholders
+ * for history a client did not receive) are grouped only with each other.
+ *
+ * @static
+ * @param {ve.dm.Transaction[]} transactions Complete history of a document
+ * @return {Object[]} Revisions, oldest first
+ * @return {number} return.start History length before the revision
+ * @return {number} return.end History length after the revision
+ * @return {number|null} return.author Author ID
+ * @return {number|null} return.timestamp Time of the revision's last transaction, if known
+ */
+ve.ui.HistoryDialog.static.getRevisions = function ( transactions ) {
+	var i, len, tx,
+		revisions = [],
+		revision = null;
+
+	for ( i = 0, len = transactions.length; i < len; i++ ) {
+		tx = transactions[ i ];
+		if (
+			revision && tx.author === revision.author && (
+				tx.timestamp ?
+					revision.timestamp && tx.timestamp - revision.timestamp <= this.revisionInterval :
+					!revision.timestamp
+			)
+		) {
+			revision.end = i + 1;
+			revision.timestamp = tx.timestamp;
+		} else {
+			revision = {
+				start: i,
+				end: i + 1,
+				author: tx.author,
+				timestamp: tx.timestamp || null
+			};
+			revisions.push( revision );
+		}
+	}
+	return revisions;
+};
+
+/**
+ * Get a document as it was at a point in its history
+ *
+ * @static
+ * @param {ve.dm.Document} doc Document
+ * @param {number} length History length
+ * @return {ve.dm.Document} Copy of the document, with the transactions since that point undone
+ */
+ve.ui.HistoryDialog.static.getDocumentAtRevision = function ( doc, length ) {
+	var i,
+		revisionDoc = doc.cloneFromRange();
+
+	for ( i = doc.completeHistory.length - 1; i >= length; i-- ) {
+		revisionDoc.commit( doc.completeHistory[ i ].reversed() );
+	}
+	return revisionDoc;
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.HistoryDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.HistoryDialog.super.prototype.initialize.apply( this, arguments );
+
+	this.revisionSelect = new OO.ui.SelectWidget( {
+		classes: [ 've-ui-historyDialog-revisions' ]
+	} );
+	this.modeSelect = new OO.ui.ButtonSelectWidget( {
+		items: [
+			new OO.ui.ButtonOptionWidget( {
+				data: 'view',
+				label: ve.msg( 'visualeditor-dialog-history-mode-view' )
+			} ),
+			new OO.ui.ButtonOptionWidget( {
+				data: 'diff',
+				label: ve.msg( 'visualeditor-dialog-history-mode-diff' )
+			} )
+		]
+	} );
+	this.$revision = $( '<div>' ).addClass( 've-ui-historyDialog-revision' );
+	this.menuLayout = new OO.ui.MenuLayout( {
+		classes: [ 've-ui-historyDialog-layout' ]
+	} );
+
+	// Events
+	this.revisionSelect.connect( this, { select: 'onRevisionSelect' } );
+	this.modeSelect.connect( this, { select: 'renderRevision' } );
+
+	// Initialization
+	this.modeSelect.selectItemByData( 'view' );
+	this.menuLayout.$menu.append( this.revisionSelect.$element );
+	this.menuLayout.$content.append(
+		$( '<div>' ).addClass( 've-ui-historyDialog-mode' ).append( this.modeSelect.$element ),
+		this.$revision
+	);
+	this.$body.append( this.menuLayout.$element );
+};
+
+/**
+ * @inheritdoc
+ * @param {Object} data Dialog opening data
+ * @param {ve.dm.SurfaceSynchronizer} data.synchronizer Synchronizer of the document to browse
+ */
+ve.ui.HistoryDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.HistoryDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var dialog = this;
+
+			this.synchronizer = data.synchronizer;
+			this.revisions = this.constructor.static.getRevisions( this.synchronizer.doc.completeHistory );
+			this.selectedRevision = null;
+
+			this.revisionSelect.clearItems().addItems( this.revisions.map( function ( revision ) {
+				return new OO.ui.OptionWidget( {
+					data: revision,
+					label: dialog.getRevisionLabel( revision )
+				} );
+			} ).reverse() );
+			this.$revision.empty().append(
+				$( '<p>' )
+					.addClass( 've-ui-historyDialog-message' )
+					.text( ve.msg( this.revisions.length ?
+						'visualeditor-dialog-history-select' :
+						'visualeditor-dialog-history-empty'
+					) )
+			);
+			this.actions.setAbilities( { restore: false } );
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.HistoryDialog.prototype.getBodyHeight = function () {
+	return 400;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.HistoryDialog.prototype.getActionProcess = function ( action ) {
+	if ( action === 'restore' ) {
+		return new OO.ui.Process( function () {
+			this.restoreRevision( this.selectedRevision );
+			this.close( { action: action } );
+		}, this );
+	}
+	return ve.ui.HistoryDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.HistoryDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.HistoryDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.revisionSelect.clearItems();
+			this.$revision.empty();
+			this.synchronizer = null;
+			this.revisions = [];
+			this.selectedRevision = null;
+		}, this );
+};
+
+/**
+ * Get the label describing a revision
+ *
+ * @param {Object} revision Revision, as returned by #getRevisions
+ * @return {jQuery} Label
+ */
+ve.ui.HistoryDialog.prototype.getRevisionLabel = function ( revision ) {
+	var profile;
+
+	if ( !revision.timestamp ) {
+		return $( '<span>' )
+			.addClass( 've-ui-historyDialog-revision-earlier' )
+			.text( ve.msg( 'visualeditor-dialog-history-revision-earlier' ) );
+	}
+	profile = this.synchronizer.getAuthorProfile( revision.author );
+	return $( '<span>' ).append(
+		$( '<span>' )
+			.addClass( 've-ui-historyDialog-revision-color' )
+			.css( 'background-color', profile.color ),
+		$( '<span>' )
+			.addClass( 've-ui-historyDialog-revision-author' )
+			.text( profile.name ),
+		$( '<span>' )
+			.addClass( 've-ui-historyDialog-revision-time' )
+			.text( new Date( revision.timestamp ).toLocaleString() )
+	);
+};
+
+/**
+ * Handle select events from the revision list
+ *
+ * @param {OO.ui.OptionWidget|null} item Selected item
+ */
+ve.ui.HistoryDialog.prototype.onRevisionSelect = function ( item ) {
+	this.selectedRevision = item ? item.getData() : null;
+	this.actions.setAbilities( {
+		restore: !!this.selectedRevision &&
+			this.selectedRevision.end < this.synchronizer.doc.completeHistory.length &&
+			this.synchronizer.getRole() === 'edit'
+	} );
+	this.renderRevision();
+};
+
+/**
+ * Render the selected revision, on its own or compared against the current document
+ */
+ve.ui.HistoryDialog.prototype.renderRevision = function () {
+	var revisionDoc, modeItem, body, preview,
+		doc = this.synchronizer && this.synchronizer.doc;
+
+	if ( !this.selectedRevision ) {
+		return;
+	}
+	revisionDoc = this.constructor.static.getDocumentAtRevision( doc, this.selectedRevision.end );
+	modeItem = this.modeSelect.getSelectedItem();
+	if ( modeItem && modeItem.getData() === 'diff' ) {
+		this.$revision.empty().append(
+			new ve.ui.DiffElement( new ve.dm.VisualDiff( revisionDoc, doc ) ).$element
+		);
+	} else {
+		body = ve.dm.converter.getDomFromModel( revisionDoc ).body;
+		preview = $( '<div>' ).addClass( 've-ui-historyDialog-preview' )[ 0 ];
+		// Move the converted nodes rather than parsing their HTML again, which would run any
+		// inline scripts in alien nodes
+		while ( body.childNodes.length ) {
+			preview.appendChild( preview.ownerDocument.adoptNode( body.childNodes[ 0 ] ) );
+		}
+		this.$revision.empty().append( preview );
+	}
+};
+
+/**
+ * Restore the document to a revision
+ *
+ * The transactions since the revision are undone by applying the inverse change to the surface,
+ * so that the synchronizer submits it like any other edit.
+ *
+ * @param {Object} revision Revision, as returned by #getRevisions
+ */
+ve.ui.HistoryDialog.prototype.restoreRevision = function ( revision ) {
+	var surface = this.synchronizer.surface,
+		transactions = surface.getDocument().completeHistory.slice( revision.end ),
+		change = new ve.dm.Change(
+			revision.end,
+			transactions,
+			transactions.map( function () {
+				return new ve.dm.IndexValueStore();
+			} ),
+			{}
+		);
+
+	surface.change( change.reversed().transactions );
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.HistoryDialog );
@@ -0,0 +1,247 @@
+/*!
+ * VisualEditor user interface MergeDialog class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Dialog for merging two edited copies of a document.
+ *
+ * Changes that do not conflict are merged automatically (see ve.dm.ThreeWayMerge). For each
+ * conflict, the user can keep my version or their version, or edit the conflicting content.
+ * The dialog closes with the merged document as the `doc` property of its closing data.
+ *
+ * @class
+ * @extends OO.ui.ProcessDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MergeDialog = function VeUiMergeDialog( config ) {
+	// Parent constructor
+	ve.ui.MergeDialog.super.call( this, config );
+
+	// Properties
+	this.merge = null;
+	this.conflictFields = [];
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MergeDialog, OO.ui.ProcessDialog );
+
+/* Static properties */
+
+ve.ui.MergeDialog.static.name = 'merge';
+
+ve.ui.MergeDialog.static.size = 'larger';
+
+ve.ui.MergeDialog.static.title = OO.ui.deferMsg( 'visualeditor-dialog-merge-title' );
+
+ve.ui.MergeDialog.static.actions = [
+	{
+		action: 'merge',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-merge-action-merge' ),
+		flags: [ 'primary', 'progressive' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-cancel' ),
+		flags: 'safe'
+	}
+];
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MergeDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.MergeDialog.super.prototype.initialize.apply( this, arguments );
+
+	this.$message = $( '<p>' ).addClass( 've-ui-mergeDialog-message' );
+	this.$conflicts = $( '<div>' ).addClass( 've-ui-mergeDialog-conflicts' );
+	this.content = new OO.ui.PanelLayout( {
+		padded: true,
+		expanded: false
+	} );
+
+	// Initialization
+	this.content.$element.append( this.$message, this.$conflicts );
+	this.$body.append( this.content.$element );
+};
+
+/**
+ * @inheritdoc
+ * @param {Object} data Dialog opening data
+ * @param {ve.dm.Document} data.baseDoc Base document
+ * @param {ve.dm.Document} data.myDoc My edited copy of the base document
+ * @param {ve.dm.Document} data.theirDoc Their edited copy of the base document
+ */
+ve.ui.MergeDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.MergeDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var conflicts;
+
+			this.merge = new ve.dm.ThreeWayMerge( data.baseDoc, data.myDoc, data.theirDoc );
+			conflicts = this.merge.getConflicts();
+			this.conflictFields = conflicts.map( this.createConflictField.bind( this ) );
+
+			this.$message.text( conflicts.length ?
+				ve.msg( 'visualeditor-dialog-merge-conflicts', conflicts.length ) :
+				ve.msg( 'visualeditor-dialog-merge-no-conflicts' )
+			);
+			this.$conflicts.empty().append( this.conflictFields.map( function ( field ) {
+				return field.layout.$element;
+			} ) );
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MergeDialog.prototype.getActionProcess = function ( action ) {
+	if ( action === 'merge' ) {
+		return new OO.ui.Process( function () {
+			var merge = this.merge,
+				invalid = [],
+				resolutions = this.conflictFields.map( function ( field, i ) {
+					var doc;
+					if ( field.select.getSelectedItem().getData() !== 'edit' ) {
+						return field.select.getSelectedItem().getData();
+					}
+					doc = field.targetWidget.getSurface().getModel().getDocument();
+					if ( !merge.getConflictData( field.conflict, doc ) ) {
+						invalid.push( i + 1 );
+					}
+					return doc;
+				} );
+
+			if ( invalid.length ) {
+				return new OO.ui.Error(
+					ve.msg( 'visualeditor-dialog-merge-invalid', invalid.join( ', ' ), invalid.length ),
+					{ recoverable: false }
+				);
+			}
+			this.close( { action: action, doc: merge.resolve( resolutions ) } );
+		}, this );
+	}
+	return ve.ui.MergeDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MergeDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MergeDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.conflictFields.forEach( function ( field ) {
+				if ( field.targetWidget ) {
+					field.targetWidget.clear();
+				}
+			} );
+			this.$conflicts.empty();
+			this.merge = null;
+			this.conflictFields = [];
+		}, this );
+};
+
+/**
+ * Create the field for resolving a conflict
+ *
+ * @private
+ * @param {Object} conflict Conflict; see ve.dm.ThreeWayMerge#getConflicts
+ * @param {number} index Index of the conflict
+ * @return {Object} Field
+ * @return {Object} return.conflict The conflict
+ * @return {OO.ui.ButtonSelectWidget} return.select Resolution select, with options 'mine',
+ *  'theirs' and 'edit'
+ * @return {string} return.side Side most recently selected, to start editing from
+ * @return {jQuery} return.$preview Preview of the selected side
+ * @return {ve.ui.TargetWidget|null} return.targetWidget Editor, once the edit option has been selected
+ * @return {OO.ui.FieldsetLayout} return.layout Layout containing the above
+ */
+ve.ui.MergeDialog.prototype.createConflictField = function ( conflict, index ) {
+	var field = {
+		conflict: conflict,
+		select: new OO.ui.ButtonSelectWidget( {
+			items: [
+				new OO.ui.ButtonOptionWidget( {
+					data: 'mine',
+					label: ve.msg( 'visualeditor-dialog-merge-mine' )
+				} ),
+				new OO.ui.ButtonOptionWidget( {
+					data: 'theirs',
+					label: ve.msg( 'visualeditor-dialog-merge-theirs' )
+				} ),
+				new OO.ui.ButtonOptionWidget( {
+					data: 'edit',
+					label: ve.msg( 'visualeditor-dialog-merge-edit' )
+				} )
+			]
+		} ),
+		side: 'mine',
+		$preview: $( '<div>' ).addClass( 've-ui-mergeDialog-preview' ),
+		targetWidget: null,
+		layout: new OO.ui.FieldsetLayout( {
+			label: ve.msg( 'visualeditor-dialog-merge-conflict', index + 1 ),
+			classes: [ 've-ui-mergeDialog-conflict' ]
+		} )
+	};
+
+	// Events
+	field.select.connect( this, { select: [ 'onConflictSelect', field ] } );
+
+	// Initialization
+	field.layout.$group.append( field.select.$element, field.$preview );
+	field.select.selectItemByData( 'mine' );
+
+	return field;
+};
+
+/**
+ * Handle select events from a conflict's resolution select
+ *
+ * The selected side is previewed. The first time the edit option is selected, an editor is
+ * created for the side previewed before; it is kept, with any edits, if another side is
+ * selected in the meantime.
+ *
+ * @param {Object} field Conflict field; see #createConflictField
+ * @param {OO.ui.OptionWidget|null} item Selected item
+ */
+ve.ui.MergeDialog.prototype.onConflictSelect = function ( field, item ) {
+	var isEdit;
+
+	if ( !item ) {
+		return;
+	}
+	isEdit = item.getData() === 'edit';
+	if ( isEdit ) {
+		if ( !field.targetWidget ) {
+			field.targetWidget = ve.init.target.createTargetWidget( {
+				doc: this.merge.getConflictDocument( field.conflict, field.side ),
+				tools: ve.init.target.constructor.static.toolbarGroups,
+				inDialog: this.constructor.static.name
+			} );
+			field.layout.$group.append( field.targetWidget.$element );
+			field.targetWidget.initialize();
+		}
+	} else {
+		field.side = item.getData();
+		field.$preview.html( ve.dm.converter.getDomFromModel(
+			this.merge.getConflictDocument( field.conflict, field.side )
+		).body.innerHTML );
+	}
+
+	field.$preview.toggleClass( 'oo-ui-element-hidden', isEdit );
+	if ( field.targetWidget ) {
+		field.targetWidget.$element.toggleClass( 'oo-ui-element-hidden', !isEdit );
+	}
+	if ( isEdit ) {
+		field.targetWidget.focus();
+	}
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.MergeDialog );
@@ -8,18 +8,33 @@
 /**
  * Creates an ve.ui.DiffElement object.
  *
+ * The diff can be shown in one of several modes:
+ *
+ * - 'inline': changes are shown in place, with unchanged children of the document
+ *   node next to changes shown for context, and the rest collapsed
+ * - 'sideBySide': like 'inline', but with the old and new versions of each child in
+ *   two columns, so that they are aligned and scroll together
+ * - 'changes': like 'inline', but with all unchanged children collapsed
+ *
  * @class
  * @extends OO.ui.Element
  * @mixins OO.EventEmitter
  *
  * @constructor
  * @param {ve.dm.VisualDiff} [visualDiff] Diff to visualize
+ * @param {Object} [config] Configuration options
+ * @cfg {string} [mode='inline'] Display mode: 'inline', 'sideBySide' or 'changes'
  */
-ve.ui.DiffElement = function VeUiDiffElement( visualDiff ) {
-	var i, ilen, diff = visualDiff.diff;
+ve.ui.DiffElement = function VeUiDiffElement( visualDiff, config ) {
+	var diff = visualDiff.diff;
+
+	config = config || {};
 
 	// Parent constructor
-	OO.ui.Element.call( this );
+	OO.ui.Element.call( this, config );
+
+	// Mixin constructor
+	OO.EventEmitter.call( this );
 
 	// CSS
 	this.$element.addClass( 've-ui-diffElement' );
@@ -32,116 +47,324 @@ ve.ui.DiffElement = function VeUiDiffElement( visualDiff ) {
 	this.newDocChildren = this.newDoc.getDocumentNode().children;
 
 	// Diff
+	this.diff = diff;
 	this.oldToNew = diff.docChildrenOldToNew;
 	this.newToOld = diff.docChildrenNewToOld;
 	this.insert = diff.docChildrenInsert;
 	this.remove = diff.docChildrenRemove;
 
+	// Properties
+	this.mode = config.mode || 'inline';
+	this.$changes = $( [] );
+	this.selectedChange = -1;
+
 	// HTML
-	this.diffHtml = this.getDiffHtml();
-	for ( i = 0, ilen = this.diffHtml.length; i < ilen; i++ ) {
-		this.$element.append( this.diffHtml[ i ] );
-	}
+	this.render();
 };
 
 /* Inheritance */
 
 OO.inheritClass( ve.ui.DiffElement, OO.ui.Element );
 
+OO.mixinClass( ve.ui.DiffElement, OO.EventEmitter );
+
+/* Events */
+
+/**
+ * @event select
+ *
+ * A change was selected
+ *
+ * @param {number} index Index of the change
+ * @param {number} count Number of changes
+ */
+
 /* Methods */
 
 /**
- * Get the HTML for displaying the diff
+ * Render the diff in the current mode
+ */
+ve.ui.DiffElement.prototype.render = function () {
+	this.diffHtml = this.getDiffHtml();
+	this.selectedChange = -1;
+	this.$element
+		.removeClass( [ 'inline', 'sideBySide', 'changes' ].map( function ( mode ) {
+			return this.classPrefix + 'mode-' + mode;
+		}, this ).join( ' ' ) )
+		// The following classes are used here:
+		// * ve-ui-diffElement-mode-inline
+		// * ve-ui-diffElement-mode-sideBySide
+		// * ve-ui-diffElement-mode-changes
+		.addClass( this.classPrefix + 'mode-' + this.mode )
+		.empty()
+		.append( this.diffHtml );
+};
+
+/**
+ * Set the display mode, and render the diff again if it has changed
+ *
+ * @param {string} mode Display mode: 'inline', 'sideBySide' or 'changes'
+ */
+ve.ui.DiffElement.prototype.setMode = function ( mode ) {
+	if ( mode !== this.mode ) {
+		this.mode = mode;
+		this.render();
+	}
+};
+
+/**
+ * Get the display mode
+ *
+ * @return {string} Display mode: 'inline', 'sideBySide' or 'changes'
+ */
+ve.ui.DiffElement.prototype.getMode = function () {
+	return this.mode;
+};
+
+/**
+ * Get the number of changes that can be navigated between
+ *
+ * @return {number} Number of changes
+ */
+ve.ui.DiffElement.prototype.getChangeCount = function () {
+	return this.$changes.length;
+};
+
+/**
+ * Get the index of the selected change
+ *
+ * @return {number} Index of the selected change, or -1 if none is selected
+ */
+ve.ui.DiffElement.prototype.getSelectedChange = function () {
+	return this.selectedChange;
+};
+
+/**
+ * Select a change, highlighting it and scrolling it into view
+ *
+ * @param {number} index Index of the change; indexes past either end wrap around
+ * @fires select
+ */
+ve.ui.DiffElement.prototype.selectChange = function ( index ) {
+	var $change,
+		count = this.$changes.length;
+
+	if ( !count ) {
+		return;
+	}
+	this.selectedChange = ( ( index % count ) + count ) % count;
+	$change = this.$changes.eq( this.selectedChange );
+	this.$changes.removeClass( this.classPrefix + 'selected' );
+	$change.addClass( this.classPrefix + 'selected' );
+	if ( this.isElementAttached() ) {
+		OO.ui.Element.static.scrollIntoView( $change[ 0 ] );
+	}
+	this.emit( 'select', this.selectedChange, count );
+};
+
+/**
+ * Select the change after the selected one, or the first change if none is selected
+ */
+ve.ui.DiffElement.prototype.selectNextChange = function () {
+	this.selectChange( this.selectedChange + 1 );
+};
+
+/**
+ * Select the change before the selected one, or the last change if none is selected
+ */
+ve.ui.DiffElement.prototype.selectPreviousChange = function () {
+	this.selectChange( this.selectedChange === -1 ? -1 : this.selectedChange - 1 );
+};
+
+/**
+ * Get the HTML for displaying the diff in the current mode
+ *
+ * Also finds the changes that can be navigated between.
  *
- * @return {Array} HTML for each child of the document node
+ * @return {jQuery[]} HTML for each child of the document node, or each pair of old and
+ *  new children in side-by-side mode
  */
 ve.ui.DiffElement.prototype.getDiffHtml = function () {
-	var i, j, k, ilen, jlen, klen, nodes, move,
+	var i, ilen, $item,
+		context = this.mode === 'changes' ? 0 : 1,
 		anyChanges = false,
 		spacer = false,
 		diffHtml = [],
+		changes = [],
+		diffQueue = this.getDiffQueue( this.oldDocChildren, this.newDocChildren, this.diff );
+
+	/**
+	 * Get the HTML for an item of the diff queue
+	 *
+	 * @param {Array} item Item of the diff queue; see #getDiffQueue
+	 * @return {string} HTML for the item
+	 */
+	function getItemHtml( item ) {
+		switch ( item[ 0 ] ) {
+			case 'remove':
+				return this.getNodeHtml( this.oldDocChildren[ item[ 1 ] ], 'remove' );
+			case 'insert':
+				return this.getNodeHtml( this.newDocChildren[ item[ 1 ] ], 'insert' );
+			case 'none':
+				return this.getNodeHtml( this.newDocChildren[ item[ 1 ] ], 'none', item[ 2 ] );
+			case 'change':
+				return this.oldToNew[ item[ 1 ] ].tableDiff ?
+					this.getChangedTableHtml( item[ 1 ], item[ 2 ] ) :
+					this.getChangedNodeHtml( item[ 1 ], item[ 2 ] );
+		}
+	}
+
+	function isUnchanged( item ) {
+		return !item || ( item[ 0 ] === 'none' && !item[ 2 ] );
+	}
+
+	/**
+	 * Check whether an item of the diff queue is within the context of a change
+	 *
+	 * @param {number} index Index of the item
+	 * @return {boolean} The item or one of its neighbours has changed
+	 */
+	function isNearChange( index ) {
+		var j;
+		for ( j = index - context; j <= index + context; j++ ) {
+			if ( !isUnchanged( diffQueue[ j ] ) ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	for ( i = 0, ilen = diffQueue.length; i < ilen; i++ ) {
+		if ( isNearChange( i ) ) {
+			spacer = false;
+			anyChanges = true;
+			$item = getItemHtml.call( this, diffQueue[ i ] );
+			$item = typeof $item === 'string' ? $( $.parseHTML( $item ) ) : $item;
+			if ( this.mode === 'sideBySide' ) {
+				$item = this.getSideBySideHtml( diffQueue[ i ][ 0 ], $item );
+			}
+			if ( !isUnchanged( diffQueue[ i ] ) ) {
+				changes.push( $item[ 0 ] );
+			}
+			diffHtml.push( $item );
+		} else if ( !spacer ) {
+			spacer = true;
+			diffHtml.push( $( '<div class="ve-ui-diffElement-spacer">' ).text( '⋮' ) );
+		}
+	}
+
+	this.$changes = $( changes );
+
+	if ( !anyChanges ) {
+		return [ $( '<div class="ve-ui-diffElement-no-changes">' ).text( 'No changes' ) ];
+	} else {
+		return diffHtml;
+	}
+
+};
+
+/**
+ * Get the side-by-side HTML for an item of the diff queue, from its inline HTML
+ *
+ * Removed content is only shown in the old column, and inserted content only in the
+ * new column.
+ *
+ * @param {string} action Action of the item: 'remove', 'insert', 'none' or 'change'
+ * @param {jQuery} $html Inline HTML for the item
+ * @return {jQuery} Row with the old and new versions of the item
+ */
+ve.ui.DiffElement.prototype.getSideBySideHtml = function ( action, $html ) {
+	var $old = action === 'insert' ? $( [] ) : $html.clone(),
+		$new = action === 'remove' ? $( [] ) : $html;
+
+	if ( action === 'change' ) {
+		$old.find( [ 'insert', 'table-new', 'descriptions' ].map( function ( name ) {
+			return '.' + this.classPrefix + name;
+		}, this ).join( ', ' ) ).remove();
+		$new.find( [ 'remove', 'table-old' ].map( function ( name ) {
+			return '.' + this.classPrefix + name;
+		}, this ).join( ', ' ) ).remove();
+	}
+
+	return $( '<div>' ).addClass( this.classPrefix + 'sideBySide' ).append(
+		$( '<div>' ).addClass( this.classPrefix + 'sideBySide-old' ).append( $old ),
+		$( '<div>' ).addClass( this.classPrefix + 'sideBySide-new' ).append( $new )
+	);
+};
+
+/**
+ * Get the order in which to display the children of an old node and a new
+ * node, and what happened to each one
+ *
+ * Each item in the queue is an array containing an action ('remove', 'insert',
+ * 'none' or 'change') and the index of the child: the old child if it was
+ * removed or changed, otherwise the new child. Unchanged and changed children
+ * have a third item, 'up' or 'down', if they have moved.
+ *
+ * @param {ve.dm.Node[]} oldChildren Children of the old node
+ * @param {ve.dm.Node[]} newChildren Children of the new node
+ * @param {Object} diff Diff of the children; see ve.dm.VisualDiff#getChildrenDiff
+ * @return {Array[]} Items of the queue
+ */
+ve.ui.DiffElement.prototype.getDiffQueue = function ( oldChildren, newChildren, diff ) {
+	var i, j, k, ilen, jlen, klen, move,
+		newToOld = diff.docChildrenNewToOld,
 		diffQueue = [];
 
-	ilen = Math.max( this.oldDocChildren.length, this.newDocChildren.length );
+	ilen = Math.max( oldChildren.length, newChildren.length );
 	jlen = ilen;
 
 	for ( i = 0, j = 0; i < ilen, j < jlen; i++, j++ ) {
-		if ( this.oldDocChildren[ i ] === undefined ) {
+		if ( oldChildren[ i ] === undefined ) {
 
-			// Everything else in the new doc is an insert
-			nodes = this.newDocChildren.slice( j );
-			for ( k = 0, klen = nodes.length; k < klen; k++ ) {
-				diffQueue.push( [ 'getNodeHtml', nodes[ k ], 'insert' ] );
+			// Everything else in the new node is an insert
+			for ( k = j, klen = newChildren.length; k < klen; k++ ) {
+				diffQueue.push( [ 'insert', k ] );
 			}
+			break;
 
-		} else if ( this.newDocChildren[ j ] === undefined ) {
+		} else if ( newChildren[ j ] === undefined ) {
 
-			// Everything else in the old doc is a remove
-			nodes = this.oldDocChildren.slice( i );
-			for ( k = 0, klen = nodes.length; k < klen; k++ ) {
-				diffQueue.push( [ 'getNodeHtml', nodes[ k ], 'remove' ] );
+			// Everything else in the old node is a remove
+			for ( k = i, klen = oldChildren.length; k < klen; k++ ) {
+				diffQueue.push( [ 'remove', k ] );
 			}
+			break;
 
-		} else if ( this.remove.indexOf( i ) !== -1 ) {
+		} else if ( diff.docChildrenRemove.indexOf( i ) !== -1 ) {
 
 			// The old node is a remove. Decrement the new node index
 			// to compare the same new node to the next old node
-			diffQueue.push( [ 'getNodeHtml', this.oldDocChildren[ i ], 'remove' ] );
+			diffQueue.push( [ 'remove', i ] );
 			j--;
 
-		} else if ( this.insert.indexOf( j ) !== -1 ) {
+		} else if ( diff.docChildrenInsert.indexOf( j ) !== -1 ) {
 
 			// The new node is an insert. Decrement the old node index
 			// to compare the same old node to the next new node
-			diffQueue.push( [ 'getNodeHtml', this.newDocChildren[ j ], 'insert' ] );
+			diffQueue.push( [ 'insert', j ] );
 			i--;
 
-		} else if ( typeof this.newToOld[ j ] === 'number' ) {
+		} else if ( typeof newToOld[ j ] === 'number' ) {
 
 			// The old and new node are exactly the same, but still
 			// need to check if there has been a move
-			move = this.newToOld[ j ] === i ? undefined :
-				( this.newToOld[ j ] > i ? 'up' : 'down' );
-			diffQueue.push( [ 'getNodeHtml', this.newDocChildren[ j ], 'none', move ] );
+			move = newToOld[ j ] === i ? undefined :
+				( newToOld[ j ] > i ? 'up' : 'down' );
+			diffQueue.push( [ 'none', j, move ] );
 
 		} else {
 
-			// The new node is modified from the old node. Get the
-			// diff and also check if there has been a move
-			move = this.newToOld[ j ].node === i ? undefined :
-				( this.newToOld[ j ].node > i ? 'up' : 'down' );
-			diffQueue.push( [ 'getChangedNodeHtml', this.newToOld[ j ].node, move ] );
-
-		}
-	}
+			// The new node is modified from the old node. Check
+			// if there has been a move
+			move = newToOld[ j ].node === i ? undefined :
+				( newToOld[ j ].node > i ? 'up' : 'down' );
+			diffQueue.push( [ 'change', newToOld[ j ].node, move ] );
 
-	function isUnchanged( item ) {
-		return !item || ( item[ 2 ] === 'none' && !item[ 3 ] );
-	}
-
-	for ( i = 0, ilen = diffQueue.length; i < ilen; i++ ) {
-		if (
-			!isUnchanged( diffQueue[ i - 1 ] ) ||
-			!isUnchanged( diffQueue[ i ] ) ||
-			!isUnchanged( diffQueue[ i + 1 ] )
-		) {
-			spacer = false;
-			anyChanges = true;
-			diffHtml.push(
-				this[ diffQueue[ i ][ 0 ] ].apply( this, diffQueue[ i ].slice( 1 ) )
-			);
-		} else if ( !spacer ) {
-			spacer = true;
-			diffHtml.push( $( '<div class="ve-ui-diffElement-spacer">' ).text( '⋮' ) );
 		}
 	}
 
-	if ( !anyChanges ) {
-		return [ $( '<div class="ve-ui-diffElement-no-changes">' ).text( 'No changes' ) ];
-	} else {
-		return diffHtml;
-	}
-
+	return diffQueue;
 };
 
 /**
@@ -188,24 +411,79 @@ ve.ui.DiffElement.prototype.getNodeHtml = function ( node, action, move ) {
  * @return {string} HTML to display the action/move
  */
 ve.ui.DiffElement.prototype.getChangedNodeHtml = function ( oldNodeIndex, move ) {
+	var classes, nodeHtml,
+		descriptions = [],
+		newNode = this.newDocChildren[ this.oldToNew[ oldNodeIndex ].node ],
+		nodeData = this.getChangedNodeData(
+			this.oldDocChildren[ oldNodeIndex ], newNode, this.oldToNew[ oldNodeIndex ], descriptions
+		);
+
+	nodeHtml = this.getDataHtml( newNode, nodeData );
+
+	// The following classes are used here:
+	// * ve-ui-diffElement-doc-child-change
+	// * ve-ui-diffElement-up
+	// * ve-ui-diffElement-down
+	classes = this.classPrefix + 'doc-child-change' + ( move ? ' ' + this.classPrefix + move : '' );
+	nodeHtml = $( '<div>' ).addClass( classes ).append( nodeHtml, this.getDescriptionsHtml( descriptions ) );
+
+	return nodeHtml;
+
+};
+
+/**
+ * Get the HTML for some linear data that replaces a node of the new document
+ *
+ * @param {ve.dm.Node} node Node of the new document
+ * @param {Array} data Linear data to display in place of the node
+ * @return {string} HTML for the data
+ */
+ve.ui.DiffElement.prototype.getDataHtml = function ( node, data ) {
+	var documentSlice = this.newDoc.cloneFromRange( node.getOuterRange() );
+
+	ve.batchSplice( documentSlice.data.data, 0, node.getOuterLength(), data );
+
+	// The data may contain annotations from either document, and
+	// classes are always inserted into the new doc's store
+	documentSlice.getStore().merge( this.oldDoc.getStore() );
+	documentSlice.getStore().merge( this.newDoc.getStore() );
+	return ve.dm.converter.getDomFromModel( documentSlice ).body.innerHTML;
+};
+
+/**
+ * Get the linear data for the diff of a node that has changed from the old
+ * document to the new document
+ *
+ * @param {ve.dm.Node} oldNode The old node
+ * @param {ve.dm.Node} newNode The new node
+ * @param {Object} info Information about the change; see ve.dm.VisualDiff#findModifiedChildren
+ * @param {string[]} descriptions Descriptions of the changes, to which this node's are added
+ * @return {Array} Linear data to display the change
+ */
+ve.ui.DiffElement.prototype.getChangedNodeData = function ( oldNode, newNode, info, descriptions ) {
 	var i, ilen, j, jlen, k, klen,
-		iModified, jModified, classes, nodeHtml,
-		newNodeIndex = this.oldToNew[ oldNodeIndex ].node,
-		nodeRange = this.newDocChildren[ newNodeIndex ].getOuterRange(),
-		documentSlice = this.newDoc.cloneFromRange( nodeRange ),
-		nodeData = documentSlice.data.data,
+		iModified, jModified, diff, treeDiff, diffInfo, oldTree, newTree, oldNodes, newNodes,
+		correspondingNodes,
+		firstDescription = descriptions.length,
+		nodeRange = newNode.getOuterRange(),
+		nodeData = this.newDoc.getData( nodeRange ),
 		alreadyProcessed = {
 			remove: {},
 			insert: {}
-		},
-		diff = this.oldToNew[ oldNodeIndex ].diff,
-		treeDiff = diff.treeDiff,
-		diffInfo = diff.diffInfo,
-		oldTree = diff.oldTree,
-		newTree = diff.newTree,
-		oldNodes = oldTree.orderedNodes,
-		newNodes = newTree.orderedNodes,
-		correspondingNodes = this.oldToNew[ oldNodeIndex ].correspondingNodes;
+		};
+
+	if ( info.childrenDiff ) {
+		return this.getChangedContainerData( oldNode, newNode, info, descriptions );
+	}
+
+	diff = info.diff;
+	treeDiff = diff.treeDiff;
+	diffInfo = diff.diffInfo;
+	oldTree = diff.oldTree;
+	newTree = diff.newTree;
+	oldNodes = oldTree.orderedNodes;
+	newNodes = newTree.orderedNodes;
+	correspondingNodes = info.correspondingNodes;
 
 	/**
 	 * Splice in the removed data for the subtree rooted at this node, from the old
@@ -292,7 +570,9 @@ ve.ui.DiffElement.prototype.getChangedNodeHtml = function ( oldNodeIndex, move )
 	 * this document child
 	 */
 	function highlightChangedSubTree( nodeIndex ) {
-		var subTreeRootNode, subTreeRootNodeRangeStart, subTreeRootNodeData, annotatedData;
+		var subTreeRootNode, subTreeRootNodeRangeStart, subTreeRootNodeData, annotatedData,
+			info = diffInfo[ k ] || {},
+			nodeDescriptions = [];
 
 		// The new node was changed.
 		// Get data for this node
@@ -301,15 +581,28 @@ ve.ui.DiffElement.prototype.getChangedNodeHtml = function ( oldNodeIndex, move )
 
 		if ( subTreeRootNode.node instanceof ve.dm.ContentBranchNode ) {
 			// If node is a CBN, splice in the annotated diff
-			subTreeRootNodeData = diffInfo[ k ].linearDiff;
-			annotatedData = this.annotateNode( subTreeRootNodeData );
-			ve.batchSplice( nodeData, subTreeRootNodeRangeStart + 1, subTreeRootNode.node.length, annotatedData );
-		} else {
-			// If node is a BN, add change class
+			subTreeRootNodeData = info.linearDiff;
+			if ( subTreeRootNodeData.length ) {
+				annotatedData = this.annotateNode( subTreeRootNodeData );
+				ve.batchSplice( nodeData, subTreeRootNodeRangeStart + 1, subTreeRootNode.node.length, annotatedData );
+			}
+			subTreeRootNodeData.forEach( function ( item ) {
+				if ( item[ 0 ] === 2 ) {
+					ve.batchPush( nodeDescriptions, this.describeContentChanges( item[ 2 ] ) );
+				}
+			}, this );
+		}
+		if ( !( subTreeRootNode.node instanceof ve.dm.ContentBranchNode ) || info.attributeChange ) {
+			// If node is a BN, or its attributes changed, add change class
 			nodeData[ subTreeRootNodeRangeStart ] = this.addClassesToNode(
 				nodeData[ subTreeRootNodeRangeStart ], this.newDoc, 'change'
 			);
 		}
+		if ( info.attributeChange ) {
+			ve.batchPush( nodeDescriptions, this.describeAttributeChange( info.attributeChange ) );
+		}
+		// Nodes are visited from last to first
+		ve.batchSplice( descriptions, firstDescription, 0, nodeDescriptions );
 	}
 
 	// Iterate backwards over trees so that changes are made from right to left
@@ -368,18 +661,273 @@ ve.ui.DiffElement.prototype.getChangedNodeHtml = function ( oldNodeIndex, move )
 		}
 	}
 
-	documentSlice.getStore().merge( this.newDoc.getStore() );
-	nodeHtml = ve.dm.converter.getDomFromModel( documentSlice ).body.innerHTML;
+	return nodeData;
+
+};
+
+/**
+ * Get the linear data for the diff of a container whose children have been
+ * paired with each other
+ *
+ * @param {ve.dm.Node} oldNode The old container
+ * @param {ve.dm.Node} newNode The new container
+ * @param {Object} info Information about the change; see ve.dm.VisualDiff#findModifiedChildren
+ * @param {string[]} descriptions Descriptions of the changes, to which this container's are added
+ * @return {Array} Linear data to display the change
+ */
+ve.ui.DiffElement.prototype.getChangedContainerData = function ( oldNode, newNode, info, descriptions ) {
+	var outerRange = newNode.getOuterRange(),
+		openingElement = this.newDoc.data.getData( outerRange.start ),
+		closingElement = this.newDoc.data.getData( outerRange.end - 1 );
+
+	if ( info.attributeChange ) {
+		openingElement = this.addClassesToNode( openingElement, this.newDoc, 'change' );
+		ve.batchPush( descriptions, this.describeAttributeChange( info.attributeChange ) );
+	}
+
+	return [ openingElement ].concat(
+		this.getChildrenDiffData( oldNode.children, newNode.children, info.childrenDiff, descriptions ),
+		[ closingElement ]
+	);
+};
+
+/**
+ * Get the linear data for the diff of the children of a container
+ *
+ * Unlike children of the document node, unchanged children are shown in full,
+ * and only marked if they have moved.
+ *
+ * @param {ve.dm.Node[]} oldChildren Children of the old container
+ * @param {ve.dm.Node[]} newChildren Children of the new container
+ * @param {Object} childrenDiff Diff of the children; see ve.dm.VisualDiff#getChildrenDiff
+ * @param {string[]} descriptions Descriptions of the changes, to which the children's are added
+ * @return {Array} Linear data to display the children
+ */
+ve.ui.DiffElement.prototype.getChildrenDiffData = function ( oldChildren, newChildren, childrenDiff, descriptions ) {
+	var data = [];
+
+	this.getDiffQueue( oldChildren, newChildren, childrenDiff ).forEach( function ( item ) {
+		var info, childData,
+			action = item[ 0 ],
+			move = item[ 2 ];
+
+		if ( action === 'change' ) {
+			info = childrenDiff.docChildrenOldToNew[ item[ 1 ] ];
+			childData = this.getChangedNodeData(
+				oldChildren[ item[ 1 ] ], newChildren[ info.node ], info, descriptions
+			);
+		} else if ( action === 'remove' ) {
+			childData = this.oldDoc.getData( oldChildren[ item[ 1 ] ].getOuterRange() );
+		} else {
+			childData = this.newDoc.getData( newChildren[ item[ 1 ] ].getOuterRange() );
+		}
+
+		if ( action === 'remove' || action === 'insert' || move ) {
+			// The following classes are used here:
+			// * ve-ui-diffElement-remove
+			// * ve-ui-diffElement-insert
+			// * ve-ui-diffElement-up
+			// * ve-ui-diffElement-down
+			childData[ 0 ] = this.addClassesToNode(
+				childData[ 0 ],
+				action === 'remove' ? this.oldDoc : this.newDoc,
+				action === 'remove' || action === 'insert' ? action : undefined,
+				move
+			);
+		}
+		ve.batchPush( data, childData );
+	}, this );
+
+	return data;
+};
+
+/**
+ * Get the HTML for the diff of a table that has changed from the old document
+ * to the new document. It may also have moved.
+ *
+ * The old and new tables are shown side by side, with removed rows and columns
+ * highlighted in the old table, inserted rows and columns highlighted in the
+ * new table, and changed, merged and split cells highlighted in both.
+ *
+ * @param {number} oldNodeIndex The index of the old table in this.oldDocChildren
+ * @param {string} [move] 'up' or 'down' if the table has moved
+ * @return {string} HTML to display the action/move
+ */
+ve.ui.DiffElement.prototype.getChangedTableHtml = function ( oldNodeIndex, move ) {
+	var classes,
+		oldTable = this.oldDocChildren[ oldNodeIndex ],
+		newTable = this.newDocChildren[ this.oldToNew[ oldNodeIndex ].node ],
+		tableDiff = this.oldToNew[ oldNodeIndex ].tableDiff,
+		oldMatrix = oldTable.getMatrix(),
+		newMatrix = newTable.getMatrix(),
+		oldActions = {},
+		newActions = {},
+		descriptions = [];
+
+	/**
+	 * Mark a node of one of the tables for highlighting, unless it is already marked
+	 *
+	 * @param {Object} actions Actions for the table, keyed by offset
+	 * @param {ve.dm.Node|undefined} node Node to mark, if any
+	 * @param {string} action 'remove', 'insert' or 'change'
+	 */
+	function mark( actions, node, action ) {
+		if ( node && !actions[ node.getOuterRange().from ] ) {
+			actions[ node.getOuterRange().from ] = action;
+		}
+	}
+
+	/**
+	 * Mark the cell at a position in a table matrix
+	 *
+	 * @param {Object} actions Actions for the table, keyed by offset
+	 * @param {ve.dm.TableMatrix} matrix Table matrix
+	 * @param {Object|null} position Position, with `row` and `col` properties
+	 * @param {string} action 'remove', 'insert' or 'change'
+	 */
+	function markCell( actions, matrix, position, action ) {
+		var cell = position && matrix.getCell( position.row, position.col );
+		mark( actions, cell && cell.node, action );
+	}
+
+	/**
+	 * Get the HTML of one of the tables, with its nodes highlighted
+	 *
+	 * @param {ve.dm.TableNode} table Table
+	 * @param {ve.dm.Document} doc Document of the table
+	 * @param {Object} actions Actions for the table, keyed by offset
+	 * @return {string} HTML of the table
+	 */
+	function getTableHtml( table, doc, actions ) {
+		var offset,
+			tableRange = table.getOuterRange(),
+			documentSlice = doc.cloneFromRange( tableRange ),
+			tableData = documentSlice.data.data;
+
+		for ( offset in actions ) {
+			tableData[ offset - tableRange.from ] = this.addClassesToNode(
+				tableData[ offset - tableRange.from ], doc, actions[ offset ]
+			);
+		}
+
+		// Doc is always the new doc when inserting into the store
+		documentSlice.getStore().merge( this.newDoc.getStore() );
+		return ve.dm.converter.getDomFromModel( documentSlice ).body.innerHTML;
+	}
+
+	tableDiff.removedRows.forEach( function ( row ) {
+		mark( oldActions, oldMatrix.getRowNode( row ), 'remove' );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-row-removed', row + 1 ) );
+	} );
+	tableDiff.insertedRows.forEach( function ( row ) {
+		mark( newActions, newMatrix.getRowNode( row ), 'insert' );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-row-inserted', row + 1 ) );
+	} );
+	tableDiff.removedColumns.forEach( function ( col ) {
+		oldMatrix.getColumn( col ).forEach( function ( cell ) {
+			mark( oldActions, cell && cell.node, 'remove' );
+		} );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-column-removed', col + 1 ) );
+	} );
+	tableDiff.insertedColumns.forEach( function ( col ) {
+		newMatrix.getColumn( col ).forEach( function ( cell ) {
+			mark( newActions, cell && cell.node, 'insert' );
+		} );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-column-inserted', col + 1 ) );
+	} );
+	tableDiff.mergedCells.forEach( function ( merge ) {
+		markCell( newActions, newMatrix, merge.newCell, 'change' );
+		merge.oldCells.forEach( function ( position ) {
+			markCell( oldActions, oldMatrix, position, 'change' );
+		} );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-cells-merged', merge.newCell.row + 1, merge.newCell.col + 1 ) );
+	} );
+	tableDiff.splitCells.forEach( function ( split ) {
+		markCell( oldActions, oldMatrix, split.oldCell, 'change' );
+		split.newCells.forEach( function ( position ) {
+			markCell( newActions, newMatrix, position, 'change' );
+		} );
+		descriptions.push( ve.msg( 'visualeditor-changedesc-table-cell-split', split.oldCell.row + 1, split.oldCell.col + 1 ) );
+	} );
+	tableDiff.changedCells.forEach( function ( change ) {
+		markCell( oldActions, oldMatrix, change.oldCell, 'change' );
+		markCell( newActions, newMatrix, change.newCell, 'change' );
+	} );
+	if ( tableDiff.captionChanged ) {
+		mark( oldActions, oldTable.getCaptionNode(), 'change' );
+		mark( newActions, newTable.getCaptionNode(), 'change' );
+	}
 
 	// The following classes are used here:
 	// * ve-ui-diffElement-doc-child-change
 	// * ve-ui-diffElement-up
 	// * ve-ui-diffElement-down
 	classes = this.classPrefix + 'doc-child-change' + ( move ? ' ' + this.classPrefix + move : '' );
-	nodeHtml = $( '<div>' ).addClass( classes ).append( nodeHtml );
+	return $( '<div>' ).addClass( classes ).append(
+		$( '<div>' ).addClass( this.classPrefix + 'table' ).append(
+			$( '<div>' ).addClass( this.classPrefix + 'table-old' ).append(
+				getTableHtml.call( this, oldTable, this.oldDoc, oldActions )
+			),
+			$( '<div>' ).addClass( this.classPrefix + 'table-new' ).append(
+				getTableHtml.call( this, newTable, this.newDoc, newActions )
+			)
+		),
+		this.getDescriptionsHtml( descriptions )
+	);
+};
 
-	return nodeHtml;
+/**
+ * Get the HTML listing descriptions of changes
+ *
+ * @param {string[]} descriptions Descriptions of changes
+ * @return {jQuery|null} List of the descriptions, or null if there are none
+ */
+ve.ui.DiffElement.prototype.getDescriptionsHtml = function ( descriptions ) {
+	if ( !descriptions.length ) {
+		return null;
+	}
+	return $( '<ul>' ).addClass( this.classPrefix + 'descriptions' ).append(
+		descriptions.map( function ( description ) {
+			return $( '<li>' ).text( description );
+		} )
+	);
+};
 
+/**
+ * Describe the changes to a node's attributes
+ *
+ * @param {Object} attributeChange Attribute change, as returned by ve.dm.VisualDiff#compareNodeAttributes
+ * @return {string[]} Descriptions of the changes
+ */
+ve.ui.DiffElement.prototype.describeAttributeChange = function ( attributeChange ) {
+	return ve.dm.modelRegistry.lookup( attributeChange.type ).static.describeChanges(
+		attributeChange.attributeChanges,
+		attributeChange.newAttributes
+	);
+};
+
+/**
+ * Describe the changes to the annotations and inline nodes of some content
+ *
+ * @param {Object[]} contentChanges Changes, as returned by ve.dm.VisualDiff#getContentChanges
+ * @return {string[]} Descriptions of the changes
+ */
+ve.ui.DiffElement.prototype.describeContentChanges = function ( contentChanges ) {
+	var descriptions = [];
+	contentChanges.forEach( function ( change ) {
+		var model = ve.dm.modelRegistry.lookup( change.type );
+		if ( !change.oldElement ) {
+			descriptions.push( model.static.describeAdded( change.newElement ) );
+		} else if ( !change.newElement ) {
+			descriptions.push( model.static.describeRemoved( change.oldElement ) );
+		} else {
+			ve.batchPush( descriptions, model.static.describeChanges(
+				change.attributeChanges,
+				change.newElement.attributes || {}
+			) );
+		}
+	} );
+	return descriptions;
 };
 
 /**
@@ -445,7 +993,7 @@ ve.ui.DiffElement.prototype.addClassesToNode = function ( nodeData, nodeDoc, act
  * Annotate some data to highlight diff
  *
  * @param {Array} linearDiff Linear diff, mapping arrays of linear data to diff
- * actions (remove, insert or retain)
+ * actions (remove, insert, retain or change)
  * @return {Array} Data with annotations added
  */
 ve.ui.DiffElement.prototype.annotateNode = function ( linearDiff ) {
@@ -469,7 +1017,22 @@ ve.ui.DiffElement.prototype.annotateNode = function ( linearDiff ) {
 		if ( start !== end ) {
 			range = { start: start, end: end };
 			type = linearDiff[ i ][ 0 ];
-			if ( type === 1 || type === -1 ) {
+			if ( type === 2 ) {
+				// Content with changed annotations or inline nodes
+				domElement = document.createElement( 'span' );
+				domElement.setAttribute( 'class', this.classPrefix + 'change' );
+				originalDomElementsIndex = diffDoc.getStore().index(
+					[ domElement ],
+					ve.getNodeHtml( domElement )
+				);
+				diffDoc.commit( ve.dm.TransactionBuilder.static.newFromAnnotation(
+					diffDoc, range, 'set',
+					ve.dm.annotationFactory.create( 'textStyle/span', {
+						type: 'textStyle/span',
+						originalDomElementsIndex: originalDomElementsIndex
+					} )
+				) );
+			} else if ( type === 1 || type === -1 ) {
 				diffClass = this.classPrefix + ( type === 1 ? 'insert' : 'remove' );
 				domElement = document.createElement( type === 1 ? 'ins' : 'del' );
 				domElement.setAttribute( 'class', diffClass );
@@ -0,0 +1,212 @@
+/*!
+ * VisualEditor UserInterface TableCellInspector class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Inspector for the properties of table cells and columns.
+ *
+ * Edits the alignment, background colour and column width of the cells in a table
+ * selection; see ve.ui.TableAction#changeCellProperties.
+ *
+ * @class
+ * @extends ve.ui.FragmentInspector
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.TableCellInspector = function VeUiTableCellInspector() {
+	// Parent constructor
+	ve.ui.TableCellInspector.super.apply( this, arguments );
+
+	// Properties
+	this.initialValues = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.TableCellInspector, ve.ui.FragmentInspector );
+
+/* Static properties */
+
+ve.ui.TableCellInspector.static.name = 'tableCell';
+
+ve.ui.TableCellInspector.static.title = OO.ui.deferMsg( 'visualeditor-tablecellinspector-title' );
+
+ve.ui.TableCellInspector.static.size = 'medium';
+
+/* Static methods */
+
+/**
+ * Check if a value is valid for a CSS property
+ *
+ * @param {string} property CSS property, in camel case
+ * @param {string} value Value
+ * @return {boolean} Value is valid, or empty
+ */
+ve.ui.TableCellInspector.static.isValidCssValue = function ( property, value ) {
+	var style = document.createElement( 'div' ).style;
+
+	value = value.trim();
+	style[ property ] = value;
+	return !value || style[ property ] !== '';
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.TableCellInspector.prototype.initialize = function () {
+	var inspector = this;
+
+	// Parent method
+	ve.ui.TableCellInspector.super.prototype.initialize.call( this );
+
+	function getOptions( key, values ) {
+		return [ {
+			data: '',
+			label: ve.msg( 'visualeditor-tablecellinspector-default' )
+		} ].concat( values.map( function ( value ) {
+			return {
+				data: value,
+				// Messages used here:
+				// * visualeditor-tablecellinspector-align-left
+				// * visualeditor-tablecellinspector-align-center
+				// * visualeditor-tablecellinspector-align-right
+				// * visualeditor-tablecellinspector-align-justify
+				// * visualeditor-tablecellinspector-valign-top
+				// * visualeditor-tablecellinspector-valign-middle
+				// * visualeditor-tablecellinspector-valign-bottom
+				label: ve.msg( 'visualeditor-tablecellinspector-' + key + '-' + value )
+			};
+		} ) );
+	}
+
+	this.inputs = {
+		align: new OO.ui.DropdownInputWidget( {
+			options: getOptions( 'align', [ 'left', 'center', 'right', 'justify' ] )
+		} ),
+		valign: new OO.ui.DropdownInputWidget( {
+			options: getOptions( 'valign', [ 'top', 'middle', 'bottom' ] )
+		} ),
+		background: new OO.ui.TextInputWidget( {
+			placeholder: '#ffffff',
+			validate: function ( value ) {
+				return inspector.constructor.static.isValidCssValue( 'backgroundColor', value );
+			}
+		} ),
+		width: new OO.ui.TextInputWidget( {
+			placeholder: ve.msg( 'visualeditor-tablecellinspector-width-placeholder' ),
+			validate: function ( value ) {
+				return inspector.constructor.static.isValidCssValue( 'width', value );
+			}
+		} )
+	};
+
+	// Events
+	this.inputs.background.connect( this, { change: 'updateActions' } );
+	this.inputs.width.connect( this, { change: 'updateActions' } );
+
+	// Initialization
+	this.$content.addClass( 've-ui-tableCellInspector-content' );
+	this.form.$element.append(
+		[ 'align', 'valign', 'background', 'width' ].map( function ( key ) {
+			return new OO.ui.FieldLayout( this.inputs[ key ], {
+				align: 'top',
+				// Messages used here:
+				// * visualeditor-tablecellinspector-align
+				// * visualeditor-tablecellinspector-valign
+				// * visualeditor-tablecellinspector-background
+				// * visualeditor-tablecellinspector-width
+				label: ve.msg( 'visualeditor-tablecellinspector-' + key )
+			} ).$element;
+		}, this )
+	);
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.TableCellInspector.prototype.getMode = function () {
+	return this.getFragment() ? 'edit' : '';
+};
+
+/**
+ * Update the actions based on the validity of the inputs
+ */
+ve.ui.TableCellInspector.prototype.updateActions = function () {
+	var inspector = this;
+
+	$.when( this.inputs.background.getValidity(), this.inputs.width.getValidity() )
+		.then( function () {
+			return true;
+		}, function () {
+			return false;
+		} )
+		.then( function ( isValid ) {
+			inspector.actions.setAbilities( { done: isValid } );
+		} );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.TableCellInspector.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.TableCellInspector.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var cells = this.getFragment().getSelection().getMatrixCells();
+
+			// Show the values which all the selected cells share
+			this.initialValues = {};
+			Object.keys( this.inputs ).forEach( function ( key ) {
+				this.initialValues[ key ] = cells.reduce( function ( value, cell, i ) {
+					var cellValue = cell.node.getAttribute( key ) || '';
+					return i === 0 || cellValue === value ? cellValue : '';
+				}, '' );
+				this.inputs[ key ].setValue( this.initialValues[ key ] );
+			}, this );
+			this.updateActions();
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.TableCellInspector.prototype.getReadyProcess = function ( data ) {
+	return ve.ui.TableCellInspector.super.prototype.getReadyProcess.call( this, data )
+		.next( function () {
+			this.inputs.align.focus();
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.TableCellInspector.prototype.getTeardownProcess = function ( data ) {
+	data = data || {};
+	return ve.ui.TableCellInspector.super.prototype.getTeardownProcess.call( this, data )
+		.first( function () {
+			var key, value,
+				properties = {};
+
+			if ( data.action !== 'done' ) {
+				return;
+			}
+			for ( key in this.inputs ) {
+				value = this.inputs[ key ].getValue().trim();
+				if ( value !== this.initialValues[ key ] ) {
+					properties[ key ] = value || null;
+				}
+			}
+			if ( !ve.isEmptyObject( properties ) ) {
+				this.getFragment().select();
+				this.manager.getSurface().execute( 'table', 'changeCellProperties', properties );
+			}
+		}, this );
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.TableCellInspector );
@@ -144,6 +144,12 @@ ve.ui.commandRegistry.register(
 		{ args: [ 'table' ], supportedSelections: [ 'table' ] }
 	)
 );
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'tableCell', 'window', 'open',
+		{ args: [ 'tableCell' ], supportedSelections: [ 'table' ] }
+	)
+);
 ve.ui.commandRegistry.register(
 	new ve.ui.Command(
 		'number', 'list', 'toggle',
@@ -345,6 +351,24 @@ ve.ui.commandRegistry.register(
 
 }() );
 
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'sortColumnAscending', 'table', 'sort',
+		{ args: [ 'ascending' ], supportedSelections: [ 'table' ] }
+	)
+);
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'sortColumnDescending', 'table', 'sort',
+		{ args: [ 'descending' ], supportedSelections: [ 'table' ] }
+	)
+);
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'downloadTableCsv', 'table', 'download',
+		{ args: [ 'csv' ], supportedSelections: [ 'table' ] }
+	)
+);
 ve.ui.commandRegistry.register(
 	new ve.ui.Command(
 		'tableCellHeader', 'table', 'changeCellStyle',
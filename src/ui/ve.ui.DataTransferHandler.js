@@ -77,6 +77,17 @@ ve.ui.DataTransferHandler.static.handlesPaste = true;
  */
 ve.ui.DataTransferHandler.static.handlesPasteSpecial = false;
 
+/**
+ * Use handler only when data transfer source is a "paste special"
+ *
+ * Requires #handlesPasteSpecial.
+ *
+ * @static
+ * @type {boolean}
+ * @inheritable
+ */
+ve.ui.DataTransferHandler.static.handlesOnlyPasteSpecial = false;
+
 /**
  * Custom match function which is given the data transfer item as its only argument
  * and returns a boolean indicating if the handler matches
@@ -164,6 +164,10 @@ ve.ui.DataTransferHandlerFactory.prototype.getHandlerNameForItem = function ( it
 			continue;
 		}
 
+		if ( !isPasteSpecial && constructor.static.handlesOnlyPasteSpecial ) {
+			continue;
+		}
+
 		if ( isPaste && !constructor.static.handlesPaste ) {
 			continue;
 		}
@@ -0,0 +1,64 @@
+/*!
+ * VisualEditor UserInterface AuthorListWidget class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * List of the authors currently in a document edited through a surface synchronizer
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {ve.dm.SurfaceSynchronizer} synchronizer Surface synchronizer
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.AuthorListWidget = function VeUiAuthorListWidget( synchronizer, config ) {
+	// Parent constructor
+	ve.ui.AuthorListWidget.super.call( this, config );
+
+	// Properties
+	this.synchronizer = synchronizer;
+
+	// Events
+	this.synchronizer.connect( this, {
+		authorJoin: 'update',
+		authorLeave: 'update'
+	} );
+
+	// Initialization
+	this.$element.addClass( 've-ui-authorListWidget' );
+	this.update();
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.AuthorListWidget, OO.ui.Widget );
+
+/* Methods */
+
+/**
+ * Update the list to the authors currently in the document
+ */
+ve.ui.AuthorListWidget.prototype.update = function () {
+	var synchronizer = this.synchronizer;
+
+	this.$element.empty().append( synchronizer.getAuthors().map( function ( author ) {
+		var profile = synchronizer.getAuthorProfile( author );
+		return $( '<span>' )
+			.addClass( 've-ui-authorListWidget-author' )
+			.attr( 'title', profile.name )
+			.append(
+				$( '<span>' )
+					.addClass( 've-ui-authorListWidget-author-color' )
+					.css( 'background-color', profile.color ),
+				$( '<span>' )
+					.addClass( 've-ui-authorListWidget-author-name' )
+					.text( author === synchronizer.getAuthor() ?
+						ve.msg( 'visualeditor-authorlistwidget-self', profile.name ) :
+						profile.name
+					)
+			);
+	} ) );
+};
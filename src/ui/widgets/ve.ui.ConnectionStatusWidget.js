@@ -0,0 +1,64 @@
+/*!
+ * VisualEditor UserInterface ConnectionStatusWidget class.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Indicator of the state of a surface synchronizer's connection to the server
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.mixin.LabelElement
+ *
+ * @constructor
+ * @param {ve.dm.SurfaceSynchronizer} synchronizer Surface synchronizer
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.ConnectionStatusWidget = function VeUiConnectionStatusWidget( synchronizer, config ) {
+	// Parent constructor
+	ve.ui.ConnectionStatusWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.mixin.LabelElement.call( this, config );
+
+	// Properties
+	this.synchronizer = synchronizer;
+
+	// Events
+	this.synchronizer.connect( this, {
+		connected: 'update',
+		disconnected: 'update',
+		reconnecting: 'update'
+	} );
+
+	// Initialization
+	this.$element
+		.addClass( 've-ui-connectionStatusWidget' )
+		.append( this.$label );
+	this.update();
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.ConnectionStatusWidget, OO.ui.Widget );
+
+OO.mixinClass( ve.ui.ConnectionStatusWidget, OO.ui.mixin.LabelElement );
+
+/* Methods */
+
+/**
+ * Update the indicator to the synchronizer's current connection state
+ */
+ve.ui.ConnectionStatusWidget.prototype.update = function () {
+	var state = this.synchronizer.getConnectionState();
+
+	this.$element
+		.removeClass( 've-ui-connectionStatusWidget-connected ve-ui-connectionStatusWidget-disconnected ve-ui-connectionStatusWidget-reconnecting' )
+		.addClass( 've-ui-connectionStatusWidget-' + state );
+	// Messages used here:
+	// * visualeditor-connectionstatuswidget-connected
+	// * visualeditor-connectionstatuswidget-disconnected
+	// * visualeditor-connectionstatuswidget-reconnecting
+	this.setLabel( ve.msg( 'visualeditor-connectionstatuswidget-' + state ) );
+};
@@ -101,3 +101,58 @@ QUnit.test( 'onTableMouseDown', function ( assert ) {
 	}
 	view.destroy();
 } );
+
+QUnit.test( 'setColumnWidth', function ( assert ) {
+	var i, view, tableNode,
+		cases = [
+			{
+				msg: 'Width set on all cells of the column',
+				html: '<table><tr><td>A</td><td>B</td></tr><tr><td>C</td><td>D</td></tr></table>',
+				col: 1,
+				width: '100px',
+				expected: '<table><tbody><tr><td>A</td><td style="width: 100px;">B</td></tr><tr><td>C</td><td style="width: 100px;">D</td></tr></tbody></table>'
+			},
+			{
+				msg: 'Cells spanning several columns are skipped',
+				html: '<table><tr><td colspan="2">A</td></tr><tr><td>B</td><td>C</td></tr></table>',
+				col: 0,
+				width: '50px',
+				expected: '<table><tbody><tr><td colspan="2">A</td></tr><tr><td style="width: 50px;">B</td><td>C</td></tr></tbody></table>'
+			},
+			{
+				msg: 'Cells spanning several rows are changed once',
+				html: '<table><tr><td rowspan="2">A</td><td>B</td></tr><tr><td>C</td></tr></table>',
+				col: 0,
+				width: '50px',
+				expected: '<table><tbody><tr><td rowspan="2" style="width: 50px;">A</td><td>B</td></tr><tr><td>C</td></tr></tbody></table>'
+			},
+			{
+				msg: 'Width removed',
+				html: '<table><tr><td style="width: 20px;">A</td><td>B</td></tr><tr><td width="20">C</td><td>D</td></tr></table>',
+				col: 0,
+				width: null,
+				expected: '<table><tbody><tr><td>A</td><td>B</td></tr><tr><td>C</td><td>D</td></tr></tbody></table>'
+			}
+		];
+
+	QUnit.expect( cases.length * 2 );
+	for ( i = 0; i < cases.length; i++ ) {
+		view = ve.test.utils.createSurfaceViewFromHtml( cases[ i ].html );
+		tableNode = view.getDocument().getDocumentNode().children[ 0 ];
+		tableNode.setColumnWidth( cases[ i ].col, cases[ i ].width );
+		assert.strictEqual(
+			ve.dm.converter.getDomFromModel( view.getModel().getDocument() ).body.innerHTML,
+			cases[ i ].expected,
+			cases[ i ].msg
+		);
+		view.getModel().undo();
+		assert.strictEqual(
+			ve.dm.converter.getDomFromModel( view.getModel().getDocument() ).body.innerHTML,
+			ve.dm.converter.getDomFromModel(
+				ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( cases[ i ].html ) )
+			).body.innerHTML,
+			cases[ i ].msg + ': undone'
+		);
+		view.destroy();
+	}
+} );
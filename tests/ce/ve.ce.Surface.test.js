@@ -1303,6 +1303,72 @@ QUnit.test( 'handleDataTransfer/handleDataTransferItems', function ( assert ) {
 	}
 } );
 
+QUnit.test( 'handleTableDataTransfer', function ( assert ) {
+	var i, surface, model,
+		cases = [
+			{
+				msg: 'TSV from plain text',
+				data: { 'text/plain': 'x\ty\r\nz\r\n' },
+				expected: '<table><tbody><tr><td>x</td><td>y</td></tr><tr><td>z</td><td>b</td></tr></tbody></table>',
+				expectedHandled: true
+			},
+			{
+				msg: 'CSV preferred to plain text',
+				data: { 'text/csv': '"x,y",z', 'text/plain': 'x,y\tz' },
+				expected: '<table><tbody><tr><td>x,y</td><td>z</td></tr><tr><td>a</td><td>b</td></tr></tbody></table>',
+				expectedHandled: true
+			},
+			{
+				msg: 'HTML left to afterPaste',
+				data: { 'text/html': '<table><tr><td>x</td></tr></table>', 'text/plain': 'x' },
+				expected: '<table><tbody><tr><td></td><td></td></tr><tr><td>a</td><td>b</td></tr></tbody></table>',
+				expectedHandled: false
+			},
+			{
+				msg: 'Files left to handleDataTransfer',
+				data: { 'text/plain': 'image.png' },
+				files: [ new Blob( [ 'x' ], { type: 'image/png' } ) ],
+				expected: '<table><tbody><tr><td></td><td></td></tr><tr><td>a</td><td>b</td></tr></tbody></table>',
+				expectedHandled: false
+			},
+			{
+				msg: 'File items left to handleDataTransfer',
+				data: { 'text/plain': 'image.png' },
+				items: [ { kind: 'file', type: 'image/png' } ],
+				expected: '<table><tbody><tr><td></td><td></td></tr><tr><td>a</td><td>b</td></tr></tbody></table>',
+				expectedHandled: false
+			}
+		];
+
+	function getDataTransfer( testCase ) {
+		return {
+			getData: function ( type ) {
+				return testCase.data[ type ] || '';
+			},
+			files: testCase.files || [],
+			items: testCase.items || []
+		};
+	}
+
+	for ( i = 0; i < cases.length; i++ ) {
+		surface = ve.test.utils.createViewOnlySurfaceFromHtml(
+			'<table><tbody><tr><td></td><td></td></tr><tr><td>a</td><td>b</td></tr></tbody></table>'
+		);
+		model = surface.getModel();
+		model.setSelection( new ve.dm.TableSelection( model.getDocument(), new ve.Range( 0, 25 ), 0, 0 ) );
+		assert.strictEqual(
+			surface.getView().handleTableDataTransfer( getDataTransfer( cases[ i ] ) ),
+			cases[ i ].expectedHandled,
+			cases[ i ].msg + ': handled'
+		);
+		assert.strictEqual(
+			ve.dm.converter.getDomFromModel( model.getDocument() ).body.innerHTML,
+			cases[ i ].expected,
+			cases[ i ].msg + ': document'
+		);
+	}
+} );
+
 QUnit.test( 'getClipboardHash', 1, function ( assert ) {
 	assert.strictEqual(
 		ve.ce.Surface.static.getClipboardHash(
@@ -1355,10 +1421,28 @@ QUnit.test( 'onCopy', function ( assert ) {
 				rangeOrSelection: new ve.Range( 0, 61 ),
 				expectedText: 'abc\n\nd\n\ne\n\nf\n\ng\n\nhi\nj\n\nk\n\nl\n\nm\n\n',
 				msg: 'Plain text of entire document'
+			},
+			{
+				doc: ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+					'<table><tr><td>a,b</td><td>c</td></tr><tr><td>d "e"</td><td>f</td></tr></table>'
+				) ),
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 34 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				expectedOriginalRange: new ve.Range( 0, 34 ),
+				expectedBalancedRange: new ve.Range( 0, 34 ),
+				expectedCsv: '"a,b",c\r\n"d ""e""",f',
+				expectedTsv: 'a,b\tc\r\n"d ""e"""\tf',
+				msg: 'Table selection as CSV and TSV'
 			}
 		];
 
-	function testRunner( doc, rangeOrSelection, expectedData, expectedOriginalRange, expectedBalancedRange, expectedHtml, expectedText, msg ) {
+	function testRunner( doc, rangeOrSelection, expectedData, expectedOriginalRange, expectedBalancedRange, expectedHtml, expectedText, expectedCsv, expectedTsv, msg ) {
 		var slice,
 			testEvent = new ve.test.utils.TestEvent(),
 			clipboardData = testEvent.originalEvent.clipboardData,
@@ -1386,6 +1470,10 @@ QUnit.test( 'onCopy', function ( assert ) {
 		if ( expectedText ) {
 			assert.strictEqual( clipboardData.getData( 'text/plain' ), expectedText, msg + ': text' );
 		}
+		if ( expectedCsv ) {
+			assert.strictEqual( clipboardData.getData( 'text/csv' ), expectedCsv, msg + ': CSV' );
+			assert.strictEqual( clipboardData.getData( 'text/tab-separated-values' ), expectedTsv, msg + ': TSV' );
+		}
 		assert.strictEqual( clipboardData.getData( 'text/xcustom' ), view.clipboardId + '-' + view.clipboardIndex, msg + ': clipboardId set' );
 
 		view.destroy();
@@ -1395,7 +1483,8 @@ QUnit.test( 'onCopy', function ( assert ) {
 		testRunner(
 			cases[ i ].doc, cases[ i ].rangeOrSelection, cases[ i ].expectedData,
 			cases[ i ].expectedOriginalRange, cases[ i ].expectedBalancedRange,
-			cases[ i ].expectedHtml, cases[ i ].expectedText, cases[ i ].msg
+			cases[ i ].expectedHtml, cases[ i ].expectedText,
+			cases[ i ].expectedCsv, cases[ i ].expectedTsv, cases[ i ].msg
 		);
 	}
 
@@ -1554,6 +1554,26 @@ QUnit.test( 'sanitize', function ( assert ) {
 				rules: { removeOriginalDomElements: true },
 				msg: 'Original DOM elements removed'
 			},
+			{
+				html: '<table><tr><td style="text-align: center; color: red;" bgcolor="#ff0">a</td></tr></table>',
+				data: [
+					{ type: 'table' },
+					{ type: 'tableSection', attributes: { style: 'body' } },
+					{ type: 'tableRow' },
+					{ type: 'tableCell', attributes: { style: 'data', align: 'center', background: '#ff0' } },
+					{ type: 'paragraph', internal: { generated: 'wrapper' } },
+					'a',
+					{ type: '/paragraph' },
+					{ type: '/tableCell' },
+					{ type: '/tableRow' },
+					{ type: '/tableSection' },
+					{ type: '/table' },
+					{ type: 'internalList' },
+					{ type: '/internalList' }
+				],
+				rules: { removeOriginalDomElements: true },
+				msg: 'Unmodelled table cell styles removed with original DOM elements'
+			},
 			{
 				html: '<p>B<span rel="ve:Alien">a</span>r<img src="//upload.wikimedia.org/wikipedia/commons/b/b3/Wikipedia-logo-v2-en.svg"/></p>',
 				data: [
@@ -271,6 +271,7 @@ QUnit.test( 'Serialize/deserialize', 6, function ( assert ) {
 			transactions: [
 				{
 					author: null,
+					timestamp: null,
 					operations: [
 						{ type: 'retain', length: 1 },
 						{
@@ -285,6 +286,7 @@ QUnit.test( 'Serialize/deserialize', 6, function ( assert ) {
 				},
 				{
 					author: null,
+					timestamp: null,
 					operations: [
 						{ type: 'retain', length: 2 },
 						{
@@ -337,6 +339,7 @@ QUnit.test( 'Serialize/deserialize', 6, function ( assert ) {
 			start: 0,
 			transactions: [ {
 				author: 'fred',
+				timestamp: null,
 				operations: [ { type: 'retain', length: 2 } ]
 			} ],
 			stores: [ { hashes: [ 'xx' ], hashStore: { xx: {
@@ -1011,3 +1011,122 @@ QUnit.test( 'Selection equality', function ( assert ) {
 		}
 	}
 } );
+
+QUnit.test( 'findText (multiline)', function ( assert ) {
+	var doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>foo</p><p>bar</p>' ) );
+
+	assert.deepEqual( doc.findText( /o\n+b/g ), [], 'Regex matches do not span paragraphs by default' );
+	assert.deepEqual(
+		doc.findText( /o\n+b/g, { multiline: true } ),
+		[ new ve.Range( 3, 7 ) ],
+		'Regex matches span paragraphs with multiline'
+	);
+} );
+
+QUnit.test( 'findText/findContent (ranges)', function ( assert ) {
+	var doc = new ve.dm.Document( [
+		{ type: 'paragraph' }, 'f', 'o', 'o', { type: '/paragraph' },
+		{ type: 'internalList' },
+		{ type: 'internalItem' },
+		{ type: 'paragraph' }, 'f', 'o', 'o', { type: '/paragraph' },
+		{ type: '/internalItem' },
+		{ type: '/internalList' }
+	] );
+
+	assert.deepEqual( doc.findText( 'foo' ), [ new ve.Range( 1, 4 ) ], 'Internal list is not searched by default' );
+	assert.deepEqual(
+		doc.findText( 'foo', { ranges: [ new ve.Range( 0, 14 ) ] } ),
+		[ new ve.Range( 1, 4 ), new ve.Range( 8, 11 ) ],
+		'Internal list is searched when in range'
+	);
+	assert.deepEqual(
+		doc.findText( /o+/g, { noOverlaps: true, ranges: [ new ve.Range( 0, 3 ), new ve.Range( 9, 11 ) ] } ),
+		[ new ve.Range( 2, 3 ), new ve.Range( 9, 11 ) ],
+		'Matches are limited to each range'
+	);
+	assert.deepEqual(
+		doc.findContent( { node: { types: [ 'paragraph' ] } }, { ranges: [ new ve.Range( 5, 14 ) ] } ),
+		[ new ve.Range( 8, 11 ) ],
+		'Nodes are found within the ranges'
+	);
+} );
+
+QUnit.test( 'findContent', function ( assert ) {
+	var i,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+			'<h2>Foo <b>bar</b></h2>' +
+			'<p><b>foo bar</b> <a href="http://example.com/baz">baz</a> <a href="http://example.org/">quux</a></p>' +
+			'<h3>bar</h3>' +
+			'<p><img src="a.png" alt="A"><img src="b.png"></p>'
+		) ),
+		cases = [
+			{
+				msg: 'Text only',
+				query: { text: 'bar' },
+				expected: [ new ve.Range( 5, 8 ), new ve.Range( 14, 17 ), new ve.Range( 28, 31 ) ]
+			},
+			{
+				msg: 'Annotation runs',
+				query: { annotation: { types: [ 'textStyle/bold' ] } },
+				expected: [ new ve.Range( 5, 8 ), new ve.Range( 10, 17 ) ]
+			},
+			{
+				msg: 'Bold text matching a string',
+				query: { text: 'foo', annotation: { types: [ 'textStyle/bold' ] } },
+				expected: [ new ve.Range( 10, 13 ) ]
+			},
+			{
+				msg: 'Links whose href contains a string',
+				query: { annotation: { types: [ 'link' ], attributes: { href: { contains: 'example.com' } } } },
+				expected: [ new ve.Range( 18, 21 ) ]
+			},
+			{
+				msg: 'Headings of level 2',
+				query: { node: { types: [ 'heading' ], attributes: { level: { equals: 2 } } } },
+				expected: [ new ve.Range( 1, 8 ) ]
+			},
+			{
+				msg: 'Text in headings',
+				query: { text: 'bar', node: { types: [ 'heading' ] } },
+				expected: [ new ve.Range( 5, 8 ), new ve.Range( 28, 31 ) ]
+			},
+			{
+				msg: 'Bold text in headings',
+				query: { annotation: { types: [ 'textStyle/bold' ] }, node: { types: [ 'heading' ] } },
+				expected: [ new ve.Range( 5, 8 ) ]
+			},
+			{
+				msg: 'Images without alt',
+				query: { node: { types: [ 'inlineImage', 'blockImage' ], attributes: { alt: { missing: true } } } },
+				expected: [ new ve.Range( 35, 37 ) ]
+			},
+			{
+				msg: 'No criteria',
+				query: {},
+				expected: []
+			}
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.deepEqual( doc.findContent( cases[ i ].query ), cases[ i ].expected, cases[ i ].msg );
+	}
+} );
+
+QUnit.test( 'matchesAttributes', function ( assert ) {
+	var matchesAttributes = ve.dm.Document.static.matchesAttributes,
+		attributes = { href: 'http://example.com/', level: 2, empty: '' };
+
+	assert.strictEqual( matchesAttributes( attributes ), true, 'No conditions' );
+	assert.strictEqual( matchesAttributes( attributes, { level: { equals: '2' } } ), true, 'equals compares strings' );
+	assert.strictEqual( matchesAttributes( attributes, { level: { equals: 3 } } ), false, 'equals fails' );
+	assert.strictEqual( matchesAttributes( attributes, { href: { contains: 'example' } } ), true, 'contains' );
+	assert.strictEqual( matchesAttributes( attributes, { href: { contains: 'foo' } } ), false, 'contains fails' );
+	assert.strictEqual( matchesAttributes( attributes, { alt: { contains: '' } } ), false, 'Missing attribute does not contain anything' );
+	assert.strictEqual( matchesAttributes( attributes, { alt: { missing: true }, empty: { missing: true } } ), true, 'missing' );
+	assert.strictEqual( matchesAttributes( attributes, { href: { missing: false } } ), true, 'not missing' );
+	assert.strictEqual(
+		matchesAttributes( attributes, { href: { contains: 'example' }, level: { equals: 1 } } ),
+		false,
+		'All conditions must be met'
+	);
+} );
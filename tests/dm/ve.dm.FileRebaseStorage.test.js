@@ -0,0 +1,142 @@
+/*!
+ * VisualEditor DataModel FileRebaseStorage tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.dm.FileRebaseStorage' );
+
+/* Helper methods */
+
+/**
+ * Create a file rebase storage on an in-memory file system
+ *
+ * Only the synchronous calls FileRebaseStorage makes are provided. File contents are ASCII, so
+ * the buffers read are plain strings with Buffer's interface.
+ *
+ * @param {Object} files File contents, keyed by path; modified in place
+ * @return {ve.dm.FileRebaseStorage} Storage
+ */
+function createFileRebaseStorage( files ) {
+	var storage = Object.create( ve.dm.FileRebaseStorage.prototype );
+
+	storage.directory = 'data';
+	storage.path = {
+		join: function () {
+			return Array.prototype.join.call( arguments, '/' );
+		}
+	};
+	storage.crypto = {
+		createHash: function () {
+			var data = '';
+			return {
+				update: function ( text ) {
+					data += text;
+					return this;
+				},
+				digest: function () {
+					return 'hash-' + data.length + '-' + data.split( '' ).reverse().join( '' );
+				}
+			};
+		}
+	};
+	storage.fs = {
+		existsSync: function ( path ) {
+			return Object.prototype.hasOwnProperty.call( files, path );
+		},
+		readFileSync: function ( path ) {
+			var contents = files[ path ];
+			return {
+				length: contents.length,
+				lastIndexOf: function ( text ) {
+					return contents.lastIndexOf( text );
+				},
+				toString: function ( encoding, start, end ) {
+					return contents.slice( start, end );
+				}
+			};
+		},
+		appendFileSync: function ( path, text ) {
+			files[ path ] = ( files[ path ] || '' ) + text;
+		},
+		truncateSync: function ( path, length ) {
+			files[ path ] = files[ path ].slice( 0, length );
+		}
+	};
+	return storage;
+}
+
+/* Tests */
+
+QUnit.test( 'Storing, reloading and resuming', function ( assert ) {
+	var restartedServer, secret,
+		files = {},
+		txInsert = function ( before, insert, after ) {
+			return new ve.dm.Transaction( [
+				{ type: 'retain', length: before },
+				{
+					type: 'replace',
+					remove: [],
+					insert: insert,
+					insertedDataOffset: 0,
+					insertedDataLength: insert.length
+				},
+				{ type: 'retain', length: after }
+			] );
+		},
+		noVals = new ve.dm.IndexValueStore(),
+		server = new ve.dm.TestRebaseServer( createFileRebaseStorage( files ) ),
+		sharedIncoming = [],
+		client1 = new ve.dm.TestRebaseClient( server, sharedIncoming ),
+		client2 = new ve.dm.TestRebaseClient( server, sharedIncoming );
+
+	client1.setAuthor( 1 );
+	client2.setAuthor( 2 );
+	server.addAuthor( 'foo', 1 );
+	secret = server.addAuthor( 'foo', 2 );
+
+	client1.applyChange( new ve.dm.Change( 0, [ txInsert( 1, [ 'a' ], 3 ) ], [ noVals ], {} ) );
+	client1.submitChange();
+	client1.deliverOne();
+	client2.applyChange( new ve.dm.Change( 0, [ txInsert( 1, [ 'X' ], 3 ) ], [ noVals ], {} ) );
+	client2.submitChange();
+	client2.deliverOne();
+	server.rejectChange( 'foo', 1, 0, new ve.dm.Change( 1, [ txInsert( 1, [ 'b' ], 4 ) ], [ noVals ], {} ) );
+
+	assert.deepEqual( Object.keys( files ), [ 'data/foo.jsonl' ], 'Document stored in its own file' );
+	assert.strictEqual( files[ 'data/foo.jsonl' ].indexOf( secret ), -1, 'Secret is not stored' );
+
+	// The server stops while appending a record
+	files[ 'data/foo.jsonl' ] += '{"type":"change","auth';
+
+	restartedServer = new ve.dm.TestRebaseServer( createFileRebaseStorage( files ) );
+	assert.strictEqual( restartedServer.historySummary(), server.historySummary(), 'History survives restart' );
+	assert.deepEqual(
+		restartedServer.getStateForDoc( 'foo' ).continueBases.get( 2 ).serialize(),
+		server.getStateForDoc( 'foo' ).continueBases.get( 2 ).serialize(),
+		'Continue base survives restart'
+	);
+	assert.deepEqual(
+		Array.from( restartedServer.getStateForDoc( 'foo' ).rejections.entries() ),
+		[ [ 1, 1 ], [ 2, 0 ] ],
+		'Rejection counts survive restart'
+	);
+	assert.strictEqual( restartedServer.isAuthorSecret( 'foo', 2, secret ), true, 'Author secret survives restart' );
+	assert.strictEqual(
+		files[ 'data/foo.jsonl' ].slice( -1 ),
+		'\n',
+		'Incomplete record is dropped'
+	);
+
+	// Resume as author 2 on the restarted server, and carry on editing
+	client2.server = restartedServer;
+	client2.applyChange( new ve.dm.Change( 1, [ txInsert( 2, [ 'Y' ], 3 ) ], [ noVals ], {} ) );
+	client2.submitChange();
+	client2.deliverOne();
+	assert.strictEqual( restartedServer.historySummary(), 'aXY', 'Changes apply after restart' );
+	assert.strictEqual(
+		new ve.dm.TestRebaseServer( createFileRebaseStorage( files ) ).historySummary(),
+		'aXY',
+		'Changes after restart are stored'
+	);
+} );
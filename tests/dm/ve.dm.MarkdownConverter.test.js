@@ -0,0 +1,197 @@
+/*!
+ * VisualEditor DataModel MarkdownConverter tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.dm.MarkdownConverter' );
+
+/* Tests */
+
+QUnit.test( 'getDomFromMarkdown', function ( assert ) {
+	var i,
+		cases = [
+			{
+				msg: 'Paragraphs and line breaks',
+				markdown: 'foo\nbar\n\nbaz  \nquux\\\nwhee',
+				html: '<p>foo bar</p><p>baz<br>quux<br>whee</p>'
+			},
+			{
+				msg: 'ATX and setext headings',
+				markdown: '# One\n### Three ###\n#not a heading\n\nTwo\n---\nOne\n===',
+				html: '<h1>One</h1><h3>Three</h3><p>#not a heading</p><h2>Two</h2><h1>One</h1>'
+			},
+			{
+				msg: 'Emphasis',
+				markdown: '*a* _b_ **c** __d__ ***e*** *f **g** h* ~~i~~ snake_case_name 2 * 3',
+				html: '<p><em>a</em> <em>b</em> <strong>c</strong> <strong>d</strong> <em><strong>e</strong></em> ' +
+					'<em>f <strong>g</strong> h</em> <s>i</s> snake_case_name 2 * 3</p>'
+			},
+			{
+				msg: 'Unclosed emphasis and escapes',
+				markdown: '**foo *bar \\*baz\\*',
+				html: '<p>**foo *bar *baz*</p>'
+			},
+			{
+				msg: 'Code spans',
+				markdown: '`a*b*` `` c`d `` `e',
+				html: '<p><code>a*b*</code> <code>c`d</code> `e</p>'
+			},
+			{
+				msg: 'Links and images',
+				markdown: '[foo *bar*](http://example.com "Title") ![alt](a.png) <http://example.org> www.example.net, [not](a link',
+				html: '<p><a href="http://example.com" title="Title">foo <em>bar</em></a> <img src="a.png" alt="alt"> ' +
+					'<a href="http://example.org">http://example.org</a> <a href="http://www.example.net">www.example.net</a>, [not](a link</p>'
+			},
+			{
+				msg: 'Tight lists',
+				markdown: '- a\n- b\n  - c\n  - d\n- e\n\n3. three\n4. four',
+				html: '<ul><li>a</li><li>b<ul><li>c</li><li>d</li></ul></li><li>e</li></ul><ol start="3"><li>three</li><li>four</li></ol>'
+			},
+			{
+				msg: 'Loose list with lazy continuation',
+				markdown: '* a\nlazy\n\n* b\n\n  c',
+				html: '<ul><li><p>a lazy</p></li><li><p>b</p><p>c</p></li></ul>'
+			},
+			{
+				msg: 'List after a paragraph',
+				markdown: 'foo\n- bar\n\nbaz\n2. quux',
+				html: '<p>foo</p><ul><li>bar</li></ul><p>baz 2. quux</p>'
+			},
+			{
+				msg: 'Block quote with lazy continuation',
+				markdown: '> foo **bar**\nbaz\n>\n> quux\n\nwhee',
+				html: '<blockquote>foo <strong>bar</strong> baz<br>quux</blockquote><p>whee</p>'
+			},
+			{
+				msg: 'Fenced and indented code blocks',
+				markdown: '```js\nvar a = *b*;\n\n  c();\n```\n\n    d\n      e\n\nf',
+				html: '<pre>var a = *b*;\n\n  c();</pre><pre>d\n  e</pre><p>f</p>'
+			},
+			{
+				msg: 'Unclosed fence',
+				markdown: '~~~\nfoo',
+				html: '<pre>foo</pre>'
+			},
+			{
+				msg: 'Table',
+				markdown: '| a | *b* |\n|---|:---:|\n| 1 | 2 \\| 3 |\n| 4 |\n\nfoo',
+				html: '<table><thead><tr><th>a</th><th><em>b</em></th></tr></thead>' +
+					'<tbody><tr><td>1</td><td>2 | 3</td></tr><tr><td>4</td><td></td></tr></tbody></table><p>foo</p>'
+			},
+			{
+				msg: 'Not a table',
+				markdown: 'a | b\n--- | --- | ---',
+				html: '<p>a | b --- | --- | ---</p>'
+			},
+			{
+				msg: 'Horizontal rule',
+				markdown: 'foo\n\n* * *\nbar',
+				html: '<p>foo</p><hr><p>bar</p>'
+			}
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.strictEqual(
+			ve.dm.markdownConverter.getDomFromMarkdown( cases[ i ].markdown ).body.innerHTML,
+			cases[ i ].html,
+			cases[ i ].msg
+		);
+	}
+} );
+
+QUnit.test( 'isMarkdown', function ( assert ) {
+	var i,
+		cases = [
+			{ text: 'Just some text, 2 * 3 = 6', expected: false },
+			{ text: '- one item', expected: false },
+			{ text: '#hashtag', expected: false },
+			{ text: 'a > b\nc > d', expected: false },
+			{ text: '# Heading', expected: true },
+			{ text: 'foo\n```\ncode\n```', expected: true },
+			{ text: '- one\n- two', expected: true },
+			{ text: '> quoted\n> text', expected: true },
+			{ text: 'a | b\n--|--', expected: true },
+			{ text: 'some **bold** text', expected: true },
+			{ text: 'run `make`', expected: true },
+			{ text: 'see [the docs](http://example.com)', expected: true }
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.strictEqual(
+			ve.dm.MarkdownConverter.static.isMarkdown( cases[ i ].text ),
+			cases[ i ].expected,
+			JSON.stringify( cases[ i ].text )
+		);
+	}
+} );
+
+QUnit.test( 'getMarkdownFromModel', function ( assert ) {
+	var i, model, result,
+		cases = [
+			{
+				msg: 'Paragraphs and headings',
+				html: '<h2>Foo</h2><p>Bar</p><p></p><p>- not a list</p><p>1. not a list</p><p># not a heading</p>',
+				markdown: '## Foo\n\nBar\n\n\\- not a list\n\n1\\. not a list\n\n\\# not a heading'
+			},
+			{
+				msg: 'Annotations',
+				html: '<p><b>a</b> <i>b </i><s>c</s> <b><i>d</i></b> <code>e`f*</code> <a href="http://example.com/(1)">g<b>h</b></a> ' +
+					'<a href="http://example.org">http://example.org</a> 2*3_4</p>',
+				markdown: '**a** *b* ~~c~~ ***d*** ``e`f*`` [g**h**](http://example.com/\\(1\\)) <http://example.org> 2\\*3\\_4'
+			},
+			{
+				msg: 'Unsupported annotations',
+				html: '<p>a<u>b</u>c<code><b>d</b></code></p>',
+				markdown: 'abc`d`',
+				losses: [
+					{ type: 'textStyle/underline', range: new ve.Range( 2, 3 ) },
+					{ type: 'textStyle/bold', range: new ve.Range( 4, 5 ) }
+				]
+			},
+			{
+				msg: 'Line breaks and images',
+				html: '<p>a<br>b <img src="a b.png" alt="[c]"></p>',
+				markdown: 'a\\\nb ![\\[c\\]](a%20b.png)'
+			},
+			{
+				msg: 'Lists',
+				html: '<ul><li><p>a</p></li><li><p>b</p><ol><li><p>c</p></li><li><p>d</p><p>e</p></li></ol></li></ul>',
+				markdown: '- a\n- b\n  1. c\n  2. d\n\n     e'
+			},
+			{
+				msg: 'Preformatted and block quotes',
+				html: '<pre>a ```\n<b>*b*</b></pre><blockquote>c<br>d</blockquote>',
+				markdown: '````\na ```\n*b*\n````\n\n> c\\\n> d',
+				losses: [
+					{ type: 'textStyle/bold', range: new ve.Range( 1, 10 ) }
+				]
+			},
+			{
+				msg: 'Tables',
+				html: '<table><caption>Cap</caption><tr><th>a</th><th>b|c</th></tr><tr><td colspan="2"><p>d</p><ul><li>e</li></ul></td></tr></table>',
+				markdown: 'Cap\n\n| a | b\\|c |\n| --- | --- |\n| d e |  |',
+				losses: [
+					{ type: 'tableCaption', range: new ve.Range( 1, 8 ) },
+					{ type: 'tableCell', range: new ve.Range( 24, 36 ) },
+					{ type: 'list', range: new ve.Range( 28, 35 ) }
+				]
+			},
+			{
+				msg: 'Horizontal rules, aliens and transparent nodes',
+				html: '<p>a</p><hr><div rel="ve:Alien">b</div><div><p>c</p></div><p>d<span rel="ve:Alien">e</span></p>',
+				markdown: 'a\n\n---\n\nc\n\nd',
+				losses: [
+					{ type: 'alienBlock', range: new ve.Range( 5, 7 ) },
+					{ type: 'alienInline', range: new ve.Range( 14, 16 ) }
+				]
+			}
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		model = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( cases[ i ].html ) );
+		result = ve.dm.markdownConverter.getMarkdownFromModel( model );
+		assert.strictEqual( result.markdown, cases[ i ].markdown, cases[ i ].msg + ': Markdown' );
+		assert.deepEqual( result.losses, cases[ i ].losses || [], cases[ i ].msg + ': losses' );
+	}
+} );
@@ -52,13 +52,13 @@ ve.dm.testHistorySummary = function ( change, commitLength, sentLength ) {
 };
 
 ve.dm.TestRebaseServer = function VeDmRebaseServer() {
-	ve.dm.RebaseServer.apply( this );
+	ve.dm.RebaseServer.apply( this, arguments );
 };
 
 OO.inheritClass( ve.dm.TestRebaseServer, ve.dm.RebaseServer );
 
 ve.dm.TestRebaseServer.prototype.historySummary = function () {
-	return ve.dm.testHistorySummary( this.stateForDoc.get( 'foo' ).history );
+	return ve.dm.testHistorySummary( this.getStateForDoc( 'foo' ).history );
 };
 
 ve.dm.TestRebaseClient = function VeDmTestRebaseClient( server, sharedIncoming ) {
@@ -316,3 +316,461 @@ QUnit.test( 'Rebase', 43, function ( assert ) {
 	client2.receiveOne();
 	assert.equal( client2.historySummary(), 'abcABdefCDghi-(Bd)-(cA)WP', '2receive8' );
 } );
+
+ve.dm.TestRebaseStorage = function VeDmTestRebaseStorage() {
+	ve.dm.RebaseStorage.apply( this );
+	this.records = {};
+};
+
+OO.inheritClass( ve.dm.TestRebaseStorage, ve.dm.RebaseStorage );
+
+ve.dm.TestRebaseStorage.prototype.readRecords = function ( name ) {
+	return ( this.records[ name ] || [] ).map( function ( json ) {
+		return JSON.parse( json );
+	} );
+};
+
+ve.dm.TestRebaseStorage.prototype.appendRecord = function ( name, record ) {
+	this.records[ name ] = this.records[ name ] || [];
+	this.records[ name ].push( JSON.stringify( record ) );
+};
+
+ve.dm.TestRebaseStorage.prototype.hashSecret = function ( secret ) {
+	return secret.split( '' ).reverse().join( '' );
+};
+
+QUnit.test( 'Storage', function ( assert ) {
+	var txInsert = function ( before, insert, after ) {
+			return new ve.dm.Transaction( [
+				{ type: 'retain', length: before },
+				{
+					type: 'replace',
+					remove: [],
+					insert: insert,
+					insertedDataOffset: 0,
+					insertedDataLength: insert.length
+				},
+				{ type: 'retain', length: after }
+			] );
+		},
+		noVals = new ve.dm.IndexValueStore(),
+		storage = new ve.dm.TestRebaseStorage(),
+		server = new ve.dm.TestRebaseServer( storage ),
+		restartedServer, secret,
+		sharedIncoming = [],
+		client1 = new ve.dm.TestRebaseClient( server, sharedIncoming ),
+		client2 = new ve.dm.TestRebaseClient( server, sharedIncoming );
+
+	client1.setAuthor( 1 );
+	client2.setAuthor( 2 );
+
+	assert.deepEqual( storage.readRecords( 'foo' ), [], 'Nothing stored for a new document' );
+	secret = server.addAuthor( 'foo', 2 );
+
+	client1.applyChange( new ve.dm.Change( 0, [
+		txInsert( 1, [ 'a' ], 3 ),
+		txInsert( 2, [ 'b' ], 3 )
+	], [ noVals, noVals ], {} ) );
+	client1.submitChange();
+	client1.deliverOne();
+
+	client2.applyChange( new ve.dm.Change( 0, [
+		txInsert( 1, [ 'X' ], 3 )
+	], [ noVals ], {} ) );
+	client2.submitChange();
+	client2.deliverOne();
+	assert.equal( server.historySummary(), 'abX', 'History before restart' );
+	assert.deepEqual(
+		storage.readRecords( 'foo' ).map( function ( record ) {
+			return record.type;
+		} ),
+		[ 'secret', 'change', 'change' ],
+		'One record stored per author and per submission'
+	);
+	assert.strictEqual( storage.records.foo.join( '\n' ).indexOf( secret ), -1, 'Secret is not stored' );
+
+	restartedServer = new ve.dm.TestRebaseServer( storage );
+	assert.equal( restartedServer.historySummary(), 'abX', 'History survives restart' );
+	assert.deepEqual(
+		restartedServer.getStateForDoc( 'foo' ).continueBases.get( 2 ).serialize(),
+		server.getStateForDoc( 'foo' ).continueBases.get( 2 ).serialize(),
+		'Continue base survives restart'
+	);
+	assert.deepEqual(
+		Array.from( restartedServer.getStateForDoc( 'foo' ).rejections.entries() ),
+		[ [ 1, 0 ], [ 2, 0 ] ],
+		'Rejection counts survive restart'
+	);
+	assert.deepEqual(
+		[ restartedServer.isAuthorSecret( 'foo', 2, secret ), restartedServer.isAuthorSecret( 'foo', 1, secret ) ],
+		[ true, false ],
+		'Author secrets survive restart'
+	);
+
+	// Reconnect client 2 to the restarted server, and carry on editing
+	client2.server = restartedServer;
+	client2.applyChange( new ve.dm.Change( 1, [
+		txInsert( 2, [ 'Y' ], 3 )
+	], [ noVals ], {} ) );
+	client2.submitChange();
+	client2.deliverOne();
+	assert.equal( restartedServer.historySummary(), 'abXY', 'Changes apply after restart' );
+	assert.equal( new ve.dm.TestRebaseServer( storage ).historySummary(), 'abXY', 'Changes after restart are stored' );
+} );
+
+QUnit.test( 'isChangeAllowed', function ( assert ) {
+	var i, cases,
+		noVals = new ve.dm.IndexValueStore(),
+		selectionOnly = new ve.dm.Change( 0, [], [], { 1: new ve.dm.LinearSelection( null, new ve.Range( 1 ) ) } ),
+		text = new ve.dm.Change( 0, [ new ve.dm.Transaction( [
+			{ type: 'retain', length: 1 },
+			{ type: 'replace', remove: [], insert: [ 'x' ] },
+			{ type: 'retain', length: 3 }
+		] ) ], [ noVals ], {} ),
+		comment = new ve.dm.Change( 0, [ new ve.dm.Transaction( [
+			{ type: 'retain', length: 1 },
+			{
+				type: 'replace',
+				remove: [],
+				insert: [ { type: 'comment', attributes: { text: 'Hi' } }, { type: '/comment' } ]
+			},
+			{ type: 'retain', length: 3 }
+		] ) ], [ noVals ], {} ),
+		commentMeta = new ve.dm.Change( 0, [ new ve.dm.Transaction( [
+			{ type: 'retain', length: 1 },
+			{
+				type: 'replaceMetadata',
+				remove: [],
+				insert: [ { type: 'commentMeta', attributes: { text: 'Hi' } }, { type: '/commentMeta' } ]
+			},
+			{ type: 'retain', length: 3 }
+		] ) ], [ noVals ], {} ),
+		attribute = new ve.dm.Change( 0, [ new ve.dm.Transaction( [
+			{ type: 'attribute', key: 'level', from: 1, to: 2 },
+			{ type: 'retain', length: 4 }
+		] ) ], [ noVals ], {} );
+
+	cases = [
+		{ role: 'read', change: selectionOnly, allowed: true, msg: 'Reader can move selection' },
+		{ role: 'read', change: comment, allowed: false, msg: 'Reader cannot comment' },
+		{ role: 'comment', change: selectionOnly, allowed: true, msg: 'Commenter can move selection' },
+		{ role: 'comment', change: comment, allowed: true, msg: 'Commenter can insert comment' },
+		{ role: 'comment', change: commentMeta, allowed: true, msg: 'Commenter can insert comment meta item' },
+		{ role: 'comment', change: text, allowed: false, msg: 'Commenter cannot insert text' },
+		{ role: 'comment', change: attribute, allowed: false, msg: 'Commenter cannot change attributes' },
+		{ role: 'edit', change: text, allowed: true, msg: 'Editor can insert text' },
+		{ role: 'edit', change: attribute, allowed: true, msg: 'Editor can change attributes' },
+		{ role: 'admin', change: selectionOnly, allowed: false, msg: 'Unknown role cannot do anything' }
+	];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.strictEqual(
+			ve.dm.RebaseServer.static.isChangeAllowed( cases[ i ].role, cases[ i ].change ),
+			cases[ i ].allowed,
+			cases[ i ].msg
+		);
+	}
+} );
+
+QUnit.test( 'rejectChange', function ( assert ) {
+	var txInsert = function ( before, insert, after ) {
+			return new ve.dm.Transaction( [
+				{ type: 'retain', length: before },
+				{
+					type: 'replace',
+					remove: [],
+					insert: insert,
+					insertedDataOffset: 0,
+					insertedDataLength: insert.length
+				},
+				{ type: 'retain', length: after }
+			] );
+		},
+		noVals = new ve.dm.IndexValueStore(),
+		server = new ve.dm.TestRebaseServer(),
+		sharedIncoming = [],
+		client = new ve.dm.TestRebaseClient( server, sharedIncoming ),
+		rejectOne = function () {
+			var item = client.outgoing[ client.outgoingPointer++ ];
+			return server.rejectChange( 'foo', client.getAuthor(), item.backtrack, item.change );
+		};
+
+	client.setAuthor( 1 );
+	client.applyChange( new ve.dm.Change( 0, [ txInsert( 1, [ 'a' ], 3 ) ], [ noVals ], {} ) );
+	client.submitChange();
+	client.deliverOne();
+	client.receiveOne();
+
+	client.applyChange( new ve.dm.Change( 1, [ txInsert( 2, [ 'b' ], 3 ) ], [ noVals ], {} ) );
+	client.submitChange();
+	client.applyChange( new ve.dm.Change( 2, [ txInsert( 3, [ 'c' ], 3 ) ], [ noVals ], {} ) );
+	client.submitChange();
+	client.applyChange( new ve.dm.Change( 3, [ txInsert( 4, [ 'd' ], 3 ) ], [ noVals ], {} ) );
+	assert.equal( client.historySummary(), 'a/bc?/d!', 'Client history before rejection' );
+
+	assert.strictEqual( rejectOne(), true, 'First change is rejected in its own right' );
+	assert.strictEqual( rejectOne(), false, 'Second change is rejected as a follow-on' );
+	assert.strictEqual( server.getStateForDoc( 'foo' ).rejections.get( 1 ), 2, 'Server counts both rejections' );
+
+	client.acceptRejection();
+	assert.equal( client.historySummary(), 'a', 'Client unapplies all uncommitted changes' );
+	assert.strictEqual( client.backtrack, 2, 'Client backtracks over the sent changes' );
+
+	client.applyChange( new ve.dm.Change( 1, [ txInsert( 2, [ 'e' ], 3 ) ], [ noVals ], {} ) );
+	client.submitChange();
+	client.deliverOne();
+	client.receiveOne();
+	assert.equal( server.historySummary(), 'ae', 'Server accepts change after backtrack' );
+	assert.equal( client.historySummary(), 'ae', 'Client history after backtrack' );
+} );
+
+QUnit.test( 'submitChange', function ( assert ) {
+	var result,
+		server = new ve.dm.RebaseServer(),
+		change = new ve.dm.Change( 0, [
+			new ve.dm.Transaction( [
+				{ type: 'replace', remove: [], insert: [ 'a' ], insertedDataOffset: 0, insertedDataLength: 1 }
+			] )
+		], [ new ve.dm.IndexValueStore() ], {} ).serialize( true );
+
+	result = server.submitChange( 'foo', 1, 'read', { backtrack: 0, change: change } );
+	assert.deepEqual(
+		[ result.applied, result.rejection, result.error ],
+		[ null, 'permission', null ],
+		'Change not allowed for the role is rejected'
+	);
+
+	result = server.submitChange( 'foo', 1, 'edit', { backtrack: 1, change: { start: 0, transactions: [ 'x', 'y' ] } } );
+	assert.deepEqual(
+		[ result.applied, result.rejection, result.error instanceof Error ],
+		[ null, 'invalid', true ],
+		'Change that throws is rejected'
+	);
+	assert.strictEqual( server.getStateForDoc( 'foo' ).rejections.get( 1 ), 2, 'Rejection counts every transaction sent' );
+
+	result = server.submitChange( 'foo', 1, 'edit', { backtrack: 2, change: change } );
+	assert.deepEqual(
+		[ result.applied.getLength(), result.rejection, result.error ],
+		[ 1, null, null ],
+		'Change after backtrack is applied'
+	);
+} );
+
+QUnit.test( 'applyTransactionToData', function ( assert ) {
+	var i, data,
+		initialData = [
+			{ type: 'paragraph' }, 'a', 'b', { type: '/paragraph' },
+			{ type: 'internalList' }, { type: '/internalList' }
+		],
+		cases = [
+			{
+				msg: 'Insert text',
+				ops: [
+					{ type: 'retain', length: 2 },
+					{ type: 'replace', remove: [], insert: [ 'x', [ 'y', [ 'h123' ] ] ] },
+					{ type: 'retain', length: 4 }
+				],
+				expected: [
+					{ type: 'paragraph' }, 'a', 'x', [ 'y', [ 'h123' ] ], 'b', { type: '/paragraph' },
+					{ type: 'internalList' }, { type: '/internalList' }
+				]
+			},
+			{
+				msg: 'Split paragraph',
+				ops: [
+					{ type: 'retain', length: 2 },
+					{ type: 'replace', remove: [], insert: [ { type: '/paragraph' }, { type: 'paragraph' } ] },
+					{ type: 'retain', length: 4 }
+				],
+				expected: [
+					{ type: 'paragraph' }, 'a', { type: '/paragraph' }, { type: 'paragraph' }, 'b', { type: '/paragraph' },
+					{ type: 'internalList' }, { type: '/internalList' }
+				]
+			},
+			{
+				msg: 'Wrap paragraph in list',
+				ops: [
+					{ type: 'replace', remove: [], insert: [ { type: 'list' }, { type: 'listItem' } ] },
+					{ type: 'retain', length: 4 },
+					{ type: 'replace', remove: [], insert: [ { type: '/listItem' }, { type: '/list' } ] },
+					{ type: 'retain', length: 2 }
+				],
+				expected: [
+					{ type: 'list' }, { type: 'listItem' }, { type: 'paragraph' }, 'a', 'b', { type: '/paragraph' },
+					{ type: '/listItem' }, { type: '/list' }, { type: 'internalList' }, { type: '/internalList' }
+				]
+			},
+			{
+				msg: 'Change attribute and metadata',
+				ops: [
+					{ type: 'attribute', key: 'style', from: undefined, to: 'x' },
+					{ type: 'retain', length: 6 },
+					{ type: 'replaceMetadata', remove: [], insert: [ { type: 'alienMeta' } ] }
+				],
+				expected: initialData
+			},
+			{
+				msg: 'Retain past document end',
+				ops: [ { type: 'retain', length: 7 } ],
+				error: 'Transaction length 7 does not match document length 6'
+			},
+			{
+				msg: 'Retain short of document end',
+				ops: [ { type: 'retain', length: 5 } ],
+				error: 'Transaction length 5 does not match document length 6'
+			},
+			{
+				msg: 'Remove past document end',
+				ops: [
+					{ type: 'retain', length: 5 },
+					{ type: 'replace', remove: [ { type: '/internalList' }, 'x' ], insert: [] }
+				],
+				error: 'Replace past document end: 7 > 6'
+			},
+			{
+				msg: 'Remove data that is not there',
+				ops: [
+					{ type: 'retain', length: 1 },
+					{ type: 'replace', remove: [ 'x' ], insert: [] },
+					{ type: 'retain', length: 4 }
+				],
+				error: 'Removed data does not match the document at 1'
+			},
+			{
+				msg: 'Insert invalid item',
+				ops: [
+					{ type: 'retain', length: 1 },
+					{ type: 'replace', remove: [], insert: [ 'xy' ] },
+					{ type: 'retain', length: 5 }
+				],
+				error: 'Invalid data inserted at 1'
+			},
+			{
+				msg: 'Insert unclosed element',
+				ops: [
+					{ type: 'retain', length: 1 },
+					{ type: 'replace', remove: [], insert: [ { type: 'paragraph' } ] },
+					{ type: 'retain', length: 5 }
+				],
+				error: 'Transaction unbalances the document between 1 and 1'
+			},
+			{
+				msg: 'Remove opening element only',
+				ops: [
+					{ type: 'replace', remove: [ { type: 'paragraph' } ], insert: [] },
+					{ type: 'retain', length: 5 }
+				],
+				error: 'Transaction unbalances the document between 0 and 1'
+			},
+			{
+				msg: 'Replace closing element with mismatched one',
+				ops: [
+					{ type: 'retain', length: 3 },
+					{ type: 'replace', remove: [ { type: '/paragraph' } ], insert: [ { type: '/heading' } ] },
+					{ type: 'retain', length: 2 }
+				],
+				error: 'Transaction unbalances the document between 3 and 4'
+			},
+			{
+				msg: 'Wrap across mismatched boundaries',
+				ops: [
+					{ type: 'retain', length: 1 },
+					{ type: 'replace', remove: [], insert: [ { type: 'list' } ] },
+					{ type: 'retain', length: 4 },
+					{ type: 'replace', remove: [], insert: [ { type: '/list' } ] },
+					{ type: 'retain', length: 1 }
+				],
+				error: 'Transaction unbalances the document between 1 and 5'
+			},
+			{
+				msg: 'Change attribute of text',
+				ops: [
+					{ type: 'retain', length: 1 },
+					{ type: 'attribute', key: 'style', from: undefined, to: 'x' },
+					{ type: 'retain', length: 5 }
+				],
+				error: 'Attribute change not at an opening element: 1'
+			}
+		];
+
+	function applyOps( data, ops ) {
+		ve.dm.RebaseServer.static.applyTransactionToData( data, new ve.dm.Transaction( ops ) );
+	}
+
+	for ( i = 0; i < cases.length; i++ ) {
+		data = ve.copy( initialData );
+		if ( cases[ i ].error ) {
+			assert.throws(
+				applyOps.bind( null, data, cases[ i ].ops ),
+				new RegExp( '^Error: ' + cases[ i ].error + '$' ),
+				cases[ i ].msg + ': throws'
+			);
+			assert.deepEqual( data, initialData, cases[ i ].msg + ': data unmodified' );
+		} else {
+			applyOps( data, cases[ i ].ops );
+			assert.deepEqual( data, cases[ i ].expected, cases[ i ].msg );
+		}
+	}
+} );
+
+QUnit.test( 'Validation', function ( assert ) {
+	var txInsert = function ( before, insert, after ) {
+			return new ve.dm.Transaction( [
+				{ type: 'retain', length: before },
+				{
+					type: 'replace',
+					remove: [],
+					insert: insert,
+					insertedDataOffset: 0,
+					insertedDataLength: insert.length
+				},
+				{ type: 'retain', length: after }
+			] );
+		},
+		noVals = new ve.dm.IndexValueStore(),
+		invalidChanges = [],
+		server = new ve.dm.TestRebaseServer( null, {
+			initialData: [ { type: 'paragraph' }, { type: '/paragraph' }, { type: 'internalList' }, { type: '/internalList' } ]
+		} ),
+		sharedIncoming = [],
+		client = new ve.dm.TestRebaseClient( server, sharedIncoming );
+
+	server.on( 'invalidChange', function ( doc, author, error ) {
+		invalidChanges.push( [ doc, author, error.message ] );
+	} );
+	client.setAuthor( 1 );
+
+	client.applyChange( new ve.dm.Change( 0, [
+		txInsert( 1, [ 'a' ], 3 ),
+		txInsert( 2, [ 'b' ], 3 ),
+		// Retains past the document end
+		txInsert( 3, [ 'c' ], 4 ),
+		txInsert( 4, [ 'd' ], 3 )
+	], [ noVals, noVals, noVals, noVals ], {} ) );
+	client.submitChange();
+	client.deliverOne();
+	client.receiveOne();
+	assert.equal( server.historySummary(), 'ab', 'Valid transactions before the invalid one are applied' );
+	assert.deepEqual(
+		invalidChanges,
+		[ [ 'foo', 1, 'Transaction length 7 does not match document length 6' ] ],
+		'invalidChange emitted'
+	);
+	assert.strictEqual( server.getStateForDoc( 'foo' ).rejections.get( 1 ), 2, 'Invalid transaction and the rest are rejected' );
+
+	client.acceptRejection();
+	assert.equal( client.historySummary(), 'ab', 'Client backtracks' );
+
+	client.applyChange( new ve.dm.Change( 2, [
+		txInsert( 3, [ 'c' ], 3 )
+	], [ noVals ], {} ) );
+	client.submitChange();
+	client.deliverOne();
+	client.receiveOne();
+	assert.equal( server.historySummary(), 'abc', 'Valid change accepted after backtrack' );
+	assert.deepEqual(
+		server.getDataForDoc( 'foo' ),
+		[ { type: 'paragraph' }, 'a', 'b', 'c', { type: '/paragraph' }, { type: 'internalList' }, { type: '/internalList' } ],
+		'Server tracks document data'
+	);
+} );
@@ -188,6 +188,123 @@ QUnit.test( 'breakpoint/undo/redo', 12, function ( assert ) {
 
 } );
 
+QUnit.test( 'undo/redo with other authors', 8, function ( assert ) {
+	var ownTx, otherTx,
+		surface = new ve.dm.SurfaceStub(),
+		doc = surface.getDocument();
+
+	function getText() {
+		return doc.data.getText( false, doc.getDocumentNode().getRange() );
+	}
+
+	function applyOtherAuthorsTransaction( tx ) {
+		tx.author = 2;
+		new ve.dm.Change( doc.completeHistory.length, [ tx ], [ new ve.dm.IndexValueStore() ], {} )
+			.applyTo( surface );
+	}
+
+	surface.setAuthor( 1 );
+	ownTx = ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'x' ] );
+	ownTx.author = 1;
+	surface.change( ownTx );
+	surface.breakpoint();
+	applyOtherAuthorsTransaction( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 4, [ 'y' ] ) );
+
+	assert.deepEqual(
+		surface.undoStack.map( function ( item ) {
+			return item.transactions;
+		} ),
+		[ [ ownTx ] ],
+		'Other author\'s transaction is not in the undo stack'
+	);
+	assert.deepEqual( surface.newTransactions, [], 'Other author\'s transaction is not a new transaction' );
+
+	surface.undo();
+	assert.strictEqual( getText(), 'hiy', 'Undo reverts own transaction, keeping other author\'s' );
+	surface.redo();
+	assert.strictEqual( getText(), 'xhiy', 'Redo reapplies own transaction, keeping other author\'s' );
+
+	otherTx = ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 1, 2 ) );
+	applyOtherAuthorsTransaction( otherTx );
+	applyOtherAuthorsTransaction( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'z' ] ) );
+	surface.undo();
+	assert.strictEqual( getText(), 'zhiy', 'Undo leaves a transaction that conflicts with other author\'s in place' );
+	assert.strictEqual( surface.canRedo(), false, 'Step that cannot be undone is dropped, not made redoable' );
+
+	ownTx = ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'w' ] );
+	ownTx.author = 1;
+	surface.change( ownTx );
+	otherTx = ownTx.clone();
+	surface.replaceTransactions( [ ownTx ], [ otherTx ] );
+	assert.deepEqual( surface.newTransactions, [ otherTx ], 'Transactions replaced in new transactions' );
+	doc.completeHistory[ doc.completeHistory.length - 1 ] = otherTx;
+	surface.undo();
+	assert.strictEqual( getText(), 'zhiy', 'Undo reverts replacement transaction' );
+} );
+
+QUnit.test( 'undo/redo with conflicting changes by other authors', 8, function ( assert ) {
+	var surface, doc, firstTx;
+
+	function setup() {
+		surface = new ve.dm.SurfaceStub();
+		doc = surface.getDocument();
+		surface.setAuthor( 1 );
+	}
+
+	function getText() {
+		return doc.data.getText( false, doc.getDocumentNode().getRange() );
+	}
+
+	function applyOwnTransaction( tx ) {
+		tx.author = 1;
+		surface.change( tx );
+		surface.breakpoint();
+		return tx;
+	}
+
+	function applyOtherAuthorsTransaction( tx ) {
+		tx.author = 2;
+		new ve.dm.Change( doc.completeHistory.length, [ tx ], [ new ve.dm.IndexValueStore() ], {} )
+			.applyTo( surface );
+	}
+
+	setup();
+	firstTx = applyOwnTransaction( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'a' ] ) );
+	applyOwnTransaction( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'x' ] ) );
+	// Other author removes the text undoing the second step would remove
+	applyOtherAuthorsTransaction( ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 1, 2 ) ) );
+	surface.undo();
+	assert.strictEqual( getText(), 'hi', 'Undo skips a conflicting step and undoes the one before' );
+	assert.deepEqual(
+		surface.undoStack.map( function ( item ) {
+			return item.transactions;
+		} ),
+		[ [ firstTx ] ],
+		'Conflicting step is dropped from the undo stack'
+	);
+	assert.strictEqual( surface.canUndo(), false, 'Nothing left to undo' );
+	surface.redo();
+	assert.strictEqual( getText(), 'ahi', 'Redo reapplies the undone step' );
+	assert.strictEqual( surface.canRedo(), false, 'Nothing left to redo' );
+
+	setup();
+	applyOwnTransaction( ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 1, 2 ) ) );
+	applyOwnTransaction( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 1, [ 'x' ] ) );
+	surface.undo();
+	surface.undo();
+	// Other author removes the text redoing the first step would remove
+	applyOtherAuthorsTransaction( ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 1, 2 ) ) );
+	surface.redo();
+	assert.strictEqual( getText(), 'xi', 'Redo skips a conflicting step and redoes the one after' );
+	assert.deepEqual(
+		[ surface.undoStack.length, surface.undoIndex ],
+		[ 1, 0 ],
+		'Conflicting step is dropped from the redo stack'
+	);
+	surface.undo();
+	assert.strictEqual( getText(), 'i', 'Undo reverts the redone step' );
+} );
+
 QUnit.test( 'range translation', 2, function ( assert ) {
 	var sel, range,
 		surface = new ve.dm.SurfaceStub( null, new ve.Range( 3 ) ),
@@ -0,0 +1,151 @@
+/*!
+ * VisualEditor DataModel SurfaceSynchronizer tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.dm.SurfaceSynchronizer' );
+
+/* Tests */
+
+QUnit.test( 'synchronizing through a loopback transport', function ( assert ) {
+	var server = new ve.dm.LoopbackServer( new ve.dm.RebaseServer(), 'test' ),
+		surfaces = [],
+		synchronizers = [];
+
+	function addClient( name ) {
+		var surface = ve.test.utils.createModelOnlySurfaceFromHtml( '<p>foo</p>' ).getModel();
+		surfaces.push( surface );
+		synchronizers.push( new ve.dm.SurfaceSynchronizer( surface, 'test', {
+			transport: new ve.dm.LoopbackTransport( server ),
+			authorProfile: { name: name }
+		} ) );
+	}
+
+	function insert( i, offset, text ) {
+		surfaces[ i ].change( ve.dm.TransactionBuilder.static.newFromInsertion(
+			surfaces[ i ].getDocument(), offset, text.split( '' )
+		) );
+	}
+
+	function getHtml( i ) {
+		return ve.dm.converter.getDomFromModel( surfaces[ i ].getDocument() ).body.innerHTML;
+	}
+
+	addClient( 'Alice' );
+	addClient( 'Bob' );
+	server.flush();
+
+	assert.deepEqual(
+		synchronizers.map( function ( synchronizer ) {
+			return [ synchronizer.getAuthor(), synchronizer.getConnectionState(), synchronizer.getRole() ];
+		} ),
+		[ [ 1, 'connected', 'edit' ], [ 2, 'connected', 'edit' ] ],
+		'Clients registered as different authors'
+	);
+	assert.deepEqual( synchronizers[ 0 ].getAuthors(), [ 1, 2 ], 'First client knows about the second' );
+	assert.strictEqual( synchronizers[ 0 ].getAuthorProfile( 2 ).name, 'Bob', 'Profile is sent to other clients' );
+
+	insert( 0, 4, 'bar' );
+	synchronizers[ 0 ].submitChange();
+	server.flush();
+	assert.strictEqual( getHtml( 1 ), '<p>foobar</p>', 'Change is applied to the other surface' );
+
+	insert( 0, 1, 'x' );
+	insert( 1, 7, 'y' );
+	synchronizers[ 0 ].submitChange();
+	synchronizers[ 1 ].submitChange();
+	server.flush();
+	assert.deepEqual(
+		[ getHtml( 0 ), getHtml( 1 ) ],
+		[ '<p>xfoobary</p>', '<p>xfoobary</p>' ],
+		'Concurrent changes are rebased and applied to both surfaces'
+	);
+
+	synchronizers[ 1 ].transport.close();
+	server.flush();
+	assert.strictEqual( synchronizers[ 1 ].getConnectionState(), 'disconnected', 'Closed client is disconnected' );
+	assert.deepEqual( synchronizers[ 0 ].getAuthors(), [ 1 ], 'Closed client has left' );
+
+	synchronizers[ 0 ].transport.close();
+	server.flush();
+} );
+
+QUnit.test( 'resuming as an author', function ( assert ) {
+	var intruder, intruderRegistrations = [],
+		server = new ve.dm.LoopbackServer( new ve.dm.RebaseServer(), 'test' ),
+		surface = ve.test.utils.createModelOnlySurfaceFromHtml( '<p>foo</p>' ).getModel(),
+		synchronizer = new ve.dm.SurfaceSynchronizer( surface, 'test', {
+			transport: new ve.dm.LoopbackTransport( server )
+		} );
+
+	server.flush();
+	synchronizer.transport.close();
+	synchronizer.transport.connect();
+	server.flush();
+	assert.deepEqual(
+		[ synchronizer.getAuthor(), synchronizer.getConnectionState() ],
+		[ 1, 'connected' ],
+		'Client with the secret resumes as the same author'
+	);
+
+	intruder = new ve.dm.LoopbackTransport( server );
+	intruder.onMessage( 'registered', function ( data ) {
+		intruderRegistrations.push( data.author );
+	} );
+	intruder.onMessage( 'connect', function () {
+		intruder.send( 'register', { author: 1, commitLength: 0, secret: 'guess' } );
+	} );
+	intruder.connect();
+	server.flush();
+	assert.deepEqual( intruderRegistrations, [ 2 ], 'Client with the wrong secret is registered as a new author' );
+	assert.deepEqual( synchronizer.getAuthors(), [ 1, 2 ], 'Author keeps its presence entry' );
+
+	intruder.close();
+	synchronizer.transport.close();
+	server.flush();
+} );
+
+QUnit.test( 'submitting a malformed change', function ( assert ) {
+	var client,
+		messages = [],
+		server = new ve.dm.LoopbackServer( new ve.dm.RebaseServer(), 'test' ),
+		surface = ve.test.utils.createModelOnlySurfaceFromHtml( '<p>foo</p>' ).getModel(),
+		synchronizer = new ve.dm.SurfaceSynchronizer( surface, 'test', {
+			transport: new ve.dm.LoopbackTransport( server )
+		} );
+
+	client = new ve.dm.LoopbackTransport( server );
+	client.onMessage( 'changeRejected', function ( data ) {
+		messages.push( 'changeRejected ' + data.reason );
+	} );
+	client.onMessage( 'newChange', function () {
+		messages.push( 'newChange' );
+	} );
+	client.onMessage( 'registered', function () {
+		client.send( 'submitChange', { backtrack: 0, change: { start: 0, transactions: [ 'bad' ] } } );
+	} );
+	client.onMessage( 'connect', function () {
+		client.send( 'register', {} );
+	} );
+	client.connect();
+	server.flush();
+	assert.deepEqual(
+		messages,
+		[ 'newChange', 'changeRejected invalid' ],
+		'Change that cannot be applied is rejected'
+	);
+
+	surface.change( ve.dm.TransactionBuilder.static.newFromInsertion( surface.getDocument(), 4, [ 'x' ] ) );
+	synchronizer.submitChange();
+	server.flush();
+	assert.deepEqual(
+		messages,
+		[ 'newChange', 'changeRejected invalid', 'newChange' ],
+		'Server keeps handling messages'
+	);
+
+	client.close();
+	synchronizer.transport.close();
+	server.flush();
+} );
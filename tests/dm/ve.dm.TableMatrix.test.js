@@ -0,0 +1,42 @@
+/*!
+ * VisualEditor DataModel TableMatrix tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.dm.TableMatrix' );
+
+/* Tests */
+
+QUnit.test( 'getCellTexts', function ( assert ) {
+	var doc = ve.dm.example.createExampleDocument( 'mergedCells' ),
+		matrix = doc.getBranchNodeFromOffset( 1 ).getMatrix();
+
+	assert.deepEqual(
+		matrix.getCellTexts(),
+		[
+			[ '1', '2', '3', '4', '5', '6' ],
+			[ '7', '8', '', '', '9', '10' ],
+			[ '11', '12', '13', '', '', '14' ],
+			[ '15', '16', '', '', '', '17' ],
+			[ '18', '', '', '', '', '19' ],
+			[ '20', '', '', '', '21', '' ],
+			[ '22', '23', '24', '25', '26', '27' ]
+		],
+		'Whole table, with placeholders empty'
+	);
+	assert.deepEqual(
+		matrix.getCellTexts( 1, 1, 2, 3 ),
+		[ [ '8', '', '' ], [ '12', '13', '' ] ],
+		'Rectangle of the table'
+	);
+
+	doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+		'<table><tr><td><p>foo</p><p>bar</p></td><td>baz<br>quux</td></tr><tr><td>a</td></tr></table>'
+	) );
+	assert.deepEqual(
+		doc.getBranchNodeFromOffset( 1 ).getMatrix().getCellTexts(),
+		[ [ 'foo\nbar', 'baz\nquux' ], [ 'a', '' ] ],
+		'Paragraphs and line breaks separated by new lines, sparse rows padded'
+	);
+} );
@@ -0,0 +1,227 @@
+/*!
+ * VisualEditor DataModel ThreeWayMerge tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.dm.ThreeWayMerge' );
+
+/* Tests */
+
+QUnit.test( 'getDocument/getConflicts/resolve', function ( assert ) {
+	var i, merge,
+		cases = [
+			{
+				msg: 'Edits to different paragraphs',
+				base: '<p>foo</p><p>bar</p>',
+				mine: '<p>foo!</p><p>bar</p>',
+				theirs: '<p>foo</p><p>baz</p>',
+				expected: '<p>foo!</p><p>baz</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Edits on one side only',
+				base: '<p>foo</p><p>bar</p>',
+				mine: '<p>foo</p><p>bar</p>',
+				theirs: '<p>foo</p><p>baz</p>',
+				expected: '<p>foo</p><p>baz</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Edits to different words of a paragraph',
+				base: '<p>The quick brown fox</p>',
+				mine: '<p>The slow brown fox</p>',
+				theirs: '<p>The quick brown dog</p>',
+				expected: '<p>The slow brown dog</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Annotation added on one side and text changed on the other',
+				base: '<p>foo bar baz</p>',
+				mine: '<p><b>foo</b> bar baz</p>',
+				theirs: '<p>foo bar quux</p>',
+				expected: '<p><b>foo</b> bar quux</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Paragraphs inserted and removed around an edited one',
+				base: '<p>foo</p><p>bar</p><p>baz</p>',
+				mine: '<h2>Title</h2><p>foo</p><p>bar</p><p>baz</p>',
+				theirs: '<p>foo</p><p>bar</p>',
+				expected: '<h2>Title</h2><p>foo</p><p>bar</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Edits to different items of a list',
+				base: '<ul><li>foo</li><li>bar</li></ul>',
+				mine: '<ul><li>food</li><li>bar</li></ul>',
+				theirs: '<ul><li>foo</li><li>bar</li><li>baz</li></ul>',
+				expected: '<ul><li>food</li><li>bar</li><li>baz</li></ul>',
+				conflicts: []
+			},
+			{
+				msg: 'The same edit on both sides',
+				base: '<p>foo</p><p>bar</p>',
+				mine: '<p>fool</p><p>bar</p>',
+				theirs: '<p>fool</p><p>baz</p>',
+				expected: '<p>fool</p><p>baz</p>',
+				conflicts: []
+			},
+			{
+				msg: 'Different edits to the same word',
+				base: '<p>foo</p><p>The cat sat</p>',
+				mine: '<p>food</p><p>The dog sat</p>',
+				theirs: '<p>foo</p><p>The cow sat</p>',
+				expected: '<p>food</p><p>The cat sat</p>',
+				conflicts: [ {
+					range: new ve.Range( 11, 14 ),
+					context: [ 'paragraph' ],
+					base: '<p>cat</p>',
+					mine: '<p>dog</p>',
+					theirs: '<p>cow</p>'
+				} ],
+				resolutions: [ 'theirs' ],
+				resolved: '<p>food</p><p>The cow sat</p>'
+			},
+			{
+				msg: 'Paragraph removed on one side and edited on the other',
+				base: '<p>foo</p><p>bar</p><p>baz</p>',
+				mine: '<p>foo</p><p>baz</p>',
+				theirs: '<p>foo</p><p>bar!</p><p>baz</p>',
+				expected: '<p>foo</p><p>bar</p><p>baz</p>',
+				conflicts: [ {
+					range: new ve.Range( 5, 10 ),
+					context: [],
+					base: '<p>bar</p>',
+					mine: '',
+					theirs: '<p>bar!</p>'
+				} ],
+				resolutions: [ 'mine' ],
+				resolved: '<p>foo</p><p>baz</p>'
+			}
+		];
+
+	function getDoc( html ) {
+		return ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( html ) );
+	}
+
+	function getHtml( doc ) {
+		return ve.dm.converter.getDomFromModel( doc ).body.innerHTML;
+	}
+
+	function getConflicts( merge ) {
+		return merge.getConflicts().map( function ( conflict ) {
+			return {
+				range: conflict.range,
+				context: conflict.context.map( function ( element ) {
+					return element.type;
+				} ),
+				base: getHtml( merge.getConflictDocument( conflict, 'base' ) ),
+				mine: getHtml( merge.getConflictDocument( conflict, 'mine' ) ),
+				theirs: getHtml( merge.getConflictDocument( conflict, 'theirs' ) )
+			};
+		} );
+	}
+
+	for ( i = 0; i < cases.length; i++ ) {
+		merge = new ve.dm.ThreeWayMerge( getDoc( cases[ i ].base ), getDoc( cases[ i ].mine ), getDoc( cases[ i ].theirs ) );
+		assert.strictEqual( getHtml( merge.getDocument() ), cases[ i ].expected, cases[ i ].msg + ': merged document' );
+		assert.deepEqual(
+			getConflicts( merge ),
+			cases[ i ].conflicts,
+			cases[ i ].msg + ': conflicts'
+		);
+		if ( cases[ i ].resolutions ) {
+			assert.strictEqual(
+				getHtml( merge.resolve( cases[ i ].resolutions ) ),
+				cases[ i ].resolved,
+				cases[ i ].msg + ': resolved document'
+			);
+		}
+	}
+} );
+
+QUnit.test( 'Changes that cannot be rebased', function ( assert ) {
+	var merge,
+		rebaseUncommittedChange = ve.dm.Change.static.rebaseUncommittedChange;
+
+	function getDoc( html ) {
+		return ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( html ) );
+	}
+
+	function getHtml( doc ) {
+		return ve.dm.converter.getDomFromModel( doc ).body.innerHTML;
+	}
+
+	// Reject all but the first of their changes applied, which is the last in the document
+	ve.dm.Change.static.rebaseUncommittedChange = function ( history, uncommitted ) {
+		var result;
+		if ( uncommitted.transactions.length < 2 ) {
+			return rebaseUncommittedChange.call( this, history, uncommitted );
+		}
+		result = rebaseUncommittedChange.call( this, history, uncommitted.truncate( 1 ) );
+		result.rejected = uncommitted.mostRecent( 1 );
+		return result;
+	};
+	try {
+		merge = new ve.dm.ThreeWayMerge(
+			getDoc( '<p>foo</p><p>bar</p><p>baz</p>' ),
+			getDoc( '<p>food</p><p>bar</p><p>baz</p>' ),
+			getDoc( '<p>foo</p><p>bar!</p><p>baz!</p>' )
+		);
+	} finally {
+		ve.dm.Change.static.rebaseUncommittedChange = rebaseUncommittedChange;
+	}
+
+	assert.strictEqual(
+		getHtml( merge.getDocument() ),
+		'<p>food</p><p>bar</p><p>baz!</p>',
+		'Merged document leaves out the rejected change'
+	);
+	assert.deepEqual(
+		merge.getConflicts().map( function ( conflict ) {
+			return [
+				conflict.range,
+				getHtml( merge.getConflictDocument( conflict, 'mine' ) ),
+				getHtml( merge.getConflictDocument( conflict, 'theirs' ) )
+			];
+		} ),
+		[ [ new ve.Range( 10 ), '<p></p>', '<p>!</p>' ] ],
+		'Rejected change is a conflict'
+	);
+	assert.strictEqual(
+		getHtml( merge.resolve( [ 'theirs' ] ) ),
+		'<p>food</p><p>bar!</p><p>baz!</p>',
+		'Conflict can be resolved'
+	);
+} );
+
+QUnit.test( 'getConflictDocument/getConflictData', function ( assert ) {
+	var merge = new ve.dm.ThreeWayMerge(
+			ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<ul><li><p>foo</p></li></ul>' ) ),
+			ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<ul><li><p>fob</p></li></ul>' ) ),
+			ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<ul><li><p>fox</p></li></ul>' ) )
+		),
+		conflict = merge.getConflicts()[ 0 ],
+		doc = merge.getConflictDocument( conflict, 'theirs' );
+
+	assert.strictEqual(
+		ve.dm.converter.getDomFromModel( doc ).body.innerHTML,
+		'<ul><li><p>x</p></li></ul>',
+		'Conflict document wraps the content in its context'
+	);
+	assert.deepEqual( merge.getConflictData( conflict, doc ), [ 'x' ], 'Content is unwrapped' );
+
+	doc.commit( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 4, [ 'y', 'z' ] ) );
+	assert.deepEqual( merge.getConflictData( conflict, doc ), [ 'x', 'y', 'z' ], 'Edited content is unwrapped' );
+	assert.strictEqual(
+		ve.dm.converter.getDomFromModel( merge.resolve( [ doc ] ) ).body.innerHTML,
+		'<ul><li><p>foxyz</p></li></ul>',
+		'Conflict resolved with the edited document'
+	);
+
+	doc.commit( ve.dm.TransactionBuilder.static.newFromInsertion(
+		doc, 4, [ { type: '/paragraph' }, { type: 'paragraph' } ]
+	) );
+	assert.strictEqual( merge.getConflictData( conflict, doc ), null, 'Content split out of its context is rejected' );
+} );
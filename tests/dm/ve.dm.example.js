@@ -3400,6 +3400,78 @@ ve.dm.example.domToDataCases = {
 		body: ve.dm.example.complexTableHtml,
 		data: ve.dm.example.complexTable
 	},
+	'table cell properties from style and presentational attributes': {
+		body: '<table><tr><td style="text-align: center; color: red;" valign="TOP" bgcolor="#ff0" width="100">a</td><td align="middle">b</td></tr></table>',
+		fromDataBody: '<table><tr><td style="text-align: center; vertical-align: top; background-color: #ff0; width: 100px;">a</td><td>b</td></tr></table>',
+		data: [
+			{ type: 'table' },
+			{ type: 'tableSection', attributes: { style: 'body' } },
+			{ type: 'tableRow' },
+			{
+				type: 'tableCell',
+				attributes: {
+					style: 'data',
+					align: 'center',
+					valign: 'top',
+					background: '#ff0',
+					width: '100px'
+				}
+			},
+			{ type: 'paragraph', internal: { generated: 'wrapper' } },
+			'a',
+			{ type: '/paragraph' },
+			{ type: '/tableCell' },
+			{
+				type: 'tableCell',
+				attributes: {
+					style: 'data'
+				}
+			},
+			{ type: 'paragraph', internal: { generated: 'wrapper' } },
+			'b',
+			{ type: '/paragraph' },
+			{ type: '/tableCell' },
+			{ type: '/tableRow' },
+			{ type: '/tableSection' },
+			{ type: '/table' },
+			{ type: 'internalList' },
+			{ type: '/internalList' }
+		]
+	},
+	'changed table cell properties written to the style attribute': {
+		body: '<table><tr><td style="text-align: center; color: red;" valign="top" bgcolor="#ff0" width="100">a</td></tr></table>',
+		data: [
+			{ type: 'table' },
+			{ type: 'tableSection', attributes: { style: 'body' } },
+			{ type: 'tableRow' },
+			{
+				type: 'tableCell',
+				attributes: {
+					style: 'data',
+					align: 'center',
+					valign: 'top',
+					background: '#ff0',
+					width: '100px'
+				}
+			},
+			{ type: 'paragraph', internal: { generated: 'wrapper' } },
+			'a',
+			{ type: '/paragraph' },
+			{ type: '/tableCell' },
+			{ type: '/tableRow' },
+			{ type: '/tableSection' },
+			{ type: '/table' },
+			{ type: 'internalList' },
+			{ type: '/internalList' }
+		],
+		modify: function ( model ) {
+			model.commit( ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+				model, 3, { align: 'right', valign: undefined, width: '50%' }
+			) );
+		},
+		normalizedBody: '<table><tr><td style="color: red; text-align: right; width: 50%;" bgcolor="#ff0">a</td></tr></table>',
+		fromDataBody: '<table><tr><td style="text-align: right; background-color: #ff0; width: 50%;">a</td></tr></table>'
+	},
 	'div set to RTL with paragraph inside': {
 		body: '<div style="direction: rtl;"><p>a<b>b</b>c<i>d</i>e</p></div>',
 		data: [
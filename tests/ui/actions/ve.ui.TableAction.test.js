@@ -598,3 +598,437 @@ QUnit.test( 'create / insert / mergeCells / delete / changeCellStyle / moveRelat
 		);
 	}
 } );
+
+QUnit.test( 'sort', function ( assert ) {
+	var i, surface,
+		cases = [
+			{
+				html: '<table><tbody><tr><td>b</td><td>1</td></tr><tr><td>c</td><td>2</td></tr><tr><td>a</td><td>3</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 40 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'ascending' ],
+				expectedData: function ( data ) {
+					data.splice.apply( data, [ 2, 0 ].concat( data.splice( 26, 12 ) ) );
+				},
+				undo: true,
+				msg: 'text, ascending'
+			},
+			{
+				html: '<table><tbody><tr><td>b</td><td>1</td></tr><tr><td>c</td><td>2</td></tr><tr><td>a</td><td>3</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 40 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'descending' ],
+				expectedData: function ( data ) {
+					data.splice.apply( data, [ 2, 0 ].concat( data.splice( 14, 12 ) ) );
+				},
+				undo: true,
+				msg: 'text, descending'
+			},
+			{
+				html: '<table><tbody><tr><td>10</td></tr><tr><td>$1,200</td></tr><tr><td></td></tr><tr><td>-3.5</td></tr><tr><td>9</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 47 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'ascending' ],
+				expectedData: function ( data ) {
+					var rows = [ data.slice( 2, 10 ), data.slice( 10, 22 ), data.slice( 22, 28 ), data.slice( 28, 38 ), data.slice( 38, 45 ) ];
+					ve.batchSplice( data, 2, 43, [].concat( rows[ 3 ], rows[ 4 ], rows[ 0 ], rows[ 1 ], rows[ 2 ] ) );
+				},
+				undo: true,
+				msg: 'numbers detected, empty cells last'
+			},
+			{
+				html: '<table><tbody><tr><td>10</td></tr><tr><td>9</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 19 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'ascending', 'text' ],
+				undo: true,
+				msg: 'numbers compared as text'
+			},
+			{
+				html: '<table><tbody><tr><td>2017-03-01</td></tr><tr><td>2016-12-25</td></tr><tr><td>2017-01-15</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 52 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'descending' ],
+				expectedData: function ( data ) {
+					data.splice.apply( data, [ 18, 0 ].concat( data.splice( 34, 16 ) ) );
+				},
+				undo: true,
+				msg: 'dates detected'
+			},
+			{
+				html: '<table><thead><tr><td>z</td></tr></thead><tbody><tr><th>Title</th></tr><tr><td>y</td></tr><tr><td>x</td></tr></tbody><tfoot><tr><td>a</td></tr></tfoot></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 47 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'ascending' ],
+				expectedData: function ( data ) {
+					data.splice.apply( data, [ 22, 0 ].concat( data.splice( 29, 7 ) ) );
+				},
+				undo: true,
+				msg: 'header and footer rows stay in place'
+			},
+			{
+				html: '<table><tbody><tr><td>b</td><td colspan="2">1</td></tr><tr><td>a</td><td>2</td><td>3</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 33 ),
+					fromCol: 2,
+					fromRow: 0,
+					toCol: 2,
+					toRow: 0
+				},
+				args: [ 'descending' ],
+				expectedData: function ( data ) {
+					data.splice.apply( data, [ 2, 0 ].concat( data.splice( 14, 17 ) ) );
+				},
+				undo: true,
+				msg: 'column spanned by a cell'
+			},
+			{
+				html: '<table><tbody><tr><td rowspan="2">b</td><td>1</td></tr><tr><td>2</td></tr><tr><td>a</td><td>3</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 35 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				args: [ 'ascending' ],
+				undo: true,
+				msg: 'rows with merged cells are not sorted'
+			}
+		];
+
+	QUnit.expect( ve.test.utils.countActionTests( cases ) + 1 );
+	for ( i = 0; i < cases.length; i++ ) {
+		ve.test.utils.runActionTest(
+			'table', assert, cases[ i ].html, false, 'sort', cases[ i ].args, cases[ i ].rangeOrSelection, cases[ i ].msg,
+			{
+				expectedData: cases[ i ].expectedData,
+				undo: cases[ i ].undo
+			}
+		);
+	}
+
+	surface = ve.test.utils.createModelOnlySurfaceFromHtml( cases[ 7 ].html );
+	surface.getModel().setSelection(
+		ve.test.utils.selectionFromRangeOrSelection( surface.getModel().getDocument(), cases[ 7 ].rangeOrSelection )
+	);
+	assert.strictEqual(
+		ve.ui.actionFactory.create( 'table', surface ).sort( 'ascending' ),
+		false,
+		'rows with merged cells are not sorted: return value'
+	);
+} );
+
+QUnit.test( 'changeCellProperties', function ( assert ) {
+	var i,
+		cases = [
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				properties: { align: 'center', valign: 'bottom', background: '#ff0' },
+				expectedData: function ( data ) {
+					ve.extendObject( data[ 3 ].attributes, { align: 'center', valign: 'bottom', background: '#ff0' } );
+					ve.extendObject( data[ 8 ].attributes, { align: 'center', valign: 'bottom', background: '#ff0' } );
+				},
+				undo: true,
+				msg: 'alignment and background of the selected cells'
+			},
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td></tr><tr><td colspan="2">c</td></tr><tr><td>d</td><td>e</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 35 ),
+					fromCol: 1,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				properties: { width: '20%' },
+				expectedData: function ( data ) {
+					data[ 8 ].attributes.width = '20%';
+					data[ 27 ].attributes.width = '20%';
+				},
+				undo: true,
+				msg: 'width of the cells of the selected column'
+			},
+			{
+				html: '<table><tbody><tr><td style="color: red; text-align: right;" align="left">a</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 11 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				properties: { align: null },
+				expectedData: function ( data ) {
+					delete data[ 3 ].attributes.align;
+				},
+				undo: true,
+				msg: 'property removed'
+			}
+		];
+
+	QUnit.expect( ve.test.utils.countActionTests( cases ) );
+	for ( i = 0; i < cases.length; i++ ) {
+		ve.test.utils.runActionTest(
+			'table', assert, cases[ i ].html, false, 'changeCellProperties', [ cases[ i ].properties ], cases[ i ].rangeOrSelection, cases[ i ].msg,
+			{
+				expectedData: cases[ i ].expectedData,
+				undo: cases[ i ].undo
+			}
+		);
+	}
+} );
+
+QUnit.test( 'importCellTexts', function ( assert ) {
+	var i,
+		cases = [
+			{
+				html: '<table><tbody><tr><th>a</th><th>b</th></tr><tr><td>c</td><td>d</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 0,
+					toRow: 0
+				},
+				texts: [ [ 'w', 'x' ], [ 'y', 'z' ] ],
+				expectedData: function ( data ) {
+					data[ 5 ] = 'w';
+					data[ 10 ] = 'x';
+					data[ 17 ] = 'y';
+					data[ 22 ] = 'z';
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				undo: true,
+				msg: 'cells overwritten in place'
+			},
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 16 ),
+					fromCol: 1,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				texts: [ [ 'x', 'y' ], [ 'z' ] ],
+				expectedData: function ( data ) {
+					data[ 10 ] = 'x';
+					ve.batchSplice( data, 13, 0, [
+						{ type: 'tableCell', attributes: { style: 'data', rowspan: 1, colspan: 1 } },
+						{ type: 'paragraph', internal: { generated: 'wrapper' } },
+						'y',
+						{ type: '/paragraph' },
+						{ type: '/tableCell' },
+						{ type: '/tableRow' },
+						{ type: 'tableRow' },
+						{ type: 'tableCell', attributes: { style: 'data', rowspan: 1, colspan: 1 } },
+						{ type: 'paragraph', internal: { generated: 'wrapper' } },
+						{ type: '/paragraph' },
+						{ type: '/tableCell' },
+						{ type: 'tableCell', attributes: { style: 'data', rowspan: 1, colspan: 1 } },
+						{ type: 'paragraph', internal: { generated: 'wrapper' } },
+						'z',
+						{ type: '/paragraph' },
+						{ type: '/tableCell' },
+						{ type: 'tableCell', attributes: { style: 'data', rowspan: 1, colspan: 1 } },
+						{ type: 'paragraph', internal: { generated: 'wrapper' } },
+						{ type: '/paragraph' },
+						{ type: '/tableCell' }
+					] );
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 36 ),
+					fromCol: 1,
+					fromRow: 0,
+					toCol: 2,
+					toRow: 1
+				},
+				undo: true,
+				msg: 'table grown to fit'
+			},
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				texts: [ [ 'x' ] ],
+				expectedData: function ( data ) {
+					data[ 5 ] = data[ 10 ] = data[ 17 ] = data[ 22 ] = 'x';
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				undo: true,
+				msg: 'single value filled across the selection'
+			},
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				texts: [ [ 'x', 'y' ] ],
+				expectedData: function ( data ) {
+					data[ 5 ] = data[ 17 ] = 'x';
+					data[ 10 ] = data[ 22 ] = 'y';
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 28 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 1
+				},
+				undo: true,
+				msg: 'row repeated across the selection'
+			},
+			{
+				html: '<table><tbody><tr><td>a</td><td>b</td><td>c</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 21 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 2,
+					toRow: 0
+				},
+				texts: [ [ 'x', 'y' ] ],
+				expectedData: function ( data ) {
+					data[ 5 ] = 'x';
+					data[ 10 ] = 'y';
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 21 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				undo: true,
+				msg: 'pasted once if the selection is not a multiple of its size'
+			},
+			{
+				html: '<table><tbody><tr><td colspan="2">a</td></tr><tr><td>b</td><td>c</td></tr></tbody></table>',
+				rangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 23 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				texts: [ [ 'x', 'y\nz' ] ],
+				expectedData: function ( data ) {
+					ve.extendObject( data[ 3 ].attributes, { colspan: 1, rowspan: 1 } );
+					data[ 5 ] = 'x';
+					ve.batchSplice( data, 8, 0, [
+						{ type: 'tableCell', attributes: { style: 'data', rowspan: 1, colspan: 1 } },
+						{ type: 'paragraph' },
+						'y',
+						{ type: '/paragraph' },
+						{ type: 'paragraph' },
+						'z',
+						{ type: '/paragraph' },
+						{ type: '/tableCell' }
+					] );
+				},
+				expectedRangeOrSelection: {
+					type: 'table',
+					tableRange: new ve.Range( 0, 31 ),
+					fromCol: 0,
+					fromRow: 0,
+					toCol: 1,
+					toRow: 0
+				},
+				undo: true,
+				msg: 'merged cell unmerged, and lines pasted as paragraphs'
+			}
+		];
+
+	QUnit.expect( ve.test.utils.countActionTests( cases ) );
+	for ( i = 0; i < cases.length; i++ ) {
+		ve.test.utils.runActionTest(
+			'table', assert, cases[ i ].html, false, 'importCellTexts', [ cases[ i ].texts ], cases[ i ].rangeOrSelection, cases[ i ].msg,
+			{
+				expectedData: cases[ i ].expectedData,
+				expectedRangeOrSelection: cases[ i ].expectedRangeOrSelection,
+				undo: cases[ i ].undo
+			}
+		);
+	}
+} );
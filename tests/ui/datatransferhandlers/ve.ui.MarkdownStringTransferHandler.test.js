@@ -0,0 +1,99 @@
+/*!
+ * VisualEditor UserInterface MarkdownStringTransferHandler tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.ui.MarkdownStringTransferHandler' );
+
+/* Tests */
+
+QUnit.test( 'matchFunction', function ( assert ) {
+	var i,
+		cases = [
+			{
+				msg: 'Plain text which looks like Markdown',
+				item: ve.ui.DataTransferItem.static.newFromString( '# Foo\n\n- bar\n- baz' ),
+				expected: true
+			},
+			{
+				msg: 'Plain text',
+				item: ve.ui.DataTransferItem.static.newFromString( 'Foo - bar' ),
+				expected: false
+			}
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.strictEqual(
+			ve.ui.MarkdownPlainTextStringTransferHandler.static.matchFunction( cases[ i ].item ),
+			cases[ i ].expected,
+			cases[ i ].msg
+		);
+	}
+} );
+
+QUnit.test( 'getHandlerNameForItem', 5, function ( assert ) {
+	var factory = new ve.ui.DataTransferHandlerFactory(),
+		plainText = ve.ui.DataTransferItem.static.newFromString( '# Foo\n\n- bar\n- baz' );
+
+	factory.register( ve.ui.PlainTextStringTransferHandler );
+	factory.register( ve.ui.MarkdownStringTransferHandler );
+	factory.register( ve.ui.MarkdownPlainTextStringTransferHandler );
+	factory.register( ve.ui.MarkdownFileTransferHandler );
+
+	assert.strictEqual(
+		factory.getHandlerNameForItem( ve.ui.DataTransferItem.static.newFromString( 'foo', 'text/markdown' ), true, false ),
+		'markdownString',
+		'Markdown string in paste'
+	);
+	assert.strictEqual(
+		factory.getHandlerNameForItem( plainText, true, false ),
+		undefined,
+		'Plain text which looks like Markdown is not converted in paste'
+	);
+	assert.strictEqual(
+		factory.getHandlerNameForItem( plainText, true, true ),
+		'markdownPlainTextString',
+		'Plain text which looks like Markdown is converted in paste special'
+	);
+	assert.strictEqual(
+		factory.getHandlerNameForItem( ve.ui.DataTransferItem.static.newFromString( 'foo', 'text/x-markdown' ), true, true ),
+		'markdownString',
+		'Markdown string in paste special'
+	);
+	assert.strictEqual(
+		factory.getHandlerNameForItem( new ve.ui.DataTransferItem( 'file', '', {}, 'README.md' ), true, false ),
+		'markdownFile',
+		'Markdown file matched by extension'
+	);
+} );
+
+QUnit.test( 'getInsertableData', 1, function ( assert ) {
+	var handler,
+		done = assert.async(),
+		doc = ve.dm.example.createExampleDocument(),
+		mockSurface = {
+			getModel: function () {
+				return {
+					getDocument: function () {
+						return doc;
+					}
+				};
+			},
+			getImportRules: function () {
+				return {};
+			}
+		},
+		item = ve.ui.DataTransferItem.static.newFromString( '## Foo\n\n* **bar**\n* [baz](http://example.com)', 'text/markdown' );
+
+	handler = ve.ui.dataTransferHandlerFactory.create( 'markdownString', mockSurface, item );
+
+	handler.getInsertableData().done( function ( pastedDoc ) {
+		assert.strictEqual(
+			ve.dm.converter.getDomFromModel( pastedDoc ).body.innerHTML,
+			'<h2>Foo</h2><ul><li><b>bar</b></li><li><a href="http://example.com">baz</a></li></ul>',
+			'Markdown converted to a document'
+		);
+		done();
+	} );
+} );
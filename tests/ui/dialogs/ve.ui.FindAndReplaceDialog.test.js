@@ -120,24 +120,81 @@ QUnit.test( 'replace all', function ( assert ) {
 				replace: 'X',
 				regex: true,
 				expected: 'X bar Xq.X Xb'
+			},
+			{
+				msg: 'Regex with references to groups',
+				find: '(\\w)(\\w+)',
+				replace: '$2$1',
+				regex: true,
+				expected: 'X arb qX.X bX'
+			},
+			{
+				msg: 'Regex with named groups and the whole match',
+				find: '(?<first>a)(r)',
+				replace: '[$<first>|$2|$&|$3|$$]',
+				regex: true,
+				expected: 'X [a|r|ar|$3|$]b qX.X bX'
+			},
+			{
+				msg: 'Regex anchored to the start of a paragraph',
+				find: '^\\w',
+				replace: 'y',
+				regex: true,
+				expected: 'y [a|r|ar|$3|$]b qX.y bX'
+			},
+			{
+				msg: 'Upper case transform',
+				find: 'y',
+				replace: 'z',
+				caseTransform: 'upper',
+				expected: 'Z [a|r|ar|$3|$]b qX.Z bX'
+			},
+			{
+				msg: 'Case preserving transform',
+				find: 'Z',
+				replace: 'foo',
+				matchCase: true,
+				caseTransform: 'preserve',
+				expected: 'FOO [a|r|ar|$3|$]b qX.FOO bX'
+			},
+			{
+				msg: 'Skipped matches',
+				find: 'foo',
+				replace: 'w',
+				skip: [ 0 ],
+				expected: 'FOO [a|r|ar|$3|$]b qX.w bX'
 			}
 		];
 
-	QUnit.expect( cases.length );
+	QUnit.expect( cases.length * 2 );
 
 	surface.getToolbarDialogs().getWindow( 'findAndReplace' ).done( function ( dialog ) {
 		dialog.open( {
 			surface: surface,
 			fragment: surface.getModel().getFragment()
 		} ).done( function () {
-			var i;
+			var i,
+				transactions = 0;
+
+			function skip( index ) {
+				dialog.replacePreviewItems[ index ].getField().setSelected( false );
+			}
+
+			surface.getModel().getDocument().on( 'transact', function () {
+				transactions++;
+			} );
 			for ( i = 0; i < cases.length; i++ ) {
 				dialog.matchCaseToggle.setValue( !!cases[ i ].matchCase );
 				dialog.regexToggle.setValue( !!cases[ i ].regex );
 				dialog.findText.setValue( cases[ i ].find );
 				dialog.replaceText.setValue( cases[ i ].replace );
+				dialog.caseDropdown.getMenu().selectItemByData( cases[ i ].caseTransform || 'none' );
 				dialog.onReplaceAllButtonClick();
+				( cases[ i ].skip || [] ).forEach( skip );
+				transactions = 0;
+				dialog.onReplacePreviewApplyButtonClick();
 				assert.strictEqual( surface.getModel().getDocument().data.getText(), cases[ i ].expected, cases[ i ].msg );
+				assert.strictEqual( transactions, 1, cases[ i ].msg + ': single transaction' );
 				dialog.findText.setValue( '' );
 				dialog.replaceText.setValue( '' );
 			}
@@ -146,3 +203,348 @@ QUnit.test( 'replace all', function ( assert ) {
 	} );
 
 } );
+
+QUnit.test( 'find and replace with filters', function ( assert ) {
+	var done = assert.async(),
+		surface = ve.test.utils.createSurfaceFromHtml(
+			'<h2>Foo <b>bar</b></h2><p><b>foo</b> <a href="http://example.com/">bar</a> <a href="http://example.org/">baz</a></p>'
+		),
+		cases = [
+			{
+				msg: 'Bold text',
+				filter: 'bold',
+				ranges: [ new ve.Range( 5, 8 ), new ve.Range( 10, 13 ) ]
+			},
+			{
+				msg: 'Bold text matching a string',
+				find: 'foo',
+				filter: 'bold',
+				ranges: [ new ve.Range( 10, 13 ) ]
+			},
+			{
+				msg: 'Links whose href contains a string',
+				filter: 'link',
+				operator: 'contains',
+				value: '.com',
+				ranges: [ new ve.Range( 14, 17 ) ]
+			},
+			{
+				msg: 'Headings of level 2',
+				filter: 'heading',
+				operator: 'equals',
+				value: '2',
+				ranges: [ new ve.Range( 1, 8 ) ]
+			},
+			{
+				msg: 'Set the href of matching links',
+				filter: 'link',
+				operator: 'contains',
+				value: '.org',
+				replaceMode: 'attribute',
+				replace: 'http://example.net/',
+				expectedHtml: '<h2>Foo <b>bar</b></h2><p><b>foo</b> <a href="http://example.com/">bar</a> <a href="http://example.net/">baz</a></p>'
+			},
+			{
+				msg: 'Change the level of headings',
+				filter: 'heading',
+				replaceMode: 'attribute',
+				replace: '3',
+				expectedHtml: '<h3>Foo <b>bar</b></h3><p><b>foo</b> <a href="http://example.com/">bar</a> <a href="http://example.net/">baz</a></p>'
+			},
+			{
+				msg: 'Remove a style from matching text',
+				find: 'bar',
+				filter: 'bold',
+				replaceMode: 'removeStyle',
+				replaceStyle: 'textStyle/bold',
+				expectedHtml: '<h3>Foo bar</h3><p><b>foo</b> <a href="http://example.com/">bar</a> <a href="http://example.net/">baz</a></p>'
+			},
+			{
+				msg: 'Add a style to matching text',
+				find: 'ba',
+				filter: 'link',
+				replaceMode: 'addStyle',
+				replaceStyle: 'textStyle/italic',
+				expectedHtml: '<h3>Foo bar</h3><p><b>foo</b> <a href="http://example.com/"><i>ba</i>r</a> <a href="http://example.net/"><i>ba</i>z</a></p>'
+			}
+		];
+
+	QUnit.expect( cases.length );
+
+	surface.getToolbarDialogs().getWindow( 'findAndReplace' ).done( function ( dialog ) {
+		dialog.open( {
+			surface: surface,
+			fragment: surface.getModel().getFragment()
+		} ).done( function () {
+			var i, ranges;
+			dialog.matchCaseToggle.setValue( false );
+			dialog.regexToggle.setValue( false );
+			dialog.filterToggle.setValue( true );
+			for ( i = 0; i < cases.length; i++ ) {
+				dialog.filterTypeDropdown.getMenu().selectItemByData( cases[ i ].filter );
+				dialog.filterAttributeInput.setValue( '' );
+				dialog.filterOperatorDropdown.getMenu().selectItemByData( cases[ i ].operator || 'contains' );
+				dialog.filterValueInput.setValue( cases[ i ].value || '' );
+				dialog.replaceModeDropdown.getMenu().selectItemByData( cases[ i ].replaceMode || 'text' );
+				dialog.replaceStyleDropdown.getMenu().selectItemByData( cases[ i ].replaceStyle || 'textStyle/bold' );
+				dialog.replaceText.setValue( cases[ i ].replace || '' );
+				dialog.findText.setValue( cases[ i ].find || '' );
+				if ( cases[ i ].expectedHtml ) {
+					dialog.onReplaceAllButtonClick();
+					dialog.onReplacePreviewApplyButtonClick();
+					assert.strictEqual(
+						ve.dm.converter.getDomFromModel( surface.getModel().getDocument() ).body.innerHTML,
+						cases[ i ].expectedHtml,
+						cases[ i ].msg
+					);
+				} else {
+					ranges = dialog.fragments.map( function ( fragment ) {
+						return fragment.getSelection().getRange();
+					} );
+					assert.deepEqual( ranges, cases[ i ].ranges, cases[ i ].msg );
+				}
+			}
+			dialog.filterToggle.setValue( false );
+			dialog.findText.setValue( '' );
+			dialog.replaceText.setValue( '' );
+			done();
+		} );
+	} );
+
+} );
+
+QUnit.test( 'replace all in one transaction', function ( assert ) {
+	var done = assert.async(),
+		surface = ve.test.utils.createSurfaceFromHtml(
+			'<p>Foo bar</p><p>baz</p><h2>Foo</h2><p><a href="http://example.com/">bar</a> <a href="http://example.org/">baz</a></p>'
+		),
+		cases = [
+			{
+				msg: 'Replacement containing a line break',
+				find: 'r\\n+b',
+				replace: '[$&]',
+				regex: true,
+				multiline: true,
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h2>Foo</h2><p><a href="http://example.com/">bar</a> <a href="http://example.org/">baz</a></p>'
+			},
+			{
+				msg: 'Style added to several results',
+				filter: 'link',
+				replaceMode: 'addStyle',
+				replaceStyle: 'textStyle/italic',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h2>Foo</h2><p><a href="http://example.com/"><i>bar</i></a> <a href="http://example.org/"><i>baz</i></a></p>'
+			},
+			{
+				msg: 'Attribute set on several annotations',
+				filter: 'link',
+				replaceMode: 'attribute',
+				replace: 'http://example.net/',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h2>Foo</h2><p><i><a href="http://example.net/">bar</a></i> <i><a href="http://example.net/">baz</a></i></p>'
+			},
+			{
+				msg: 'Attribute set on nodes',
+				filter: 'heading',
+				replaceMode: 'attribute',
+				replace: '3',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h3>Foo</h3><p><i><a href="http://example.net/">bar</a></i> <i><a href="http://example.net/">baz</a></i></p>'
+			},
+			{
+				msg: 'Style removed from several results',
+				filter: 'link',
+				replaceMode: 'removeStyle',
+				replaceStyle: 'textStyle/italic',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h3>Foo</h3><p><a href="http://example.net/">bar</a> <a href="http://example.net/">baz</a></p>'
+			},
+			{
+				msg: 'Attribute set on the whole of links containing the results',
+				find: 'a',
+				filter: 'link',
+				replaceMode: 'attribute',
+				replace: 'http://example.com/',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h3>Foo</h3><p><a href="http://example.com/">bar</a> <a href="http://example.com/">baz</a></p>'
+			},
+			{
+				msg: 'Attribute set once on a link containing several results',
+				find: 'b|r',
+				regex: true,
+				filter: 'link',
+				replaceMode: 'attribute',
+				replace: 'http://example.org/',
+				expectedHtml:
+					'<p>Foo ba</p><p>[r</p><p>b]</p><p>az</p><h3>Foo</h3><p><a href="http://example.org/">bar</a> <a href="http://example.org/">baz</a></p>'
+			}
+		];
+
+	QUnit.expect( cases.length * 2 );
+
+	surface.getToolbarDialogs().getWindow( 'findAndReplace' ).done( function ( dialog ) {
+		dialog.open( {
+			surface: surface,
+			fragment: surface.getModel().getFragment()
+		} ).done( function () {
+			var i,
+				transactions = 0;
+
+			surface.getModel().getDocument().on( 'transact', function () {
+				transactions++;
+			} );
+			dialog.matchCaseToggle.setValue( true );
+			for ( i = 0; i < cases.length; i++ ) {
+				dialog.regexToggle.setValue( !!cases[ i ].regex );
+				dialog.multilineToggle.setValue( !!cases[ i ].multiline );
+				dialog.filterToggle.setValue( !!cases[ i ].filter );
+				dialog.filterTypeDropdown.getMenu().selectItemByData( cases[ i ].filter || 'bold' );
+				dialog.filterAttributeInput.setValue( '' );
+				dialog.filterValueInput.setValue( '' );
+				dialog.replaceModeDropdown.getMenu().selectItemByData( cases[ i ].replaceMode || 'text' );
+				dialog.replaceStyleDropdown.getMenu().selectItemByData( cases[ i ].replaceStyle || 'textStyle/bold' );
+				dialog.replaceText.setValue( cases[ i ].replace || '' );
+				dialog.findText.setValue( cases[ i ].find || '' );
+				dialog.onReplaceAllButtonClick();
+				transactions = 0;
+				dialog.onReplacePreviewApplyButtonClick();
+				assert.strictEqual(
+					ve.dm.converter.getDomFromModel( surface.getModel().getDocument() ).body.innerHTML,
+					cases[ i ].expectedHtml,
+					cases[ i ].msg
+				);
+				assert.strictEqual( transactions, 1, cases[ i ].msg + ': single transaction' );
+			}
+			dialog.regexToggle.setValue( false );
+			dialog.multilineToggle.setValue( false );
+			dialog.filterToggle.setValue( false );
+			dialog.findText.setValue( '' );
+			dialog.replaceText.setValue( '' );
+			done();
+		} );
+	} );
+
+} );
+
+QUnit.test( 'find with scopes', function ( assert ) {
+	var done = assert.async(),
+		surface = ve.test.utils.createSurfaceFromHtml(
+			'<p>foo</p>' +
+			'<table><tr><td>foo</td><td>bar</td></tr><tr><td>foo</td><td>foo</td></tr></table>'
+		),
+		documentModel = surface.getModel().getDocument(),
+		cases = [
+			{
+				msg: 'Whole document',
+				scope: 'document',
+				ranges: [ new ve.Range( 1, 4 ), new ve.Range( 10, 13 ), new ve.Range( 26, 29 ), new ve.Range( 33, 36 ) ]
+			},
+			{
+				msg: 'Linear selection',
+				scope: 'selection',
+				selection: new ve.dm.LinearSelection( documentModel, new ve.Range( 0, 14 ) ),
+				ranges: [ new ve.Range( 1, 4 ), new ve.Range( 10, 13 ) ]
+			},
+			{
+				msg: 'Table around a linear selection',
+				scope: 'table',
+				selection: new ve.dm.LinearSelection( documentModel, new ve.Range( 11 ) ),
+				ranges: [ new ve.Range( 10, 13 ), new ve.Range( 26, 29 ), new ve.Range( 33, 36 ) ]
+			},
+			{
+				msg: 'Column around a linear selection',
+				scope: 'column',
+				selection: new ve.dm.LinearSelection( documentModel, new ve.Range( 11 ) ),
+				ranges: [ new ve.Range( 10, 13 ), new ve.Range( 26, 29 ) ]
+			},
+			{
+				msg: 'Column of a table selection',
+				scope: 'column',
+				selection: new ve.dm.TableSelection( documentModel, new ve.Range( 5, 41 ), 1, 0 ),
+				ranges: [ new ve.Range( 33, 36 ) ]
+			},
+			{
+				msg: 'Table selection',
+				scope: 'selection',
+				selection: new ve.dm.TableSelection( documentModel, new ve.Range( 5, 41 ), 0, 1, 1, 1 ),
+				ranges: [ new ve.Range( 26, 29 ), new ve.Range( 33, 36 ) ]
+			},
+			{
+				msg: 'Table outside the selection',
+				scope: 'table',
+				selection: new ve.dm.LinearSelection( documentModel, new ve.Range( 2 ) ),
+				ranges: []
+			}
+		];
+
+	QUnit.expect( cases.length );
+
+	surface.getToolbarDialogs().getWindow( 'findAndReplace' ).done( function ( dialog ) {
+		dialog.open( {
+			surface: surface,
+			fragment: surface.getModel().getFragment()
+		} ).done( function () {
+			var i, ranges;
+			dialog.matchCaseToggle.setValue( false );
+			dialog.regexToggle.setValue( false );
+			dialog.filterToggle.setValue( true );
+			dialog.filterTypeDropdown.getMenu().selectItemByData( '' );
+			for ( i = 0; i < cases.length; i++ ) {
+				dialog.initialFragment = cases[ i ].selection ?
+					surface.getModel().getFragment( cases[ i ].selection, true ) :
+					null;
+				dialog.scopeDropdown.getMenu().selectItemByData( cases[ i ].scope );
+				dialog.findText.setValue( 'foo' );
+				ranges = dialog.fragments.map( function ( fragment ) {
+					return fragment.getSelection().getRange();
+				} );
+				assert.deepEqual( ranges, cases[ i ].ranges, cases[ i ].msg );
+				dialog.findText.setValue( '' );
+			}
+			dialog.scopeDropdown.getMenu().selectItemByData( 'document' );
+			dialog.filterToggle.setValue( false );
+			done();
+		} );
+	} );
+
+} );
+
+QUnit.test( 'expandReplacement', function ( assert ) {
+	var match = /(a)(b)?(c)/.exec( 'xacx' );
+
+	assert.strictEqual(
+		ve.ui.FindAndReplaceDialog.static.expandReplacement( '[$&][$1][$2][$3][$4][$$][$10]', match ),
+		'[ac][a][][c][$4][$][a0]',
+		'Numbered references'
+	);
+	match.groups = { first: 'a' };
+	assert.strictEqual(
+		ve.ui.FindAndReplaceDialog.static.expandReplacement( '$<first>$<second>', match ),
+		'a$<second>',
+		'Named references'
+	);
+} );
+
+QUnit.test( 'transformCase', function ( assert ) {
+	var i,
+		cases = [
+			[ 'foo Bar', 'none', 'x', 'foo Bar' ],
+			[ 'foo Bar', 'upper', 'x', 'FOO BAR' ],
+			[ 'foo Bar', 'lower', 'x', 'foo bar' ],
+			[ 'foo BAR baz', 'title', 'x', 'Foo Bar Baz' ],
+			[ 'foo Bar', 'preserve', 'ABC', 'FOO BAR' ],
+			[ 'foo Bar', 'preserve', 'abc', 'foo bar' ],
+			[ 'foo Bar', 'preserve', 'Abc', 'Foo Bar' ],
+			[ 'foo Bar', 'preserve', 'aBc', 'foo Bar' ],
+			[ 'foo Bar', 'preserve', '123', 'foo Bar' ]
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.strictEqual(
+			ve.ui.FindAndReplaceDialog.static.transformCase( cases[ i ][ 0 ], cases[ i ][ 1 ], cases[ i ][ 2 ] ),
+			cases[ i ][ 3 ],
+			cases[ i ][ 1 ] + ' with "' + cases[ i ][ 2 ] + '"'
+		);
+	}
+} );
@@ -0,0 +1,135 @@
+/*!
+ * VisualEditor UserInterface HistoryDialog tests.
+ *
+ * @copyright 2011-2017 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+QUnit.module( 've.ui.HistoryDialog' );
+
+/* Tests */
+
+QUnit.test( 'getRevisions', function ( assert ) {
+	var i,
+		minute = 60 * 1000,
+		cases = [
+			{
+				msg: 'No history',
+				transactions: [],
+				expected: []
+			},
+			{
+				msg: 'Consecutive transactions by one author',
+				transactions: [
+					{ author: 1, timestamp: 1000 },
+					{ author: 1, timestamp: 1000 + minute },
+					{ author: 1, timestamp: 1000 + 3 * minute }
+				],
+				expected: [
+					{ start: 0, end: 3, author: 1, timestamp: 1000 + 3 * minute }
+				]
+			},
+			{
+				msg: 'Interleaved authors',
+				transactions: [
+					{ author: 1, timestamp: 1000 },
+					{ author: 2, timestamp: 2000 },
+					{ author: 2, timestamp: 3000 },
+					{ author: 1, timestamp: 4000 }
+				],
+				expected: [
+					{ start: 0, end: 1, author: 1, timestamp: 1000 },
+					{ start: 1, end: 3, author: 2, timestamp: 3000 },
+					{ start: 3, end: 4, author: 1, timestamp: 4000 }
+				]
+			},
+			{
+				msg: 'Pause longer than the revision interval',
+				transactions: [
+					{ author: 1, timestamp: 1000 },
+					{ author: 1, timestamp: 1000 + 6 * minute }
+				],
+				expected: [
+					{ start: 0, end: 1, author: 1, timestamp: 1000 },
+					{ start: 1, end: 2, author: 1, timestamp: 1000 + 6 * minute }
+				]
+			},
+			{
+				msg: 'Transactions without timestamps',
+				transactions: [
+					{ author: null, timestamp: null },
+					{ author: null, timestamp: null },
+					{ author: 1, timestamp: 1000 },
+					{ author: 1, timestamp: null }
+				],
+				expected: [
+					{ start: 0, end: 2, author: null, timestamp: null },
+					{ start: 2, end: 3, author: 1, timestamp: 1000 },
+					{ start: 3, end: 4, author: 1, timestamp: null }
+				]
+			}
+		];
+
+	for ( i = 0; i < cases.length; i++ ) {
+		assert.deepEqual(
+			ve.ui.HistoryDialog.static.getRevisions( cases[ i ].transactions ),
+			cases[ i ].expected,
+			cases[ i ].msg
+		);
+	}
+} );
+
+QUnit.test( 'getDocumentAtRevision/restoreRevision', function ( assert ) {
+	var revisionDoc,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>foo</p>' ) ),
+		surface = new ve.dm.Surface( doc ),
+		dialog = { synchronizer: { surface: surface, doc: doc } };
+
+	function getHtml( model ) {
+		return ve.dm.converter.getDomFromModel( model ).body.innerHTML;
+	}
+
+	surface.change( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 4, [ 'b', 'a', 'r' ] ) );
+	surface.change( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 7, [
+		{ type: '/paragraph' }, { type: 'paragraph' }
+	] ) );
+	surface.change( ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 1, 2 ) ) );
+
+	revisionDoc = ve.ui.HistoryDialog.static.getDocumentAtRevision( doc, 1 );
+	assert.strictEqual( getHtml( revisionDoc ), '<p>foobar</p>', 'Document after the first transaction' );
+	assert.strictEqual( getHtml( doc ), '<p>oobar</p><p></p>', 'Document itself is unchanged' );
+	assert.strictEqual(
+		getHtml( ve.ui.HistoryDialog.static.getDocumentAtRevision( doc, 3 ) ),
+		'<p>oobar</p><p></p>',
+		'Document at the current revision'
+	);
+
+	ve.ui.HistoryDialog.prototype.restoreRevision.call( dialog, { start: 0, end: 1 } );
+	assert.strictEqual( getHtml( doc ), '<p>foobar</p>', 'Document restored to the first revision' );
+	assert.strictEqual( doc.completeHistory.length, 5, 'Restoring adds to the history' );
+} );
+
+QUnit.test( 'renderRevision', function ( assert ) {
+	var doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+			'<p>foo</p><div rel="ve:Alien"><script>window.veHistoryDialogTestScriptRan = true;</script></div>'
+		) ),
+		dialog = Object.create( ve.ui.HistoryDialog.prototype );
+
+	dialog.synchronizer = { doc: doc };
+	dialog.selectedRevision = { start: 0, end: 0 };
+	dialog.modeSelect = new OO.ui.ButtonSelectWidget();
+	dialog.$revision = $( '<div>' );
+	dialog.renderRevision();
+
+	assert.strictEqual(
+		dialog.$revision.find( '.ve-ui-historyDialog-preview > p' ).text(),
+		'foo',
+		'Revision is rendered'
+	);
+	assert.strictEqual(
+		dialog.$revision.find( '.ve-ui-historyDialog-preview script' ).length,
+		1,
+		'Alien content is rendered'
+	);
+	assert.strictEqual( window.veHistoryDialogTestScriptRan, undefined, 'Inline scripts are not run' );
+	delete window.veHistoryDialogTestScriptRan;
+} );
@@ -35,14 +35,19 @@ ve.ui.StubHandlerHtml2 = makeStubHandler( 'html2', false, [ 'text/html' ] );
 // The `html3` handler should never show up
 ve.ui.StubHandlerHtml3 = makeStubHandler( 'html3', true, [ 'text/html' ] );
 ve.ui.StubHandlerHtml3.static.matchFunction = function () { return false; };
+ve.ui.StubHandlerPlain1 = makeStubHandler( 'plain1', true, [ 'text/plain' ] );
+ve.ui.StubHandlerPlain1.static.handlesPasteSpecial = true;
+ve.ui.StubHandlerPlain1.static.handlesOnlyPasteSpecial = true;
+ve.ui.StubHandlerPlain2 = makeStubHandler( 'plain2', true, [ 'text/plain' ] );
 
 /* Tests */
-QUnit.test( 'getHandlerNameForItem', 14, function ( assert ) {
+QUnit.test( 'getHandlerNameForItem', 16, function ( assert ) {
 	var factory = new ve.ui.DataTransferHandlerFactory(),
 		stubItemTypeHtml = makeStubItem( 'text/html' ),
 		stubItemFileHtml = makeStubItem( 'text/html', 'file', 'html' ),
 		stubItemStringHtml = makeStubItem( 'text/html', 'string', 'html' ),
 		stubItemExtHtml = makeStubItem( null, null, 'html' ),
+		stubItemTypePlain = makeStubItem( 'text/plain' ),
 		stubItemProto = makeStubItem( '__proto__', '__proto__', '__proto__' );
 
 	// The factory should start out empty and __proto__ shouldn't cause a crash
@@ -58,6 +63,8 @@ QUnit.test( 'getHandlerNameForItem', 14, function ( assert ) {
 	factory.register( ve.ui.StubHandlerHtml1 );
 	factory.register( ve.ui.StubHandlerHtml2 );
 	factory.register( ve.ui.StubHandlerHtml3 );
+	factory.register( ve.ui.StubHandlerPlain2 );
+	factory.register( ve.ui.StubHandlerPlain1 );
 
 	// Ensure that __proto__ doesn't cause a crash
 	assert.deepEqual( factory.getHandlerNameForItem( stubItemProto, false ), undefined, 'Ensure that __proto__ doesn\'t cause a crash' );
@@ -75,4 +82,8 @@ QUnit.test( 'getHandlerNameForItem', 14, function ( assert ) {
 	// Match by (1) kind and type, then fall through & match by (2) just type.
 	assert.deepEqual( factory.getHandlerNameForItem( stubItemStringHtml, false ), 'stringhtml', 'Match by kind and type (unfiltered, take 2)' );
 	assert.deepEqual( factory.getHandlerNameForItem( stubItemStringHtml, true ), 'html1', 'Fall through kind and type match after filter, match by just type' );
+
+	// Handlers only for paste special
+	assert.deepEqual( factory.getHandlerNameForItem( stubItemTypePlain, true ), 'plain2', 'Skip handler only for paste special in paste' );
+	assert.deepEqual( factory.getHandlerNameForItem( stubItemTypePlain, true, true ), 'plain1', 'Match handler only for paste special in paste special' );
 } );
@@ -11,6 +11,7 @@ QUnit.module( 've.ui.DiffElement' );
 QUnit.test( 'Diffing', function ( assert ) {
 	var i, len, visualDiff, diffElement,
 		spacer = '<div class="ve-ui-diffElement-spacer">⋮</div>',
+		times = ve.msg( 'visualeditor-dimensionswidget-times' ),
 		cases = [
 			{
 				msg: 'Simple text change',
@@ -84,6 +85,203 @@ QUnit.test( 'Diffing', function ( assert ) {
 				expected:
 					'<div class="ve-ui-diffElement-doc-child-change">' +
 						'<figure class="ve-align-right ve-ui-diffElement-change"><img src="boo.jpg" width="0" height="0" alt="null"><figcaption>bar</figcaption></figure>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-changed', 'src', 'foo.jpg', 'boo.jpg' ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Heading level change',
+				oldDoc: '<h2>foo bar</h2>',
+				newDoc: '<h3>foo bar</h3>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<h3 class="ve-ui-diffElement-change">foo bar</h3>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-heading-level', 2, 3 ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'List style change',
+				oldDoc: '<ul><li><p>foo</p></li></ul>',
+				newDoc: '<ol><li><p>foo</p></li></ol>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<ol class="ve-ui-diffElement-change"><li><p>foo</p></li></ol>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg(
+								'visualeditor-changedesc-list-style',
+								ve.msg( 'visualeditor-listbutton-bullet-tooltip' ),
+								ve.msg( 'visualeditor-listbutton-number-tooltip' )
+							) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Image size change',
+				oldDoc: '<figure><img src="foo.jpg" width="100" height="50"><figcaption>bar</figcaption></figure>',
+				newDoc: '<figure><img src="foo.jpg" width="200" height="100"><figcaption>bar</figcaption></figure>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<figure class="ve-ui-diffElement-change"><img src="foo.jpg" width="200" height="100" alt="null"><figcaption>bar</figcaption></figure>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-image-size', '100' + times + '50', '200' + times + '100' ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Link target change',
+				oldDoc: '<p>foo <a href="http://example.org/a">bar</a> baz</p>',
+				newDoc: '<p>foo <a href="http://example.org/b">bar</a> baz</p>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<p>foo <span class="ve-ui-diffElement-change"><a href="http://example.org/b">bar</a></span> baz</p>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-link-href', 'http://example.org/a', 'http://example.org/b' ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Annotation added',
+				oldDoc: '<p>foo bar baz</p>',
+				newDoc: '<p>foo <b>bar</b> baz</p>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<p>foo <span class="ve-ui-diffElement-change"><b>bar</b></span> baz</p>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg(
+								'visualeditor-changedesc-annotation-added',
+								ve.msg( 'visualeditor-annotationbutton-bold-tooltip' )
+							) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Inline image size change',
+				oldDoc: '<p>foo <img src="foo.jpg" width="10" height="20"> baz</p>',
+				newDoc: '<p>foo <img src="foo.jpg" width="20" height="40"> baz</p>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<p>foo <span class="ve-ui-diffElement-change"><img src="foo.jpg" width="20" height="40"> baz</span></p>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-image-size', '10' + times + '20', '20' + times + '40' ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Table row inserted',
+				oldDoc: '<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>',
+				newDoc: '<table><tr><td>a</td><td>b</td></tr><tr><td>x</td><td>y</td></tr><tr><td>c</td><td>d</td></tr></table>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<div class="ve-ui-diffElement-table">' +
+							'<div class="ve-ui-diffElement-table-old">' +
+								'<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>' +
+							'</div>' +
+							'<div class="ve-ui-diffElement-table-new">' +
+								'<table><tbody><tr><td>a</td><td>b</td></tr><tr class="ve-ui-diffElement-insert"><td>x</td><td>y</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>' +
+							'</div>' +
+						'</div>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-table-row-inserted', 2 ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Table column removed and cell changed',
+				oldDoc: '<table><tr><td>a</td><td>b</td><td>c</td></tr><tr><td>d</td><td>e</td><td>f</td></tr></table>',
+				newDoc: '<table><tr><td>a</td><td>c</td></tr><tr><td>d</td><td>g</td></tr></table>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<div class="ve-ui-diffElement-table">' +
+							'<div class="ve-ui-diffElement-table-old">' +
+								'<table><tbody><tr><td>a</td><td class="ve-ui-diffElement-remove">b</td><td>c</td></tr><tr><td>d</td><td class="ve-ui-diffElement-remove">e</td><td class="ve-ui-diffElement-change">f</td></tr></tbody></table>' +
+							'</div>' +
+							'<div class="ve-ui-diffElement-table-new">' +
+								'<table><tbody><tr><td>a</td><td>c</td></tr><tr><td>d</td><td class="ve-ui-diffElement-change">g</td></tr></tbody></table>' +
+							'</div>' +
+						'</div>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-table-column-removed', 2 ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Table cells merged',
+				oldDoc: '<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr><tr><td>e</td><td>f</td></tr></table>',
+				newDoc: '<table><tr><td colspan="2">a</td></tr><tr><td>c</td><td>d</td></tr><tr><td>e</td><td>f</td></tr></table>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<div class="ve-ui-diffElement-table">' +
+							'<div class="ve-ui-diffElement-table-old">' +
+								'<table><tbody><tr><td class="ve-ui-diffElement-change">a</td><td class="ve-ui-diffElement-change">b</td></tr><tr><td>c</td><td>d</td></tr><tr><td>e</td><td>f</td></tr></tbody></table>' +
+							'</div>' +
+							'<div class="ve-ui-diffElement-table-new">' +
+								'<table><tbody><tr><td colspan="2" class="ve-ui-diffElement-change">a</td></tr><tr><td>c</td><td>d</td></tr><tr><td>e</td><td>f</td></tr></tbody></table>' +
+							'</div>' +
+						'</div>' +
+						'<ul class="ve-ui-diffElement-descriptions">' +
+							'<li>' + ve.msg( 'visualeditor-changedesc-table-cells-merged', 1, 1 ) + '</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Table cell changed in a single row',
+				oldDoc: '<table><tr><td>a</td><td>b</td><td>c</td></tr></table>',
+				newDoc: '<table><tr><td>a</td><td>xyz</td><td>c</td></tr></table>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<div class="ve-ui-diffElement-table">' +
+							'<div class="ve-ui-diffElement-table-old">' +
+								'<table><tbody><tr><td>a</td><td class="ve-ui-diffElement-change">b</td><td>c</td></tr></tbody></table>' +
+							'</div>' +
+							'<div class="ve-ui-diffElement-table-new">' +
+								'<table><tbody><tr><td>a</td><td class="ve-ui-diffElement-change">xyz</td><td>c</td></tr></tbody></table>' +
+							'</div>' +
+						'</div>' +
+					'</div>'
+			},
+			{
+				msg: 'List item moved',
+				oldDoc: '<ul><li>foo</li><li>bar</li><li>baz</li></ul>',
+				newDoc: '<ul><li>bar</li><li>baz</li><li>foo</li></ul>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<ul>' +
+							'<li class="ve-ui-diffElement-up">bar</li>' +
+							'<li class="ve-ui-diffElement-up">baz</li>' +
+							'<li class="ve-ui-diffElement-down">foo</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Nested list item changed',
+				oldDoc: '<ul><li>foo<ul><li>bar</li><li>baz</li></ul></li><li>quux</li></ul>',
+				newDoc: '<ul><li>foo<ul><li>bar</li><li>bat</li><li>whee</li></ul></li><li>quux</li></ul>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<ul>' +
+							'<li>foo<ul>' +
+								'<li>bar</li>' +
+								'<li class="ve-ui-diffElement-remove">baz</li>' +
+								'<li class="ve-ui-diffElement-insert">bat</li>' +
+								'<li class="ve-ui-diffElement-insert">whee</li>' +
+							'</ul></li>' +
+							'<li>quux</li>' +
+						'</ul>' +
+					'</div>'
+			},
+			{
+				msg: 'Paragraph in div changed',
+				oldDoc: '<div><p>foo</p><p>foo bar baz</p></div>',
+				newDoc: '<div><p>foo</p><p>foo car baz</p></div>',
+				expected:
+					'<div class="ve-ui-diffElement-doc-child-change">' +
+						'<div>' +
+							'<p>foo</p>' +
+							'<p>foo <del class="ve-ui-diffElement-remove">bar</del> <ins class="ve-ui-diffElement-insert">car</ins> baz</p>' +
+						'</div>' +
 					'</div>'
 			}
 		];
@@ -97,3 +295,58 @@ QUnit.test( 'Diffing', function ( assert ) {
 		assert.strictEqual( diffElement.$element.html(), cases[ i ].expected, cases[ i ].msg );
 	}
 } );
+
+QUnit.test( 'Display modes and navigation', function ( assert ) {
+	var visualDiff = new ve.dm.VisualDiff(
+			ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>foo</p><p>bar</p><p>baz</p><p>quux</p>' ) ),
+			ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>whee</p><p>bar</p><p>baz</p><p>quux</p>' ) )
+		),
+		diffElement = new ve.ui.DiffElement( visualDiff, { mode: 'changes' } ),
+		selected = [];
+
+	assert.strictEqual(
+		diffElement.$element.html(),
+		'<div class="ve-ui-diffElement-doc-child-change">' +
+			'<p class="ve-ui-diffElement-remove">foo</p>' +
+		'</div>' +
+		'<div class="ve-ui-diffElement-doc-child-change">' +
+			'<p class="ve-ui-diffElement-insert">whee</p>' +
+		'</div>' +
+		'<div class="ve-ui-diffElement-spacer">⋮</div>',
+		'Changes only: unchanged paragraphs are collapsed'
+	);
+
+	diffElement.setMode( 'inline' );
+	assert.strictEqual(
+		diffElement.$element.children().eq( 2 ).html(),
+		'bar',
+		'Inline: the paragraph after the change is shown for context'
+	);
+	assert.ok( diffElement.$element.hasClass( 've-ui-diffElement-mode-inline' ), 'Mode class is set' );
+
+	diffElement.setMode( 'sideBySide' );
+	assert.strictEqual(
+		diffElement.$element.children().first().html(),
+		'<div class="ve-ui-diffElement-sideBySide-old">' +
+			'<div class="ve-ui-diffElement-doc-child-change">' +
+				'<p class="ve-ui-diffElement-remove">foo</p>' +
+			'</div>' +
+		'</div>' +
+		'<div class="ve-ui-diffElement-sideBySide-new"></div>',
+		'Side by side: removed paragraph is only in the old column'
+	);
+
+	diffElement.on( 'select', function ( index, count ) {
+		selected.push( [ index, count ] );
+	} );
+	assert.strictEqual( diffElement.getChangeCount(), 2, 'Number of changes' );
+	diffElement.selectPreviousChange();
+	diffElement.selectNextChange();
+	diffElement.selectNextChange();
+	assert.deepEqual( selected, [ [ 1, 2 ], [ 0, 2 ], [ 1, 2 ] ], 'Navigation wraps around' );
+	assert.strictEqual(
+		diffElement.$element.find( '.ve-ui-diffElement-selected' ).find( '.ve-ui-diffElement-insert' ).text(),
+		'whee',
+		'Selected change is highlighted'
+	);
+} );